@@ -0,0 +1,229 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./ShoppingRewards.sol";
+
+/**
+ * @title Loyalty Tiers
+ * @dev Spend-based status tiers (Bronze, Silver, Gold...) from a customer's rolling 12-month spend across all merchants
+ * Spend is kept per UTC day and counts for WINDOW_DAYS days. Each customer's spend days are queued oldest
+ * first, so expired days are dropped from a running total as they are passed rather than re-summed on every
+ * purchase. A purchase earns the bonus of the tier reached by earlier spend - its own spend only counts from
+ * the next purchase on
+ */
+contract LoyaltyTiers is ShopAccessControl, ILoyaltyTiers {
+    struct Tier {
+        string name;
+        uint256 minSpend; // Rolling spend needed, in purchase amount units (100 SHOP = €1)
+        uint256 bonusBps; // Extra rewards as basis points of base rewards
+    }
+    
+    struct SpendWindow {
+        uint256 total; // Spend on the queued days not yet dropped
+        uint256 head; // First entry of spendDays not yet dropped
+        uint256[] spendDays; // Days with spend, ascending
+    }
+    
+    address public purchaseValidator; // Only source of spend
+    
+    Tier[] private tiers; // Ascending by minSpend; tier numbers start at 1, 0 = no tier
+    mapping(address => mapping(uint256 => uint256)) public spendByDay; // customer => UTC day => spend (cleared once expired)
+    mapping(address => uint256) public customerTier; // Tier as of the customer's last update
+    mapping(address => SpendWindow) private spendWindows;
+    
+    uint256 public constant WINDOW_DAYS = 365;
+    uint256 public constant MAX_TIERS = 10;
+    uint256 public constant MAX_TIER_BONUS_BPS = 10000; // Double base rewards
+    
+    event TierChanged(address indexed customer, uint256 previousTier, uint256 newTier, string tierName, uint256 rollingSpend);
+    event TiersUpdated(uint256 tierCount);
+    event PurchaseValidatorUpdated(address indexed purchaseValidator);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy with the Bronze, Silver and Gold tiers - the caller becomes owner
+     */
+    function initialize() external initializer {
+        __ShopAccessControl_init();
+        tiers.push(Tier("Bronze", 10000 * 10**18, 500)); // €100, +5%
+        tiers.push(Tier("Silver", 100000 * 10**18, 1000)); // €1,000, +10%
+        tiers.push(Tier("Gold", 500000 * 10**18, 2000)); // €5,000, +20%
+    }
+    
+    /**
+     * @dev Add a purchase to the customer's spend and return the tier bonus it earns (tier from earlier spend)
+     */
+    function recordPurchase(address _customer, uint256 _amount) external override returns (uint256 bonusBps) {
+        require(_msgSender() == purchaseValidator, "Not purchase validator");
+        uint256 rollingSpend = _dropExpired(_customer);
+        bonusBps = _bonusBpsFor(rollingSpend);
+        
+        uint256 today = block.timestamp / 1 days;
+        SpendWindow storage window = spendWindows[_customer];
+        if (window.head == window.spendDays.length || window.spendDays[window.spendDays.length - 1] != today) {
+            window.spendDays.push(today);
+        }
+        spendByDay[_customer][today] += _amount;
+        window.total += _amount;
+        _updateTier(_customer, rollingSpend + _amount);
+    }
+    
+    /**
+     * @dev Take a refunded amount back out of the day its purchase was made on (nothing if it has expired)
+     */
+    function recordRefund(address _customer, uint256 _amount, uint256 _purchasedAt) external override {
+        require(_msgSender() == purchaseValidator, "Not purchase validator");
+        uint256 rollingSpend = _dropExpired(_customer);
+        uint256 day = _purchasedAt / 1 days;
+        uint256 spend = spendByDay[_customer][day];
+        uint256 refunded = _amount < spend ? _amount : spend;
+        spendByDay[_customer][day] = spend - refunded;
+        spendWindows[_customer].total -= refunded;
+        _updateTier(_customer, rollingSpend - refunded);
+    }
+    
+    /**
+     * @dev Re-evaluate a customer's tier after old spend rolls out of the window (callable by anyone)
+     */
+    function refreshTier(address _customer) external {
+        _updateTier(_customer, _dropExpired(_customer));
+    }
+    
+    /**
+     * @dev Replace the tier table - thresholds must be strictly ascending
+     */
+    function setTiers(
+        string[] calldata _names,
+        uint256[] calldata _minSpends,
+        uint256[] calldata _bonusBps
+    ) external onlyRole(RATE_SETTER_ROLE) {
+        require(_names.length == _minSpends.length && _minSpends.length == _bonusBps.length, "Tier length mismatch");
+        require(_names.length > 0 && _names.length <= MAX_TIERS, "Invalid tier count");
+        
+        delete tiers;
+        for (uint256 i = 0; i < _names.length; i++) {
+            require(bytes(_names[i]).length > 0, "Invalid tier name");
+            require(_minSpends[i] > 0 && (i == 0 || _minSpends[i] > _minSpends[i - 1]), "Thresholds must ascend");
+            require(_bonusBps[i] <= MAX_TIER_BONUS_BPS, "Tier bonus too high");
+            tiers.push(Tier(_names[i], _minSpends[i], _bonusBps[i]));
+        }
+        
+        emit TiersUpdated(_names.length);
+    }
+    
+    /**
+     * @dev Set the purchase validator allowed to record spend
+     */
+    function setPurchaseValidator(address _purchaseValidator) external onlyGovernance {
+        require(_purchaseValidator != address(0), "Invalid purchase validator address");
+        purchaseValidator = _purchaseValidator;
+        emit PurchaseValidatorUpdated(_purchaseValidator);
+    }
+    
+    /**
+     * @dev Customer spend over today and the previous WINDOW_DAYS - 1 days
+     */
+    function getRollingSpend(address _customer) public view returns (uint256 spend) {
+        SpendWindow storage window = spendWindows[_customer];
+        uint256 today = block.timestamp / 1 days;
+        spend = window.total;
+        for (uint256 i = window.head; i < window.spendDays.length && window.spendDays[i] + WINDOW_DAYS <= today; i++) {
+            spend -= spendByDay[_customer][window.spendDays[i]];
+        }
+    }
+    
+    /**
+     * @dev Tier bonus the customer's next purchase earns, from their spend so far
+     */
+    function getBonusBps(address _customer) external view override returns (uint256) {
+        return _bonusBpsFor(getRollingSpend(_customer));
+    }
+    
+    /**
+     * @dev Get a customer's current tier and how much more spend reaches the next one
+     * @return tier Tier number (0 = none)
+     * @return name Tier name ("" when none)
+     * @return bonusBps Reward bonus of the tier
+     * @return rollingSpend Spend in the rolling window
+     * @return nextTierName Next tier up ("" at the top tier)
+     * @return spendToNextTier Spend still needed for the next tier (0 at the top tier)
+     */
+    function getCustomerTier(address _customer) external view returns (
+        uint256 tier,
+        string memory name,
+        uint256 bonusBps,
+        uint256 rollingSpend,
+        string memory nextTierName,
+        uint256 spendToNextTier
+    ) {
+        rollingSpend = getRollingSpend(_customer);
+        tier = _tierFor(rollingSpend);
+        if (tier > 0) {
+            name = tiers[tier - 1].name;
+            bonusBps = tiers[tier - 1].bonusBps;
+        }
+        if (tier < tiers.length) {
+            nextTierName = tiers[tier].name;
+            spendToNextTier = tiers[tier].minSpend - rollingSpend;
+        }
+    }
+    
+    /**
+     * @dev Get the tier table
+     */
+    function getTiers() external view returns (Tier[] memory) {
+        return tiers;
+    }
+    
+    /**
+     * @dev Store the customer's tier for their current rolling spend, announcing any change
+     */
+    function _updateTier(address _customer, uint256 _rollingSpend) internal {
+        uint256 tier = _tierFor(_rollingSpend);
+        uint256 previousTier = customerTier[_customer];
+        if (tier != previousTier) {
+            customerTier[_customer] = tier;
+            emit TierChanged(_customer, previousTier, tier, tier > 0 ? tiers[tier - 1].name : "", _rollingSpend);
+        }
+    }
+    
+    /**
+     * @dev Drop spend days that have left the window from the customer's running total, returning what is left
+     * Each day is dropped once, so the cost falls on the first update after it expires
+     */
+    function _dropExpired(address _customer) internal returns (uint256) {
+        SpendWindow storage window = spendWindows[_customer];
+        uint256 today = block.timestamp / 1 days;
+        uint256 head = window.head;
+        while (head < window.spendDays.length && window.spendDays[head] + WINDOW_DAYS <= today) {
+            uint256 day = window.spendDays[head];
+            window.total -= spendByDay[_customer][day];
+            delete spendByDay[_customer][day];
+            delete window.spendDays[head];
+            head++;
+        }
+        window.head = head;
+        return window.total;
+    }
+    
+    /**
+     * @dev Bonus of the tier a rolling spend reaches
+     */
+    function _bonusBpsFor(uint256 _spend) internal view returns (uint256) {
+        uint256 tier = _tierFor(_spend);
+        return tier > 0 ? tiers[tier - 1].bonusBps : 0;
+    }
+    
+    /**
+     * @dev Highest tier whose threshold a spend meets (0 = none)
+     */
+    function _tierFor(uint256 _spend) internal view returns (uint256 tier) {
+        while (tier < tiers.length && _spend >= tiers[tier].minSpend) {
+            tier++;
+        }
+    }
+}
@@ -0,0 +1,260 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "./ShoppingRewards.sol";
+
+/**
+ * @title Merchant Onboarding
+ * @dev Self-service merchant applications backed by a refundable SHOP bond
+ * Needs MERCHANT_MANAGER_ROLE on MerchantRegistry - merchants issue rewards through PurchaseValidator,
+ * so onboarding never makes them SHOP minters
+ */
+contract MerchantOnboarding is ReentrancyGuardUpgradeable, ShopAccessControl {
+    bytes32 public constant REVIEWER_ROLE = keccak256("REVIEWER_ROLE");
+    
+    SHOPToken public shopToken;
+    MerchantRegistry public merchantRegistry;
+    
+    enum ApplicationStatus { None, Pending, Approved, Rejected, Withdrawn }
+    
+    struct Application {
+        address applicant;
+        string name;
+        string category;
+        uint256 requestedRate;
+        uint256 bond;
+        uint256 submittedAt;
+        uint256 approvals;
+        ApplicationStatus status;
+    }
+    
+    Application[] public applications;
+    mapping(address => uint256) public pendingApplication; // applicant => application ID + 1 (0 = none)
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
+    mapping(address => uint256) public merchantBonds; // Bond held for approved merchants
+    
+    // Review committee - any reviewer can reject, approvalThreshold votes approve; merchant managers decide alone
+    uint256 public approvalThreshold;
+    
+    uint256 public bondAmount; // 10k SHOP (€100)
+    address public treasury; // Receives slashed bonds
+    
+    event ApplicationSubmitted(
+        uint256 indexed applicationId,
+        address indexed applicant,
+        string name,
+        string category,
+        uint256 requestedRate,
+        uint256 bond
+    );
+    event ApplicationVoted(uint256 indexed applicationId, address indexed reviewer, uint256 approvals);
+    event ApplicationApproved(uint256 indexed applicationId, address indexed applicant);
+    event ApplicationRejected(uint256 indexed applicationId, address indexed applicant, string reason);
+    event ApplicationWithdrawn(uint256 indexed applicationId, address indexed applicant);
+    event BondSlashed(address indexed merchant, uint256 amount, string reason);
+    event BondReleased(address indexed merchant, uint256 amount);
+    event ApprovalThresholdUpdated(uint256 threshold);
+    event BondAmountUpdated(uint256 bondAmount);
+    event TreasuryUpdated(address indexed treasury);
+    
+    modifier onlyReviewer() {
+        require(
+            hasRole(REVIEWER_ROLE, _msgSender()) || hasRole(MERCHANT_MANAGER_ROLE, _msgSender()),
+            "Not a reviewer"
+        );
+        _;
+    }
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy - the caller becomes owner and bond treasury
+     */
+    function initialize(address _shopToken, address _merchantRegistry) external initializer {
+        require(_shopToken != address(0), "Invalid SHOP token address");
+        require(_merchantRegistry != address(0), "Invalid merchant registry address");
+        __ReentrancyGuard_init();
+        __ShopAccessControl_init();
+        shopToken = SHOPToken(_shopToken);
+        merchantRegistry = MerchantRegistry(_merchantRegistry);
+        treasury = _msgSender();
+        approvalThreshold = 2;
+        bondAmount = 10000 * 10**18;
+    }
+    
+    /**
+     * @dev Apply to become a merchant, posting the SHOP bond (requires approval first)
+     */
+    function submitApplication(
+        string memory _name,
+        string memory _category,
+        uint256 _requestedRate
+    ) external nonReentrant returns (uint256 applicationId) {
+        require(bytes(_name).length > 0, "Invalid merchant name");
+        require(bytes(_category).length > 0, "Invalid category");
+        require(_requestedRate > 0 && _requestedRate <= merchantRegistry.MAX_REWARD_RATE(), "Invalid reward rate");
+        require(!merchantRegistry.isMerchant(_msgSender()), "Merchant already registered");
+        require(pendingApplication[_msgSender()] == 0, "Application already pending");
+        
+        require(shopToken.transferFrom(_msgSender(), address(this), bondAmount), "Bond transfer failed");
+        
+        applicationId = applications.length;
+        applications.push(Application({
+            applicant: _msgSender(),
+            name: _name,
+            category: _category,
+            requestedRate: _requestedRate,
+            bond: bondAmount,
+            submittedAt: block.timestamp,
+            approvals: 0,
+            status: ApplicationStatus.Pending
+        }));
+        pendingApplication[_msgSender()] = applicationId + 1;
+        
+        emit ApplicationSubmitted(applicationId, _msgSender(), _name, _category, _requestedRate, bondAmount);
+    }
+    
+    /**
+     * @dev Withdraw a pending application and reclaim the bond
+     */
+    function withdrawApplication() external nonReentrant {
+        require(pendingApplication[_msgSender()] != 0, "No pending application");
+        uint256 applicationId = pendingApplication[_msgSender()] - 1;
+        Application storage application = applications[applicationId];
+        
+        application.status = ApplicationStatus.Withdrawn;
+        delete pendingApplication[_msgSender()];
+        require(shopToken.transfer(_msgSender(), application.bond), "Bond refund failed");
+        
+        emit ApplicationWithdrawn(applicationId, _msgSender());
+    }
+    
+    /**
+     * @dev Vote to approve an application - a merchant manager's vote, or reaching the threshold, onboards the merchant
+     */
+    function approveApplication(uint256 _applicationId) external onlyReviewer nonReentrant {
+        Application storage application = _pending(_applicationId);
+        require(!hasApproved[_applicationId][_msgSender()], "Already approved");
+        
+        hasApproved[_applicationId][_msgSender()] = true;
+        application.approvals += 1;
+        emit ApplicationVoted(_applicationId, _msgSender(), application.approvals);
+        
+        if (hasRole(MERCHANT_MANAGER_ROLE, _msgSender()) || application.approvals >= approvalThreshold) {
+            _onboard(_applicationId, application);
+        }
+    }
+    
+    /**
+     * @dev Reject an application and refund the bond
+     */
+    function rejectApplication(uint256 _applicationId, string memory _reason) external onlyReviewer nonReentrant {
+        Application storage application = _pending(_applicationId);
+        
+        application.status = ApplicationStatus.Rejected;
+        delete pendingApplication[application.applicant];
+        require(shopToken.transfer(application.applicant, application.bond), "Bond refund failed");
+        
+        emit ApplicationRejected(_applicationId, application.applicant, _reason);
+    }
+    
+    /**
+     * @dev Seize some or all of a merchant's bond for fraud, suspending it
+     */
+    function slashBond(address _merchant, uint256 _amount, string memory _reason) external onlyRole(MERCHANT_MANAGER_ROLE) nonReentrant {
+        require(_amount > 0 && _amount <= merchantBonds[_merchant], "Invalid slash amount");
+        
+        merchantBonds[_merchant] -= _amount;
+        if (merchantRegistry.isMerchant(_merchant)) {
+            (, , , bool isActive, ,) = merchantRegistry.getMerchantInfo(_merchant);
+            if (isActive) {
+                merchantRegistry.suspendMerchant(_merchant);
+            }
+        }
+        require(shopToken.transfer(treasury, _amount), "Bond transfer failed");
+        
+        emit BondSlashed(_merchant, _amount, _reason);
+    }
+    
+    /**
+     * @dev Return the remaining bond to a merchant leaving the network in good standing
+     * The merchant must be removed or suspended first, so it cannot keep issuing rewards unbonded
+     */
+    function releaseBond(address _merchant) external onlyRole(MERCHANT_MANAGER_ROLE) nonReentrant {
+        uint256 amount = merchantBonds[_merchant];
+        require(amount > 0, "No bond held");
+        if (merchantRegistry.isMerchant(_merchant)) {
+            (, , , bool isActive, ,) = merchantRegistry.getMerchantInfo(_merchant);
+            require(!isActive, "Merchant still active");
+        }
+        
+        merchantBonds[_merchant] = 0;
+        require(shopToken.transfer(_merchant, amount), "Bond refund failed");
+        
+        emit BondReleased(_merchant, amount);
+    }
+    
+    /**
+     * @dev Set how many reviewer approvals onboard a merchant
+     */
+    function setApprovalThreshold(uint256 _threshold) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_threshold > 0, "Invalid threshold");
+        approvalThreshold = _threshold;
+        emit ApprovalThresholdUpdated(_threshold);
+    }
+    
+    /**
+     * @dev Set the bond for new applications (existing bonds are unchanged)
+     */
+    function setBondAmount(uint256 _bondAmount) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        bondAmount = _bondAmount;
+        emit BondAmountUpdated(_bondAmount);
+    }
+    
+    /**
+     * @dev Set where slashed bonds are sent
+     */
+    function setTreasury(address _treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_treasury != address(0), "Invalid treasury address");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+    
+    /**
+     * @dev Get the number of applications ever submitted
+     */
+    function getApplicationCount() external view returns (uint256) {
+        return applications.length;
+    }
+    
+    /**
+     * @dev Load a pending application or revert
+     */
+    function _pending(uint256 _applicationId) internal view returns (Application storage application) {
+        require(_applicationId < applications.length, "Application not found");
+        application = applications[_applicationId];
+        require(application.status == ApplicationStatus.Pending, "Application not pending");
+    }
+    
+    /**
+     * @dev Register the merchant and hold the bond
+     */
+    function _onboard(uint256 _applicationId, Application storage _application) internal {
+        _application.status = ApplicationStatus.Approved;
+        delete pendingApplication[_application.applicant];
+        merchantBonds[_application.applicant] += _application.bond;
+        
+        merchantRegistry.registerMerchant(
+            _application.applicant,
+            _application.name,
+            _application.category,
+            _application.requestedRate
+        );
+        
+        emit ApplicationApproved(_applicationId, _application.applicant);
+    }
+}
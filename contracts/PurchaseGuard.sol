@@ -0,0 +1,311 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./ShoppingRewards.sol";
+
+/**
+ * @title Purchase Guard
+ * @dev Per-customer and per-merchant daily velocity limits on purchases and rewards, so a
+ * compromised merchant key cannot pour rewards into one address. Rewards cover everything a purchase
+ * pays out: base rewards plus its staking, loyalty, campaign and referral bonuses. A purchase that
+ * would cross a limit is held instead of minted; a reviewer releases it (the validator then processes
+ * it as normal) or rejects it. Escrow purchases count against their customer hash, kept apart from addresses.
+ * Days are UTC calendar days; a limit of zero means no limit
+ */
+contract PurchaseGuard is ShopAccessControl, IPurchaseGuard {
+    bytes32 public constant REVIEWER_ROLE = keccak256("REVIEWER_ROLE");
+    
+    enum HoldStatus { None, Pending, Released, Rejected }
+    
+    struct VelocityLimits {
+        uint256 maxPurchases; // Per day
+        uint256 maxRewards; // Rewards per day, bonuses included
+    }
+    
+    struct DailyUsage {
+        uint256 purchases;
+        uint256 rewards;
+    }
+    
+    struct HeldPurchase {
+        address merchant;
+        address customer;
+        uint256 amount;
+        uint256 rewards; // Rewards with bonuses at the time it was held
+        string transactionId;
+        string reason; // Limit that would have been crossed
+        uint256 heldAt;
+        HoldStatus status;
+        bytes32 customerHash; // Escrow purchases only - customer is then zero
+    }
+    
+    PurchaseValidator public purchaseValidator; // Only caller of screenPurchase
+    
+    VelocityLimits public customerLimits;
+    VelocityLimits public merchantLimits; // Default for merchants without an override
+    mapping(address => VelocityLimits) public merchantLimitOverrides; // Zero = use merchantLimits
+    
+    mapping(address => mapping(uint256 => DailyUsage)) public customerUsage; // customer => day => usage
+    mapping(bytes32 => mapping(uint256 => DailyUsage)) public escrowUsage; // escrow customer hash => day => usage
+    mapping(address => mapping(uint256 => DailyUsage)) public merchantUsage; // merchant => day => usage
+    
+    mapping(uint256 => HeldPurchase) private holds;
+    uint256 public holdCount; // Hold IDs run from 1
+    uint256[] private pendingHolds;
+    mapping(uint256 => uint256) private pendingIndex;
+    
+    event PurchaseHeld(
+        uint256 indexed holdId,
+        address indexed merchant,
+        address indexed customer,
+        bytes32 customerHash,
+        uint256 amount,
+        uint256 rewards,
+        string reason,
+        string transactionId
+    );
+    event HoldReleased(uint256 indexed holdId, address indexed reviewer);
+    event HoldRejected(uint256 indexed holdId, address indexed reviewer);
+    event CustomerLimitsUpdated(uint256 maxPurchases, uint256 maxRewards);
+    event MerchantLimitsUpdated(uint256 maxPurchases, uint256 maxRewards);
+    event MerchantLimitOverrideUpdated(address indexed merchant, uint256 maxPurchases, uint256 maxRewards);
+    event PurchaseValidatorUpdated(address indexed purchaseValidator);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy with default limits - the caller becomes owner
+     */
+    function initialize() external initializer {
+        __ShopAccessControl_init();
+        customerLimits = VelocityLimits(20, 5000 * 10**18);
+        merchantLimits = VelocityLimits(2000, 100000 * 10**18);
+    }
+    
+    /**
+     * @dev Count a purchase against today's limits, or hold it if it would cross one (purchase validator only)
+     * An escrow purchase passes its customer hash and a zero customer
+     */
+    function screenPurchase(
+        address _merchant,
+        address _customer,
+        bytes32 _customerHash,
+        uint256 _amount,
+        uint256 _rewards,
+        string calldata _transactionId
+    ) external override returns (bool held) {
+        require(_msgSender() == address(purchaseValidator), "Not purchase validator");
+        DailyUsage storage customerDay = _customerDay(_customer, _customerHash);
+        string memory reason = _limitCrossed(_merchant, customerDay, _rewards);
+        if (bytes(reason).length == 0) {
+            _recordUsage(_merchant, customerDay, _rewards);
+            return false;
+        }
+        
+        uint256 holdId = ++holdCount;
+        holds[holdId] = HeldPurchase({
+            merchant: _merchant,
+            customer: _customer,
+            amount: _amount,
+            rewards: _rewards,
+            transactionId: _transactionId,
+            reason: reason,
+            heldAt: block.timestamp,
+            status: HoldStatus.Pending,
+            customerHash: _customerHash
+        });
+        pendingIndex[holdId] = pendingHolds.length;
+        pendingHolds.push(holdId);
+        
+        emit PurchaseHeld(holdId, _merchant, _customer, _customerHash, _amount, _rewards, reason, _transactionId);
+        return true;
+    }
+    
+    /**
+     * @dev Let a held purchase through - it counts toward today's usage and mints its rewards now
+     * Reverts if the validator now rejects the purchase (e.g. merchant suspended since) - reject it instead
+     */
+    function releaseHold(uint256 _holdId) external onlyRole(REVIEWER_ROLE) {
+        HeldPurchase storage hold = _pendingHold(_holdId);
+        hold.status = HoldStatus.Released;
+        _removePending(_holdId);
+        _recordUsage(hold.merchant, _customerDay(hold.customer, hold.customerHash), hold.rewards);
+        
+        purchaseValidator.processHeldPurchase(hold.merchant, hold.customer, hold.customerHash, hold.amount, hold.transactionId);
+        
+        emit HoldReleased(_holdId, _msgSender());
+    }
+    
+    /**
+     * @dev Drop a held purchase - no rewards are issued and its transaction ID stays used
+     */
+    function rejectHold(uint256 _holdId) external onlyRole(REVIEWER_ROLE) {
+        _pendingHold(_holdId).status = HoldStatus.Rejected;
+        _removePending(_holdId);
+        
+        emit HoldRejected(_holdId, _msgSender());
+    }
+    
+    /**
+     * @dev Set the daily limits applied to every customer
+     */
+    function setCustomerLimits(uint256 _maxPurchases, uint256 _maxRewards) external onlyRole(RATE_SETTER_ROLE) {
+        customerLimits = VelocityLimits(_maxPurchases, _maxRewards);
+        emit CustomerLimitsUpdated(_maxPurchases, _maxRewards);
+    }
+    
+    /**
+     * @dev Set the daily limits applied to merchants without an override
+     */
+    function setMerchantLimits(uint256 _maxPurchases, uint256 _maxRewards) external onlyRole(RATE_SETTER_ROLE) {
+        merchantLimits = VelocityLimits(_maxPurchases, _maxRewards);
+        emit MerchantLimitsUpdated(_maxPurchases, _maxRewards);
+    }
+    
+    /**
+     * @dev Give one merchant its own daily limits (both zero returns it to the default)
+     */
+    function setMerchantLimitOverride(
+        address _merchant,
+        uint256 _maxPurchases,
+        uint256 _maxRewards
+    ) external onlyRole(RATE_SETTER_ROLE) {
+        merchantLimitOverrides[_merchant] = VelocityLimits(_maxPurchases, _maxRewards);
+        emit MerchantLimitOverrideUpdated(_merchant, _maxPurchases, _maxRewards);
+    }
+    
+    /**
+     * @dev Set the validator whose purchases are screened
+     */
+    function setPurchaseValidator(address _purchaseValidator) external onlyGovernance {
+        require(_purchaseValidator != address(0), "Invalid purchase validator address");
+        purchaseValidator = PurchaseValidator(_purchaseValidator);
+        emit PurchaseValidatorUpdated(_purchaseValidator);
+    }
+    
+    /**
+     * @dev Day number usage is counted under (UTC days since the epoch)
+     */
+    function currentDay() public view returns (uint256) {
+        return block.timestamp / 1 days;
+    }
+    
+    /**
+     * @dev Limits in force for a merchant - its override, or the default
+     */
+    function getMerchantLimits(address _merchant) public view returns (VelocityLimits memory) {
+        VelocityLimits memory limits = merchantLimitOverrides[_merchant];
+        if (limits.maxPurchases == 0 && limits.maxRewards == 0) {
+            return merchantLimits;
+        }
+        return limits;
+    }
+    
+    /**
+     * @dev Get a held purchase
+     */
+    function getHold(uint256 _holdId) external view returns (HeldPurchase memory) {
+        return holds[_holdId];
+    }
+    
+    /**
+     * @dev Number of purchases awaiting review
+     */
+    function getPendingHoldCount() external view returns (uint256) {
+        return pendingHolds.length;
+    }
+    
+    /**
+     * @dev Page through the purchases awaiting review, oldest first until one is resolved
+     * Resolving a hold moves the newest one into its place, so page from a single block
+     */
+    function getPendingHolds(
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory ids, HeldPurchase[] memory pending) {
+        if (_offset >= pendingHolds.length) {
+            return (new uint256[](0), new HeldPurchase[](0));
+        }
+        uint256 end = _offset + _limit < pendingHolds.length ? _offset + _limit : pendingHolds.length;
+        ids = new uint256[](end - _offset);
+        pending = new HeldPurchase[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            ids[i - _offset] = pendingHolds[i];
+            pending[i - _offset] = holds[pendingHolds[i]];
+        }
+    }
+    
+    /**
+     * @dev The limit one more purchase would cross today, or an empty string if it fits
+     */
+    function _limitCrossed(
+        address _merchant,
+        DailyUsage storage _customerDay,
+        uint256 _rewards
+    ) internal view returns (string memory) {
+        DailyUsage storage merchantDay = merchantUsage[_merchant][currentDay()];
+        VelocityLimits memory merchantLimit = getMerchantLimits(_merchant);
+        
+        if (_exceeds(_customerDay.purchases + 1, customerLimits.maxPurchases)) {
+            return "Customer daily purchase limit";
+        } else if (_exceeds(_customerDay.rewards + _rewards, customerLimits.maxRewards)) {
+            return "Customer daily reward limit";
+        } else if (_exceeds(merchantDay.purchases + 1, merchantLimit.maxPurchases)) {
+            return "Merchant daily purchase limit";
+        } else if (_exceeds(merchantDay.rewards + _rewards, merchantLimit.maxRewards)) {
+            return "Merchant daily reward limit";
+        }
+        return "";
+    }
+    
+    /**
+     * @dev Whether a day's running total would pass a limit (0 = no limit)
+     */
+    function _exceeds(uint256 _value, uint256 _limit) internal pure returns (bool) {
+        return _limit != 0 && _value > _limit;
+    }
+    
+    /**
+     * @dev Count a purchase toward the customer's and merchant's usage today
+     */
+    function _recordUsage(address _merchant, DailyUsage storage _customerDay, uint256 _rewards) internal {
+        uint256 day = currentDay();
+        _customerDay.purchases++;
+        _customerDay.rewards += _rewards;
+        merchantUsage[_merchant][day].purchases++;
+        merchantUsage[_merchant][day].rewards += _rewards;
+    }
+    
+    /**
+     * @dev Today's usage for a customer - by address, or by customer hash for an escrow purchase
+     */
+    function _customerDay(address _customer, bytes32 _customerHash) internal view returns (DailyUsage storage) {
+        if (_customerHash != bytes32(0)) {
+            return escrowUsage[_customerHash][currentDay()];
+        }
+        return customerUsage[_customer][currentDay()];
+    }
+    
+    /**
+     * @dev A hold that is still awaiting review
+     */
+    function _pendingHold(uint256 _holdId) internal view returns (HeldPurchase storage hold) {
+        hold = holds[_holdId];
+        require(hold.status == HoldStatus.Pending, "Hold not pending");
+    }
+    
+    /**
+     * @dev Swap-and-pop a resolved hold out of the pending list
+     */
+    function _removePending(uint256 _holdId) internal {
+        uint256 index = pendingIndex[_holdId];
+        uint256 last = pendingHolds[pendingHolds.length - 1];
+        pendingHolds[index] = last;
+        pendingIndex[last] = index;
+        pendingHolds.pop();
+        delete pendingIndex[_holdId];
+    }
+}
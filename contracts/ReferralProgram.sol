@@ -0,0 +1,348 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "./ShoppingRewards.sol";
+
+/**
+ * @title Referral Program
+ * @dev Customers register referral codes; new customers bind to a referrer once, and both earn bonus SHOP
+ * on the referee's first qualifying purchases. Bonuses come from a treasury-funded balance, not minting
+ * Bonuses are held through the return window like vesting rewards - if the purchase is refunded below
+ * the qualifying amount by then, they are cancelled instead of paid
+ */
+contract ReferralProgram is ReentrancyGuardUpgradeable, ShopAccessControl, IReferralProgram {
+    SHOPToken public shopToken;
+    PurchaseValidator public purchaseValidator; // Only source of purchases, also used to check a customer is new
+    
+    mapping(bytes32 => address) public codeOwners; // keccak256(code) => referrer
+    mapping(address => string) public referralCodes;
+    mapping(address => address) public referrerOf;
+    mapping(address => address[]) private referrals; // referrer => referees, in binding order
+    mapping(address => uint256) public qualifyingPurchases; // referee => purchases that paid bonuses
+    mapping(address => uint256) public referrerEarnings;
+    mapping(address => uint256) public refereeEarnings;
+    
+    uint256 public referrerBonus; // Per qualifying purchase (€5)
+    uint256 public refereeBonus; // Per qualifying purchase (€2.50)
+    uint256 public minPurchaseAmount; // €20
+    uint256 public maxQualifyingPurchases; // Per referee (3)
+    uint256 public maxReferrerEarnings; // Lifetime cap per referrer (€100)
+    
+    uint256 public totalBonusesPaid;
+    
+    struct PendingBonus {
+        address referrer;
+        address referee;
+        uint256 referrerBonus;
+        uint256 refereeBonus;
+        uint256 payableAt;
+    }
+    
+    mapping(bytes32 => PendingBonus) public pendingBonuses; // keccak256(transactionId) => bonus held through the return window
+    uint256 public reservedBonuses; // Funded balance set aside for pending bonuses
+    uint256 public bonusHoldPeriod; // Return window before bonuses pay out (14 days)
+    mapping(address => bool) public hasPurchased; // Customers seen purchasing, so a refund cannot make them "new" again
+    
+    uint256 public constant MAX_BONUS_HOLD_PERIOD = 90 days;
+    uint256 public constant MIN_CODE_LENGTH = 3;
+    uint256 public constant MAX_CODE_LENGTH = 32;
+    uint256 public constant MAX_QUALIFYING_PURCHASES = 10;
+    
+    event ReferralCodeRegistered(address indexed referrer, string code);
+    event ReferrerBound(address indexed referee, address indexed referrer, string code);
+    event ReferralBonusPending(
+        address indexed referrer,
+        address indexed referee,
+        uint256 referrerBonus,
+        uint256 refereeBonus,
+        uint256 payableAt,
+        string transactionId
+    );
+    event ReferralBonusPaid(
+        address indexed referrer,
+        address indexed referee,
+        uint256 referrerBonus,
+        uint256 refereeBonus,
+        string transactionId
+    );
+    event ReferralBonusCancelled(address indexed referrer, address indexed referee, string transactionId);
+    event ReferralProgramFunded(address indexed funder, uint256 amount);
+    event ReferralFundsWithdrawn(address indexed to, uint256 amount);
+    event ReferralTermsUpdated(
+        uint256 referrerBonus,
+        uint256 refereeBonus,
+        uint256 minPurchaseAmount,
+        uint256 maxQualifyingPurchases,
+        uint256 maxReferrerEarnings
+    );
+    event PurchaseValidatorUpdated(address indexed purchaseValidator);
+    event BonusHoldPeriodUpdated(uint256 bonusHoldPeriod);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy with the default bonuses and caps - the caller becomes owner
+     */
+    function initialize(address _shopToken) external initializer {
+        require(_shopToken != address(0), "Invalid SHOP token address");
+        __ReentrancyGuard_init();
+        __ShopAccessControl_init();
+        shopToken = SHOPToken(_shopToken);
+        referrerBonus = 500 * 10**18;
+        refereeBonus = 250 * 10**18;
+        minPurchaseAmount = 2000 * 10**18;
+        maxQualifyingPurchases = 3;
+        maxReferrerEarnings = 10000 * 10**18;
+        bonusHoldPeriod = 14 days;
+    }
+    
+    /**
+     * @dev Register the caller's referral code (one per customer, codes are unique)
+     */
+    function registerCode(string calldata _code) external {
+        uint256 length = bytes(_code).length;
+        require(length >= MIN_CODE_LENGTH && length <= MAX_CODE_LENGTH, "Invalid code length");
+        require(bytes(referralCodes[_msgSender()]).length == 0, "Code already registered");
+        bytes32 codeHash = keccak256(bytes(_code));
+        require(codeOwners[codeHash] == address(0), "Code taken");
+        
+        codeOwners[codeHash] = _msgSender();
+        referralCodes[_msgSender()] = _code;
+        
+        emit ReferralCodeRegistered(_msgSender(), _code);
+    }
+    
+    /**
+     * @dev Bind the caller to the referrer owning a code - once, and only before their first purchase
+     */
+    function bindReferrer(string calldata _code) external {
+        address referrer = codeOwners[keccak256(bytes(_code))];
+        require(referrer != address(0), "Unknown referral code");
+        require(referrer != _msgSender(), "Cannot refer yourself");
+        require(referrerOf[_msgSender()] == address(0), "Referrer already bound");
+        require(referrerOf[referrer] != _msgSender(), "Circular referral");
+        // customerTotalSpent also covers purchases from before this program was attached
+        require(
+            !hasPurchased[_msgSender()]
+                && (address(purchaseValidator) == address(0) || purchaseValidator.customerTotalSpent(_msgSender()) == 0),
+            "Not a new customer"
+        );
+        
+        referrerOf[_msgSender()] = referrer;
+        referrals[referrer].push(_msgSender());
+        
+        emit ReferrerBound(_msgSender(), referrer, _code);
+    }
+    
+    /**
+     * @dev Hold referral bonuses for a referee's qualifying purchase until the return window ends (purchase validator only)
+     * Bonuses shrink to the referrer's remaining cap and the unreserved balance rather than failing the purchase;
+     * a purchase left with nothing to pay is not recorded, so it does not use up one of the referee's qualifying purchases
+     */
+    function recordPurchase(
+        address _customer,
+        uint256 _amount,
+        string calldata _transactionId
+    ) external override nonReentrant {
+        require(_msgSender() == address(purchaseValidator), "Not purchase validator");
+        hasPurchased[_customer] = true;
+        (address referrer, uint256 toReferrer, uint256 toReferee) = previewBonuses(_customer, _amount);
+        if (referrer == address(0) || toReferrer + toReferee == 0) {
+            return;
+        }
+        
+        qualifyingPurchases[_customer]++;
+        referrerEarnings[referrer] += toReferrer;
+        refereeEarnings[_customer] += toReferee;
+        reservedBonuses += toReferrer + toReferee;
+        uint256 payableAt = block.timestamp + bonusHoldPeriod;
+        pendingBonuses[keccak256(bytes(_transactionId))] = PendingBonus({
+            referrer: referrer,
+            referee: _customer,
+            referrerBonus: toReferrer,
+            refereeBonus: toReferee,
+            payableAt: payableAt
+        });
+        
+        emit ReferralBonusPending(referrer, _customer, toReferrer, toReferee, payableAt, _transactionId);
+    }
+    
+    /**
+     * @dev Bonuses a purchase would hold for the referrer and referee right now (zero referrer if it does not qualify)
+     */
+    function previewBonuses(
+        address _customer,
+        uint256 _amount
+    ) public view override returns (address referrer, uint256 toReferrer, uint256 toReferee) {
+        referrer = referrerOf[_customer];
+        if (referrer == address(0) || _amount < minPurchaseAmount || qualifyingPurchases[_customer] >= maxQualifyingPurchases) {
+            return (address(0), 0, 0);
+        }
+        
+        toReferrer = referrerBonus;
+        uint256 referrerRoom = maxReferrerEarnings > referrerEarnings[referrer] ? maxReferrerEarnings - referrerEarnings[referrer] : 0;
+        if (toReferrer > referrerRoom) {
+            toReferrer = referrerRoom;
+        }
+        toReferee = refereeBonus;
+        uint256 available = shopToken.balanceOf(address(this)) - reservedBonuses;
+        if (toReferee > available) {
+            toReferee = available;
+        }
+        if (toReferrer > available - toReferee) {
+            toReferrer = available - toReferee;
+        }
+    }
+    
+    /**
+     * @dev Pay a held bonus once the return window has passed (callable by anyone)
+     * If the purchase was refunded below the minimum purchase by then, the bonus is cancelled and
+     * the referee's qualifying purchase and both parties' earnings are given back
+     */
+    function releaseBonus(string calldata _transactionId) external nonReentrant {
+        bytes32 bonusId = keccak256(bytes(_transactionId));
+        PendingBonus memory bonus = pendingBonuses[bonusId];
+        require(bonus.referee != address(0), "No pending bonus");
+        require(block.timestamp >= bonus.payableAt, "Bonus still held");
+        
+        delete pendingBonuses[bonusId];
+        reservedBonuses -= bonus.referrerBonus + bonus.refereeBonus;
+        
+        (, , uint256 amount, , , uint256 refundedAmount, , , , , ,) = purchaseValidator.purchases(_transactionId);
+        if (amount - refundedAmount < minPurchaseAmount) {
+            qualifyingPurchases[bonus.referee]--;
+            referrerEarnings[bonus.referrer] -= bonus.referrerBonus;
+            refereeEarnings[bonus.referee] -= bonus.refereeBonus;
+            emit ReferralBonusCancelled(bonus.referrer, bonus.referee, _transactionId);
+            return;
+        }
+        
+        if (bonus.referrerBonus > 0) {
+            require(shopToken.transfer(bonus.referrer, bonus.referrerBonus), "SHOP transfer failed");
+        }
+        if (bonus.refereeBonus > 0) {
+            require(shopToken.transfer(bonus.referee, bonus.refereeBonus), "SHOP transfer failed");
+        }
+        totalBonusesPaid += bonus.referrerBonus + bonus.refereeBonus;
+        
+        emit ReferralBonusPaid(bonus.referrer, bonus.referee, bonus.referrerBonus, bonus.refereeBonus, _transactionId);
+    }
+    
+    /**
+     * @dev Deposit SHOP to pay referral bonuses from
+     */
+    function fundProgram(uint256 _amount) external onlyRole(TREASURY_ROLE) {
+        require(_amount > 0, "Amount must be positive");
+        require(shopToken.transferFrom(_msgSender(), address(this), _amount), "SHOP transfer failed");
+        emit ReferralProgramFunded(_msgSender(), _amount);
+    }
+    
+    /**
+     * @dev Withdraw unused bonus funds (pending bonuses stay reserved)
+     */
+    function withdrawFunds(uint256 _amount, address _to) external onlyRole(TREASURY_ROLE) {
+        require(_to != address(0), "Invalid recipient");
+        require(_amount <= shopToken.balanceOf(address(this)) - reservedBonuses, "Exceeds unreserved funds");
+        require(shopToken.transfer(_to, _amount), "SHOP transfer failed");
+        emit ReferralFundsWithdrawn(_to, _amount);
+    }
+    
+    /**
+     * @dev Set bonus sizes and the anti-abuse limits
+     */
+    function setReferralTerms(
+        uint256 _referrerBonus,
+        uint256 _refereeBonus,
+        uint256 _minPurchaseAmount,
+        uint256 _maxQualifyingPurchases,
+        uint256 _maxReferrerEarnings
+    ) external onlyRole(RATE_SETTER_ROLE) {
+        require(_minPurchaseAmount > 0, "Invalid minimum purchase");
+        require(_maxQualifyingPurchases <= MAX_QUALIFYING_PURCHASES, "Too many qualifying purchases");
+        referrerBonus = _referrerBonus;
+        refereeBonus = _refereeBonus;
+        minPurchaseAmount = _minPurchaseAmount;
+        maxQualifyingPurchases = _maxQualifyingPurchases;
+        maxReferrerEarnings = _maxReferrerEarnings;
+        emit ReferralTermsUpdated(_referrerBonus, _refereeBonus, _minPurchaseAmount, _maxQualifyingPurchases, _maxReferrerEarnings);
+    }
+    
+    /**
+     * @dev Set how long new bonuses are held before they can be released
+     */
+    function setBonusHoldPeriod(uint256 _bonusHoldPeriod) external onlyRole(RATE_SETTER_ROLE) {
+        require(_bonusHoldPeriod <= MAX_BONUS_HOLD_PERIOD, "Hold period too long");
+        bonusHoldPeriod = _bonusHoldPeriod;
+        emit BonusHoldPeriodUpdated(_bonusHoldPeriod);
+    }
+    
+    /**
+     * @dev Set the purchase validator that reports purchases
+     */
+    function setPurchaseValidator(address _purchaseValidator) external onlyGovernance {
+        require(_purchaseValidator != address(0), "Invalid purchase validator address");
+        purchaseValidator = PurchaseValidator(_purchaseValidator);
+        emit PurchaseValidatorUpdated(_purchaseValidator);
+    }
+    
+    /**
+     * @dev Get an account's place in the referral tree and what it has earned (held bonuses included)
+     */
+    function getReferralStats(address _account) external view returns (
+        string memory code,
+        address referrer,
+        uint256 referralCount,
+        uint256 earnedAsReferrer,
+        uint256 earnedAsReferee,
+        uint256 remainingReferrerCap
+    ) {
+        return (
+            referralCodes[_account],
+            referrerOf[_account],
+            referrals[_account].length,
+            referrerEarnings[_account],
+            refereeEarnings[_account],
+            maxReferrerEarnings > referrerEarnings[_account] ? maxReferrerEarnings - referrerEarnings[_account] : 0
+        );
+    }
+    
+    /**
+     * @dev Page through the customers a referrer has referred
+     */
+    function getReferrals(
+        address _referrer,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (address[] memory page) {
+        address[] storage all = referrals[_referrer];
+        if (_offset >= all.length) {
+            return new address[](0);
+        }
+        uint256 end = _offset + _limit < all.length ? _offset + _limit : all.length;
+        page = new address[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = all[i];
+        }
+    }
+    
+    /**
+     * @dev Referrers above an account, nearest first, up to _maxDepth levels
+     */
+    function getReferralChain(address _account, uint256 _maxDepth) external view returns (address[] memory chain) {
+        chain = new address[](_maxDepth);
+        uint256 depth = 0;
+        address current = referrerOf[_account];
+        while (current != address(0) && depth < _maxDepth) {
+            chain[depth++] = current;
+            current = referrerOf[current];
+        }
+        // Trim the result to the chain's length
+        assembly {
+            mstore(chain, depth)
+        }
+    }
+}
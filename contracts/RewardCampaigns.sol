@@ -0,0 +1,359 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "./ShoppingRewards.sol";
+
+/**
+ * @title Reward Campaigns
+ * @dev Merchant-funded, time-boxed bonus campaigns paid on top of the flat merchant reward rate
+ * A campaign covers its funder's own purchases, or every merchant in a category (co-branded boost)
+ */
+contract RewardCampaigns is ReentrancyGuardUpgradeable, ShopAccessControl, IRewardCampaigns {
+    SHOPToken public shopToken;
+    MerchantRegistry public merchantRegistry;
+    address public purchaseValidator; // Only caller of applyBestCampaign
+    
+    // What a campaign pays and when, as chosen by its funder
+    struct CampaignTerms {
+        uint256 bonusBps; // Extra rewards as basis points of base rewards (10000 = double rewards)
+        uint256 flatBonus; // Fixed SHOP per qualifying purchase
+        bool firstPurchaseOnly; // Only a customer's first purchase at the merchant qualifies
+        uint8 daysOfWeek; // Bit 0 = Monday ... bit 6 = Sunday (UTC); 0 = every day
+        uint256 startTime;
+        uint256 endTime;
+        uint256 budget; // SHOP deposited by the funder, the most the campaign can pay out
+    }
+    
+    struct Campaign {
+        address merchant; // Funder
+        bytes32 category; // keccak256 of the covered category, zero = funder's purchases only
+        CampaignTerms terms;
+        uint256 spent;
+        uint256 purchases;
+        bool closed;
+    }
+    
+    mapping(uint256 => Campaign) public campaigns;
+    uint256 public nextCampaignId; // Starts at 1, 0 = no campaign
+    
+    // Live (not closed) campaigns, checked on every purchase - kept short by MAX_LIVE_CAMPAIGNS
+    mapping(address => uint256[]) private merchantCampaigns;
+    mapping(bytes32 => uint256[]) private categoryCampaigns;
+    mapping(uint256 => uint256) private liveIndex;
+    
+    // Purchases seen since this contract was attached, for first-purchase campaigns
+    mapping(address => mapping(address => bool)) public hasPurchasedFrom; // merchant => customer => seen
+    
+    // Live co-branded campaigns per funder, so no single merchant can take every slot in a category
+    mapping(bytes32 => mapping(address => uint256)) public liveCategoryCampaigns; // category => merchant => count
+    
+    uint256 public constant MAX_LIVE_CAMPAIGNS = 10; // Per merchant and per category
+    uint256 public constant MAX_CATEGORY_CAMPAIGNS_PER_MERCHANT = 2; // Of a category's MAX_LIVE_CAMPAIGNS
+    uint256 public constant MAX_BONUS_BPS = 40000; // 5x rewards
+    uint8 public constant WEEKEND = 0x60; // Saturday and Sunday
+    
+    event CampaignCreated(
+        uint256 indexed campaignId,
+        address indexed merchant,
+        string category,
+        uint256 bonusBps,
+        uint256 flatBonus,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 budget
+    );
+    event CampaignFunded(uint256 indexed campaignId, uint256 amount, uint256 budget);
+    event CampaignClosed(uint256 indexed campaignId, address indexed merchant, uint256 refunded);
+    event CampaignRefundCredited(uint256 indexed campaignId, uint256 amount);
+    event CampaignRewardPaid(
+        uint256 indexed campaignId,
+        address indexed merchant,
+        address indexed customer,
+        uint256 bonus,
+        string transactionId
+    );
+    event PurchaseValidatorUpdated(address indexed purchaseValidator);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy - the caller becomes owner
+     */
+    function initialize(address _shopToken, address _merchantRegistry) external initializer {
+        require(_shopToken != address(0), "Invalid SHOP token address");
+        require(_merchantRegistry != address(0), "Invalid merchant registry address");
+        __ReentrancyGuard_init();
+        __ShopAccessControl_init();
+        shopToken = SHOPToken(_shopToken);
+        merchantRegistry = MerchantRegistry(_merchantRegistry);
+        nextCampaignId = 1;
+    }
+    
+    /**
+     * @dev Create a campaign and deposit its budget ("" category = the caller's own purchases)
+     */
+    function createCampaign(
+        CampaignTerms calldata _terms,
+        string calldata _category
+    ) external nonReentrant returns (uint256 campaignId) {
+        require(merchantRegistry.isMerchant(_msgSender()), "Merchant not registered");
+        require(_terms.bonusBps > 0 || _terms.flatBonus > 0, "Campaign pays no bonus");
+        require(_terms.bonusBps <= MAX_BONUS_BPS, "Bonus too high");
+        require(_terms.daysOfWeek < 0x80, "Invalid days of week");
+        require(_terms.endTime > _terms.startTime && _terms.endTime > block.timestamp, "Invalid campaign period");
+        require(_terms.budget > 0, "Budget must be positive");
+        
+        bytes32 category = bytes(_category).length == 0 ? bytes32(0) : keccak256(bytes(_category));
+        uint256[] storage live = category == bytes32(0) ? merchantCampaigns[_msgSender()] : categoryCampaigns[category];
+        require(live.length < MAX_LIVE_CAMPAIGNS, "Too many live campaigns");
+        if (category != bytes32(0)) {
+            require(
+                liveCategoryCampaigns[category][_msgSender()] < MAX_CATEGORY_CAMPAIGNS_PER_MERCHANT,
+                "Too many category campaigns"
+            );
+            liveCategoryCampaigns[category][_msgSender()]++;
+        }
+        
+        require(shopToken.transferFrom(_msgSender(), address(this), _terms.budget), "SHOP transfer failed");
+        
+        campaignId = nextCampaignId++;
+        Campaign storage campaign = campaigns[campaignId];
+        campaign.merchant = _msgSender();
+        campaign.category = category;
+        campaign.terms = _terms;
+        liveIndex[campaignId] = live.length;
+        live.push(campaignId);
+        
+        emit CampaignCreated(
+            campaignId,
+            _msgSender(),
+            _category,
+            _terms.bonusBps,
+            _terms.flatBonus,
+            _terms.startTime,
+            _terms.endTime,
+            _terms.budget
+        );
+    }
+    
+    /**
+     * @dev Add to a live campaign's budget (funder only)
+     */
+    function fundCampaign(uint256 _campaignId, uint256 _amount) external nonReentrant {
+        Campaign storage campaign = campaigns[_campaignId];
+        require(_msgSender() == campaign.merchant, "Not campaign merchant");
+        require(!campaign.closed, "Campaign closed");
+        require(_amount > 0, "Amount must be positive");
+        
+        require(shopToken.transferFrom(_msgSender(), address(this), _amount), "SHOP transfer failed");
+        campaign.terms.budget += _amount;
+        
+        emit CampaignFunded(_campaignId, _amount, campaign.terms.budget);
+    }
+    
+    /**
+     * @dev Close a campaign, returning the unspent budget to its funder
+     * The funder or a merchant manager may close at any time; anyone may close an ended or spent campaign to free its slot
+     */
+    function closeCampaign(uint256 _campaignId) external nonReentrant {
+        Campaign storage campaign = campaigns[_campaignId];
+        require(campaign.merchant != address(0), "Campaign not found");
+        require(!campaign.closed, "Campaign closed");
+        require(
+            _msgSender() == campaign.merchant
+                || hasRole(MERCHANT_MANAGER_ROLE, _msgSender())
+                || block.timestamp >= campaign.terms.endTime
+                || campaign.spent == campaign.terms.budget,
+            "Not campaign merchant"
+        );
+        
+        campaign.closed = true;
+        _removeLive(_campaignId, campaign);
+        
+        uint256 refund = campaign.terms.budget - campaign.spent;
+        if (refund > 0) {
+            require(shopToken.transfer(campaign.merchant, refund), "SHOP transfer failed");
+        }
+        
+        emit CampaignClosed(_campaignId, campaign.merchant, refund);
+    }
+    
+    /**
+     * @dev Pay the best applicable campaign bonus for a purchase to the purchase validator
+     * @return campaignId The campaign that paid (0 = none)
+     * @return bonus SHOP transferred to the caller
+     */
+    function applyBestCampaign(
+        address _merchant,
+        address _customer,
+        uint256 _baseRewards,
+        string calldata _transactionId
+    ) external override nonReentrant returns (uint256 campaignId, uint256 bonus) {
+        require(_msgSender() == purchaseValidator, "Not purchase validator");
+        
+        (campaignId, bonus) = getBestCampaign(_merchant, _customer, _baseRewards);
+        hasPurchasedFrom[_merchant][_customer] = true;
+        if (campaignId == 0) {
+            return (0, 0);
+        }
+        
+        Campaign storage campaign = campaigns[campaignId];
+        campaign.spent += bonus;
+        campaign.purchases++;
+        require(shopToken.transfer(_msgSender(), bonus), "SHOP transfer failed");
+        
+        emit CampaignRewardPaid(campaignId, campaign.merchant, _customer, bonus, _transactionId);
+    }
+    
+    /**
+     * @dev Take back a refunded purchase's share of a campaign bonus, just transferred here by the purchase validator
+     * It returns to the budget of a live campaign, or straight to the funder of a closed one
+     */
+    function creditRefund(uint256 _campaignId, uint256 _amount) external override nonReentrant {
+        require(_msgSender() == purchaseValidator, "Not purchase validator");
+        Campaign storage campaign = campaigns[_campaignId];
+        require(_amount <= campaign.spent, "Invalid refund amount");
+        
+        campaign.spent -= _amount;
+        if (campaign.closed) {
+            // A closed campaign's unspent budget has already gone back to its funder
+            campaign.terms.budget -= _amount;
+            require(shopToken.transfer(campaign.merchant, _amount), "SHOP transfer failed");
+        }
+        
+        emit CampaignRefundCredited(_campaignId, _amount);
+    }
+    
+    /**
+     * @dev Set the purchase validator allowed to apply campaigns
+     */
+    function setPurchaseValidator(address _purchaseValidator) external onlyGovernance {
+        require(_purchaseValidator != address(0), "Invalid purchase validator address");
+        purchaseValidator = _purchaseValidator;
+        emit PurchaseValidatorUpdated(_purchaseValidator);
+    }
+    
+    /**
+     * @dev Campaign that would pay the most on a purchase right now, and its bonus (capped by remaining budget)
+     */
+    function getBestCampaign(
+        address _merchant,
+        address _customer,
+        uint256 _baseRewards
+    ) public view override returns (uint256 campaignId, uint256 bonus) {
+        bool firstPurchase = !hasPurchasedFrom[_merchant][_customer];
+        uint8 today = uint8(1 << (((block.timestamp / 1 days) + 3) % 7)); // 1 Jan 1970 was a Thursday
+        
+        uint256[] storage own = merchantCampaigns[_merchant];
+        for (uint256 i = 0; i < own.length; i++) {
+            uint256 candidate = _campaignBonus(own[i], _baseRewards, firstPurchase, today);
+            if (candidate > bonus) {
+                (campaignId, bonus) = (own[i], candidate);
+            }
+        }
+        
+        (, string memory category, , , ,) = merchantRegistry.getMerchantInfo(_merchant);
+        uint256[] storage shared = categoryCampaigns[keccak256(bytes(category))];
+        for (uint256 i = 0; i < shared.length; i++) {
+            uint256 candidate = _campaignBonus(shared[i], _baseRewards, firstPurchase, today);
+            if (candidate > bonus) {
+                (campaignId, bonus) = (shared[i], candidate);
+            }
+        }
+    }
+    
+    /**
+     * @dev Get a campaign with its remaining budget and whether it is running now
+     */
+    function getCampaign(uint256 _campaignId) external view returns (
+        Campaign memory campaign,
+        uint256 remainingBudget,
+        bool isRunning
+    ) {
+        campaign = campaigns[_campaignId];
+        require(campaign.merchant != address(0), "Campaign not found");
+        remainingBudget = campaign.terms.budget - campaign.spent;
+        isRunning = !campaign.closed
+            && remainingBudget > 0
+            && block.timestamp >= campaign.terms.startTime
+            && block.timestamp < campaign.terms.endTime;
+    }
+    
+    /**
+     * @dev Get a merchant's live campaigns and their remaining budgets
+     */
+    function getMerchantCampaigns(address _merchant) external view returns (
+        uint256[] memory ids,
+        uint256[] memory remainingBudgets
+    ) {
+        return _withBudgets(merchantCampaigns[_merchant]);
+    }
+    
+    /**
+     * @dev Get the live co-branded campaigns covering a category and their remaining budgets
+     */
+    function getCategoryCampaigns(string calldata _category) external view returns (
+        uint256[] memory ids,
+        uint256[] memory remainingBudgets
+    ) {
+        return _withBudgets(categoryCampaigns[keccak256(bytes(_category))]);
+    }
+    
+    /**
+     * @dev Bonus a campaign pays on a purchase right now (0 when it does not apply)
+     */
+    function _campaignBonus(
+        uint256 _campaignId,
+        uint256 _baseRewards,
+        bool _firstPurchase,
+        uint8 _today
+    ) internal view returns (uint256 bonus) {
+        Campaign storage campaign = campaigns[_campaignId];
+        CampaignTerms storage terms = campaign.terms;
+        if (block.timestamp < terms.startTime || block.timestamp >= terms.endTime) return 0;
+        if (terms.firstPurchaseOnly && !_firstPurchase) return 0;
+        if (terms.daysOfWeek != 0 && terms.daysOfWeek & _today == 0) return 0;
+        
+        bonus = (_baseRewards * terms.bonusBps) / 10000 + terms.flatBonus;
+        uint256 remaining = terms.budget - campaign.spent;
+        if (bonus > remaining) {
+            bonus = remaining;
+        }
+    }
+    
+    /**
+     * @dev Pair campaign IDs with their remaining budgets
+     */
+    function _withBudgets(uint256[] storage _ids) internal view returns (
+        uint256[] memory ids,
+        uint256[] memory remainingBudgets
+    ) {
+        ids = _ids;
+        remainingBudgets = new uint256[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            remainingBudgets[i] = campaigns[ids[i]].terms.budget - campaigns[ids[i]].spent;
+        }
+    }
+    
+    /**
+     * @dev Swap-and-pop a closed campaign out of its live list
+     */
+    function _removeLive(uint256 _campaignId, Campaign storage _campaign) internal {
+        uint256[] storage live = _campaign.category == bytes32(0)
+            ? merchantCampaigns[_campaign.merchant]
+            : categoryCampaigns[_campaign.category];
+        if (_campaign.category != bytes32(0)) {
+            liveCategoryCampaigns[_campaign.category][_campaign.merchant]--;
+        }
+        uint256 index = liveIndex[_campaignId];
+        uint256 last = live[live.length - 1];
+        live[index] = last;
+        liveIndex[last] = index;
+        live.pop();
+        delete liveIndex[_campaignId];
+    }
+}
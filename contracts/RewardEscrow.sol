@@ -0,0 +1,301 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./ShoppingRewards.sol";
+
+/**
+ * @title Reward Escrow
+ * @dev Holds purchase rewards for customers without a wallet under a salted hash of their loyalty card
+ * number or email, accumulating across merchants. The customer claims to a wallet with an identity proof:
+ * an issuer's proof releases the whole balance, a merchant's only the rewards that merchant escrowed.
+ * Escrow untouched for expiryPeriod (no purchase and no claim) can be swept to the treasury.
+ * A refund takes its rewards back from the refunding merchant's unclaimed share; what that cannot cover
+ * becomes debt on the customer hash, netted against (and burned from) their next escrowed rewards
+ */
+contract RewardEscrow is ReentrancyGuardUpgradeable, ShopAccessControl, EIP712Upgradeable, IRewardEscrow {
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+    bytes32 public constant CLAIM_TYPEHASH = keccak256(
+        "EscrowClaim(bytes32 customerHash,address wallet,address attester,uint256 nonce,uint256 deadline)"
+    );
+    
+    SHOPToken public shopToken;
+    MerchantRegistry public merchantRegistry;
+    address public rewardIssuer; // PurchaseValidator
+    address public treasury; // Receives expired escrow
+    
+    struct Escrow {
+        uint256 balance; // Unclaimed
+        uint256 totalEscrowed;
+        uint256 totalClaimed;
+        uint256 merchantCount; // Merchants that escrowed rewards for this customer
+        uint256 lastActivity; // Last purchase or claim
+        uint256 claimNonce; // Bumped by each claim, so a proof works once
+        uint256 rewardDebt; // Refunded rewards already claimed, netted against future escrow
+    }
+    
+    mapping(bytes32 => Escrow) public escrows; // customer hash => escrow
+    mapping(bytes32 => mapping(address => uint256)) public merchantEscrowed; // customer hash => merchant => rewards escrowed
+    
+    uint256 public expiryPeriod; // Inactivity before unclaimed escrow expires (365 days)
+    uint256 public constant MIN_EXPIRY_PERIOD = 30 days;
+    
+    uint256 public totalEscrowBalance;
+    uint256 public totalExpired;
+    
+    struct MerchantShare {
+        uint256 unclaimed; // Escrowed by this merchant and not yet claimed
+        uint256 epoch; // Share is void unless this matches balanceEpoch - the balance was paid out since
+    }
+    
+    mapping(bytes32 => mapping(address => MerchantShare)) private merchantShares;
+    mapping(bytes32 => uint256) public balanceEpoch; // Bumped when the whole balance leaves (issuer claim or expiry)
+    mapping(string => bytes32) public purchaseCustomerHash; // transactionId => customer hash it escrowed for
+    
+    event RewardsEscrowed(bytes32 indexed customerHash, address indexed merchant, uint256 amount, string transactionId);
+    event EscrowReclaimed(
+        bytes32 indexed customerHash,
+        address indexed merchant,
+        uint256 amount,
+        uint256 reclaimed,
+        uint256 debtRecorded,
+        string transactionId
+    );
+    event EscrowDebtRepaid(bytes32 indexed customerHash, uint256 amount, string transactionId);
+    event EscrowClaimed(bytes32 indexed customerHash, address indexed wallet, address indexed attester, uint256 amount);
+    event EscrowExpired(bytes32 indexed customerHash, address indexed treasury, uint256 amount);
+    event RewardIssuerUpdated(address indexed rewardIssuer);
+    event TreasuryUpdated(address indexed treasury);
+    event ExpiryPeriodUpdated(uint256 expiryPeriod);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy with its EIP-712 claim domain - the caller becomes owner and treasury
+     */
+    function initialize(address _shopToken, address _merchantRegistry) external initializer {
+        require(_shopToken != address(0), "Invalid SHOP token address");
+        require(_merchantRegistry != address(0), "Invalid merchant registry address");
+        __ReentrancyGuard_init();
+        __ShopAccessControl_init();
+        __EIP712_init("RewardEscrow", "1");
+        shopToken = SHOPToken(_shopToken);
+        merchantRegistry = MerchantRegistry(_merchantRegistry);
+        treasury = _msgSender();
+        expiryPeriod = 365 days;
+    }
+    
+    /**
+     * @dev Record rewards the issuer has just minted to this contract for a customer hash
+     */
+    function recordEscrow(
+        bytes32 _customerHash,
+        address _merchant,
+        uint256 _amount,
+        string calldata _transactionId
+    ) external override {
+        require(_msgSender() == rewardIssuer, "Not reward issuer");
+        require(_customerHash != bytes32(0), "Invalid customer hash");
+        require(_amount > 0, "Amount must be positive");
+        
+        Escrow storage escrow = escrows[_customerHash];
+        if (merchantEscrowed[_customerHash][_merchant] == 0) {
+            escrow.merchantCount++;
+        }
+        merchantEscrowed[_customerHash][_merchant] += _amount;
+        escrow.totalEscrowed += _amount;
+        escrow.lastActivity = block.timestamp;
+        purchaseCustomerHash[_transactionId] = _customerHash;
+        emit RewardsEscrowed(_customerHash, _merchant, _amount, _transactionId);
+        
+        uint256 repaid = escrow.rewardDebt < _amount ? escrow.rewardDebt : _amount;
+        if (repaid > 0) {
+            escrow.rewardDebt -= repaid;
+            shopToken.burn(repaid);
+            emit EscrowDebtRepaid(_customerHash, repaid, _transactionId);
+        }
+        
+        MerchantShare storage share = merchantShares[_customerHash][_merchant];
+        if (share.epoch != balanceEpoch[_customerHash]) {
+            share.unclaimed = 0;
+            share.epoch = balanceEpoch[_customerHash];
+        }
+        share.unclaimed += _amount - repaid;
+        escrow.balance += _amount - repaid;
+        totalEscrowBalance += _amount - repaid;
+    }
+    
+    /**
+     * @dev Return a refunded escrow purchase's rewards to the issuer, from the merchant's unclaimed share
+     * The rest was already claimed, so it becomes debt on the customer hash. Returns both parts
+     */
+    function reclaimEscrow(
+        address _merchant,
+        uint256 _amount,
+        string calldata _transactionId
+    ) external override nonReentrant returns (uint256 reclaimed, uint256 debt) {
+        require(_msgSender() == rewardIssuer, "Not reward issuer");
+        bytes32 customerHash = purchaseCustomerHash[_transactionId];
+        require(customerHash != bytes32(0), "Unknown escrow purchase");
+        
+        Escrow storage escrow = escrows[customerHash];
+        uint256 unclaimed = merchantUnclaimed(customerHash, _merchant);
+        reclaimed = _amount < unclaimed ? _amount : unclaimed;
+        debt = _amount - reclaimed;
+        merchantShares[customerHash][_merchant].unclaimed = unclaimed - reclaimed;
+        escrow.balance -= reclaimed;
+        escrow.rewardDebt += debt;
+        totalEscrowBalance -= reclaimed;
+        if (reclaimed > 0) {
+            require(shopToken.transfer(rewardIssuer, reclaimed), "SHOP transfer failed");
+        }
+        
+        emit EscrowReclaimed(customerHash, _merchant, _amount, reclaimed, debt, _transactionId);
+    }
+    
+    /**
+     * @dev Pay a customer's escrow to their wallet (anyone may submit the proof)
+     * The attester is an ISSUER_ROLE holder signing for itself, which releases the whole balance, or an
+     * active merchant that escrowed rewards for this customer, signing with its registered receipt signer,
+     * which releases only that merchant's unclaimed share
+     */
+    function claim(
+        bytes32 _customerHash,
+        address _wallet,
+        address _attester,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external nonReentrant returns (uint256 amount) {
+        require(_wallet != address(0), "Invalid wallet address");
+        require(block.timestamp <= _deadline, "Claim proof expired");
+        Escrow storage escrow = escrows[_customerHash];
+        require(escrow.balance > 0, "No escrowed rewards");
+        
+        address signer = ECDSA.recover(hashClaim(_customerHash, _wallet, _attester, _deadline), _signature);
+        if (hasRole(ISSUER_ROLE, _attester)) {
+            require(signer == _attester, "Invalid claim signature");
+            amount = escrow.balance;
+            balanceEpoch[_customerHash]++;
+        } else {
+            require(merchantEscrowed[_customerHash][_attester] > 0, "Attester never served customer");
+            (, , , bool isActive, ,) = merchantRegistry.getMerchantInfo(_attester);
+            require(isActive, "Merchant not active");
+            require(signer == merchantRegistry.getMerchantSigner(_attester), "Invalid claim signature");
+            amount = merchantUnclaimed(_customerHash, _attester);
+            require(amount > 0, "No escrowed rewards from attester");
+            merchantShares[_customerHash][_attester].unclaimed = 0;
+        }
+        
+        escrow.claimNonce++;
+        escrow.balance -= amount;
+        escrow.totalClaimed += amount;
+        escrow.lastActivity = block.timestamp;
+        totalEscrowBalance -= amount;
+        require(shopToken.transfer(_wallet, amount), "SHOP transfer failed");
+        
+        emit EscrowClaimed(_customerHash, _wallet, _attester, amount);
+    }
+    
+    /**
+     * @dev Send the unclaimed escrow of a customer hash inactive for expiryPeriod to the treasury (callable by anyone)
+     */
+    function expireEscrow(bytes32 _customerHash) external nonReentrant returns (uint256 amount) {
+        Escrow storage escrow = escrows[_customerHash];
+        amount = escrow.balance;
+        require(amount > 0, "No escrowed rewards");
+        require(block.timestamp >= escrow.lastActivity + expiryPeriod, "Escrow not expired");
+        
+        escrow.balance = 0;
+        balanceEpoch[_customerHash]++;
+        totalEscrowBalance -= amount;
+        totalExpired += amount;
+        require(shopToken.transfer(treasury, amount), "SHOP transfer failed");
+        
+        emit EscrowExpired(_customerHash, treasury, amount);
+    }
+    
+    /**
+     * @dev Set the contract allowed to record escrow
+     */
+    function setRewardIssuer(address _rewardIssuer) external onlyGovernance {
+        rewardIssuer = _rewardIssuer;
+        emit RewardIssuerUpdated(_rewardIssuer);
+    }
+    
+    /**
+     * @dev Set where expired escrow goes
+     */
+    function setTreasury(address _treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_treasury != address(0), "Invalid treasury address");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+    
+    /**
+     * @dev Set how long escrow may sit untouched before it expires (applies to existing escrow too)
+     */
+    function setExpiryPeriod(uint256 _expiryPeriod) external onlyRole(RATE_SETTER_ROLE) {
+        require(_expiryPeriod >= MIN_EXPIRY_PERIOD, "Expiry period too short");
+        expiryPeriod = _expiryPeriod;
+        emit ExpiryPeriodUpdated(_expiryPeriod);
+    }
+    
+    /**
+     * @dev EIP-712 digest an attester signs to release a customer's escrow to `_wallet` (uses the current claim nonce)
+     */
+    function hashClaim(
+        bytes32 _customerHash,
+        address _wallet,
+        address _attester,
+        uint256 _deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            CLAIM_TYPEHASH,
+            _customerHash,
+            _wallet,
+            _attester,
+            escrows[_customerHash].claimNonce,
+            _deadline
+        )));
+    }
+    
+    /**
+     * @dev Get a customer hash's escrow, with when it expires if left untouched (0 = nothing to expire)
+     */
+    function getEscrow(bytes32 _customerHash) external view returns (
+        uint256 balance,
+        uint256 totalEscrowed,
+        uint256 totalClaimed,
+        uint256 merchantCount,
+        uint256 expiresAt
+    ) {
+        Escrow storage escrow = escrows[_customerHash];
+        if (escrow.balance > 0) {
+            expiresAt = escrow.lastActivity + expiryPeriod;
+        }
+        return (escrow.balance, escrow.totalEscrowed, escrow.totalClaimed, escrow.merchantCount, expiresAt);
+    }
+    
+    /**
+     * @dev Rewards a merchant escrowed for a customer hash that a proof from that merchant can still release
+     */
+    function merchantUnclaimed(bytes32 _customerHash, address _merchant) public view returns (uint256) {
+        MerchantShare storage share = merchantShares[_customerHash][_merchant];
+        return share.epoch == balanceEpoch[_customerHash] ? share.unclaimed : 0;
+    }
+    
+    /**
+     * @dev Get the unclaimed balances of several customer hashes at once
+     */
+    function getEscrowBalances(bytes32[] calldata _customerHashes) external view returns (uint256[] memory balances) {
+        balances = new uint256[](_customerHashes.length);
+        for (uint256 i = 0; i < _customerHashes.length; i++) {
+            balances[i] = escrows[_customerHashes[i]].balance;
+        }
+    }
+}
@@ -0,0 +1,261 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "./ShoppingRewards.sol";
+
+/**
+ * @title Reward Redemption
+ * @dev Lets customers spend SHOP as a discount at registered merchants and tracks merchant settlement
+ */
+contract RewardRedemption is ReentrancyGuardUpgradeable, ShopAccessControl, PausableUpgradeable {
+    SHOPToken public shopToken;
+    MerchantRegistry public merchantRegistry;
+    
+    struct Redemption {
+        address customer;
+        address merchant;
+        uint256 shopAmount;
+        uint256 valueCents;
+        uint256 redeemedAt;
+        bool burned; // false = tokens held in escrow
+        bool reversed;
+    }
+    
+    struct Settlement {
+        uint256 redeemedCents; // Discounts merchants have given against SHOP
+        int256 settledCents; // Positive = paid to merchant, negative = collected from merchant
+        uint256 escrowedTokens;
+    }
+    
+    mapping(bytes32 => Redemption) public redemptions;
+    mapping(address => Settlement) public settlements;
+    
+    bool public burnOnRedeem; // When false, redeemed SHOP is escrowed and reversible (burns by default)
+    uint256 public totalRedeemed;
+    uint256 public totalBurned;
+    
+    event Redeemed(
+        bytes32 indexed redemptionId,
+        address indexed merchant,
+        address indexed customer,
+        uint256 shopAmount,
+        uint256 valueCents,
+        string orderReference,
+        bool burned
+    );
+    event RedemptionReversed(bytes32 indexed redemptionId, address indexed merchant, address indexed customer, uint256 shopAmount);
+    event SettlementRecorded(address indexed merchant, int256 amountCents, string settlementReference);
+    event EscrowBurned(address indexed merchant, uint256 amount);
+    event BurnOnRedeemUpdated(bool burnOnRedeem);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy, burning redeemed SHOP by default - the caller becomes owner
+     */
+    function initialize(address _shopToken, address _merchantRegistry) external initializer {
+        require(_shopToken != address(0), "Invalid SHOP token address");
+        require(_merchantRegistry != address(0), "Invalid merchant registry address");
+        __ReentrancyGuard_init();
+        __ShopAccessControl_init();
+        __Pausable_init();
+        shopToken = SHOPToken(_shopToken);
+        merchantRegistry = MerchantRegistry(_merchantRegistry);
+        burnOnRedeem = true;
+    }
+    
+    /**
+     * @dev Spend SHOP as a discount on a merchant order (1 SHOP = TOKEN_VALUE_CENTS)
+     * The amount must be worth a whole number of cents, so nothing is burned without being credited
+     */
+    function redeem(
+        address _merchant,
+        uint256 _shopAmount,
+        string memory _orderReference
+    ) external nonReentrant whenNotPaused returns (bytes32 redemptionId) {
+        require(_shopAmount > 0, "Amount must be positive");
+        require(bytes(_orderReference).length > 0, "Invalid order reference");
+        
+        (, , , bool isActive, ,) = merchantRegistry.getMerchantInfo(_merchant);
+        require(isActive, "Merchant not active");
+        
+        redemptionId = getRedemptionId(_merchant, _msgSender(), _orderReference);
+        require(redemptions[redemptionId].customer == address(0), "Order already redeemed");
+        
+        uint256 value = _shopAmount * shopToken.TOKEN_VALUE_CENTS();
+        require(value % 10**18 == 0, "Amount must be whole cents");
+        uint256 valueCents = value / 10**18;
+        require(valueCents > 0, "Redemption value too low");
+        
+        require(shopToken.transferFrom(_msgSender(), address(this), _shopAmount), "SHOP transfer failed");
+        
+        Settlement storage settlement = settlements[_merchant];
+        settlement.redeemedCents += valueCents;
+        if (burnOnRedeem) {
+            shopToken.burn(_shopAmount);
+            totalBurned += _shopAmount;
+        } else {
+            settlement.escrowedTokens += _shopAmount;
+        }
+        
+        redemptions[redemptionId] = Redemption({
+            customer: _msgSender(),
+            merchant: _merchant,
+            shopAmount: _shopAmount,
+            valueCents: valueCents,
+            redeemedAt: block.timestamp,
+            burned: burnOnRedeem,
+            reversed: false
+        });
+        totalRedeemed += _shopAmount;
+        
+        emit Redeemed(redemptionId, _merchant, _msgSender(), _shopAmount, valueCents, _orderReference, burnOnRedeem);
+    }
+    
+    /**
+     * @dev Reverse an escrowed redemption (e.g. cancelled order), returning SHOP to the customer
+     */
+    function reverseRedemption(
+        address _merchant,
+        address _customer,
+        string memory _orderReference
+    ) external nonReentrant {
+        require(_msgSender() == _merchant || hasRole(MERCHANT_MANAGER_ROLE, _msgSender()), "Not authorized");
+        
+        bytes32 redemptionId = getRedemptionId(_merchant, _customer, _orderReference);
+        Redemption storage redemption = redemptions[redemptionId];
+        require(redemption.customer != address(0), "Redemption not found");
+        require(!redemption.burned, "Redemption already burned");
+        require(!redemption.reversed, "Redemption already reversed");
+        
+        Settlement storage settlement = settlements[_merchant];
+        redemption.reversed = true;
+        settlement.redeemedCents -= redemption.valueCents;
+        settlement.escrowedTokens -= redemption.shopAmount;
+        totalRedeemed -= redemption.shopAmount;
+        
+        require(shopToken.transfer(redemption.customer, redemption.shopAmount), "SHOP transfer failed");
+        
+        emit RedemptionReversed(redemptionId, _merchant, redemption.customer, redemption.shopAmount);
+    }
+    
+    /**
+     * @dev Choose whether new redemptions burn SHOP immediately or hold it in escrow
+     */
+    function setBurnOnRedeem(bool _burnOnRedeem) external onlyRole(TREASURY_ROLE) {
+        burnOnRedeem = _burnOnRedeem;
+        emit BurnOnRedeemUpdated(_burnOnRedeem);
+    }
+    
+    /**
+     * @dev Burn the escrowed SHOP of a merchant's final redemptions - each is marked burned, so it can no longer be reversed
+     */
+    function burnEscrowed(
+        address _merchant,
+        address[] calldata _customers,
+        string[] calldata _orderReferences
+    ) external onlyRole(TREASURY_ROLE) {
+        require(_orderReferences.length > 0, "No redemptions to burn");
+        require(_customers.length == _orderReferences.length, "Redemption length mismatch");
+        uint256 amount;
+        for (uint256 i = 0; i < _orderReferences.length; i++) {
+            Redemption storage redemption = redemptions[getRedemptionId(_merchant, _customers[i], _orderReferences[i])];
+            require(redemption.customer != address(0), "Redemption not found");
+            require(!redemption.burned, "Redemption already burned");
+            require(!redemption.reversed, "Redemption already reversed");
+            redemption.burned = true;
+            amount += redemption.shopAmount;
+        }
+        
+        settlements[_merchant].escrowedTokens -= amount;
+        totalBurned += amount;
+        shopToken.burn(amount);
+        
+        emit EscrowBurned(_merchant, amount);
+    }
+    
+    /**
+     * @dev Record an off-chain settlement payment (positive = paid to merchant, negative = collected)
+     */
+    function recordSettlement(address _merchant, int256 _amountCents, string memory _settlementReference) external onlyRole(TREASURY_ROLE) {
+        require(merchantRegistry.isMerchant(_merchant), "Merchant not registered");
+        require(_amountCents != 0, "Invalid settlement amount");
+        settlements[_merchant].settledCents += _amountCents;
+        emit SettlementRecorded(_merchant, _amountCents, _settlementReference);
+    }
+    
+    /**
+     * @dev Pause redemptions (emergency)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Unpause redemptions
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+    
+    /**
+     * @dev Redemption ID for a customer's order reference at a merchant - the customer is part of it, so
+     * nobody can take an order reference they saw in the mempool and redeem it first
+     */
+    function getRedemptionId(
+        address _merchant,
+        address _customer,
+        string memory _orderReference
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(_merchant, _customer, _orderReference));
+    }
+    
+    /**
+     * @dev Check a redemption from the merchant's till before honouring the discount
+     */
+    function verifyRedemption(
+        address _merchant,
+        string memory _orderReference,
+        address _customer,
+        uint256 _valueCents
+    ) external view returns (bool) {
+        Redemption memory redemption = redemptions[getRedemptionId(_merchant, _customer, _orderReference)];
+        return redemption.customer != address(0)
+            && redemption.valueCents >= _valueCents
+            && !redemption.reversed;
+    }
+    
+    /**
+     * @dev Reconcile a merchant: SHOP-funded discounts vs rewards it issued, net of settlements
+     */
+    function getSettlementBalance(address _merchant) external view returns (
+        uint256 redeemedCents,
+        uint256 issuedCents,
+        int256 settledCents,
+        int256 netOwedToMerchantCents,
+        uint256 escrowedTokens
+    ) {
+        Settlement memory settlement = settlements[_merchant];
+        redeemedCents = settlement.redeemedCents;
+        issuedCents = (shopToken.merchantTokensIssued(_merchant) * shopToken.TOKEN_VALUE_CENTS()) / 10**18;
+        settledCents = settlement.settledCents;
+        netOwedToMerchantCents = int256(redeemedCents) - int256(issuedCents) - settledCents;
+        escrowedTokens = settlement.escrowedTokens;
+    }
+    
+    /**
+     * @dev Pausable and ShopAccessControl both extend Context - take ShopAccessControl's forwarder-aware sender
+     */
+    function _msgSender() internal view override(ContextUpgradeable, ShopAccessControl) returns (address) {
+        return ShopAccessControl._msgSender();
+    }
+    
+    function _msgData() internal view override(ContextUpgradeable, ShopAccessControl) returns (bytes calldata) {
+        return ShopAccessControl._msgData();
+    }
+}
@@ -0,0 +1,317 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "./ShoppingRewards.sol";
+
+/**
+ * @title Reward Vesting
+ * @dev Holds purchase rewards through the return window, then lets customers claim them
+ * Unclaimed rewards expire after expiryPeriod without customer activity (a purchase or a claim)
+ */
+contract RewardVesting is ReentrancyGuardUpgradeable, ShopAccessControl, IRewardVesting {
+    SHOPToken public shopToken;
+    address public rewardIssuer; // PurchaseValidator
+    
+    struct Grant {
+        address customer;
+        address merchant;
+        uint256 amount;
+        uint256 grantedAt;
+        uint256 vestsAt;
+        bool reversed;
+        uint256 reversedUnrefunded; // Burned by reverseReward, not yet matched by a PurchaseValidator refund
+    }
+    
+    mapping(bytes32 => Grant) public grants; // keccak256(transactionId) => grant
+    mapping(address => bytes32[]) private customerGrants; // Vesting order (vestsAt never decreases)
+    mapping(address => uint256) public nextUnvestedGrant; // Index into customerGrants of the first unsettled grant
+    mapping(address => uint256) public vestedBalance; // Settled and claimable
+    mapping(address => uint256) public unvestedBalance; // Still in customerGrants from nextUnvestedGrant on
+    mapping(address => uint256) public lastActivity;
+    
+    uint256 public holdPeriod; // Return window (14 days)
+    uint256 public expiryPeriod; // Inactivity before unclaimed rewards expire (365 days)
+    uint256 public expiryWarningPeriod; // How early getRewardBalances reports rewards as expiring (30 days)
+    uint256 public constant MAX_HOLD_PERIOD = 90 days;
+    uint256 public constant MAX_SETTLE_PER_CLAIM = 200; // Grants claim() settles - settle() works through a longer backlog
+    
+    uint256 public totalReversed;
+    uint256 public totalExpired;
+    
+    event RewardGranted(
+        bytes32 indexed grantId,
+        address indexed customer,
+        address indexed merchant,
+        uint256 amount,
+        uint256 vestsAt,
+        string transactionId
+    );
+    event RewardReversed(bytes32 indexed grantId, address indexed customer, address indexed merchant, uint256 amount, string transactionId);
+    event RewardsClaimed(address indexed customer, uint256 amount);
+    event RewardsSettled(address indexed customer, uint256 amount, uint256 nextUnvestedGrant);
+    event RewardsExpired(address indexed customer, uint256 amount);
+    event RewardIssuerUpdated(address indexed rewardIssuer);
+    event HoldPeriodUpdated(uint256 holdPeriod);
+    event ExpiryPeriodUpdated(uint256 expiryPeriod, uint256 expiryWarningPeriod);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy with the default hold and expiry periods - the caller becomes owner
+     */
+    function initialize(address _shopToken) external initializer {
+        require(_shopToken != address(0), "Invalid SHOP token address");
+        __ReentrancyGuard_init();
+        __ShopAccessControl_init();
+        shopToken = SHOPToken(_shopToken);
+        holdPeriod = 14 days;
+        expiryPeriod = 365 days;
+        expiryWarningPeriod = 30 days;
+    }
+    
+    /**
+     * @dev Record rewards the issuer has just minted to this contract for a customer
+     */
+    function recordGrant(
+        address _customer,
+        address _merchant,
+        string calldata _transactionId,
+        uint256 _amount
+    ) external override {
+        require(_msgSender() == rewardIssuer, "Not reward issuer");
+        require(_customer != address(0), "Invalid customer address");
+        require(_amount > 0, "Amount must be positive");
+        
+        bytes32 grantId = getGrantId(_transactionId);
+        require(grants[grantId].customer == address(0), "Grant already recorded");
+        
+        // Keep each customer's grants in vesting order even if the hold period was shortened
+        uint256 vestsAt = block.timestamp + holdPeriod;
+        bytes32[] storage queue = customerGrants[_customer];
+        if (queue.length > 0 && grants[queue[queue.length - 1]].vestsAt > vestsAt) {
+            vestsAt = grants[queue[queue.length - 1]].vestsAt;
+        }
+        
+        grants[grantId] = Grant({
+            customer: _customer,
+            merchant: _merchant,
+            amount: _amount,
+            grantedAt: block.timestamp,
+            vestsAt: vestsAt,
+            reversed: false,
+            reversedUnrefunded: 0
+        });
+        queue.push(grantId);
+        unvestedBalance[_customer] += _amount;
+        lastActivity[_customer] = block.timestamp;
+        
+        emit RewardGranted(grantId, _customer, _merchant, _amount, vestsAt, _transactionId);
+    }
+    
+    /**
+     * @dev Burn a still-unvested reward whose purchase was refunded
+     */
+    function reverseReward(string calldata _transactionId) external nonReentrant {
+        bytes32 grantId = getGrantId(_transactionId);
+        Grant storage grant = grants[grantId];
+        require(grant.customer != address(0), "Grant not found");
+        require(
+            _msgSender() == grant.merchant || hasRole(MERCHANT_MANAGER_ROLE, _msgSender()),
+            "Not grant merchant"
+        );
+        require(!grant.reversed, "Grant already reversed");
+        require(block.timestamp < grant.vestsAt, "Reward already vested");
+        
+        grant.reversed = true;
+        grant.reversedUnrefunded += grant.amount;
+        unvestedBalance[grant.customer] -= grant.amount;
+        totalReversed += grant.amount;
+        shopToken.burn(grant.amount);
+        
+        emit RewardReversed(grantId, grant.customer, grant.merchant, grant.amount, _transactionId);
+    }
+    
+    /**
+     * @dev Return part of a still-unvested grant for a refunded purchase to the issuer (issuer only)
+     * Returns the amount no longer with the customer, counting an earlier reverseReward on the same grant
+     */
+    function reclaimGrant(string calldata _transactionId, uint256 _amount) external override returns (uint256 reclaimed) {
+        require(_msgSender() == rewardIssuer, "Not reward issuer");
+        bytes32 grantId = getGrantId(_transactionId);
+        Grant storage grant = grants[grantId];
+        
+        reclaimed = _amount < grant.reversedUnrefunded ? _amount : grant.reversedUnrefunded;
+        grant.reversedUnrefunded -= reclaimed;
+        if (reclaimed == _amount || grant.reversed || block.timestamp >= grant.vestsAt) {
+            return reclaimed;
+        }
+        
+        uint256 returned = _amount - reclaimed < grant.amount ? _amount - reclaimed : grant.amount;
+        grant.amount -= returned;
+        if (grant.amount == 0) {
+            grant.reversed = true;
+        }
+        unvestedBalance[grant.customer] -= returned;
+        totalReversed += returned;
+        reclaimed += returned;
+        require(shopToken.transfer(rewardIssuer, returned), "SHOP transfer failed");
+        
+        emit RewardReversed(grantId, grant.customer, grant.merchant, returned, _transactionId);
+    }
+    
+    /**
+     * @dev Claim vested rewards, settling up to MAX_SETTLE_PER_CLAIM matured grants (also counts as activity for expiry)
+     */
+    function claim() external nonReentrant returns (uint256 amount) {
+        _settle(_msgSender(), MAX_SETTLE_PER_CLAIM);
+        amount = vestedBalance[_msgSender()];
+        require(amount > 0, "No vested rewards");
+        
+        vestedBalance[_msgSender()] = 0;
+        lastActivity[_msgSender()] = block.timestamp;
+        require(shopToken.transfer(_msgSender(), amount), "SHOP transfer failed");
+        
+        emit RewardsClaimed(_msgSender(), amount);
+    }
+    
+    /**
+     * @dev Move up to _maxGrants of a customer's matured grants into the vested balance (callable by anyone)
+     * Lets a customer with more matured grants than one claim settles catch up in bounded steps
+     */
+    function settle(address _customer, uint256 _maxGrants) external nonReentrant returns (uint256 matured) {
+        require(_maxGrants > 0, "Invalid grant count");
+        matured = _settle(_customer, _maxGrants);
+        emit RewardsSettled(_customer, matured, nextUnvestedGrant[_customer]);
+    }
+    
+    /**
+     * @dev Burn the unclaimed rewards of a customer inactive for expiryPeriod (callable by anyone)
+     */
+    function expireRewards(address _customer) external nonReentrant returns (uint256 amount) {
+        require(block.timestamp >= lastActivity[_customer] + expiryPeriod, "Rewards not expired");
+        amount = vestedBalance[_customer] + unvestedBalance[_customer];
+        require(amount > 0, "No rewards to expire");
+        
+        // expiryPeriod > MAX_HOLD_PERIOD, so every outstanding grant has vested by now
+        vestedBalance[_customer] = 0;
+        unvestedBalance[_customer] = 0;
+        nextUnvestedGrant[_customer] = customerGrants[_customer].length;
+        totalExpired += amount;
+        shopToken.burn(amount);
+        
+        emit RewardsExpired(_customer, amount);
+    }
+    
+    /**
+     * @dev Set the contract allowed to record grants
+     */
+    function setRewardIssuer(address _rewardIssuer) external onlyGovernance {
+        rewardIssuer = _rewardIssuer;
+        emit RewardIssuerUpdated(_rewardIssuer);
+    }
+    
+    /**
+     * @dev Set the hold period for new grants (existing grants keep their vesting time)
+     */
+    function setHoldPeriod(uint256 _holdPeriod) external onlyRole(RATE_SETTER_ROLE) {
+        require(_holdPeriod <= MAX_HOLD_PERIOD, "Hold period too long");
+        holdPeriod = _holdPeriod;
+        emit HoldPeriodUpdated(_holdPeriod);
+    }
+    
+    /**
+     * @dev Set the inactivity period before unclaimed rewards expire, and how early to warn
+     */
+    function setExpiryPeriod(uint256 _expiryPeriod, uint256 _expiryWarningPeriod) external onlyRole(RATE_SETTER_ROLE) {
+        require(_expiryPeriod > MAX_HOLD_PERIOD, "Expiry period too short");
+        require(_expiryWarningPeriod < _expiryPeriod, "Invalid warning period");
+        expiryPeriod = _expiryPeriod;
+        expiryWarningPeriod = _expiryWarningPeriod;
+        emit ExpiryPeriodUpdated(_expiryPeriod, _expiryWarningPeriod);
+    }
+    
+    /**
+     * @dev Grant ID for a purchase transaction ID
+     */
+    function getGrantId(string memory _transactionId) public pure returns (bytes32) {
+        return keccak256(bytes(_transactionId));
+    }
+    
+    /**
+     * @dev Get a customer's claimable, still-vesting and soon-to-expire rewards
+     * expiring is everything unclaimed once expiresAt is within expiryWarningPeriod
+     */
+    function getRewardBalances(address _customer) external view returns (
+        uint256 vested,
+        uint256 pending,
+        uint256 expiring,
+        uint256 expiresAt
+    ) {
+        uint256 matured = _maturedUnsettled(_customer);
+        vested = vestedBalance[_customer] + matured;
+        pending = unvestedBalance[_customer] - matured;
+        
+        if (vested + pending > 0) {
+            expiresAt = lastActivity[_customer] + expiryPeriod;
+            if (block.timestamp + expiryWarningPeriod >= expiresAt) {
+                expiring = vested + pending;
+            }
+        }
+    }
+    
+    /**
+     * @dev Get the number of grants ever recorded for a customer
+     */
+    function getCustomerGrantCount(address _customer) external view returns (uint256) {
+        return customerGrants[_customer].length;
+    }
+    
+    /**
+     * @dev Get a customer's grant by index (see getCustomerGrantCount)
+     */
+    function getCustomerGrant(address _customer, uint256 _index) external view returns (bytes32 grantId, Grant memory grant) {
+        grantId = customerGrants[_customer][_index];
+        grant = grants[grantId];
+    }
+    
+    /**
+     * @dev Move up to _maxGrants matured grants into the customer's vested balance
+     */
+    function _settle(address _customer, uint256 _maxGrants) internal returns (uint256 matured) {
+        bytes32[] storage queue = customerGrants[_customer];
+        uint256 index = nextUnvestedGrant[_customer];
+        uint256 end = index + _maxGrants < queue.length ? index + _maxGrants : queue.length;
+        
+        while (index < end && grants[queue[index]].vestsAt <= block.timestamp) {
+            Grant storage grant = grants[queue[index]];
+            if (!grant.reversed) {
+                matured += grant.amount;
+            }
+            index++;
+        }
+        
+        nextUnvestedGrant[_customer] = index;
+        unvestedBalance[_customer] -= matured;
+        vestedBalance[_customer] += matured;
+    }
+    
+    /**
+     * @dev Amount _settle would move into the vested balance right now
+     */
+    function _maturedUnsettled(address _customer) internal view returns (uint256 matured) {
+        bytes32[] storage queue = customerGrants[_customer];
+        for (uint256 i = nextUnvestedGrant[_customer]; i < queue.length; i++) {
+            Grant storage grant = grants[queue[i]];
+            if (grant.vestsAt > block.timestamp) {
+                break;
+            }
+            if (!grant.reversed) {
+                matured += grant.amount;
+            }
+        }
+    }
+}
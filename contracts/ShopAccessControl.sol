@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+
+/**
+ * @title Shop Access Control
+ * @dev Shared operational roles for the Shopping Rewards contracts
+ * The owner implicitly holds every role except GOVERNOR_ROLE and the roles it governs, so single-key
+ * deployments keep working while roles are handed out; migrateOwnerToRoles() then retires the owner key for good
+ * Contracts deploy behind upgrade proxies - the initializer makes the deployer the owner
+ * Calls relayed by the trusted ERC-2771 forwarder act for the account that signed them; choosing the
+ * forwarder is governed like the contract wiring
+ * Governed roles can be handed to a governor (the timelock) that alone grants and revokes them; the
+ * governor then also owns the wiring between contracts (onlyGovernance setters)
+ */
+abstract contract ShopAccessControl is AccessControlUpgradeable, OwnableUpgradeable {
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant MERCHANT_MANAGER_ROLE = keccak256("MERCHANT_MANAGER_ROLE");
+    bytes32 public constant MINTER_ADMIN_ROLE = keccak256("MINTER_ADMIN_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+    bytes32 public constant RATE_SETTER_ROLE = keccak256("RATE_SETTER_ROLE");
+    bytes32 public constant GOVERNOR_ROLE = keccak256("GOVERNOR_ROLE");
+    
+    address public trustedForwarder; // ERC-2771 meta-transaction forwarder (zero = meta-transactions off)
+    
+    event OwnerMigratedToRoles(address indexed previousOwner, address indexed admin);
+    event TrustedForwarderUpdated(address indexed forwarder);
+    event GovernorSet(address indexed governor, bytes32[] roles);
+    
+    /**
+     * @dev Set the caller as owner (call from each contract's initializer)
+     */
+    function __ShopAccessControl_init() internal onlyInitializing {
+        __AccessControl_init();
+        __Ownable_init();
+    }
+    
+    /**
+     * @dev Only the governor once one is set (see setGovernor), the admin until then
+     */
+    modifier onlyGovernance() {
+        _checkGovernance();
+        _;
+    }
+    
+    /**
+     * @dev Roles held explicitly, or implicitly by the owner - except GOVERNOR_ROLE and the roles it
+     * administers, so the owner key cannot skip the governance delay
+     */
+    function hasRole(bytes32 role, address account) public view virtual override returns (bool) {
+        if (account == owner() && role != GOVERNOR_ROLE && getRoleAdmin(role) != GOVERNOR_ROLE) {
+            return true;
+        }
+        return super.hasRole(role, account);
+    }
+    
+    /**
+     * @dev Hand admin rights to an explicit role holder and renounce ownership
+     * Grant the operational roles first - the owner's implicit roles end here
+     */
+    function migrateOwnerToRoles(address _admin) external onlyOwner {
+        require(_admin != address(0), "Invalid admin address");
+        address previousOwner = owner();
+        
+        // Drop ownership first so the grant below isn't short-circuited by the implicit owner check
+        _transferOwnership(address(0));
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        
+        emit OwnerMigratedToRoles(previousOwner, _admin);
+    }
+    
+    /**
+     * @dev Make GOVERNOR_ROLE (held by _governor, and administering itself) the admin of the given roles,
+     * so DEFAULT_ADMIN_ROLE can no longer grant them to itself and skip the governance delay. One-time
+     */
+    function setGovernor(address _governor, bytes32[] calldata _roles) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_governor != address(0), "Invalid governor address");
+        require(getRoleAdmin(GOVERNOR_ROLE) != GOVERNOR_ROLE, "Governor already set");
+        
+        _grantRole(GOVERNOR_ROLE, _governor);
+        _setRoleAdmin(GOVERNOR_ROLE, GOVERNOR_ROLE);
+        for (uint256 i = 0; i < _roles.length; i++) {
+            require(_roles[i] != DEFAULT_ADMIN_ROLE, "Cannot govern admin role");
+            _setRoleAdmin(_roles[i], GOVERNOR_ROLE);
+        }
+        
+        emit GovernorSet(_governor, _roles);
+    }
+    
+    /**
+     * @dev Set the forwarder whose relayed calls act for their signer (zero address turns meta-transactions off)
+     * The forwarder can act as any account, so once a governor is set a change goes through its delay
+     */
+    function setTrustedForwarder(address _forwarder) external onlyGovernance {
+        trustedForwarder = _forwarder;
+        emit TrustedForwarderUpdated(_forwarder);
+    }
+    
+    /**
+     * @dev Revert unless the caller may change governed wiring (see onlyGovernance)
+     */
+    function _checkGovernance() internal view {
+        _checkRole(getRoleAdmin(GOVERNOR_ROLE) == GOVERNOR_ROLE ? GOVERNOR_ROLE : DEFAULT_ADMIN_ROLE);
+    }
+    
+    /**
+     * @dev ERC-2771: whether calls from this address carry the original sender
+     */
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder != address(0) && _forwarder == trustedForwarder;
+    }
+    
+    /**
+     * @dev The signer of a relayed call (appended to the calldata by the forwarder), otherwise the caller
+     */
+    function _msgSender() internal view virtual override returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return super._msgSender();
+    }
+    
+    /**
+     * @dev Calldata without the sender the forwarder appended
+     */
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return super._msgData();
+    }
+    
+    /**
+     * @dev Reserved storage so roles state can grow without shifting inheriting contracts
+     */
+    uint256[49] private __gap;
+}
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+/**
+ * @title Shop Forwarder
+ * @dev ERC-2771 forwarder for gasless calls - a relayer submits requests customers signed,
+ * and each contract trusting this forwarder sees the signer as the sender
+ */
+contract ShopForwarder is MinimalForwarder {}
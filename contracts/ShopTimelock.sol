@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title Shop Timelock
+ * @dev Delays economic parameter changes (reward rates, staking APY, swap fees, minter authorizations)
+ * Holds RATE_SETTER_ROLE and MINTER_ADMIN_ROLE; PAUSER_ROLE stays with ops so emergency pauses are instant
+ */
+contract ShopTimelock is TimelockController {
+    uint256 public constant MIN_GOVERNANCE_DELAY = 1 hours;
+    
+    /**
+     * @param _minDelay Seconds a queued change must wait before execution
+     * @param _proposers Accounts that can queue and cancel changes
+     * @param _executors Accounts that can execute ready changes (address(0) = anyone)
+     * @param _admin Optional bootstrap admin (address(0) = timelock administers itself)
+     */
+    constructor(
+        uint256 _minDelay,
+        address[] memory _proposers,
+        address[] memory _executors,
+        address _admin
+    ) TimelockController(_minDelay, _proposers, _executors, _admin) {
+        require(_minDelay >= MIN_GOVERNANCE_DELAY, "Delay below minimum");
+    }
+}
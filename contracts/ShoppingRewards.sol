@@ -1,17 +1,24 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./ShopAccessControl.sol";
 
 /**
  * @title SHOP Token - Unified Shopping Rewards Token
- * @dev Main rewards token that replaces traditional loyalty points across merchants
+ * @dev Main rewards token that replaces traditional loyalty points across merchants.
+ * EIP-2612 permits let staking and swaps skip a separate approve transaction
  */
-contract SHOPToken is ERC20, Ownable, Pausable {
+contract SHOPToken is ERC20Upgradeable, ERC20BurnableUpgradeable, ERC20PermitUpgradeable, ShopAccessControl, PausableUpgradeable {
     // No max supply - inflationary model based on merchant activity
     uint256 public constant INITIAL_SUPPLY = 10_000_000 * 10**18; // 10M tokens
     
@@ -21,23 +28,50 @@ contract SHOPToken is ERC20, Ownable, Pausable {
     mapping(address => bool) public authorizedMinters;
     mapping(address => uint256) public merchantTokensIssued;
     
-    // Rate limiting
-    mapping(address => uint256) public lastMintTime;
-    uint256 public constant MINT_COOLDOWN = 1 hours;
+    // Rate limiting - rolling per-merchant quotas
+    struct MintQuota {
+        uint256 dailyCap; // 0 = use defaultDailyMintCap
+        uint256 used; // Usage at lastUpdate, drains linearly over QUOTA_WINDOW
+        uint256 lastUpdate;
+    }
+    
+    mapping(address => MintQuota) public mintQuotas;
+    mapping(address => bool) public systemMinters; // Quota-exempt, may mint on behalf of merchants
+    
+    uint256 public constant QUOTA_WINDOW = 1 days;
+    uint256 public defaultDailyMintCap; // 50k tokens per merchant per day
     uint256 public constant MAX_MINT_PER_TX = 10000 * 10**18; // 10k tokens max per tx
     
     event MinterAuthorized(address indexed minter, string merchantName);
     event MinterRemoved(address indexed minter);
     event RewardsIssued(address indexed merchant, address indexed customer, uint256 amount, uint256 purchaseValue);
+    event SystemMinterUpdated(address indexed minter, bool isSystemMinter);
+    event MintQuotaUpdated(address indexed merchant, uint256 dailyCap);
+    event DefaultMintQuotaUpdated(uint256 dailyCap);
+    event RewardsReclaimed(address indexed merchant, address indexed customer, uint256 amount);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
     
-    constructor() ERC20("Unified Shopping Rewards", "SHOP") {
-        _mint(msg.sender, INITIAL_SUPPLY);
+    /**
+     * @dev Set up the proxy - the caller becomes owner and receives the initial supply
+     */
+    function initialize() external initializer {
+        __ERC20_init("Unified Shopping Rewards", "SHOP");
+        __ERC20Burnable_init();
+        __ERC20Permit_init("Unified Shopping Rewards");
+        __ShopAccessControl_init();
+        __Pausable_init();
+        defaultDailyMintCap = 50000 * 10**18;
+        _mint(_msgSender(), INITIAL_SUPPLY);
     }
     
     /**
      * @dev Authorize a merchant contract to mint rewards
      */
-    function authorizeMinter(address _minter, string memory _merchantName) external onlyOwner {
+    function authorizeMinter(address _minter, string memory _merchantName) external onlyRole(MINTER_ADMIN_ROLE) {
         require(_minter != address(0), "Invalid minter address");
         require(bytes(_merchantName).length > 0, "Invalid merchant name");
         authorizedMinters[_minter] = true;
@@ -47,45 +81,162 @@ contract SHOPToken is ERC20, Ownable, Pausable {
     /**
      * @dev Remove authorization from a merchant
      */
-    function removeMinter(address _minter) external onlyOwner {
+    function removeMinter(address _minter) external onlyRole(MINTER_ADMIN_ROLE) {
         authorizedMinters[_minter] = false;
         emit MinterRemoved(_minter);
     }
     
+    /**
+     * @dev Mark a minter as a trusted system contract (e.g. PurchaseValidator, SHOPStaking)
+     */
+    function setSystemMinter(address _minter, bool _isSystemMinter) external onlyRole(MINTER_ADMIN_ROLE) {
+        require(_minter != address(0), "Invalid minter address");
+        systemMinters[_minter] = _isSystemMinter;
+        emit SystemMinterUpdated(_minter, _isSystemMinter);
+    }
+    
+    /**
+     * @dev Set a merchant's daily minting cap (0 reverts to the default cap)
+     */
+    function setMerchantDailyCap(address _merchant, uint256 _dailyCap) external onlyRole(MINTER_ADMIN_ROLE) {
+        require(_merchant != address(0), "Invalid merchant address");
+        MintQuota storage quota = mintQuotas[_merchant];
+        quota.used = _quotaUsed(_merchant);
+        quota.lastUpdate = block.timestamp;
+        quota.dailyCap = _dailyCap;
+        emit MintQuotaUpdated(_merchant, _dailyCap);
+    }
+    
+    /**
+     * @dev Set the daily minting cap for merchants without a custom cap
+     */
+    function setDefaultDailyMintCap(uint256 _dailyCap) external onlyRole(MINTER_ADMIN_ROLE) {
+        require(_dailyCap > 0, "Invalid daily cap");
+        defaultDailyMintCap = _dailyCap;
+        emit DefaultMintQuotaUpdated(_dailyCap);
+    }
+    
     /**
      * @dev Mint rewards for customer purchases (only authorized merchants)
      */
     function mintRewards(address customer, uint256 amount, uint256 purchaseValue) external {
-        require(authorizedMinters[msg.sender], "Not authorized merchant");
+        require(authorizedMinters[_msgSender()], "Not authorized merchant");
+        if (!systemMinters[_msgSender()]) {
+            _consumeQuota(_msgSender(), amount);
+        }
+        _mintRewards(_msgSender(), customer, amount, purchaseValue);
+    }
+    
+    /**
+     * @dev Mint rewards on behalf of a merchant, charging that merchant's quota (system minters only)
+     */
+    function mintRewardsFor(address merchant, address customer, uint256 amount, uint256 purchaseValue) external {
+        require(authorizedMinters[_msgSender()], "Not authorized merchant");
+        require(systemMinters[_msgSender()], "Not a system minter");
+        require(merchant != address(0), "Invalid merchant address");
+        _consumeQuota(merchant, amount);
+        _mintRewards(merchant, customer, amount, purchaseValue);
+    }
+    
+    /**
+     * @dev Take refunded rewards back from a customer's wallet to the caller, up to its balance (system minters only)
+     */
+    function reclaimRewards(address merchant, address customer, uint256 amount) external returns (uint256 reclaimed) {
+        require(authorizedMinters[_msgSender()], "Not authorized merchant");
+        require(systemMinters[_msgSender()], "Not a system minter");
+        
+        uint256 balance = balanceOf(customer);
+        reclaimed = amount < balance ? amount : balance;
+        if (reclaimed > 0) {
+            _transfer(customer, _msgSender(), reclaimed);
+            emit RewardsReclaimed(merchant, customer, reclaimed);
+        }
+    }
+    
+    /**
+     * @dev Internal mint shared by direct and on-behalf minting
+     */
+    function _mintRewards(address merchant, address customer, uint256 amount, uint256 purchaseValue) internal {
         require(customer != address(0), "Invalid customer address");
         require(amount > 0, "Amount must be positive");
         require(amount <= MAX_MINT_PER_TX, "Exceeds max mint per transaction");
         require(purchaseValue > 0, "Invalid purchase value");
         
-        // Rate limiting
-        require(
-            block.timestamp >= lastMintTime[msg.sender] + MINT_COOLDOWN,
-            "Mint cooldown not met"
-        );
-        
-        lastMintTime[msg.sender] = block.timestamp;
-        merchantTokensIssued[msg.sender] += amount;
+        merchantTokensIssued[merchant] += amount;
         
         _mint(customer, amount);
-        emit RewardsIssued(msg.sender, customer, amount, purchaseValue);
+        emit RewardsIssued(merchant, customer, amount, purchaseValue);
+    }
+    
+    /**
+     * @dev Charge a mint against the merchant's rolling daily allowance
+     */
+    function _consumeQuota(address _merchant, uint256 _amount) internal {
+        uint256 used = _quotaUsed(_merchant);
+        require(used + _amount <= _effectiveDailyCap(_merchant), "Mint quota exceeded");
+        
+        MintQuota storage quota = mintQuotas[_merchant];
+        quota.used = used + _amount;
+        quota.lastUpdate = block.timestamp;
+    }
+    
+    /**
+     * @dev Current quota usage, drained linearly so the full cap frees up over one window
+     */
+    function _quotaUsed(address _merchant) internal view returns (uint256) {
+        MintQuota memory quota = mintQuotas[_merchant];
+        uint256 drained = (_effectiveDailyCap(_merchant) * (block.timestamp - quota.lastUpdate)) / QUOTA_WINDOW;
+        return quota.used > drained ? quota.used - drained : 0;
+    }
+    
+    /**
+     * @dev Effective daily cap for a merchant
+     */
+    function _effectiveDailyCap(address _merchant) internal view returns (uint256) {
+        uint256 cap = mintQuotas[_merchant].dailyCap;
+        return cap > 0 ? cap : defaultDailyMintCap;
+    }
+    
+    /**
+     * @dev Get a merchant's remaining mint quota (max uint for quota-exempt system minters)
+     */
+    function getRemainingQuota(address _merchant) public view returns (uint256) {
+        if (systemMinters[_merchant]) {
+            return type(uint256).max;
+        }
+        uint256 used = _quotaUsed(_merchant);
+        uint256 cap = _effectiveDailyCap(_merchant);
+        return used >= cap ? 0 : cap - used;
+    }
+    
+    /**
+     * @dev Get a merchant's quota configuration and usage
+     */
+    function getMintQuota(address _merchant) external view returns (
+        uint256 dailyCap,
+        uint256 used,
+        uint256 remaining,
+        bool isExempt
+    ) {
+        return (
+            _effectiveDailyCap(_merchant),
+            _quotaUsed(_merchant),
+            getRemainingQuota(_merchant),
+            systemMinters[_merchant]
+        );
     }
     
     /**
      * @dev Pause token operations (emergency)
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
      * @dev Unpause token operations
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
@@ -102,13 +253,24 @@ contract SHOPToken is ERC20, Ownable, Pausable {
     function getMerchantStats(address merchant) external view returns (uint256 tokensIssued, bool isAuthorized) {
         return (merchantTokensIssued[merchant], authorizedMinters[merchant]);
     }
+    
+    /**
+     * @dev Transfers and approvals use the forwarder-aware sender, so relayed calls move the signer's tokens
+     */
+    function _msgSender() internal view override(ContextUpgradeable, ShopAccessControl) returns (address) {
+        return ShopAccessControl._msgSender();
+    }
+    
+    function _msgData() internal view override(ContextUpgradeable, ShopAccessControl) returns (bytes calldata) {
+        return ShopAccessControl._msgData();
+    }
 }
 
 /**
  * @title Merchant Registry
  * @dev Manages merchant onboarding and verification
  */
-contract MerchantRegistry is Ownable {
+contract MerchantRegistry is ShopAccessControl {
     struct Merchant {
         string name;
         string category; // "grocery", "electronics", "fashion", etc.
@@ -122,16 +284,33 @@ contract MerchantRegistry is Ownable {
     
     mapping(address => Merchant) public merchants;
     mapping(address => bool) public isMerchant;
+    mapping(address => address) public merchantSigners; // Receipt signing key, defaults to merchant address
     address[] public merchantList;
+    mapping(address => uint256) private merchantListIndex; // Position in merchantList, for O(1) removal
     
     SHOPToken public shopToken;
+    address public purchaseValidator; // Only source of sales/rewards activity
+    
+    uint256 public constant MAX_REWARD_RATE = 1000; // Max 10%
     
     event MerchantRegistered(address indexed merchant, string name, string category, uint256 rewardRate);
     event MerchantStatusUpdated(address indexed merchant, bool isActive);
     event RewardRateUpdated(address indexed merchant, uint256 newRate);
+    event MerchantRemoved(address indexed merchant);
+    event PurchaseValidatorUpdated(address indexed purchaseValidator);
+    event MerchantSignerUpdated(address indexed merchant, address indexed previousSigner, address indexed newSigner);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
     
-    constructor(address _shopToken) {
+    /**
+     * @dev Set up the proxy - the caller becomes owner
+     */
+    function initialize(address _shopToken) external initializer {
         require(_shopToken != address(0), "Invalid SHOP token address");
+        __ShopAccessControl_init();
         shopToken = SHOPToken(_shopToken);
     }
     
@@ -143,11 +322,11 @@ contract MerchantRegistry is Ownable {
         string memory _name,
         string memory _category,
         uint256 _rewardRate
-    ) external onlyOwner {
+    ) external onlyRole(MERCHANT_MANAGER_ROLE) {
         require(_merchantAddress != address(0), "Invalid merchant address");
         require(bytes(_name).length > 0, "Invalid merchant name");
         require(bytes(_category).length > 0, "Invalid category");
-        require(_rewardRate > 0 && _rewardRate <= 1000, "Invalid reward rate"); // Max 10%
+        require(_rewardRate > 0 && _rewardRate <= MAX_REWARD_RATE, "Invalid reward rate");
         require(!isMerchant[_merchantAddress], "Merchant already registered");
         
         merchants[_merchantAddress] = Merchant({
@@ -162,6 +341,7 @@ contract MerchantRegistry is Ownable {
         });
         
         isMerchant[_merchantAddress] = true;
+        merchantListIndex[_merchantAddress] = merchantList.length;
         merchantList.push(_merchantAddress);
         
         // FIXED: Don't automatically authorize - let owner do it manually
@@ -170,6 +350,107 @@ contract MerchantRegistry is Ownable {
         emit MerchantRegistered(_merchantAddress, _name, _category, _rewardRate);
     }
     
+    /**
+     * @dev Suspend a merchant - its purchases and redemptions are rejected until reactivated
+     */
+    function suspendMerchant(address _merchant) external onlyRole(MERCHANT_MANAGER_ROLE) {
+        require(isMerchant[_merchant], "Merchant not registered");
+        require(merchants[_merchant].isActive, "Merchant already suspended");
+        merchants[_merchant].isActive = false;
+        emit MerchantStatusUpdated(_merchant, false);
+    }
+    
+    /**
+     * @dev Reactivate a suspended merchant
+     */
+    function reactivateMerchant(address _merchant) external onlyRole(MERCHANT_MANAGER_ROLE) {
+        require(isMerchant[_merchant], "Merchant not registered");
+        require(!merchants[_merchant].isActive, "Merchant already active");
+        merchants[_merchant].isActive = true;
+        emit MerchantStatusUpdated(_merchant, true);
+    }
+    
+    /**
+     * @dev Change a merchant's reward rate (basis points, max 10%)
+     */
+    function updateRewardRate(address _merchant, uint256 _newRate) external onlyRole(RATE_SETTER_ROLE) {
+        require(isMerchant[_merchant], "Merchant not registered");
+        require(_newRate > 0 && _newRate <= MAX_REWARD_RATE, "Invalid reward rate");
+        merchants[_merchant].rewardRate = _newRate;
+        emit RewardRateUpdated(_merchant, _newRate);
+    }
+    
+    /**
+     * @dev Remove a merchant entirely (it may be registered again later)
+     */
+    function removeMerchant(address _merchant) external onlyRole(MERCHANT_MANAGER_ROLE) {
+        require(isMerchant[_merchant], "Merchant not registered");
+        
+        // Swap-and-pop to keep merchantList dense
+        uint256 index = merchantListIndex[_merchant];
+        address last = merchantList[merchantList.length - 1];
+        merchantList[index] = last;
+        merchantListIndex[last] = index;
+        merchantList.pop();
+        
+        delete merchantListIndex[_merchant];
+        delete merchants[_merchant];
+        delete merchantSigners[_merchant];
+        isMerchant[_merchant] = false;
+        
+        emit MerchantRemoved(_merchant);
+    }
+    
+    /**
+     * @dev Set the purchase validator allowed to report merchant activity
+     */
+    function setPurchaseValidator(address _purchaseValidator) external onlyGovernance {
+        require(_purchaseValidator != address(0), "Invalid purchase validator address");
+        purchaseValidator = _purchaseValidator;
+        emit PurchaseValidatorUpdated(_purchaseValidator);
+    }
+    
+    /**
+     * @dev Record a processed sale against a merchant's running totals
+     */
+    function recordSale(address _merchant, uint256 _saleAmount, uint256 _rewardsIssued) external {
+        require(_msgSender() == purchaseValidator, "Not purchase validator");
+        require(isMerchant[_merchant], "Merchant not registered");
+        merchants[_merchant].totalSales += _saleAmount;
+        merchants[_merchant].totalRewardsIssued += _rewardsIssued;
+    }
+    
+    /**
+     * @dev Take a refunded sale back out of a merchant's running totals
+     */
+    function recordRefund(address _merchant, uint256 _refundAmount, uint256 _rewardsReversed) external {
+        require(_msgSender() == purchaseValidator, "Not purchase validator");
+        require(isMerchant[_merchant], "Merchant not registered");
+        // Saturate - totals restart if a merchant is removed and registered again
+        Merchant storage merchant = merchants[_merchant];
+        merchant.totalSales -= _refundAmount < merchant.totalSales ? _refundAmount : merchant.totalSales;
+        merchant.totalRewardsIssued -= _rewardsReversed < merchant.totalRewardsIssued ? _rewardsReversed : merchant.totalRewardsIssued;
+    }
+    
+    /**
+     * @dev Rotate the key a merchant uses to sign purchase receipts
+     */
+    function setMerchantSigner(address _signer) external {
+        require(isMerchant[_msgSender()], "Merchant not registered");
+        require(_signer != address(0), "Invalid signer address");
+        address previousSigner = getMerchantSigner(_msgSender());
+        merchantSigners[_msgSender()] = _signer;
+        emit MerchantSignerUpdated(_msgSender(), previousSigner, _signer);
+    }
+    
+    /**
+     * @dev Get the key currently allowed to sign a merchant's receipts
+     */
+    function getMerchantSigner(address _merchant) public view returns (address) {
+        address signer = merchantSigners[_merchant];
+        return signer == address(0) ? _merchant : signer;
+    }
+    
     /**
      * @dev Get merchant information
      */
@@ -199,39 +480,316 @@ contract MerchantRegistry is Ownable {
     function getMerchantCount() external view returns (uint256) {
         return merchantList.length;
     }
+    
+    /**
+     * @dev Page through merchants, optionally filtered by category ("" = any) and active state
+     * @return page Matching merchant addresses (at most _limit)
+     * @return nextOffset Offset to pass for the next page (merchant count when exhausted)
+     */
+    function getMerchants(
+        uint256 _offset,
+        uint256 _limit,
+        string memory _category,
+        bool _activeOnly
+    ) external view returns (address[] memory page, uint256 nextOffset) {
+        require(_limit > 0, "Invalid page size");
+        bytes32 categoryHash = keccak256(bytes(_category));
+        bool anyCategory = bytes(_category).length == 0;
+        
+        address[] memory matches = new address[](_limit);
+        uint256 found = 0;
+        uint256 i = _offset;
+        for (; i < merchantList.length && found < _limit; i++) {
+            Merchant storage merchant = merchants[merchantList[i]];
+            if (_activeOnly && !merchant.isActive) continue;
+            if (!anyCategory && keccak256(bytes(merchant.category)) != categoryHash) continue;
+            matches[found++] = merchantList[i];
+        }
+        
+        // Trim the result to the number of matches
+        assembly {
+            mstore(matches, found)
+        }
+        return (matches, i);
+    }
+}
+
+/**
+ * @title Reward Vesting Hook
+ * @dev Implemented by RewardVesting - PurchaseValidator mints held rewards to it, then records the grant
+ */
+interface IRewardVesting {
+    function recordGrant(address customer, address merchant, string calldata transactionId, uint256 amount) external;
+    function reclaimGrant(string calldata transactionId, uint256 amount) external returns (uint256 reclaimed);
+}
+
+/**
+ * @title Reward Campaign Hook
+ * @dev Implemented by RewardCampaigns - pays the best merchant-funded campaign bonus for a purchase to the caller
+ */
+interface IRewardCampaigns {
+    function applyBestCampaign(
+        address merchant,
+        address customer,
+        uint256 baseRewards,
+        string calldata transactionId
+    ) external returns (uint256 campaignId, uint256 bonus);
+    function creditRefund(uint256 campaignId, uint256 amount) external;
+    function getBestCampaign(
+        address merchant,
+        address customer,
+        uint256 baseRewards
+    ) external view returns (uint256 campaignId, uint256 bonus);
+}
+
+/**
+ * @title Loyalty Tier Hook
+ * @dev Implemented by LoyaltyTiers - tracks rolling customer spend and returns the tier reward bonus
+ */
+interface ILoyaltyTiers {
+    function recordPurchase(address customer, uint256 amount) external returns (uint256 bonusBps);
+    function recordRefund(address customer, uint256 amount, uint256 purchasedAt) external;
+    function getBonusBps(address customer) external view returns (uint256);
+}
+
+/**
+ * @title Referral Hook
+ * @dev Implemented by ReferralProgram - pays referral bonuses on a referred customer's qualifying purchases
+ */
+interface IReferralProgram {
+    function recordPurchase(address customer, uint256 amount, string calldata transactionId) external;
+    function previewBonuses(
+        address customer,
+        uint256 amount
+    ) external view returns (address referrer, uint256 toReferrer, uint256 toReferee);
+}
+
+/**
+ * @title Reward Escrow Hook
+ * @dev Implemented by RewardEscrow - holds rewards for customers known only by a salted identifier hash
+ */
+interface IRewardEscrow {
+    function recordEscrow(bytes32 customerHash, address merchant, uint256 amount, string calldata transactionId) external;
+    function reclaimEscrow(
+        address merchant,
+        uint256 amount,
+        string calldata transactionId
+    ) external returns (uint256 reclaimed, uint256 debt);
+}
+
+/**
+ * @title Purchase Guard Hook
+ * @dev Implemented by PurchaseGuard - returns true to hold a purchase over a velocity limit for review
+ */
+interface IPurchaseGuard {
+    function screenPurchase(
+        address merchant,
+        address customer,
+        bytes32 customerHash,
+        uint256 amount,
+        uint256 rewards,
+        string calldata transactionId
+    ) external returns (bool held);
 }
 
 /**
  * @title Purchase Validator
  * @dev Validates purchases and distributes rewards to customers
  */
-contract PurchaseValidator is ReentrancyGuard, Ownable {
+contract PurchaseValidator is ReentrancyGuardUpgradeable, ShopAccessControl, EIP712Upgradeable {
+    struct PurchaseReceipt {
+        address merchant;
+        address customer;
+        uint256 amount;
+        string transactionId;
+        uint256 nonce;
+        uint256 expiry;
+    }
+    
+    // One purchase in a Merkle-committed batch (leaf = keccak256(keccak256(abi.encode(customer, amount, transactionId))))
+    struct BatchPurchase {
+        address customer;
+        uint256 amount;
+        string transactionId;
+    }
+    
+    enum PurchaseStatus { None, Completed, PartiallyRefunded, Refunded }
+    enum BatchItemOutcome { Failed, Processed, Held }
+    
+    struct PurchaseRecord {
+        address merchant;
+        address customer;
+        uint256 amount;
+        uint256 rewards;
+        uint256 bonusRewards;
+        uint256 refundedAmount;
+        uint256 rewardsReversed;
+        PurchaseStatus status;
+        uint256 campaignId; // Campaign that paid a bonus on this purchase (0 = none)
+        uint256 campaignRewards; // Campaign-funded portion of rewards
+        uint256 loyaltyRewards; // Loyalty tier bonus portion of rewards
+        uint256 purchasedAt;
+    }
+    
+    bytes32 public constant RECEIPT_TYPEHASH = keccak256(
+        "PurchaseReceipt(address merchant,address customer,uint256 amount,string transactionId,uint256 nonce,uint256 expiry)"
+    );
+    
     SHOPToken public shopToken;
     MerchantRegistry public merchantRegistry;
+    SHOPStaking public shopStaking; // Optional - boosts rewards by staking tier when set
+    IRewardVesting public rewardVesting; // Optional - holds rewards through the return window when set
+    IRewardCampaigns public rewardCampaigns; // Optional - adds merchant-funded campaign bonuses when set
+    ILoyaltyTiers public loyaltyTiers; // Optional - adds spend-based tier bonuses when set
+    IReferralProgram public referralProgram; // Optional - pays referral bonuses when set
     
     mapping(address => uint256) public customerTotalSpent;
     mapping(address => uint256) public customerTotalRewards;
+    mapping(address => uint256) public customerBonusRewards; // Staking bonus portion of customerTotalRewards
     mapping(string => bool) public processedTransactions;
+    mapping(address => bool) public merchantBonusOptOut; // Merchant declines to fund staking bonuses
+    mapping(address => mapping(uint256 => bool)) public usedReceiptNonces; // merchant => nonce => used
+    mapping(string => PurchaseRecord) public purchases; // transactionId => record
+    mapping(address => uint256) public customerRewardDebt; // Refunded rewards already spent, netted against future rewards
+    mapping(address => mapping(bytes32 => bool)) public receiptRoots; // merchant => committed Merkle root of a day's receipts
+    IRewardEscrow public rewardEscrow; // Optional - holds rewards for customers without a wallet when set
+    IPurchaseGuard public purchaseGuard; // Optional - holds purchases over velocity limits for review when set
     
     // Purchase limits for security
     uint256 public constant MAX_PURCHASE_AMOUNT = 100000 * 10**18; // €1000 max
     uint256 public constant MIN_PURCHASE_AMOUNT = 100 * 10**18; // €1 min
+    uint256 public constant MAX_BATCH_SIZE = 200;
+    // A starved item reverts the whole batch rather than being reported as failed, which keeps gas estimates honest
+    uint256 public constant MIN_BATCH_ITEM_GAS = 500000;
     
     event PurchaseProcessed(
         address indexed customer,
         address indexed merchant,
         uint256 amount,
         uint256 rewards,
+        uint256 baseRewards,
+        uint256 bonusRewards,
+        string transactionId
+    );
+    event StakingContractUpdated(address indexed stakingContract);
+    event RewardVestingUpdated(address indexed rewardVesting);
+    event RewardCampaignsUpdated(address indexed rewardCampaigns);
+    event LoyaltyTiersUpdated(address indexed loyaltyTiers);
+    event ReferralProgramUpdated(address indexed referralProgram);
+    event MerchantBonusOptOutUpdated(address indexed merchant, bool optedOut);
+    event SignedReceiptProcessed(address indexed merchant, address indexed submitter, uint256 nonce, string transactionId);
+    event ReceiptNonceCancelled(address indexed merchant, uint256 nonce);
+    event PurchaseRefunded(
+        address indexed customer,
+        address indexed merchant,
+        uint256 refundAmount,
+        uint256 rewardsReversed,
+        uint256 rewardsReclaimed,
+        uint256 debtRecorded,
+        bool fullyRefunded,
+        string transactionId
+    );
+    event RewardDebtRepaid(address indexed customer, uint256 amount, string transactionId);
+    event BatchItemResult(address indexed merchant, uint256 index, bool success, string reason, string transactionId);
+    event BatchItemHeld(address indexed merchant, uint256 index, string transactionId);
+    event BatchProcessed(address indexed merchant, uint256 processed, uint256 held, uint256 failed);
+    event ReceiptRootCommitted(address indexed merchant, bytes32 indexed root);
+    event ReceiptRootRevoked(address indexed merchant, bytes32 indexed root);
+    event RewardEscrowUpdated(address indexed rewardEscrow);
+    event PurchaseGuardUpdated(address indexed purchaseGuard);
+    event EscrowPurchaseProcessed(
+        bytes32 indexed customerHash,
+        address indexed merchant,
+        uint256 amount,
+        uint256 rewards,
         string transactionId
     );
     
-    constructor(address _shopToken, address _merchantRegistry) {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy with its EIP-712 receipt domain - the caller becomes owner
+     */
+    function initialize(address _shopToken, address _merchantRegistry) external initializer {
         require(_shopToken != address(0), "Invalid SHOP token address");
         require(_merchantRegistry != address(0), "Invalid merchant registry address");
+        __ReentrancyGuard_init();
+        __ShopAccessControl_init();
+        __EIP712_init("PurchaseValidator", "1");
         shopToken = SHOPToken(_shopToken);
         merchantRegistry = MerchantRegistry(_merchantRegistry);
     }
     
+    // Hooks below steer what gets minted and what is screened, so they follow the governor once one is set
+    
+    /**
+     * @dev Set the staking contract used for reward multipliers (zero address disables boosts)
+     */
+    function setStakingContract(address _shopStaking) external onlyGovernance {
+        shopStaking = SHOPStaking(_shopStaking);
+        emit StakingContractUpdated(_shopStaking);
+    }
+    
+    /**
+     * @dev Set the vesting contract that holds new rewards (zero address mints them liquid)
+     */
+    function setRewardVesting(address _rewardVesting) external onlyGovernance {
+        rewardVesting = IRewardVesting(_rewardVesting);
+        emit RewardVestingUpdated(_rewardVesting);
+    }
+    
+    /**
+     * @dev Set the campaigns contract that pays promotion bonuses (zero address disables campaigns)
+     */
+    function setRewardCampaigns(address _rewardCampaigns) external onlyGovernance {
+        rewardCampaigns = IRewardCampaigns(_rewardCampaigns);
+        emit RewardCampaignsUpdated(_rewardCampaigns);
+    }
+    
+    /**
+     * @dev Set the loyalty tier contract that tracks spend (zero address disables tier bonuses)
+     */
+    function setLoyaltyTiers(address _loyaltyTiers) external onlyGovernance {
+        loyaltyTiers = ILoyaltyTiers(_loyaltyTiers);
+        emit LoyaltyTiersUpdated(_loyaltyTiers);
+    }
+    
+    /**
+     * @dev Set the referral program told about purchases (zero address disables referral bonuses)
+     */
+    function setReferralProgram(address _referralProgram) external onlyGovernance {
+        referralProgram = IReferralProgram(_referralProgram);
+        emit ReferralProgramUpdated(_referralProgram);
+    }
+    
+    /**
+     * @dev Set the escrow that holds rewards for customers without a wallet (zero address disables escrow purchases)
+     */
+    function setRewardEscrow(address _rewardEscrow) external onlyGovernance {
+        rewardEscrow = IRewardEscrow(_rewardEscrow);
+        emit RewardEscrowUpdated(_rewardEscrow);
+    }
+    
+    /**
+     * @dev Set the guard that screens purchases against velocity limits (zero address disables screening)
+     */
+    function setPurchaseGuard(address _purchaseGuard) external onlyGovernance {
+        purchaseGuard = IPurchaseGuard(_purchaseGuard);
+        emit PurchaseGuardUpdated(_purchaseGuard);
+    }
+    
+    /**
+     * @dev Let a merchant opt out of funding staking bonuses on its purchases
+     */
+    function setBonusOptOut(bool _optOut) external {
+        _requireMerchant(_msgSender());
+        merchantBonusOptOut[_msgSender()] = _optOut;
+        emit MerchantBonusOptOutUpdated(_msgSender(), _optOut);
+    }
+    
     /**
      * @dev Process a purchase and distribute rewards
      */
@@ -240,67 +798,611 @@ contract PurchaseValidator is ReentrancyGuard, Ownable {
         uint256 _amount,
         string memory _transactionId
     ) external nonReentrant {
-        require(_customer != address(0), "Invalid customer address");
-        require(_amount >= MIN_PURCHASE_AMOUNT, "Purchase amount too low");
-        require(_amount <= MAX_PURCHASE_AMOUNT, "Purchase amount too high");
-        require(bytes(_transactionId).length > 0, "Invalid transaction ID");
-        require(!processedTransactions[_transactionId], "Transaction already processed");
+        _processPurchase(_msgSender(), _customer, _amount, _transactionId);
+    }
+    
+    /**
+     * @dev Process a purchase by a customer without a wallet - base rewards go into escrow under the
+     * salted hash of their loyalty card or email (staking, tier, campaign and referral bonuses need a wallet)
+     */
+    function processEscrowPurchase(
+        bytes32 _customerHash,
+        uint256 _amount,
+        string calldata _transactionId
+    ) external nonReentrant {
+        _processEscrowPurchase(_msgSender(), _customerHash, _amount, _transactionId);
+    }
+    
+    /**
+     * @dev Process a purchase from an EIP-712 receipt signed by the merchant (anyone may submit)
+     */
+    function processSignedPurchase(
+        PurchaseReceipt calldata _receipt,
+        bytes calldata _signature
+    ) external nonReentrant {
+        require(block.timestamp <= _receipt.expiry, "Receipt expired");
+        require(!usedReceiptNonces[_receipt.merchant][_receipt.nonce], "Receipt nonce already used");
         
-        // Verify caller is registered merchant
-        (, , uint256 rewardRate, bool isActive, ,) = 
-            merchantRegistry.getMerchantInfo(msg.sender);
-        require(isActive, "Merchant not active");
+        address signer = ECDSA.recover(_hashTypedDataV4(hashReceipt(_receipt)), _signature);
+        require(signer == merchantRegistry.getMerchantSigner(_receipt.merchant), "Invalid receipt signature");
         
-        // Calculate rewards: amount * rewardRate / 10000
-        uint256 rewardsToEarn = (_amount * rewardRate) / 10000;
-        require(rewardsToEarn > 0, "No rewards to earn");
+        usedReceiptNonces[_receipt.merchant][_receipt.nonce] = true;
+        _processPurchase(_receipt.merchant, _receipt.customer, _receipt.amount, _receipt.transactionId);
         
-        // Update tracking
-        customerTotalSpent[_customer] += _amount;
-        customerTotalRewards[_customer] += rewardsToEarn;
-        processedTransactions[_transactionId] = true;
+        emit SignedReceiptProcessed(_receipt.merchant, _msgSender(), _receipt.nonce, _receipt.transactionId);
+    }
+    
+    /**
+     * @dev Process a day's purchases in one call - failed or duplicate items are reported, not reverted
+     * Items the purchase guard holds for review are reported apart and not counted as processed
+     */
+    function processPurchaseBatch(
+        address[] calldata _customers,
+        uint256[] calldata _amounts,
+        string[] calldata _transactionIds
+    ) external nonReentrant returns (uint256 processed) {
+        require(_amounts.length == _transactionIds.length, "Batch length mismatch");
+        _checkBatchSize(_customers.length, _amounts.length);
         
-        // Mint rewards to customer
-        shopToken.mintRewards(_customer, rewardsToEarn, _amount);
+        uint256 held;
+        for (uint256 i = 0; i < _customers.length; i++) {
+            BatchItemOutcome outcome = _tryBatchItem(_msgSender(), i, _customers[i], _amounts[i], _transactionIds[i]);
+            if (outcome == BatchItemOutcome.Processed) {
+                processed++;
+            } else if (outcome == BatchItemOutcome.Held) {
+                held++;
+            }
+        }
         
-        emit PurchaseProcessed(_customer, msg.sender, _amount, rewardsToEarn, _transactionId);
+        emit BatchProcessed(_msgSender(), processed, held, _customers.length - processed - held);
     }
     
     /**
-     * @dev Get customer statistics
+     * @dev Commit the Merkle root of a day's receipts so anyone can submit them with proofs
      */
-    function getCustomerStats(address _customer) external view returns (
-        uint256 totalSpent,
-        uint256 totalRewards,
-        uint256 shopBalance
-    ) {
-        return (
-            customerTotalSpent[_customer],
-            customerTotalRewards[_customer],
-            shopToken.balanceOf(_customer)
-        );
+    function commitReceiptRoot(bytes32 _root) external {
+        _requireMerchant(_msgSender());
+        require(_root != bytes32(0), "Invalid receipt root");
+        receiptRoots[_msgSender()][_root] = true;
+        emit ReceiptRootCommitted(_msgSender(), _root);
     }
-}
-
-/**
- * @title SHOP Staking Pool
- * @dev Allows users to stake SHOP tokens for earning multipliers and bonuses
- */
-contract SHOPStaking is ReentrancyGuard, Ownable, Pausable {
+    
+    /**
+     * @dev Revoke a committed receipt root - receipts not yet submitted can no longer be processed
+     */
+    function revokeReceiptRoot(bytes32 _root) external {
+        require(receiptRoots[_msgSender()][_root], "Unknown receipt root");
+        receiptRoots[_msgSender()][_root] = false;
+        emit ReceiptRootRevoked(_msgSender(), _root);
+    }
+    
+    /**
+     * @dev Process receipts proven against a merchant's committed root (anyone may submit)
+     * Items are reported as in processPurchaseBatch, held ones apart from processed ones
+     */
+    function processReceiptBatch(
+        address _merchant,
+        bytes32 _root,
+        BatchPurchase[] calldata _purchases,
+        bytes32[][] calldata _proofs
+    ) external nonReentrant returns (uint256 processed) {
+        require(receiptRoots[_merchant][_root], "Unknown receipt root");
+        _checkBatchSize(_purchases.length, _proofs.length);
+        
+        uint256 held;
+        for (uint256 i = 0; i < _purchases.length; i++) {
+            BatchPurchase calldata purchase = _purchases[i];
+            bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(
+                purchase.customer,
+                purchase.amount,
+                purchase.transactionId
+            ))));
+            if (!MerkleProof.verifyCalldata(_proofs[i], _root, leaf)) {
+                emit BatchItemResult(_merchant, i, false, "Invalid receipt proof", purchase.transactionId);
+                continue;
+            }
+            BatchItemOutcome outcome = _tryBatchItem(_merchant, i, purchase.customer, purchase.amount, purchase.transactionId);
+            if (outcome == BatchItemOutcome.Processed) {
+                processed++;
+            } else if (outcome == BatchItemOutcome.Held) {
+                held++;
+            }
+        }
+        
+        emit BatchProcessed(_merchant, processed, held, _purchases.length - processed - held);
+    }
+    
+    /**
+     * @dev One batch item, called by this contract so a failure only reverts that item - true if it was held for review
+     */
+    function processBatchItem(
+        address _merchant,
+        address _customer,
+        uint256 _amount,
+        string calldata _transactionId
+    ) external returns (bool held) {
+        require(_msgSender() == address(this), "Only batch processing");
+        return _processPurchase(_merchant, _customer, _amount, _transactionId);
+    }
+    
+    /**
+     * @dev Process a held purchase a reviewer released (purchase guard only) - it is not screened again
+     * A held escrow purchase carries its customer hash instead of a customer address
+     */
+    function processHeldPurchase(
+        address _merchant,
+        address _customer,
+        bytes32 _customerHash,
+        uint256 _amount,
+        string calldata _transactionId
+    ) external nonReentrant {
+        require(_msgSender() == address(purchaseGuard), "Not purchase guard");
+        processedTransactions[_transactionId] = false;
+        if (_customerHash != bytes32(0)) {
+            _processEscrowPurchase(_merchant, _customerHash, _amount, _transactionId);
+        } else {
+            _processPurchase(_merchant, _customer, _amount, _transactionId);
+        }
+    }
+    
+    /**
+     * @dev Refund all or part of a purchase, reversing the proportional rewards (merchant or merchant manager)
+     * Rewards come back from vesting first, then the customer's wallet; any shortfall becomes reward debt
+     */
+    function refundPurchase(string memory _transactionId, uint256 _refundAmount) external nonReentrant {
+        PurchaseRecord storage record = purchases[_transactionId];
+        require(
+            record.status == PurchaseStatus.Completed || record.status == PurchaseStatus.PartiallyRefunded,
+            "Purchase not refundable"
+        );
+        require(
+            _msgSender() == record.merchant || hasRole(MERCHANT_MANAGER_ROLE, _msgSender()),
+            "Not purchase merchant"
+        );
+        require(_refundAmount > 0 && _refundAmount <= record.amount - record.refundedAmount, "Invalid refund amount");
+        
+        // Work from cumulative totals so a series of partial refunds reverses exactly the full rewards
+        uint256 refunded = record.refundedAmount + _refundAmount;
+        uint256 rewardsToReverse = (record.rewards * refunded) / record.amount - record.rewardsReversed;
+        uint256 bonusToReverse = (record.bonusRewards * refunded) / record.amount
+            - (record.bonusRewards * record.refundedAmount) / record.amount;
+        
+        record.refundedAmount = refunded;
+        record.rewardsReversed += rewardsToReverse;
+        record.status = refunded == record.amount ? PurchaseStatus.Refunded : PurchaseStatus.PartiallyRefunded;
+        
+        customerTotalSpent[record.customer] -= _refundAmount;
+        customerTotalRewards[record.customer] -= rewardsToReverse;
+        customerBonusRewards[record.customer] -= bonusToReverse;
+        if (merchantRegistry.isMerchant(record.merchant)) {
+            merchantRegistry.recordRefund(record.merchant, _refundAmount, rewardsToReverse);
+        }
+        if (address(loyaltyTiers) != address(0)) {
+            loyaltyTiers.recordRefund(record.customer, _refundAmount, record.purchasedAt);
+        }
+        
+        (uint256 reclaimed, uint256 debt) = _reclaimRewards(record, _transactionId, rewardsToReverse);
+        
+        emit PurchaseRefunded(
+            record.customer,
+            record.merchant,
+            _refundAmount,
+            rewardsToReverse,
+            reclaimed,
+            debt,
+            record.status == PurchaseStatus.Refunded,
+            _transactionId
+        );
+    }
+    
+    /**
+     * @dev Cancel an unused receipt nonce, voiding any receipt signed with it
+     */
+    function cancelReceiptNonce(uint256 _nonce) external {
+        require(!usedReceiptNonces[_msgSender()][_nonce], "Receipt nonce already used");
+        usedReceiptNonces[_msgSender()][_nonce] = true;
+        emit ReceiptNonceCancelled(_msgSender(), _nonce);
+    }
+    
+    /**
+     * @dev EIP-712 struct hash of a purchase receipt
+     */
+    function hashReceipt(PurchaseReceipt calldata _receipt) public pure returns (bytes32) {
+        return keccak256(abi.encode(
+            RECEIPT_TYPEHASH,
+            _receipt.merchant,
+            _receipt.customer,
+            _receipt.amount,
+            keccak256(bytes(_receipt.transactionId)),
+            _receipt.nonce,
+            _receipt.expiry
+        ));
+    }
+    
+    /**
+     * @dev EIP-712 domain separator for this deployment
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+    
+    /**
+     * @dev Validate a purchase for a merchant and mint its rewards - true if the purchase guard held it instead
+     */
+    function _processPurchase(
+        address _merchant,
+        address _customer,
+        uint256 _amount,
+        string memory _transactionId
+    ) internal returns (bool held) {
+        require(_customer != address(0), "Invalid customer address");
+        uint256 baseRewards = _checkPurchase(_merchant, _amount, _transactionId);
+        uint256 bonusRewards = _calculateStakingBonus(_merchant, _customer, baseRewards);
+        uint256 screenedRewards = baseRewards + bonusRewards + _previewHookBonuses(_merchant, _customer, _amount, baseRewards);
+        if (_holdForReview(_merchant, _customer, bytes32(0), _amount, screenedRewards, _transactionId)) {
+            return true;
+        }
+        uint256 loyaltyRewards = _calculateLoyaltyBonus(_customer, _amount, baseRewards, baseRewards + bonusRewards);
+        
+        // Best campaign bonus arrives as SHOP from the campaign budget, on top of the minted rewards
+        uint256 campaignId;
+        uint256 campaignRewards;
+        if (address(rewardCampaigns) != address(0)) {
+            (campaignId, campaignRewards) = rewardCampaigns.applyBestCampaign(_merchant, _customer, baseRewards, _transactionId);
+        }
+        uint256 rewardsToEarn = baseRewards + bonusRewards + loyaltyRewards + campaignRewards;
+        
+        _recordPurchase(PurchaseRecord({
+            merchant: _merchant,
+            customer: _customer,
+            amount: _amount,
+            rewards: rewardsToEarn,
+            bonusRewards: bonusRewards,
+            refundedAmount: 0,
+            rewardsReversed: 0,
+            status: PurchaseStatus.Completed,
+            campaignId: campaignId,
+            campaignRewards: campaignRewards,
+            loyaltyRewards: loyaltyRewards,
+            purchasedAt: block.timestamp
+        }), _transactionId);
+        
+        _issueRewards(_merchant, _customer, _amount, rewardsToEarn - campaignRewards, campaignRewards, _transactionId);
+        if (address(referralProgram) != address(0)) {
+            referralProgram.recordPurchase(_customer, _amount, _transactionId);
+        }
+        
+        emit PurchaseProcessed(_customer, _merchant, _amount, rewardsToEarn, baseRewards, bonusRewards, _transactionId);
+    }
+    
+    /**
+     * @dev Escrow a purchase's base rewards under a customer hash, recording it under the escrow's address
+     * so it can be refunded like any other purchase
+     */
+    function _processEscrowPurchase(
+        address _merchant,
+        bytes32 _customerHash,
+        uint256 _amount,
+        string calldata _transactionId
+    ) internal {
+        address escrow = address(rewardEscrow);
+        require(escrow != address(0), "Reward escrow not set");
+        require(_customerHash != bytes32(0), "Invalid customer hash");
+        uint256 rewards = _checkPurchase(_merchant, _amount, _transactionId);
+        if (_holdForReview(_merchant, address(0), _customerHash, _amount, rewards, _transactionId)) {
+            return;
+        }
+        
+        _recordPurchase(PurchaseRecord({
+            merchant: _merchant,
+            customer: escrow,
+            amount: _amount,
+            rewards: rewards,
+            bonusRewards: 0,
+            refundedAmount: 0,
+            rewardsReversed: 0,
+            status: PurchaseStatus.Completed,
+            campaignId: 0,
+            campaignRewards: 0,
+            loyaltyRewards: 0,
+            purchasedAt: block.timestamp
+        }), _transactionId);
+        shopToken.mintRewardsFor(_merchant, escrow, rewards, _amount);
+        rewardEscrow.recordEscrow(_customerHash, _merchant, rewards, _transactionId);
+        
+        emit EscrowPurchaseProcessed(_customerHash, _merchant, _amount, rewards, _transactionId);
+    }
+    
+    /**
+     * @dev Mark a purchase processed, store its record for refunds and add it to the customer and merchant totals
+     */
+    function _recordPurchase(PurchaseRecord memory _record, string memory _transactionId) internal {
+        customerTotalSpent[_record.customer] += _record.amount;
+        customerTotalRewards[_record.customer] += _record.rewards;
+        customerBonusRewards[_record.customer] += _record.bonusRewards;
+        processedTransactions[_transactionId] = true;
+        purchases[_transactionId] = _record;
+        merchantRegistry.recordSale(_record.merchant, _record.amount, _record.rewards);
+    }
+    
+    /**
+     * @dev Screen a purchase with the purchase guard, if set - true if it was held for review
+     * Held purchases keep their transaction ID reserved, so a rejected one cannot be resubmitted
+     */
+    function _holdForReview(
+        address _merchant,
+        address _customer,
+        bytes32 _customerHash,
+        uint256 _amount,
+        uint256 _rewards,
+        string memory _transactionId
+    ) internal returns (bool) {
+        if (address(purchaseGuard) == address(0)
+            || _msgSender() == address(purchaseGuard)
+            || !purchaseGuard.screenPurchase(_merchant, _customer, _customerHash, _amount, _rewards, _transactionId)) {
+            return false;
+        }
+        processedTransactions[_transactionId] = true;
+        return true;
+    }
+    
+    /**
+     * @dev Revert unless an address is a registered merchant
+     */
+    function _requireMerchant(address _merchant) internal view {
+        require(merchantRegistry.isMerchant(_merchant), "Merchant not registered");
+    }
+    
+    /**
+     * @dev Check a purchase against the limits and the merchant's status, and return its base rewards
+     */
+    function _checkPurchase(
+        address _merchant,
+        uint256 _amount,
+        string memory _transactionId
+    ) internal view returns (uint256 baseRewards) {
+        require(_amount >= MIN_PURCHASE_AMOUNT, "Purchase amount too low");
+        require(_amount <= MAX_PURCHASE_AMOUNT, "Purchase amount too high");
+        require(bytes(_transactionId).length > 0, "Invalid transaction ID");
+        require(!processedTransactions[_transactionId], "Transaction already processed");
+        
+        // Verify merchant is registered and active
+        (, , uint256 rewardRate, bool isActive, ,) = 
+            merchantRegistry.getMerchantInfo(_merchant);
+        require(isActive, "Merchant not active");
+        
+        // Calculate rewards: amount * rewardRate / 10000
+        baseRewards = (_amount * rewardRate) / 10000;
+        require(baseRewards > 0, "No rewards to earn");
+    }
+    
+    /**
+     * @dev Check a batch's parallel arrays match in length and the batch is within MAX_BATCH_SIZE
+     */
+    function _checkBatchSize(uint256 _length, uint256 _otherLength) internal pure {
+        require(_length == _otherLength, "Batch length mismatch");
+        require(_length > 0 && _length <= MAX_BATCH_SIZE, "Invalid batch size");
+    }
+    
+    /**
+     * @dev Process one batch item, reporting the outcome instead of reverting
+     */
+    function _tryBatchItem(
+        address _merchant,
+        uint256 _index,
+        address _customer,
+        uint256 _amount,
+        string calldata _transactionId
+    ) internal returns (BatchItemOutcome) {
+        if (processedTransactions[_transactionId]) {
+            emit BatchItemResult(_merchant, _index, false, "Transaction already processed", _transactionId);
+            return BatchItemOutcome.Failed;
+        }
+        require(gasleft() >= MIN_BATCH_ITEM_GAS, "Insufficient gas for batch item");
+        
+        try this.processBatchItem(_merchant, _customer, _amount, _transactionId) returns (bool held) {
+            if (held) {
+                emit BatchItemHeld(_merchant, _index, _transactionId);
+                return BatchItemOutcome.Held;
+            }
+            emit BatchItemResult(_merchant, _index, true, "", _transactionId);
+            return BatchItemOutcome.Processed;
+        } catch Error(string memory reason) {
+            emit BatchItemResult(_merchant, _index, false, reason, _transactionId);
+        } catch {
+            emit BatchItemResult(_merchant, _index, false, "Purchase failed", _transactionId);
+        }
+        return BatchItemOutcome.Failed;
+    }
+    
+    /**
+     * @dev Net outstanding reward debt, then mint the rest against the merchant's quota and pass on the
+     * campaign bonus - straight to the customer, or into vesting
+     */
+    function _issueRewards(
+        address _merchant,
+        address _customer,
+        uint256 _amount,
+        uint256 _rewards,
+        uint256 _campaignRewards,
+        string memory _transactionId
+    ) internal {
+        uint256 debt = customerRewardDebt[_customer];
+        if (debt > 0) {
+            uint256 repaid = debt < _rewards + _campaignRewards ? debt : _rewards + _campaignRewards;
+            customerRewardDebt[_customer] = debt - repaid;
+            // Repay by minting less first; campaign SHOP covering the rest of the debt is burned
+            uint256 unminted = repaid < _rewards ? repaid : _rewards;
+            _rewards -= unminted;
+            if (repaid > unminted) {
+                _campaignRewards -= repaid - unminted;
+                shopToken.burn(repaid - unminted);
+            }
+            emit RewardDebtRepaid(_customer, repaid, _transactionId);
+        }
+        if (_rewards + _campaignRewards == 0) {
+            return;
+        }
+        
+        address recipient = address(rewardVesting) == address(0) ? _customer : address(rewardVesting);
+        if (_rewards > 0) {
+            shopToken.mintRewardsFor(_merchant, recipient, _rewards, _amount);
+        }
+        if (_campaignRewards > 0) {
+            require(shopToken.transfer(recipient, _campaignRewards), "SHOP transfer failed");
+        }
+        if (recipient != _customer) {
+            rewardVesting.recordGrant(_customer, _merchant, _transactionId, _rewards + _campaignRewards);
+        }
+    }
+    
+    /**
+     * @dev Take back refunded rewards - from an unvested grant first, then the customer's wallet, recording
+     * any shortfall as reward debt; escrow purchases take them from the escrow, which keeps its shortfall as
+     * debt on the customer hash instead. Reclaimed SHOP comes back here (the validator holds none between calls): the campaign-funded share
+     * returns to the budget of the campaign that paid it, the rest is burned
+     */
+    function _reclaimRewards(
+        PurchaseRecord storage _record,
+        string memory _transactionId,
+        uint256 _rewards
+    ) internal returns (uint256 reclaimed, uint256 debt) {
+        if (_rewards == 0) {
+            return (0, 0);
+        }
+        if (_record.customer == address(rewardEscrow)) {
+            (reclaimed, debt) = rewardEscrow.reclaimEscrow(_record.merchant, _rewards, _transactionId);
+        } else {
+            if (address(rewardVesting) != address(0)) {
+                reclaimed = rewardVesting.reclaimGrant(_transactionId, _rewards);
+            }
+            if (reclaimed < _rewards) {
+                reclaimed += shopToken.reclaimRewards(_record.merchant, _record.customer, _rewards - reclaimed);
+            }
+            debt = _rewards - reclaimed;
+            customerRewardDebt[_record.customer] += debt;
+        }
+        
+        uint256 returned = shopToken.balanceOf(address(this));
+        uint256 credit = (_rewards * _record.campaignRewards) / _record.rewards;
+        if (credit > returned) {
+            credit = returned;
+        }
+        if (credit > 0 && address(rewardCampaigns) != address(0)) {
+            require(shopToken.transfer(address(rewardCampaigns), credit), "SHOP transfer failed");
+            rewardCampaigns.creditRefund(_record.campaignId, credit);
+            returned -= credit;
+        }
+        if (returned > 0) {
+            shopToken.burn(returned);
+        }
+    }
+    
+    /**
+     * @dev Staking bonus on top of base rewards, capped so the total fits in one mint
+     */
+    function _calculateStakingBonus(
+        address _merchant,
+        address _customer,
+        uint256 _baseRewards
+    ) internal view returns (uint256) {
+        if (address(shopStaking) == address(0) || merchantBonusOptOut[_merchant]) {
+            return 0;
+        }
+        
+        return _capToMint(_baseRewards, shopStaking.applyMultiplier(_customer, _baseRewards) - _baseRewards);
+    }
+    
+    /**
+     * @dev Loyalty tier bonus on base rewards (recording the spend), capped so all minted rewards fit in one mint
+     */
+    function _calculateLoyaltyBonus(
+        address _customer,
+        uint256 _amount,
+        uint256 _baseRewards,
+        uint256 _minted
+    ) internal returns (uint256 bonus) {
+        if (address(loyaltyTiers) == address(0)) {
+            return 0;
+        }
+        
+        bonus = _capToMint(_minted, (_baseRewards * loyaltyTiers.recordPurchase(_customer, _amount)) / 10000);
+    }
+    
+    /**
+     * @dev Loyalty, campaign and referral bonuses a purchase would pay out, read before the hooks record it
+     * so screening covers everything the purchase brings in and not just its base rewards
+     */
+    function _previewHookBonuses(
+        address _merchant,
+        address _customer,
+        uint256 _amount,
+        uint256 _baseRewards
+    ) internal view returns (uint256 bonus) {
+        if (address(loyaltyTiers) != address(0)) {
+            bonus = (_baseRewards * loyaltyTiers.getBonusBps(_customer)) / 10000;
+        }
+        if (address(rewardCampaigns) != address(0)) {
+            (, uint256 campaignBonus) = rewardCampaigns.getBestCampaign(_merchant, _customer, _baseRewards);
+            bonus += campaignBonus;
+        }
+        if (address(referralProgram) != address(0)) {
+            (, uint256 toReferrer, uint256 toReferee) = referralProgram.previewBonuses(_customer, _amount);
+            bonus += toReferrer + toReferee;
+        }
+    }
+    
+    /**
+     * @dev Cut a bonus down so it fits in one mint alongside rewards already being minted
+     */
+    function _capToMint(uint256 _minted, uint256 _bonus) internal view returns (uint256) {
+        uint256 maxMint = shopToken.MAX_MINT_PER_TX();
+        if (_minted + _bonus > maxMint) {
+            return maxMint > _minted ? maxMint - _minted : 0;
+        }
+        return _bonus;
+    }
+    
+    /**
+     * @dev Get customer statistics
+     */
+    function getCustomerStats(address _customer) external view returns (
+        uint256 totalSpent,
+        uint256 totalRewards,
+        uint256 shopBalance
+    ) {
+        return (
+            customerTotalSpent[_customer],
+            customerTotalRewards[_customer],
+            shopToken.balanceOf(_customer)
+        );
+    }
+}
+
+/**
+ * @title SHOP Staking Pool
+ * @dev Allows users to stake SHOP tokens for earning multipliers and bonuses
+ * Staking rewards come from a treasury-funded pool, streamed per token staked (Synthetix-style)
+ */
+contract SHOPStaking is ReentrancyGuardUpgradeable, ShopAccessControl, PausableUpgradeable {
     SHOPToken public shopToken;
     
-    struct StakeInfo {
+    // Each deposit is its own position, locked for the tier the total stake reached when it was made
+    struct Position {
         uint256 amount;
-        uint256 stakingTime;
-        uint256 lastRewardClaim;
-        uint256 stakingTier; // 1, 2, or 3
-        uint256 multiplier; // 110, 150, 200 (representing 1.1x, 1.5x, 2.0x)
+        uint256 tier;
+        uint256 stakedAt;
+        uint256 unlockAt;
     }
     
-    mapping(address => StakeInfo) public stakes;
+    mapping(address => mapping(uint256 => Position)) public positions; // user => position ID => position
+    mapping(address => uint256) public nextPositionId;
+    mapping(address => uint256[]) private openPositionIds;
+    mapping(address => uint256) public stakedBalance; // Sum of open positions
     mapping(address => bool) public isStaker;
     
     uint256 public totalStaked;
+    uint256 public constant MAX_OPEN_POSITIONS = 20; // Bounds per-user loops
     
     // Staking tiers and multipliers
     uint256 public constant TIER_1_MIN = 1000 * 10**18; // 1k SHOP (€10)
@@ -315,84 +1417,173 @@ contract SHOPStaking is ReentrancyGuard, Ownable, Pausable {
     uint256 public constant TIER_2_LOCK = 30 days;
     uint256 public constant TIER_3_LOCK = 90 days;
     
-    // Bonus rewards for staking (5% APY in SHOP tokens)
-    uint256 public stakingRewardRate = 500; // 5% APY
-    uint256 public constant SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+    // Funded reward pool - the treasury deposits SHOP, which streams to stakers until periodFinish
+    uint256 public rewardRate; // SHOP per second across all stakers
+    uint256 public rewardsDuration; // Length of each funded emission period (90 days)
+    uint256 public periodFinish;
+    uint256 public lastUpdateTime;
+    uint256 public rewardPerTokenStored;
+    uint256 public rewardReserve; // Funded SHOP not yet paid out, kept apart from staked SHOP
+    uint256 public undistributedRewards; // Emitted while nothing was staked, rolled into the next funding
+    uint256 public lowPoolWarningPeriod; // Report the pool as running dry this close to periodFinish (7 days)
+    bool public lowPoolWarned;
     
-    address[] public stakers;
+    mapping(address => uint256) public userRewardPerTokenPaid;
+    mapping(address => uint256) public rewards; // Earned, unclaimed
+    
+    // Early unstake burns a share of the withdrawn amount
+    uint256 public earlyUnstakePenalty; // 10% in basis points
+    uint256 public constant MAX_EARLY_UNSTAKE_PENALTY = 5000; // Max 50%
+    
+    address[] public stakers; // Current stakers only
+    mapping(address => uint256) private stakerIndex; // Position in stakers, for O(1) removal
     
     event Staked(address indexed user, uint256 amount, uint256 tier, uint256 multiplier);
     event Unstaked(address indexed user, uint256 amount);
+    event PositionOpened(address indexed user, uint256 indexed positionId, uint256 amount, uint256 tier, uint256 unlockAt);
+    event PositionReduced(address indexed user, uint256 indexed positionId, uint256 amount, uint256 remaining);
+    event EarlyUnstaked(address indexed user, uint256 indexed positionId, uint256 amount, uint256 penalty);
+    event TierChanged(address indexed user, uint256 previousTier, uint256 newTier);
     event StakingRewardsClaimed(address indexed user, uint256 rewards);
+    event RewardPoolFunded(address indexed funder, uint256 amount, uint256 rewardRate, uint256 periodFinish);
+    event RewardPoolRunningDry(uint256 periodFinish, uint256 remainingEmission);
+    event RewardsDurationUpdated(uint256 rewardsDuration);
+    event LowPoolWarningPeriodUpdated(uint256 warningPeriod);
+    event EarlyUnstakePenaltyUpdated(uint256 penalty);
+    
+    modifier updateReward(address _user) {
+        _updateReward(_user);
+        _;
+    }
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
     
-    constructor(address _shopToken) {
+    /**
+     * @dev Set up the proxy with the default emission period and unstake penalty - the caller becomes owner
+     */
+    function initialize(address _shopToken) external initializer {
         require(_shopToken != address(0), "Invalid SHOP token address");
+        __ReentrancyGuard_init();
+        __ShopAccessControl_init();
+        __Pausable_init();
         shopToken = SHOPToken(_shopToken);
+        rewardsDuration = 90 days;
+        lowPoolWarningPeriod = 7 days;
+        earlyUnstakePenalty = 1000;
     }
     
     /**
-     * @dev Stake SHOP tokens for earning multipliers
+     * @dev Stake SHOP tokens as a new position - the tier comes from the combined stake
      */
-    function stake(uint256 _amount) external nonReentrant whenNotPaused {
+    function stake(uint256 _amount) external nonReentrant whenNotPaused returns (uint256) {
+        return _stake(_msgSender(), _amount);
+    }
+    
+    /**
+     * @dev Stake with an EIP-2612 permit in place of a prior approve - one transaction instead of two
+     */
+    function stakeWithPermit(
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant whenNotPaused returns (uint256) {
+        // A permit front-run by someone else has already set the allowance, so a failed permit is not fatal
+        try shopToken.permit(_msgSender(), address(this), _amount, _deadline, _v, _r, _s) {} catch {}
+        return _stake(_msgSender(), _amount);
+    }
+    
+    function _stake(address _staker, uint256 _amount) private updateReward(_staker) returns (uint256 positionId) {
         require(_amount > 0, "Amount must be positive");
-        require(_amount >= TIER_1_MIN, "Below minimum stake amount");
-        require(shopToken.balanceOf(msg.sender) >= _amount, "Insufficient balance");
+        require(stakedBalance[_staker] + _amount >= TIER_1_MIN, "Below minimum stake amount");
+        require(openPositionIds[_staker].length < MAX_OPEN_POSITIONS, "Too many open positions");
+        require(shopToken.balanceOf(_staker) >= _amount, "Insufficient balance");
         
         // Transfer tokens to contract
-        require(shopToken.transferFrom(msg.sender, address(this), _amount), "Transfer failed");
-        
-        // Determine staking tier and multiplier
-        (uint256 tier, uint256 multiplier,) = _getStakingTier(_amount);
+        require(shopToken.transferFrom(_staker, address(this), _amount), "Transfer failed");
         
-        // If user already has stake, claim rewards first
-        if (stakes[msg.sender].amount > 0) {
-            _claimStakingRewards(msg.sender);
-        } else {
-            stakers.push(msg.sender);
-            isStaker[msg.sender] = true;
+        if (stakedBalance[_staker] == 0) {
+            _addStaker(_staker);
         }
         
-        // Update stake info
-        stakes[msg.sender] = StakeInfo({
-            amount: stakes[msg.sender].amount + _amount,
-            stakingTime: block.timestamp,
-            lastRewardClaim: block.timestamp,
-            stakingTier: tier,
-            multiplier: multiplier
-        });
-        
+        uint256 previousTier = getEffectiveTier(_staker);
+        stakedBalance[_staker] += _amount;
         totalStaked += _amount;
+        (uint256 tier, uint256 multiplier, uint256 lockPeriod) = _getStakingTier(stakedBalance[_staker]);
         
-        emit Staked(msg.sender, _amount, tier, multiplier);
+        positionId = nextPositionId[_staker]++;
+        positions[_staker][positionId] = Position({
+            amount: _amount,
+            tier: tier,
+            stakedAt: block.timestamp,
+            unlockAt: block.timestamp + lockPeriod
+        });
+        openPositionIds[_staker].push(positionId);
+        
+        emit PositionOpened(_staker, positionId, _amount, tier, block.timestamp + lockPeriod);
+        emit Staked(_staker, _amount, tier, multiplier);
+        _emitTierChange(_staker, previousTier, tier);
     }
     
     /**
-     * @dev Unstake SHOP tokens
+     * @dev Unstake SHOP tokens from unlocked positions
      */
-    function unstake(uint256 _amount) external nonReentrant {
+    function unstake(uint256 _amount) external nonReentrant updateReward(_msgSender()) {
         require(_amount > 0, "Amount must be positive");
+        require(stakedBalance[_msgSender()] >= _amount, "Insufficient staked amount");
+        require(getUnlockedBalance(_msgSender()) >= _amount, "Lock period not met");
         
-        StakeInfo storage userStake = stakes[msg.sender];
-        require(userStake.amount >= _amount, "Insufficient staked amount");
-        
-        // Check lock period based on tier
-        uint256 lockPeriod = _getLockPeriod(userStake.stakingTier);
-        require(
-            block.timestamp >= userStake.stakingTime + lockPeriod,
-            "Lock period not met"
-        );
+        uint256 previousTier = getEffectiveTier(_msgSender());
         
-        // Claim staking rewards first
-        _claimStakingRewards(msg.sender);
+        uint256[] storage ids = openPositionIds[_msgSender()];
+        uint256 remaining = _amount;
+        uint256 i = 0;
+        while (remaining > 0) {
+            Position storage position = positions[_msgSender()][ids[i]];
+            if (position.unlockAt > block.timestamp) {
+                i++;
+                continue;
+            }
+            uint256 take = remaining < position.amount ? remaining : position.amount;
+            remaining -= take;
+            // _reducePosition swap-and-pops closed positions into slot i, so only advance past partial ones
+            if (!_reducePosition(_msgSender(), i, take)) {
+                i++;
+            }
+        }
         
-        // Update stake
-        userStake.amount -= _amount;
-        totalStaked -= _amount;
+        _afterUnstake(_msgSender(), _amount, previousTier);
         
         // Transfer tokens back
-        require(shopToken.transfer(msg.sender, _amount), "Transfer failed");
+        require(shopToken.transfer(_msgSender(), _amount), "Transfer failed");
         
-        emit Unstaked(msg.sender, _amount);
+        emit Unstaked(_msgSender(), _amount);
+    }
+    
+    /**
+     * @dev Withdraw from one position before it unlocks, burning earlyUnstakePenalty of the amount
+     */
+    function earlyUnstake(uint256 _positionId, uint256 _amount) external nonReentrant updateReward(_msgSender()) {
+        Position storage position = positions[_msgSender()][_positionId];
+        require(_amount > 0 && _amount <= position.amount, "Invalid unstake amount");
+        
+        uint256 previousTier = getEffectiveTier(_msgSender());
+        
+        uint256 penalty = position.unlockAt > block.timestamp ? (_amount * earlyUnstakePenalty) / 10000 : 0;
+        _reducePosition(_msgSender(), _openIndex(_msgSender(), _positionId), _amount);
+        _afterUnstake(_msgSender(), _amount, previousTier);
+        
+        if (penalty > 0) {
+            shopToken.burn(penalty);
+        }
+        require(shopToken.transfer(_msgSender(), _amount - penalty), "Transfer failed");
+        
+        emit EarlyUnstaked(_msgSender(), _positionId, _amount, penalty);
+        emit Unstaked(_msgSender(), _amount - penalty);
     }
     
     /**
@@ -403,64 +1594,289 @@ contract SHOPStaking is ReentrancyGuard, Ownable, Pausable {
             return _baseRewards;
         }
         
-        StakeInfo memory userStake = stakes[_customer];
-        if (userStake.amount == 0) {
-            return _baseRewards;
+        (, uint256 multiplier,) = _getStakingTier(stakedBalance[_customer]);
+        uint256 bonusRewards = (_baseRewards * (multiplier - 100)) / 100;
+        return _baseRewards + bonusRewards;
+    }
+    
+    /**
+     * @dev Claim staking rewards earned from the pool
+     */
+    function claimStakingRewards() external nonReentrant updateReward(_msgSender()) {
+        uint256 reward = rewards[_msgSender()];
+        require(reward > 0, "No rewards to claim");
+        
+        rewards[_msgSender()] = 0;
+        rewardReserve -= reward;
+        require(shopToken.transfer(_msgSender(), reward), "Transfer failed");
+        
+        emit StakingRewardsClaimed(_msgSender(), reward);
+    }
+    
+    /**
+     * @dev Deposit SHOP into the reward pool and stream it over rewardsDuration
+     * Whatever is left of a running period (and anything emitted while nothing was staked) is rolled in
+     */
+    function fundRewardPool(uint256 _amount) external onlyRole(TREASURY_ROLE) nonReentrant updateReward(address(0)) {
+        require(_amount > 0, "Amount must be positive");
+        require(shopToken.transferFrom(_msgSender(), address(this), _amount), "Transfer failed");
+        rewardReserve += _amount;
+        
+        uint256 emission = _amount + undistributedRewards;
+        if (block.timestamp < periodFinish) {
+            emission += (periodFinish - block.timestamp) * rewardRate;
         }
+        undistributedRewards = 0;
         
-        uint256 bonusRewards = (_baseRewards * (userStake.multiplier - 100)) / 100;
-        return _baseRewards + bonusRewards;
+        rewardRate = emission / rewardsDuration;
+        require(rewardRate > 0, "Reward amount too small");
+        lastUpdateTime = block.timestamp;
+        periodFinish = block.timestamp + rewardsDuration;
+        lowPoolWarned = false;
+        
+        emit RewardPoolFunded(_msgSender(), _amount, rewardRate, periodFinish);
     }
     
     /**
-     * @dev Claim staking rewards (5% APY)
+     * @dev Set the emission period for future fundings (only between periods)
      */
-    function claimStakingRewards() external nonReentrant {
-        _claimStakingRewards(msg.sender);
+    function setRewardsDuration(uint256 _rewardsDuration) external onlyRole(RATE_SETTER_ROLE) {
+        require(block.timestamp >= periodFinish, "Reward period still active");
+        require(_rewardsDuration >= 1 days && _rewardsDuration <= 365 days, "Invalid rewards duration");
+        rewardsDuration = _rewardsDuration;
+        emit RewardsDurationUpdated(_rewardsDuration);
     }
     
     /**
-     * @dev Internal function to claim staking rewards
+     * @dev Set how long before periodFinish the pool reports itself as running dry
      */
-    function _claimStakingRewards(address _user) internal {
-        StakeInfo storage userStake = stakes[_user];
-        require(userStake.amount > 0, "No active stake");
+    function setLowPoolWarningPeriod(uint256 _warningPeriod) external onlyRole(TREASURY_ROLE) {
+        lowPoolWarningPeriod = _warningPeriod;
+        emit LowPoolWarningPeriodUpdated(_warningPeriod);
+    }
+    
+    /**
+     * @dev Set the early unstake penalty in basis points (max 50%)
+     */
+    function setEarlyUnstakePenalty(uint256 _penalty) external onlyRole(RATE_SETTER_ROLE) {
+        require(_penalty <= MAX_EARLY_UNSTAKE_PENALTY, "Invalid early unstake penalty");
+        earlyUnstakePenalty = _penalty;
+        emit EarlyUnstakePenaltyUpdated(_penalty);
+    }
+    
+    /**
+     * @dev Pause staking (emergency)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Unpause staking
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+    
+    /**
+     * @dev Last moment rewards have been streaming for (now, or periodFinish once the pool is spent)
+     */
+    function lastTimeRewardApplicable() public view returns (uint256) {
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+    
+    /**
+     * @dev Cumulative pool rewards per staked token, scaled by 1e18
+     */
+    function rewardPerToken() public view returns (uint256) {
+        if (totalStaked == 0) {
+            return rewardPerTokenStored;
+        }
+        return rewardPerTokenStored + ((lastTimeRewardApplicable() - lastUpdateTime) * rewardRate * 1e18) / totalStaked;
+    }
+    
+    /**
+     * @dev Pool rewards a user has earned and not yet claimed
+     */
+    function earned(address _user) public view returns (uint256) {
+        return (stakedBalance[_user] * (rewardPerToken() - userRewardPerTokenPaid[_user])) / 1e18 + rewards[_user];
+    }
+    
+    /**
+     * @dev Get the reward pool's balance, emission rate and whether it is about to run dry
+     */
+    function getRewardPoolStatus() external view returns (
+        uint256 reserve,
+        uint256 rate,
+        uint256 finish,
+        uint256 remainingEmission,
+        bool runningDry
+    ) {
+        uint256 remaining = block.timestamp < periodFinish ? periodFinish - block.timestamp : 0;
+        return (
+            rewardReserve,
+            rewardRate,
+            periodFinish,
+            remaining * rewardRate,
+            block.timestamp + lowPoolWarningPeriod >= periodFinish
+        );
+    }
+    
+    /**
+     * @dev Tier of a user's combined stake (0 = below TIER_1_MIN)
+     */
+    function getEffectiveTier(address _user) public view returns (uint256 tier) {
+        (tier,,) = _getStakingTier(stakedBalance[_user]);
+    }
+    
+    /**
+     * @dev Amount a user can unstake right now without penalty
+     */
+    function getUnlockedBalance(address _user) public view returns (uint256 unlocked) {
+        uint256[] storage ids = openPositionIds[_user];
+        for (uint256 i = 0; i < ids.length; i++) {
+            Position storage position = positions[_user][ids[i]];
+            if (position.unlockAt <= block.timestamp) {
+                unlocked += position.amount;
+            }
+        }
+    }
+    
+    /**
+     * @dev List a user's open positions with their unlock times
+     */
+    function getPositions(address _user) external view returns (uint256[] memory ids, Position[] memory open) {
+        ids = openPositionIds[_user];
+        open = new Position[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            open[i] = positions[_user][ids[i]];
+        }
+    }
+    
+    /**
+     * @dev Get the number of current stakers
+     */
+    function getStakerCount() external view returns (uint256) {
+        return stakers.length;
+    }
+    
+    /**
+     * @dev Checkpoint the pool, then a user's earnings (address(0) checkpoints the pool only)
+     */
+    function _updateReward(address _user) internal {
+        uint256 applicable = lastTimeRewardApplicable();
+        if (totalStaked == 0 && applicable > lastUpdateTime) {
+            undistributedRewards += (applicable - lastUpdateTime) * rewardRate;
+        }
+        rewardPerTokenStored = rewardPerToken();
+        lastUpdateTime = applicable;
+        
+        if (_user != address(0)) {
+            rewards[_user] = earned(_user);
+            userRewardPerTokenPaid[_user] = rewardPerTokenStored;
+        }
         
-        uint256 stakingDuration = block.timestamp - userStake.lastRewardClaim;
-        uint256 rewards = (userStake.amount * stakingRewardRate * stakingDuration) / 
-                         (10000 * SECONDS_PER_YEAR);
+        if (!lowPoolWarned && periodFinish > 0 && block.timestamp + lowPoolWarningPeriod >= periodFinish) {
+            lowPoolWarned = true;
+            uint256 remaining = block.timestamp < periodFinish ? periodFinish - block.timestamp : 0;
+            emit RewardPoolRunningDry(periodFinish, remaining * rewardRate);
+        }
+    }
+    
+    /**
+     * @dev Take an amount out of the open position at _index, closing it when empty
+     * Returns true if the position was closed (and the last open position moved into _index)
+     */
+    function _reducePosition(address _user, uint256 _index, uint256 _amount) internal returns (bool closed) {
+        uint256[] storage ids = openPositionIds[_user];
+        uint256 positionId = ids[_index];
+        Position storage position = positions[_user][positionId];
+        position.amount -= _amount;
+        emit PositionReduced(_user, positionId, _amount, position.amount);
         
-        if (rewards > 0) {
-            userStake.lastRewardClaim = block.timestamp;
-            shopToken.mintRewards(_user, rewards, userStake.amount);
-            emit StakingRewardsClaimed(_user, rewards);
+        if (position.amount == 0) {
+            ids[_index] = ids[ids.length - 1];
+            ids.pop();
+            return true;
         }
+        return false;
     }
     
     /**
-     * @dev Get staking tier based on amount
+     * @dev Update balances after positions shrink, dropping the user from stakers when fully out
+     */
+    function _afterUnstake(address _user, uint256 _amount, uint256 _previousTier) internal {
+        stakedBalance[_user] -= _amount;
+        totalStaked -= _amount;
+        if (stakedBalance[_user] == 0) {
+            _removeStaker(_user);
+        }
+        _emitTierChange(_user, _previousTier, getEffectiveTier(_user));
+    }
+    
+    /**
+     * @dev Index of an open position in openPositionIds
+     */
+    function _openIndex(address _user, uint256 _positionId) internal view returns (uint256) {
+        uint256[] storage ids = openPositionIds[_user];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (ids[i] == _positionId) {
+                return i;
+            }
+        }
+        revert("Position not open");
+    }
+    
+    /**
+     * @dev Track a new staker
+     */
+    function _addStaker(address _user) internal {
+        stakerIndex[_user] = stakers.length;
+        stakers.push(_user);
+        isStaker[_user] = true;
+    }
+    
+    /**
+     * @dev Drop a staker with no remaining stake
+     */
+    function _removeStaker(address _user) internal {
+        // Swap-and-pop to keep stakers dense
+        uint256 index = stakerIndex[_user];
+        address last = stakers[stakers.length - 1];
+        stakers[index] = last;
+        stakerIndex[last] = index;
+        stakers.pop();
+        
+        delete stakerIndex[_user];
+        isStaker[_user] = false;
+    }
+    
+    /**
+     * @dev Emit TierChanged when the effective tier moved
+     */
+    function _emitTierChange(address _user, uint256 _previousTier, uint256 _newTier) internal {
+        if (_previousTier != _newTier) {
+            emit TierChanged(_user, _previousTier, _newTier);
+        }
+    }
+    
+    /**
+     * @dev Get staking tier based on amount (tier 0 below the minimum)
      */
     function _getStakingTier(uint256 _amount) internal pure returns (uint256 tier, uint256 multiplier, uint256 lockPeriod) {
         if (_amount >= TIER_3_MIN) {
             return (3, TIER_3_MULTIPLIER, TIER_3_LOCK);
         } else if (_amount >= TIER_2_MIN) {
             return (2, TIER_2_MULTIPLIER, TIER_2_LOCK);
-        } else {
+        } else if (_amount >= TIER_1_MIN) {
             return (1, TIER_1_MULTIPLIER, TIER_1_LOCK);
+        } else {
+            return (0, 100, 0);
         }
     }
     
     /**
-     * @dev Get lock period for tier
-     */
-    function _getLockPeriod(uint256 _tier) internal pure returns (uint256) {
-        if (_tier == 3) return TIER_3_LOCK;
-        if (_tier == 2) return TIER_2_LOCK;
-        return TIER_1_LOCK;
-    }
-    
-    /**
-     * @dev Get user staking information
+     * @dev Get user staking information (stakingTier and multiplier come from the combined stake)
      */
     function getUserStakeInfo(address _user) external view returns (
         uint256 stakedAmount,
@@ -469,23 +1885,26 @@ contract SHOPStaking is ReentrancyGuard, Ownable, Pausable {
         uint256 pendingRewards,
         bool canUnstake
     ) {
-        StakeInfo memory userStake = stakes[_user];
-        uint256 lockPeriod = _getLockPeriod(userStake.stakingTier);
+        stakedAmount = stakedBalance[_user];
+        (stakingTier, multiplier,) = _getStakingTier(stakedAmount);
         
-        uint256 pendingStakingRewards = 0;
-        if (userStake.amount > 0) {
-            uint256 stakingDuration = block.timestamp - userStake.lastRewardClaim;
-            pendingStakingRewards = (userStake.amount * stakingRewardRate * stakingDuration) / 
-                                   (10000 * SECONDS_PER_YEAR);
+        // Never report more than the pool holds
+        pendingRewards = earned(_user);
+        if (pendingRewards > rewardReserve) {
+            pendingRewards = rewardReserve;
         }
-        
-        return (
-            userStake.amount,
-            userStake.stakingTier,
-            userStake.multiplier,
-            pendingStakingRewards,
-            block.timestamp >= userStake.stakingTime + lockPeriod
-        );
+        canUnstake = getUnlockedBalance(_user) > 0;
+    }
+    
+    /**
+     * @dev Relayed stakes, unstakes and claims act for the signer, not the forwarder
+     */
+    function _msgSender() internal view override(ContextUpgradeable, ShopAccessControl) returns (address) {
+        return ShopAccessControl._msgSender();
+    }
+    
+    function _msgData() internal view override(ContextUpgradeable, ShopAccessControl) returns (bytes calldata) {
+        return ShopAccessControl._msgData();
     }
 }
 
@@ -493,51 +1912,232 @@ contract SHOPStaking is ReentrancyGuard, Ownable, Pausable {
  * @title Stablecoin Swap
  * @dev Allows users to swap SHOP tokens for stablecoins (USDC)
  */
-contract StablecoinSwap is ReentrancyGuard, Ownable, Pausable {
+contract StablecoinSwap is ReentrancyGuardUpgradeable, ShopAccessControl, PausableUpgradeable {
     SHOPToken public shopToken;
     IERC20 public stablecoin; // USDC or USDT
+    uint8 public stablecoinDecimals;
     
     uint256 public constant SHOP_TO_STABLECOIN_RATE = 100; // 100 SHOP = 1 USDC (€1)
-    uint256 public swapFee = 50; // 0.5% fee in basis points
+    uint256 public constant MIN_SWAP_AMOUNT = SHOP_TO_STABLECOIN_RATE * 10**18; // 100 SHOP
+    uint256 public swapFee; // 0.5% fee in basis points
     uint256 public constant MAX_FEE = 500; // Max 5% fee
     
     uint256 public totalSwapped;
+    uint256 public totalBurned;
+    uint256 public accruedFees; // Stablecoin fees held in the contract, excluded from reserves
     mapping(address => uint256) public userSwappedAmount;
     
+    // Swap limits in SHOP per day (0 = unlimited)
+    uint256 public maxUserDailySwap;
+    uint256 public maxDailySwap;
+    mapping(uint256 => uint256) public dailySwapped; // day => SHOP swapped
+    mapping(address => mapping(uint256 => uint256)) public userDailySwapped; // user => day => SHOP swapped
+    
     event SwappedToStablecoin(address indexed user, uint256 shopAmount, uint256 stablecoinAmount, uint256 fee);
+    event ReservesDeposited(address indexed from, uint256 amount);
+    event ReservesWithdrawn(address indexed to, uint256 amount);
+    event FeesCollected(address indexed to, uint256 amount);
+    event SwapFeeUpdated(uint256 newFee);
+    event SwapLimitsUpdated(uint256 maxUserDailySwap, uint256 maxDailySwap);
     
-    constructor(address _shopToken, address _stablecoin) {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy, reading the stablecoin's decimals - the caller becomes owner
+     */
+    function initialize(address _shopToken, address _stablecoin) external initializer {
         require(_shopToken != address(0), "Invalid SHOP token address");
         require(_stablecoin != address(0), "Invalid stablecoin address");
+        __ReentrancyGuard_init();
+        __ShopAccessControl_init();
+        __Pausable_init();
         shopToken = SHOPToken(_shopToken);
+        swapFee = 50;
         stablecoin = IERC20(_stablecoin);
+        stablecoinDecimals = IERC20Metadata(_stablecoin).decimals();
     }
     
     /**
-     * @dev Swap SHOP tokens for stablecoins
+     * @dev Swap SHOP tokens for stablecoins - the SHOP is burned
      */
     function swapToStablecoin(uint256 _shopAmount) external nonReentrant whenNotPaused {
+        _swap(_msgSender(), _shopAmount);
+    }
+    
+    /**
+     * @dev Swap with an EIP-2612 permit for the burn allowance instead of a prior approve
+     */
+    function swapWithPermit(
+        uint256 _shopAmount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant whenNotPaused {
+        // Ignore a permit that was already used - the swap still fails without the allowance
+        try shopToken.permit(_msgSender(), address(this), _shopAmount, _deadline, _v, _r, _s) {} catch {}
+        _swap(_msgSender(), _shopAmount);
+    }
+    
+    function _swap(address _user, uint256 _shopAmount) private {
         require(_shopAmount > 0, "Amount must be positive");
-        require(_shopAmount >= SHOP_TO_STABLECOIN_RATE, "Minimum 100 SHOP for swap");
-        require(shopToken.balanceOf(msg.sender) >= _shopAmount, "Insufficient SHOP balance");
+        require(_shopAmount >= MIN_SWAP_AMOUNT, "Minimum 100 SHOP for swap");
+        require(shopToken.balanceOf(_user) >= _shopAmount, "Insufficient SHOP balance");
+        
+        _enforceSwapLimits(_user, _shopAmount);
         
         // Calculate stablecoin amount and fee
-        uint256 stablecoinAmount = _shopAmount / SHOP_TO_STABLECOIN_RATE;
-        uint256 fee = (stablecoinAmount * swapFee) / 10000;
-        uint256 finalAmount = stablecoinAmount - fee;
+        (uint256 grossAmount, uint256 fee, uint256 finalAmount) = quoteSwap(_shopAmount);
+        require(finalAmount > 0, "Swap amount too small");
+        // The fee stays behind as accrued fees, so reserves must cover it as well as the payout
+        require(availableReserves() >= grossAmount, "Insufficient stablecoin reserves");
         
-        require(stablecoin.balanceOf(address(this)) >= finalAmount, "Insufficient stablecoin reserves");
+        // Burn the SHOP tokens, removing them from circulation
+        shopToken.burnFrom(_user, _shopAmount);
         
-        // Transfer SHOP tokens to contract (burns them from circulation)
-        require(shopToken.transferFrom(msg.sender, address(this), _shopAmount), "SHOP transfer failed");
+        // Update tracking
+        totalSwapped += _shopAmount;
+        totalBurned += _shopAmount;
+        userSwappedAmount[_user] += _shopAmount;
+        accruedFees += fee;
         
         // Transfer stablecoins to user
-        require(stablecoin.transfer(msg.sender, finalAmount), "Stablecoin transfer failed");
+        require(stablecoin.transfer(_user, finalAmount), "Stablecoin transfer failed");
         
-        // Update tracking
-        totalSwapped += _shopAmount;
-        userSwappedAmount[msg.sender] += _shopAmount;
+        emit SwappedToStablecoin(_user, _shopAmount, finalAmount, fee);
+    }
+    
+    /**
+     * @dev Quote a swap in stablecoin units, normalized for the stablecoin's decimals
+     */
+    function quoteSwap(uint256 _shopAmount) public view returns (
+        uint256 grossAmount,
+        uint256 fee,
+        uint256 netAmount
+    ) {
+        grossAmount = (_shopAmount * 10**stablecoinDecimals) / (SHOP_TO_STABLECOIN_RATE * 10**18);
+        fee = (grossAmount * swapFee) / 10000;
+        netAmount = grossAmount - fee;
+    }
+    
+    /**
+     * @dev Stablecoin available to pay out swaps (balance minus uncollected fees)
+     */
+    function availableReserves() public view returns (uint256) {
+        uint256 balance = stablecoin.balanceOf(address(this));
+        return balance > accruedFees ? balance - accruedFees : 0;
+    }
+    
+    /**
+     * @dev SHOP a user can still swap today (max uint when unlimited)
+     */
+    function getRemainingDailySwap(address _user) external view returns (uint256) {
+        uint256 today = block.timestamp / 1 days;
+        uint256 remaining = type(uint256).max;
+        if (maxUserDailySwap > 0) {
+            uint256 used = userDailySwapped[_user][today];
+            remaining = used >= maxUserDailySwap ? 0 : maxUserDailySwap - used;
+        }
+        if (maxDailySwap > 0) {
+            uint256 globalUsed = dailySwapped[today];
+            uint256 globalRemaining = globalUsed >= maxDailySwap ? 0 : maxDailySwap - globalUsed;
+            if (globalRemaining < remaining) {
+                remaining = globalRemaining;
+            }
+        }
+        return remaining;
+    }
+    
+    /**
+     * @dev Deposit stablecoin reserves (requires approval)
+     */
+    function depositReserves(uint256 _amount) external onlyRole(TREASURY_ROLE) {
+        require(_amount > 0, "Amount must be positive");
+        require(stablecoin.transferFrom(_msgSender(), address(this), _amount), "Stablecoin transfer failed");
+        emit ReservesDeposited(_msgSender(), _amount);
+    }
+    
+    /**
+     * @dev Withdraw stablecoin reserves (accrued fees stay behind)
+     */
+    function withdrawReserves(uint256 _amount, address _to) external onlyRole(TREASURY_ROLE) {
+        require(_to != address(0), "Invalid recipient address");
+        require(_amount > 0 && _amount <= availableReserves(), "Insufficient stablecoin reserves");
+        require(stablecoin.transfer(_to, _amount), "Stablecoin transfer failed");
+        emit ReservesWithdrawn(_to, _amount);
+    }
+    
+    /**
+     * @dev Collect accrued swap fees
+     */
+    function collectFees(address _to) external onlyRole(TREASURY_ROLE) {
+        require(_to != address(0), "Invalid recipient address");
+        uint256 amount = accruedFees;
+        require(amount > 0, "No fees to collect");
+        accruedFees = 0;
+        require(stablecoin.transfer(_to, amount), "Stablecoin transfer failed");
+        emit FeesCollected(_to, amount);
+    }
+    
+    /**
+     * @dev Set the swap fee in basis points (max 5%)
+     */
+    function setSwapFee(uint256 _swapFee) external onlyRole(RATE_SETTER_ROLE) {
+        require(_swapFee <= MAX_FEE, "Fee exceeds maximum");
+        swapFee = _swapFee;
+        emit SwapFeeUpdated(_swapFee);
+    }
+    
+    /**
+     * @dev Set per-user and global daily swap limits in SHOP (0 = unlimited)
+     */
+    function setSwapLimits(uint256 _maxUserDailySwap, uint256 _maxDailySwap) external onlyRole(TREASURY_ROLE) {
+        maxUserDailySwap = _maxUserDailySwap;
+        maxDailySwap = _maxDailySwap;
+        emit SwapLimitsUpdated(_maxUserDailySwap, _maxDailySwap);
+    }
+    
+    /**
+     * @dev Pause swaps (emergency)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Unpause swaps
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+    
+    /**
+     * @dev Track today's swap volume and enforce daily limits
+     */
+    function _enforceSwapLimits(address _user, uint256 _shopAmount) internal {
+        uint256 today = block.timestamp / 1 days;
+        
+        uint256 userTotal = userDailySwapped[_user][today] + _shopAmount;
+        require(maxUserDailySwap == 0 || userTotal <= maxUserDailySwap, "Exceeds daily swap limit");
+        
+        uint256 globalTotal = dailySwapped[today] + _shopAmount;
+        require(maxDailySwap == 0 || globalTotal <= maxDailySwap, "Exceeds global daily swap limit");
         
-        emit SwappedToStablecoin(msg.sender, _shopAmount, finalAmount, fee);
+        userDailySwapped[_user][today] = userTotal;
+        dailySwapped[today] = globalTotal;
+    }
+    
+    /**
+     * @dev A relayed swap burns and pays out to the signer
+     */
+    function _msgSender() internal view override(ContextUpgradeable, ShopAccessControl) returns (address) {
+        return ShopAccessControl._msgSender();
+    }
+    
+    function _msgData() internal view override(ContextUpgradeable, ShopAccessControl) returns (bytes calldata) {
+        return ShopAccessControl._msgData();
     }
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title Mock Stablecoin
+ * @dev Freely mintable ERC20 with configurable decimals, for tests and local networks only
+ */
+contract MockStablecoin is ERC20 {
+    uint8 private immutable _decimals;
+    
+    constructor(string memory _name, string memory _symbol, uint8 decimals_) ERC20(_name, _symbol) {
+        _decimals = decimals_;
+    }
+    
+    /**
+     * @dev Mint tokens to any address
+     */
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+    
+    /**
+     * @dev Override decimals to mimic USDC (6) or other stablecoins
+     */
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
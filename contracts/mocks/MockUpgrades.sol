@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../ShoppingRewards.sol";
+
+/**
+ * @title Merchant Registry V2 Mock
+ * @dev Layout-compatible upgrade candidate (appends a variable), for upgrade tests only
+ * Proxies upgraded to it were already initialized as MerchantRegistry
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract MerchantRegistryV2Mock is MerchantRegistry {
+    uint256 public upgradeVersion;
+    
+    /**
+     * @dev Record the version the proxy now runs
+     */
+    function setUpgradeVersion(uint256 _version) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        upgradeVersion = _version;
+    }
+}
+
+/**
+ * @title Storage Clash Mock
+ * @dev Upgrade candidate whose first variable lands on MerchantRegistry.merchants - the layout check must reject it
+ */
+contract StorageClashMock is ShopAccessControl {
+    uint256 public counter;
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy - the caller becomes owner
+     */
+    function initialize() external initializer {
+        __ShopAccessControl_init();
+    }
+}
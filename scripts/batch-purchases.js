@@ -0,0 +1,159 @@
+// scripts/batch-purchases.js - Submit a merchant's end-of-day till export in gas-bounded batches
+//
+// Usage (the first signer must be the merchant):
+//   PURCHASE_VALIDATOR_ADDRESS=0x... HARDHAT_NETWORK=localhost node scripts/batch-purchases.js <export.csv> [--merkle]
+//
+// The CSV needs a customer,amount_eur,transaction_id header. With --merkle the merchant commits
+// one Merkle root for the whole file and the rows are submitted with proofs.
+// BATCH_MAX_GAS (default 8,000,000) and BATCH_MAX_SIZE (default 100) bound each transaction.
+
+const fs = require("fs");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { parsePurchaseCsv, buildPurchaseTree, chunkByGas } = require("./lib/batch");
+
+const DEFAULT_MAX_GAS = 8000000;
+const DEFAULT_MAX_SIZE = 100;
+
+/**
+ * Drop purchases the validator has already processed (re-running a file is safe)
+ */
+async function filterUnprocessed(purchaseValidator, purchases) {
+    const pending = [];
+    for (const purchase of purchases) {
+        if (!(await purchaseValidator.processedTransactions(purchase.transactionId))) {
+            pending.push(purchase);
+        }
+    }
+    return pending;
+}
+
+/**
+ * Collect per-item outcomes from a batch receipt - items the purchase guard held for review come back
+ * with held set, and are neither processed nor failed
+ */
+function batchResults(purchaseValidator, receipt, chunk) {
+    return receipt.logs
+        .map((log) => {
+            try {
+                return purchaseValidator.interface.parseLog(log);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter((event) => event && (event.name === "BatchItemResult" || event.name === "BatchItemHeld"))
+        .map((event) => ({
+            line: chunk[event.args.index.toNumber()].line,
+            transactionId: event.args.transactionId,
+            success: event.name === "BatchItemResult" && event.args.success,
+            held: event.name === "BatchItemHeld",
+            reason: event.name === "BatchItemHeld" ? "Held for review" : event.args.reason
+        }));
+}
+
+/**
+ * Submit purchases as processPurchaseBatch calls (or processReceiptBatch with --merkle)
+ */
+async function submitPurchases(purchaseValidator, purchases, options = {}) {
+    const maxGas = ethers.BigNumber.from(options.maxGas || DEFAULT_MAX_GAS);
+    const maxSize = Math.min(options.maxSize || DEFAULT_MAX_SIZE, (await purchaseValidator.MAX_BATCH_SIZE()).toNumber());
+    const pending = await filterUnprocessed(purchaseValidator, purchases);
+    const skipped = purchases.length - pending.length;
+    if (pending.length === 0) return { results: [], skipped, chunks: 0 };
+
+    let items = pending;
+    let send;
+    let estimate;
+    if (options.merkle) {
+        const merchant = await purchaseValidator.signer.getAddress();
+        const tree = buildPurchaseTree(pending);
+        if (!(await purchaseValidator.receiptRoots(merchant, tree.root))) {
+            await (await purchaseValidator.commitReceiptRoot(tree.root)).wait();
+        }
+
+        items = pending.map((purchase, i) => ({ ...purchase, proof: tree.getProof(i) }));
+        const args = (chunk) => [
+            merchant,
+            tree.root,
+            chunk.map(({ customer, amount, transactionId }) => ({ customer, amount, transactionId })),
+            chunk.map((p) => p.proof)
+        ];
+        estimate = (chunk) => purchaseValidator.estimateGas.processReceiptBatch(...args(chunk));
+        send = (chunk, gasLimit) => purchaseValidator.processReceiptBatch(...args(chunk), { gasLimit });
+    } else {
+        const args = (chunk) => [
+            chunk.map((p) => p.customer),
+            chunk.map((p) => p.amount),
+            chunk.map((p) => p.transactionId)
+        ];
+        estimate = (chunk) => purchaseValidator.estimateGas.processPurchaseBatch(...args(chunk));
+        send = (chunk, gasLimit) => purchaseValidator.processPurchaseBatch(...args(chunk), { gasLimit });
+    }
+
+    const chunks = await chunkByGas(items, estimate, { maxGas, maxSize });
+    const results = [];
+    for (const chunk of chunks) {
+        // Estimates come from the pre-chunk state, so leave headroom for earlier chunks' writes
+        const padded = chunk.gas.mul(12).div(10);
+        const receipt = await (await send(chunk.items, padded.gt(maxGas) ? maxGas : padded)).wait();
+        results.push(...batchResults(purchaseValidator, receipt, chunk.items));
+        if (options.onChunk) options.onChunk(chunk.items, receipt);
+    }
+
+    return { results, skipped, chunks: chunks.length };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const file = args.find((a) => !a.startsWith("--"));
+    if (!file) {
+        console.log("Usage: node scripts/batch-purchases.js <export.csv> [--merkle]");
+        process.exitCode = 1;
+        return;
+    }
+    const validatorAddress = process.env.PURCHASE_VALIDATOR_ADDRESS;
+    if (!validatorAddress) throw new Error("Set PURCHASE_VALIDATOR_ADDRESS to the PurchaseValidator address");
+
+    const [merchant] = await ethers.getSigners();
+    const purchaseValidator = await ethers.getContractAt("PurchaseValidator", validatorAddress, merchant);
+
+    const { purchases, errors } = parsePurchaseCsv(fs.readFileSync(file, "utf8"));
+    console.log(`📄 ${purchases.length} purchase(s) read from ${file}`);
+    for (const error of errors) {
+        console.log(`⚠️ Line ${error.line}: ${error.reason}`);
+    }
+
+    const { results, skipped, chunks } = await submitPurchases(purchaseValidator, purchases, {
+        merkle: args.includes("--merkle"),
+        maxGas: process.env.BATCH_MAX_GAS,
+        maxSize: process.env.BATCH_MAX_SIZE && Number(process.env.BATCH_MAX_SIZE),
+        onChunk: (items, receipt) => {
+            console.log(`✅ Submitted ${items.length} purchase(s) in tx ${receipt.transactionHash} (gas ${receipt.gasUsed})`);
+        }
+    });
+
+    const held = results.filter((r) => r.held);
+    const failed = results.filter((r) => !r.success && !r.held);
+    for (const hold of held) {
+        console.log(`⏸️ Line ${hold.line} (${hold.transactionId}): held for review`);
+    }
+    for (const failure of failed) {
+        console.log(`❌ Line ${failure.line} (${failure.transactionId}): ${failure.reason}`);
+    }
+    const processed = results.length - held.length - failed.length;
+    console.log(`\n🧾 ${processed} processed, ${held.length} held for review, ${failed.length} failed, ${skipped} already processed, ${errors.length} rejected, ${chunks} transaction(s)`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(process.exitCode || 0))
+        .catch((error) => {
+            console.error("❌ Batch submission failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    filterUnprocessed,
+    submitPurchases
+};
@@ -1,19 +1,338 @@
 // scripts/deploy.js - GitHub Actions + Sepolia deployment
+//
+// Usage:
+//   npx hardhat run scripts/deploy.js --network localhost
+//
+// Contracts are deployed behind transparent upgrade proxies (upgrade them with `npx hardhat upgrade`).
+// The stablecoin and the merchants to register come from deploy-config/<network>.json.
+// Every step is recorded in deployments/<chainId>.steps.json as it completes, so rerunning after a
+// failure resumes at the first unfinished step. DEPLOY_RESET=1 starts a fresh deployment instead.
+// Every proxy trusts the deployed ShopForwarder, so `node scripts/relayer.js` can relay gasless calls.
+//
+// Writes deployments/<chainId>.json (addresses and ABIs) for the dApp and scripts
+
+const path = require("path");
+const hre = require("hardhat");
+const { CONTRACT_NAMES, stepsPath, writeDeployment } = require("./lib/deployments");
+const { MOCK_STABLECOIN, loadDeployConfig, openPipeline } = require("./lib/pipeline");
+
+// Which contracts use each operational role, and the env var naming its holder
+// Governed roles go to the timelock instead when GOVERNANCE_DELAY is set, and only the timelock can then grant them
+const ROLE_MATRIX = {
+    PAUSER_ROLE: { envVar: "PAUSER_ADDRESS", contracts: ["shopToken", "shopStaking", "stablecoinSwap", "rewardRedemption"] },
+    MERCHANT_MANAGER_ROLE: { envVar: "MERCHANT_MANAGER_ADDRESS", contracts: ["merchantRegistry", "merchantOnboarding", "rewardRedemption", "rewardVesting", "rewardCampaigns"] },
+    MINTER_ADMIN_ROLE: { envVar: "MINTER_ADMIN_ADDRESS", contracts: ["shopToken"], governed: true },
+    TREASURY_ROLE: { envVar: "TREASURY_ADDRESS", contracts: ["shopStaking", "stablecoinSwap", "rewardRedemption", "referralProgram"] },
+    RATE_SETTER_ROLE: { envVar: "RATE_SETTER_ADDRESS", contracts: ["merchantRegistry", "shopStaking", "stablecoinSwap", "rewardVesting", "loyaltyTiers", "referralProgram", "rewardEscrow", "purchaseGuard"], governed: true },
+    ISSUER_ROLE: { envVar: "ESCROW_ISSUER_ADDRESS", contracts: ["rewardEscrow"] },
+    REVIEWER_ROLE: { envVar: "FRAUD_REVIEWER_ADDRESS", contracts: ["purchaseGuard"] }
+};
+
+// Proxied contracts in deployment order, with their initializer arguments
+const PROXIES = [
+    { key: "shopToken", label: "📄 SHOP Token", args: () => [] },
+    { key: "merchantRegistry", label: "🏪 Merchant Registry", args: (a) => [a.shopToken] },
+    { key: "purchaseValidator", label: "✅ Purchase Validator", args: (a) => [a.shopToken, a.merchantRegistry] },
+    { key: "shopStaking", label: "🔒 SHOP Staking", args: (a) => [a.shopToken] },
+    { key: "stablecoinSwap", label: "💱 Stablecoin Swap", args: (a) => [a.shopToken, a.stablecoin] },
+    { key: "rewardRedemption", label: "🧾 Reward Redemption", args: (a) => [a.shopToken, a.merchantRegistry] },
+    { key: "merchantOnboarding", label: "📝 Merchant Onboarding", args: (a) => [a.shopToken, a.merchantRegistry] },
+    { key: "rewardVesting", label: "⌛ Reward Vesting", args: (a) => [a.shopToken] },
+    { key: "rewardCampaigns", label: "🎯 Reward Campaigns", args: (a) => [a.shopToken, a.merchantRegistry] },
+    { key: "loyaltyTiers", label: "🥇 Loyalty Tiers", args: () => [] },
+    { key: "referralProgram", label: "🤝 Referral Program", args: (a) => [a.shopToken] },
+    { key: "rewardEscrow", label: "🎟️ Reward Escrow", args: (a) => [a.shopToken, a.merchantRegistry] },
+    { key: "purchaseGuard", label: "🚨 Purchase Guard", args: () => [] }
+];
+
+/**
+ * Run the deployment pipeline and return the deployment info (addresses, implementations, roles)
+ * stepsFile = null runs without a journal; log receives the progress output
+ */
+async function deploy(hre, { config, stepsFile = null, reset = false, log = console.log }) {
+    const { ethers, upgrades } = hre;
+    // Governance needs an admin to take over: the deployer's owner key would otherwise keep every other role
+    if (process.env.GOVERNANCE_DELAY && !process.env.ADMIN_ADDRESS) {
+        throw new Error("GOVERNANCE_DELAY needs ADMIN_ADDRESS - the deployer's owner key must be retired for governance to hold");
+    }
+    const [deployer] = await ethers.getSigners();
+    const network = await ethers.provider.getNetwork();
+
+    const pipeline = openPipeline({
+        file: stepsFile,
+        network: hre.network.name,
+        chainId: network.chainId,
+        deployer: deployer.address,
+        reset,
+        log
+    });
+    if (pipeline.resumed) {
+        log(`♻️ Resuming the deployment started ${pipeline.journal.startedAt} (${Object.keys(pipeline.journal.steps).length} step(s) done)`);
+    }
+
+    // A single transaction as a step
+    const send = (name, sendTransaction) => pipeline.step(name, async () => {
+        const receipt = await (await sendTransaction()).wait();
+        return { transactionHash: receipt.transactionHash };
+    });
+
+    // Step 1: Stablecoin
+    log("\n💵 Step 1: Stablecoin...");
+    let stablecoin = config.stablecoin;
+    if (stablecoin === MOCK_STABLECOIN) {
+        // Local node: no USDC exists there, so deploy a 6-decimal stand-in
+        stablecoin = await pipeline.step("deploy:mockStablecoin", async () => {
+            const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+            const mockUSDC = await MockStablecoin.deploy("Mock USDC", "USDC", 6);
+            await mockUSDC.deployed();
+            return mockUSDC.address;
+        });
+        log("✅ Mock USDC at:", stablecoin);
+    } else {
+        // Must be a real ERC20 - the swap reads its decimals to price payouts
+        if ((await ethers.provider.getCode(stablecoin)) === "0x") {
+            throw new Error(`Stablecoin ${stablecoin} has no code on chain ${network.chainId}`);
+        }
+        log("✅ Using stablecoin:", stablecoin);
+    }
+
+    // Step 2: Deploy the proxies (implementations already deployed with the same code are reused)
+    log("\n📦 Step 2: Deploying contracts behind upgrade proxies...");
+    const addresses = { stablecoin };
+    const contracts = {};
+    for (const { key, label, args } of PROXIES) {
+        const factory = await ethers.getContractFactory(CONTRACT_NAMES[key]);
+        addresses[key] = await pipeline.step(`deploy:${key}`, async () => {
+            const proxy = await upgrades.deployProxy(factory, args(addresses), { kind: "transparent" });
+            await proxy.deployed();
+            return proxy.address;
+        });
+        contracts[key] = factory.attach(addresses[key]);
+        log(`✅ ${label}:`, addresses[key]);
+    }
+    const {
+        shopToken, merchantRegistry, purchaseValidator, shopStaking, merchantOnboarding,
+        rewardVesting, rewardCampaigns, loyaltyTiers, referralProgram, rewardEscrow, purchaseGuard
+    } = contracts;
+
+    // Not a proxy - the forwarder holds no state worth upgrading, only per-signer nonces
+    const shopForwarder = await pipeline.step("deploy:shopForwarder", async () => {
+        const ShopForwarder = await ethers.getContractFactory("ShopForwarder");
+        const forwarder = await ShopForwarder.deploy();
+        await forwarder.deployed();
+        return forwarder.address;
+    });
+    log("✅ ⛽ Meta-transaction Forwarder:", shopForwarder);
+
+    // Step 3: Deploy Governance Timelock (optional)
+    let shopTimelock = null;
+    if (process.env.GOVERNANCE_DELAY) {
+        log("\n⏳ Step 3: Deploying Governance Timelock...");
+        const proposer = process.env.GOVERNANCE_PROPOSER || process.env.ADMIN_ADDRESS || deployer.address;
+        const timelockArgs = [process.env.GOVERNANCE_DELAY, [proposer], [ethers.constants.AddressZero], ethers.constants.AddressZero];
+        const address = await pipeline.step("deploy:shopTimelock", async () => {
+            const ShopTimelock = await ethers.getContractFactory("ShopTimelock");
+            const timelock = await ShopTimelock.deploy(...timelockArgs);
+            await timelock.deployed();
+            return timelock.address;
+        });
+        shopTimelock = await ethers.getContractAt("ShopTimelock", address);
+        log("✅ Governance Timelock deployed to:", address);
+        log(`   Proposer: ${proposer}, delay: ${process.env.GOVERNANCE_DELAY}s, executor: anyone`);
+    }
+
+    // Step 4: Setup permissions
+    log("\n⚙️ Step 4: Setting up permissions...");
+
+    await send("permissions:validatorMinter", () => shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator"));
+    await send("permissions:validatorSystemMinter", () => shopToken.setSystemMinter(purchaseValidator.address, true));
+    log("✅ Purchase validator mints as a quota-exempt system minter");
+
+    await send("wire:stakingMultipliers", () => purchaseValidator.setStakingContract(shopStaking.address));
+    log("✅ Purchase rewards boosted by staking tier");
+
+    await send("wire:registryValidator", () => merchantRegistry.setPurchaseValidator(purchaseValidator.address));
+    log("✅ Merchant sales and rewards totals connected");
+
+    await send("permissions:onboardingMerchantManager", async () => {
+        return merchantRegistry.grantRole(await merchantRegistry.MERCHANT_MANAGER_ROLE(), merchantOnboarding.address);
+    });
+    log("✅ Self-service merchant onboarding enabled");
+
+    await send("wire:vestingIssuer", () => rewardVesting.setRewardIssuer(purchaseValidator.address));
+    await send("wire:validatorVesting", () => purchaseValidator.setRewardVesting(rewardVesting.address));
+    log("✅ Rewards vest after", (await rewardVesting.holdPeriod()).toNumber() / 86400, "days");
+
+    await send("wire:campaignsValidator", () => rewardCampaigns.setPurchaseValidator(purchaseValidator.address));
+    await send("wire:validatorCampaigns", () => purchaseValidator.setRewardCampaigns(rewardCampaigns.address));
+    log("✅ Purchases pay the best running campaign bonus");
+
+    await send("wire:loyaltyValidator", () => loyaltyTiers.setPurchaseValidator(purchaseValidator.address));
+    await send("wire:validatorLoyalty", () => purchaseValidator.setLoyaltyTiers(loyaltyTiers.address));
+    log("✅ Tiers:", (await loyaltyTiers.getTiers()).map((t) => t.name).join(", "));
+
+    await send("wire:referralValidator", () => referralProgram.setPurchaseValidator(purchaseValidator.address));
+    await send("wire:validatorReferral", () => purchaseValidator.setReferralProgram(referralProgram.address));
+    log("✅ Referral program connected");
+
+    await send("wire:escrowIssuer", () => rewardEscrow.setRewardIssuer(purchaseValidator.address));
+    await send("wire:validatorEscrow", () => purchaseValidator.setRewardEscrow(rewardEscrow.address));
+    if (process.env.TREASURY_ADDRESS) {
+        await send("wire:escrowTreasury", () => rewardEscrow.setTreasury(process.env.TREASURY_ADDRESS));
+    }
+    log("✅ Walletless customers' rewards escrowed, expiring to", await rewardEscrow.treasury(), "after",
+        (await rewardEscrow.expiryPeriod()).toNumber() / 86400, "days");
+
+    await send("wire:guardValidator", () => purchaseGuard.setPurchaseValidator(purchaseValidator.address));
+    await send("wire:validatorGuard", () => purchaseValidator.setPurchaseGuard(purchaseGuard.address));
+    const customerLimits = await purchaseGuard.customerLimits();
+    log("✅ Purchases over", customerLimits.maxPurchases.toString(), "a day or",
+        ethers.utils.formatEther(customerLimits.maxRewards), "SHOP of rewards a day per customer are held for review");
+
+    for (const [key, contract] of Object.entries(contracts)) {
+        await send(`forwarder:${key}`, () => contract.setTrustedForwarder(shopForwarder));
+    }
+    log("✅ Gasless calls accepted through the forwarder");
+
+    // Step 5: Fund reward pools
+    log("\n💰 Step 5: Funding reward pools...");
+    if (process.env.REFERRAL_FUND) {
+        const referralFund = ethers.utils.parseEther(process.env.REFERRAL_FUND);
+        await send("fund:referralApproval", () => shopToken.approve(referralProgram.address, referralFund));
+        await send("fund:referralProgram", () => referralProgram.fundProgram(referralFund));
+        log(`✅ Referral bonuses funded with ${process.env.REFERRAL_FUND} SHOP`);
+    } else {
+        log("⚠️ Referral program not funded (set REFERRAL_FUND to fund it at deploy)");
+    }
+
+    if (process.env.STAKING_REWARD_POOL) {
+        const poolAmount = ethers.utils.parseEther(process.env.STAKING_REWARD_POOL);
+        await send("fund:stakingApproval", () => shopToken.approve(shopStaking.address, poolAmount));
+        await send("fund:stakingRewardPool", () => shopStaking.fundRewardPool(poolAmount));
+        log(`✅ ${process.env.STAKING_REWARD_POOL} SHOP streaming to stakers over`, (await shopStaking.rewardsDuration()).toNumber() / 86400, "days");
+    } else {
+        log("⚠️ Staking reward pool not funded (set STAKING_REWARD_POOL to fund it at deploy)");
+    }
+
+    // Step 6: Register the configured merchants (merchants added to the config later are picked up on rerun)
+    log(`\n🏪 Step 6: Registering ${config.merchants.length} merchant(s) from the network config...`);
+    for (const merchant of config.merchants) {
+        await pipeline.step(`merchant:${merchant.address}`, async () => {
+            // Registered outside the pipeline (e.g. through onboarding) - nothing to do
+            if (await merchantRegistry.isMerchant(merchant.address)) return { alreadyRegistered: true };
+            const tx = await merchantRegistry.registerMerchant(merchant.address, merchant.name, merchant.category, merchant.rewardRate);
+            return { transactionHash: (await tx.wait()).transactionHash };
+        });
+        if (merchant.authorizeMinter) {
+            await send(`minter:${merchant.address}`, () => shopToken.authorizeMinter(merchant.address, merchant.name));
+        }
+        log(`✅ ${merchant.name} (${merchant.category}, ${merchant.rewardRate / 100}% rewards)${merchant.authorizeMinter ? " - authorized to mint" : ""}`);
+    }
+
+    // Step 7: Assign operational roles
+    log("\n🔑 Step 7: Assigning operational roles...");
+    const roleAssignments = {};
+    for (const [role, { envVar, contracts: keys, governed }] of Object.entries(ROLE_MATRIX)) {
+        const holder = governed && shopTimelock ? shopTimelock.address : process.env[envVar];
+        if (!holder) {
+            log(`   ${role}: deployer (set ${envVar} to delegate)`);
+            continue;
+        }
+        for (const key of keys) {
+            const contract = contracts[key];
+            await send(`role:${role}:${key}`, async () => contract.grantRole(await contract[role](), holder));
+        }
+        roleAssignments[role] = holder;
+        log(`✅ ${role} granted to ${holder} on ${keys.join(", ")}`);
+    }
+
+    // Without this the admin role could grant itself a governed role and skip the delay. Every contract gets
+    // the governor, even without governed roles, since it also owns the wiring and the trusted forwarder
+    if (shopTimelock) {
+        for (const [key, contract] of Object.entries(contracts)) {
+            const governedRoles = Object.entries(ROLE_MATRIX)
+                .filter(([, { contracts: keys, governed }]) => governed && keys.includes(key))
+                .map(([role]) => role);
+            await send(`governor:${key}`, async () => contract.setGovernor(
+                shopTimelock.address,
+                await Promise.all(governedRoles.map((role) => contract[role]()))
+            ));
+        }
+        roleAssignments.GOVERNOR_ROLE = shopTimelock.address;
+        log("✅ Only the timelock can grant or revoke governed roles, rewire contracts or change the forwarder");
+    }
+
+    // Upgrades are the most powerful action, so the proxy admin follows governance when there is any
+    const proxyAdmin = await upgrades.erc1967.getAdminAddress(shopToken.address);
+    const upgradeAdmin = shopTimelock ? shopTimelock.address : process.env.ADMIN_ADDRESS;
+    if (upgradeAdmin) {
+        await pipeline.step("proxyAdmin:transferOwnership", async () => {
+            await upgrades.admin.transferProxyAdminOwnership(upgradeAdmin);
+            return { owner: upgradeAdmin };
+        });
+        roleAssignments.PROXY_ADMIN_OWNER = upgradeAdmin;
+        log("✅ Proxy admin", proxyAdmin, "owned by", upgradeAdmin);
+    } else {
+        log("⚠️ Deployer owns the proxy admin and can upgrade every contract - set ADMIN_ADDRESS or GOVERNANCE_DELAY to hand it over");
+    }
+
+    if (process.env.ADMIN_ADDRESS) {
+        for (const [key, contract] of Object.entries(contracts)) {
+            await send(`migrate:${key}`, () => contract.migrateOwnerToRoles(process.env.ADMIN_ADDRESS));
+        }
+        roleAssignments.DEFAULT_ADMIN_ROLE = process.env.ADMIN_ADDRESS;
+        log("✅ Ownership renounced, admin role held by", process.env.ADMIN_ADDRESS);
+    }
+
+    pipeline.finish();
+
+    const implementations = {};
+    for (const { key } of PROXIES) {
+        implementations[key] = {
+            address: await upgrades.erc1967.getImplementationAddress(addresses[key]),
+            contractName: CONTRACT_NAMES[key]
+        };
+    }
+
+    return {
+        network: hre.network.name,
+        chainId: network.chainId,
+        deployer: deployer.address,
+        timestamp: new Date().toISOString(),
+        stablecoin,
+        proxyAdmin,
+        roles: roleAssignments,
+        merchants: config.merchants.map(({ address, name }) => ({ address, name })),
+        contracts: {
+            ...Object.fromEntries(PROXIES.map(({ key }) => [key, addresses[key]])),
+            shopTimelock: shopTimelock ? shopTimelock.address : null,
+            shopForwarder
+        },
+        implementations,
+        // The upgrades plugin verifies a proxy together with its implementation
+        verificationCommands: {
+            ...Object.fromEntries(PROXIES.map(({ key }) => [
+                key, `npx hardhat verify --network ${hre.network.name} ${addresses[key]}`
+            ])),
+            shopForwarder: `npx hardhat verify --network ${hre.network.name} ${shopForwarder}`
+        }
+    };
+}
 
 async function main() {
     console.log("🛍️ Starting Shopping Rewards DApp Deployment...");
-    
+
     // Debug environment variables (without exposing sensitive data)
     console.log("🔍 Environment check:");
     console.log("- INFURA_API_KEY exists:", !!process.env.INFURA_API_KEY);
     console.log("- SEPOLIA_INFURA_API_KEY exists:", !!process.env.SEPOLIA_INFURA_API_KEY);
     console.log("- PRIVATE_KEY exists:", !!process.env.PRIVATE_KEY);
     console.log("- SEPOLIA_PRIVATE_KEY exists:", !!process.env.SEPOLIA_PRIVATE_KEY);
-    
+
     // Get network info
     const network = await ethers.provider.getNetwork();
     console.log("📡 Network:", network.name, "Chain ID:", network.chainId);
-    
+
     // Get signers with better error handling
     let signers;
     try {
@@ -23,7 +342,7 @@ async function main() {
         console.error("❌ Failed to get signers:", error.message);
         throw new Error("Cannot get signers. Check your private key configuration.");
     }
-    
+
     if (!signers || signers.length === 0) {
         console.error("❌ No signers available!");
         console.log("💡 Make sure your environment variables are set:");
@@ -31,146 +350,82 @@ async function main() {
         console.log("   - PRIVATE_KEY or SEPOLIA_PRIVATE_KEY");
         throw new Error("No deployer account found");
     }
-    
+
     const deployer = signers[0];
     console.log("🚀 Deploying with account:", deployer.address);
-    
+
     // Check balance
     const balance = await deployer.getBalance();
     console.log("💰 Account balance:", ethers.utils.formatEther(balance), "ETH");
-    
+
     if (balance.eq(0)) {
         console.error("❌ Deployer account has 0 ETH!");
         console.log("💡 Get Sepolia ETH from: https://sepoliafaucet.com/");
         throw new Error("Insufficient balance for deployment");
     }
 
-    // Step 1: Deploy SHOP Token
-    console.log("\n📄 Step 1: Deploying SHOP Token...");
-    const SHOPToken = await ethers.getContractFactory("SHOPToken");
-    console.log("   Deploying contract...");
-    const shopToken = await SHOPToken.deploy();
-    console.log("   Waiting for deployment...");
-    await shopToken.deployed();
-    console.log("✅ SHOP Token deployed to:", shopToken.address);
-
-    // Step 2: Deploy Merchant Registry
-    console.log("\n🏪 Step 2: Deploying Merchant Registry...");
-    const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
-    const merchantRegistry = await MerchantRegistry.deploy(shopToken.address);
-    await merchantRegistry.deployed();
-    console.log("✅ Merchant Registry deployed to:", merchantRegistry.address);
-
-    // Step 3: Deploy Purchase Validator
-    console.log("\n✅ Step 3: Deploying Purchase Validator...");
-    const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
-    const purchaseValidator = await PurchaseValidator.deploy(shopToken.address, merchantRegistry.address);
-    await purchaseValidator.deployed();
-    console.log("✅ Purchase Validator deployed to:", purchaseValidator.address);
-
-    // Step 4: Deploy Staking Contract
-    console.log("\n🔒 Step 4: Deploying SHOP Staking...");
-    const SHOPStaking = await ethers.getContractFactory("SHOPStaking");
-    const shopStaking = await SHOPStaking.deploy(shopToken.address);
-    await shopStaking.deployed();
-    console.log("✅ SHOP Staking deployed to:", shopStaking.address);
-
-    // Step 5: Deploy Stablecoin Swap
-    console.log("\n💱 Step 5: Deploying Stablecoin Swap...");
-    // Use a known Sepolia USDC address or deployer as mock
-    const mockUSDC = "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238"; // Sepolia USDC
-    const StablecoinSwap = await ethers.getContractFactory("StablecoinSwap");
-    const stablecoinSwap = await StablecoinSwap.deploy(shopToken.address, mockUSDC);
-    await stablecoinSwap.deployed();
-    console.log("✅ Stablecoin Swap deployed to:", stablecoinSwap.address);
-
-    // Step 6: Setup permissions
-    console.log("\n⚙️ Step 6: Setting up permissions...");
-    
-    console.log("   Authorizing staking contract...");
-    await shopToken.authorizeMinter(shopStaking.address, "SHOP Staking Contract");
-    console.log("✅ Added staking contract as minter");
-    
-    console.log("   Authorizing purchase validator...");
-    await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
-    console.log("✅ Added purchase validator as minter");
-
-    // Step 7: Register sample merchants
-    console.log("\n🏪 Step 7: Registering sample merchants...");
-    
-    console.log("   Registering Tesco Ireland...");
-    await merchantRegistry.registerMerchant(
-        deployer.address, 
-        "Tesco Ireland",
-        "grocery",
-        200 // 2% reward rate
-    );
-    console.log("✅ Registered Tesco Ireland (2% rewards)");
-
-    console.log("   Authorizing Tesco for minting...");
-    await shopToken.authorizeMinter(deployer.address, "Tesco Ireland");
-    console.log("✅ Authorized Tesco for minting rewards");
-
-    // Step 8: Deployment Summary
+    const config = loadDeployConfig(hre.network.name);
+    console.log(`🗂️ Config: stablecoin ${config.stablecoin}, ${config.merchants.length} merchant(s)`);
+
+    // The in-process hardhat network disappears with this script, so there is nothing to resume or save
+    const inProcess = hre.network.name === "hardhat";
+    const stepsFile = inProcess ? null : stepsPath(network.chainId);
+    const deploymentInfo = await deploy(hre, { config, stepsFile, reset: process.env.DEPLOY_RESET === "1" });
+
+    // Deployment Summary
     console.log("\n🎉 Deployment Complete!");
     console.log("==========================================");
-    console.log("📄 SHOP Token:", shopToken.address);
-    console.log("🏪 Merchant Registry:", merchantRegistry.address);
-    console.log("✅ Purchase Validator:", purchaseValidator.address);
-    console.log("🔒 SHOP Staking:", shopStaking.address);
-    console.log("💱 Stablecoin Swap:", stablecoinSwap.address);
+    for (const { key, label } of PROXIES) {
+        console.log(`${label}:`, deploymentInfo.contracts[key]);
+    }
+    if (deploymentInfo.contracts.shopTimelock) {
+        console.log("⏳ Governance Timelock:", deploymentInfo.contracts.shopTimelock);
+    }
+    console.log("⛽ Meta-transaction Forwarder:", deploymentInfo.contracts.shopForwarder);
+    console.log("🛡️ Proxy Admin:", deploymentInfo.proxyAdmin);
     console.log("==========================================");
 
-    // Step 9: Save deployment info
-    const deploymentInfo = {
-        network: network.name,
-        chainId: network.chainId,
-        deployer: deployer.address,
-        timestamp: new Date().toISOString(),
-        contracts: {
-            shopToken: shopToken.address,
-            merchantRegistry: merchantRegistry.address,
-            purchaseValidator: purchaseValidator.address,
-            shopStaking: shopStaking.address,
-            stablecoinSwap: stablecoinSwap.address
-        },
-        verificationCommands: {
-            shopToken: `npx hardhat verify --network sepolia ${shopToken.address}`,
-            merchantRegistry: `npx hardhat verify --network sepolia ${merchantRegistry.address} ${shopToken.address}`,
-            purchaseValidator: `npx hardhat verify --network sepolia ${purchaseValidator.address} ${shopToken.address} ${merchantRegistry.address}`,
-            shopStaking: `npx hardhat verify --network sepolia ${shopStaking.address} ${shopToken.address}`,
-            stablecoinSwap: `npx hardhat verify --network sepolia ${stablecoinSwap.address} ${shopToken.address} ${mockUSDC}`
-        }
-    };
-
     console.log("\n📋 Deployment Information:");
     console.log(JSON.stringify(deploymentInfo, null, 2));
 
-    // Step 10: Quick verification
+    if (inProcess) {
+        console.log("ℹ️ In-process hardhat network - deployment file not written (use --network localhost)");
+    } else {
+        const deploymentFile = await writeDeployment(artifacts, deploymentInfo);
+        console.log("💾 Deployment file written:", path.relative(process.cwd(), deploymentFile));
+        console.log("🧾 Step journal:", path.relative(process.cwd(), stepsFile));
+    }
+
+    // Quick verification
     console.log("\n🔍 Verifying deployment...");
-    const totalSupply = await shopToken.totalSupply();
-    const merchantCount = await merchantRegistry.getMerchantCount();
-    const stakingTokenAddress = await shopStaking.shopToken();
-    
-    console.log("✅ SHOP Total Supply:", ethers.utils.formatEther(totalSupply), "SHOP");
-    console.log("✅ Registered Merchants:", merchantCount.toString());
-    console.log("✅ Staking Contract Connected:", stakingTokenAddress === shopToken.address);
-
-    console.log("\n🎯 Assignment Ready!");
-    console.log("✅ All contracts deployed to Sepolia testnet");
-    console.log("✅ Permissions configured correctly");  
-    console.log("✅ Sample merchant registered and authorized");
-    console.log("✅ System ready for testing and submission");
-    console.log("\n🌐 View on Sepolia Etherscan:");
-    console.log(`   SHOP Token: https://sepolia.etherscan.io/address/${shopToken.address}`);
-    console.log(`   Merchant Registry: https://sepolia.etherscan.io/address/${merchantRegistry.address}`);
-    console.log("\n🚀 Your Shopping Rewards DApp is live on Sepolia!");
+    const shopToken = await ethers.getContractAt("SHOPToken", deploymentInfo.contracts.shopToken);
+    const merchantRegistry = await ethers.getContractAt("MerchantRegistry", deploymentInfo.contracts.merchantRegistry);
+    const shopStaking = await ethers.getContractAt("SHOPStaking", deploymentInfo.contracts.shopStaking);
+
+    console.log("✅ SHOP Total Supply:", ethers.utils.formatEther(await shopToken.totalSupply()), "SHOP");
+    console.log("✅ Registered Merchants:", (await merchantRegistry.getMerchantCount()).toString());
+    console.log("✅ Staking Contract Connected:", (await shopStaking.shopToken()) === shopToken.address);
+
+    if (network.chainId === 11155111) {
+        console.log("\n🌐 View on Sepolia Etherscan:");
+        console.log(`   SHOP Token: https://sepolia.etherscan.io/address/${shopToken.address}`);
+        console.log(`   Merchant Registry: https://sepolia.etherscan.io/address/${merchantRegistry.address}`);
+    }
+    console.log(`\n🚀 Your Shopping Rewards DApp is live on ${hre.network.name}!`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Deployment failed:", error);
+            console.error("Stack trace:", error.stack);
+            console.error("💡 Completed steps are recorded - rerun to resume from the failed step");
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error("❌ Deployment failed:", error);
-        console.error("Stack trace:", error.stack);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = {
+    PROXIES,
+    deploy
+};
@@ -0,0 +1,220 @@
+// scripts/governance.js - Queue, inspect and execute timelocked parameter changes
+//
+// Usage (against a running `npx hardhat node`):
+//   TIMELOCK_ADDRESS=0x... HARDHAT_NETWORK=localhost node scripts/governance.js queue <ContractName> <address> <function> [args...]
+//   TIMELOCK_ADDRESS=0x... HARDHAT_NETWORK=localhost node scripts/governance.js list [--all]
+//   TIMELOCK_ADDRESS=0x... HARDHAT_NETWORK=localhost node scripts/governance.js execute <operationId>
+//   TIMELOCK_ADDRESS=0x... HARDHAT_NETWORK=localhost node scripts/governance.js cancel <operationId>
+
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const ZERO_BYTES32 = ethers.constants.HashZero;
+
+// Contracts whose calldata `list` tries to decode
+const GOVERNED_CONTRACTS = [
+    "SHOPToken",
+    "MerchantRegistry",
+    "PurchaseValidator",
+    "SHOPStaking",
+    "StablecoinSwap",
+    "RewardRedemption",
+    "MerchantOnboarding",
+    "RewardVesting",
+    "RewardCampaigns",
+    "LoyaltyTiers",
+    "ReferralProgram",
+    "RewardEscrow",
+    "PurchaseGuard"
+];
+
+/**
+ * Convert CLI strings to the types a function fragment expects
+ */
+function parseArgs(fragment, rawArgs) {
+    if (rawArgs.length !== fragment.inputs.length) {
+        throw new Error(`${fragment.name} expects ${fragment.inputs.length} argument(s), got ${rawArgs.length}`);
+    }
+    return fragment.inputs.map((input, i) => {
+        const raw = rawArgs[i];
+        if (input.baseType === "bool") return raw === "true";
+        if (input.baseType === "array" || input.baseType === "tuple") return JSON.parse(raw);
+        return raw;
+    });
+}
+
+/**
+ * Queue a call on a governed contract; returns the operation ID and the time it becomes executable
+ */
+async function queueProposal(timelock, target, functionName, args, options = {}) {
+    const data = target.interface.encodeFunctionData(functionName, args);
+    const delay = options.delay !== undefined ? options.delay : await timelock.getMinDelay();
+    const salt = options.salt || ethers.utils.hexlify(ethers.utils.randomBytes(32));
+
+    const tx = await timelock.schedule(target.address, 0, data, ZERO_BYTES32, salt, delay);
+    await tx.wait();
+
+    const id = await timelock.hashOperation(target.address, 0, data, ZERO_BYTES32, salt);
+    const eta = await timelock.getTimestamp(id);
+    return { id, eta: eta.toNumber(), salt, data };
+}
+
+/**
+ * Rebuild every scheduled operation from events, with its current status
+ */
+async function listProposals(timelock, options = {}) {
+    const interfaces = options.interfaces || [];
+    const scheduled = await timelock.queryFilter(timelock.filters.CallScheduled());
+    const salts = await timelock.queryFilter(timelock.filters.CallSalt());
+    const saltById = Object.fromEntries(salts.map((e) => [e.args.id, e.args.salt]));
+
+    const now = (await timelock.provider.getBlock("latest")).timestamp;
+    const proposals = [];
+    for (const event of scheduled) {
+        const { id, target, value, data, predecessor, delay } = event.args;
+        const timestamp = (await timelock.getTimestamp(id)).toNumber();
+
+        let status;
+        if (timestamp === 0) status = "cancelled";
+        else if (timestamp === 1) status = "executed";
+        else if (timestamp > now) status = "pending";
+        else status = "ready";
+
+        proposals.push({
+            id,
+            target,
+            value: value.toString(),
+            data,
+            predecessor,
+            salt: saltById[id] || ZERO_BYTES32,
+            delay: delay.toNumber(),
+            eta: timestamp > 1 ? timestamp : null,
+            status,
+            call: decodeCall(interfaces, data)
+        });
+    }
+
+    if (options.all) return proposals;
+    return proposals.filter((p) => p.status === "pending" || p.status === "ready");
+}
+
+/**
+ * Best-effort "function(args)" description of calldata
+ */
+function decodeCall(interfaces, data) {
+    for (const iface of interfaces) {
+        try {
+            const parsed = iface.parseTransaction({ data });
+            return `${parsed.name}(${parsed.args.map((a) => a.toString()).join(", ")})`;
+        } catch (error) {
+            // Not this contract's function - try the next interface
+        }
+    }
+    return null;
+}
+
+/**
+ * Find a scheduled operation by ID
+ */
+async function findProposal(timelock, id) {
+    const proposals = await listProposals(timelock, { all: true });
+    const proposal = proposals.find((p) => p.id === id);
+    if (!proposal) throw new Error(`Unknown operation ${id}`);
+    return proposal;
+}
+
+/**
+ * Execute a ready operation
+ */
+async function executeProposal(timelock, id) {
+    const proposal = await findProposal(timelock, id);
+    if (proposal.status !== "ready") throw new Error(`Operation ${id} is ${proposal.status}, not ready`);
+
+    const tx = await timelock.execute(proposal.target, proposal.value, proposal.data, proposal.predecessor, proposal.salt);
+    return tx.wait();
+}
+
+/**
+ * Cancel a pending or ready operation
+ */
+async function cancelProposal(timelock, id) {
+    const tx = await timelock.cancel(id);
+    return tx.wait();
+}
+
+/**
+ * Interfaces of the governed contracts, for decoding calldata
+ */
+async function loadGovernedInterfaces() {
+    const interfaces = [];
+    for (const name of GOVERNED_CONTRACTS) {
+        const artifact = await hre.artifacts.readArtifact(name);
+        interfaces.push(new ethers.utils.Interface(artifact.abi));
+    }
+    return interfaces;
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const timelockAddress = process.env.TIMELOCK_ADDRESS;
+    if (!timelockAddress) throw new Error("Set TIMELOCK_ADDRESS to the ShopTimelock address");
+
+    const timelock = await ethers.getContractAt("ShopTimelock", timelockAddress);
+
+    switch (command) {
+        case "queue": {
+            const [contractName, address, functionName, ...rawArgs] = rest;
+            const target = await ethers.getContractAt(contractName, address);
+            const args = parseArgs(target.interface.getFunction(functionName), rawArgs);
+            const { id, eta } = await queueProposal(timelock, target, functionName, args);
+            console.log("⏳ Queued", `${contractName}.${functionName}(${rawArgs.join(", ")})`);
+            console.log("   Operation ID:", id);
+            console.log("   Executable after:", new Date(eta * 1000).toISOString());
+            break;
+        }
+        case "list": {
+            const interfaces = await loadGovernedInterfaces();
+            const proposals = await listProposals(timelock, { all: rest.includes("--all"), interfaces });
+            if (proposals.length === 0) {
+                console.log("📭 No proposals");
+            }
+            for (const p of proposals) {
+                console.log(`${p.status.toUpperCase().padEnd(9)} ${p.id}`);
+                console.log(`          ${p.call || p.data} on ${p.target}`);
+                if (p.eta) console.log(`          ETA ${new Date(p.eta * 1000).toISOString()}`);
+            }
+            break;
+        }
+        case "execute": {
+            const receipt = await executeProposal(timelock, rest[0]);
+            console.log("✅ Executed", rest[0], "in tx", receipt.transactionHash);
+            break;
+        }
+        case "cancel": {
+            const receipt = await cancelProposal(timelock, rest[0]);
+            console.log("🗑️ Cancelled", rest[0], "in tx", receipt.transactionHash);
+            break;
+        }
+        default:
+            console.log("Usage: node scripts/governance.js <queue|list|execute|cancel> ...");
+            process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(process.exitCode || 0))
+        .catch((error) => {
+            console.error("❌ Governance command failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    parseArgs,
+    queueProposal,
+    listProposals,
+    executeProposal,
+    cancelProposal,
+    loadGovernedInterfaces
+};
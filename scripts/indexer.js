@@ -0,0 +1,99 @@
+// scripts/indexer.js - Follow rewards events into SQLite and serve the analytics API
+//
+// Usage (against a running `npx hardhat node` or any RPC endpoint):
+//   SHOP_TOKEN_ADDRESS=0x... PURCHASE_VALIDATOR_ADDRESS=0x... node scripts/indexer.js
+//
+// Contract addresses come from SHOP_TOKEN_ADDRESS, MERCHANT_REGISTRY_ADDRESS, PURCHASE_VALIDATOR_ADDRESS,
+// SHOP_STAKING_ADDRESS and STABLECOIN_SWAP_ADDRESS, or from INDEXER_CONTRACTS (a JSON file with a
+// "contracts" object keyed shopToken, merchantRegistry, ...). Without either, the chain's
+// deployments/<chainId>.json written by scripts/deploy.js is used. Other settings:
+//   INDEXER_RPC_URL (default http://127.0.0.1:8545), INDEXER_START_BLOCK (default 0),
+//   INDEXER_DB (default indexer.sqlite), INDEXER_PORT (default 3001),
+//   INDEXER_POLL_MS (default 5000), INDEXER_CONFIRMATIONS (default 0)
+//
+// API: GET /status, /history?account=&merchant=&event=&limit=&offset=, /merchants, /merchants/<address>,
+//      /supply?from=&to=&interval=day
+// Vested and escrowed rewards are credited to the customer (escrow customers by their customer hash, which
+// /history?account= also takes), not to RewardVesting or RewardEscrow.
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { openDatabase, createIndexer } = require("./lib/indexer");
+const { createApiServer } = require("./lib/indexer-api");
+const { readDeployment } = require("./lib/deployments");
+
+const CONTRACT_ENV = {
+    shopToken: "SHOP_TOKEN_ADDRESS",
+    merchantRegistry: "MERCHANT_REGISTRY_ADDRESS",
+    purchaseValidator: "PURCHASE_VALIDATOR_ADDRESS",
+    shopStaking: "SHOP_STAKING_ADDRESS",
+    stablecoinSwap: "STABLECOIN_SWAP_ADDRESS"
+};
+
+/**
+ * Contract addresses from INDEXER_CONTRACTS, overridden by the per-contract variables
+ */
+function loadContracts(env) {
+    const contracts = env.INDEXER_CONTRACTS
+        ? { ...JSON.parse(fs.readFileSync(env.INDEXER_CONTRACTS, "utf8")).contracts }
+        : {};
+    for (const [key, variable] of Object.entries(CONTRACT_ENV)) {
+        if (env[variable]) contracts[key] = env[variable];
+    }
+    return contracts;
+}
+
+async function main() {
+    const env = process.env;
+    const provider = new ethers.providers.JsonRpcProvider(env.INDEXER_RPC_URL || "http://127.0.0.1:8545");
+    let contracts = loadContracts(env);
+    if (Object.keys(contracts).length === 0) {
+        contracts = readDeployment((await provider.getNetwork()).chainId).contracts;
+    }
+    const dbPath = env.INDEXER_DB || "indexer.sqlite";
+    const port = Number(env.INDEXER_PORT || 3001);
+    const pollMs = Number(env.INDEXER_POLL_MS || 5000);
+
+    const db = await openDatabase(dbPath);
+    const indexer = createIndexer({
+        provider,
+        db,
+        contracts,
+        startBlock: Number(env.INDEXER_START_BLOCK || 0),
+        confirmations: Number(env.INDEXER_CONFIRMATIONS || 0),
+        log: (message) => console.log(message)
+    });
+
+    console.log("📚 Shopping Rewards indexer");
+    console.log("   Database:", dbPath);
+    for (const [key, address] of Object.entries(contracts)) {
+        if (CONTRACT_ENV[key] && address) console.log(`   ${key}: ${address}`);
+    }
+
+    const server = createApiServer(db);
+    server.listen(port, () => console.log(`🌐 API listening on http://127.0.0.1:${port}`));
+
+    // Poll forever; a failed round (RPC hiccup, block replaced mid-sync) is retried on the next tick
+    for (;;) {
+        try {
+            const { reorged, indexed, cursor } = await indexer.sync();
+            if (indexed > 0 || reorged > 0) {
+                console.log(`✅ Indexed ${indexed} event(s) up to block ${cursor}`);
+            }
+        } catch (error) {
+            console.error("⚠️ Sync failed, retrying:", error.message);
+        }
+        await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("❌ Indexer failed:", error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    loadContracts
+};
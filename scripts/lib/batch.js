@@ -0,0 +1,148 @@
+// scripts/lib/batch.js - CSV parsing, Merkle trees and gas-bounded chunking for batch purchases
+
+const { ethers } = require("ethers");
+
+// Purchase amounts are in SHOP units: 1 SHOP = €0.01, so €1 = 100 * 10**18
+const EUR_DECIMALS = 20;
+const CSV_COLUMNS = ["customer", "amount_eur", "transaction_id"];
+
+/**
+ * Convert a euro amount string ("12.50") to a purchase amount
+ */
+function eurToAmount(eur) {
+    return ethers.utils.parseUnits(eur.trim(), EUR_DECIMALS);
+}
+
+/**
+ * Parse a till export with a customer,amount_eur,transaction_id header
+ * Returns the valid purchases plus one error per rejected line
+ */
+function parsePurchaseCsv(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim().length > 0);
+    if (lines.length === 0) throw new Error("CSV is empty");
+
+    const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+    const columns = CSV_COLUMNS.map((name) => header.indexOf(name));
+    if (columns.includes(-1)) {
+        throw new Error(`CSV header must include ${CSV_COLUMNS.join(", ")}`);
+    }
+
+    const purchases = [];
+    const errors = [];
+    const seen = new Set();
+    lines.slice(1).forEach((line, i) => {
+        const lineNumber = i + 2;
+        const cells = line.split(",");
+        const [customer, amountEur, transactionId] = columns.map((c) => (cells[c] || "").trim());
+
+        if (!ethers.utils.isAddress(customer)) {
+            errors.push({ line: lineNumber, reason: `Invalid customer address "${customer}"` });
+            return;
+        }
+        if (!transactionId) {
+            errors.push({ line: lineNumber, reason: "Missing transaction ID" });
+            return;
+        }
+        if (seen.has(transactionId)) {
+            errors.push({ line: lineNumber, reason: `Duplicate transaction ID ${transactionId}` });
+            return;
+        }
+
+        let amount;
+        try {
+            amount = eurToAmount(amountEur);
+        } catch (error) {
+            errors.push({ line: lineNumber, reason: `Invalid amount "${amountEur}"` });
+            return;
+        }
+
+        seen.add(transactionId);
+        purchases.push({ customer: ethers.utils.getAddress(customer), amount, transactionId, line: lineNumber });
+    });
+
+    return { purchases, errors };
+}
+
+/**
+ * Leaf hash PurchaseValidator.processReceiptBatch checks proofs against
+ */
+function hashPurchaseLeaf({ customer, amount, transactionId }) {
+    const encoded = ethers.utils.defaultAbiCoder.encode(
+        ["address", "uint256", "string"],
+        [customer, amount, transactionId]
+    );
+    return ethers.utils.keccak256(ethers.utils.keccak256(encoded));
+}
+
+/**
+ * Hash a pair the way OpenZeppelin's MerkleProof does (sorted, so proofs need no left/right flags)
+ */
+function hashPair(a, b) {
+    const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+    return ethers.utils.keccak256(ethers.utils.concat([first, second]));
+}
+
+/**
+ * Build a Merkle tree over purchases; returns the root and a proof getter by purchase index
+ */
+function buildPurchaseTree(purchases) {
+    if (purchases.length === 0) throw new Error("No purchases to commit");
+
+    const layers = [purchases.map(hashPurchaseLeaf)];
+    while (layers[layers.length - 1].length > 1) {
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            // An unpaired node moves up unchanged
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+
+    const getProof = (index) => {
+        const proof = [];
+        for (let level = 0; level < layers.length - 1; level++) {
+            const sibling = index % 2 === 0 ? index + 1 : index - 1;
+            if (sibling < layers[level].length) proof.push(layers[level][sibling]);
+            index = Math.floor(index / 2);
+        }
+        return proof;
+    };
+
+    return { root: layers[layers.length - 1][0], getProof };
+}
+
+/**
+ * Split items into chunks of at most maxSize whose estimated gas fits under maxGas
+ * estimateGas(chunk) resolves to a BigNumber; oversized chunks are halved until they fit
+ */
+async function chunkByGas(items, estimateGas, { maxGas, maxSize }) {
+    const chunks = [];
+
+    const fit = async (chunk) => {
+        const gas = await estimateGas(chunk);
+        if (gas.lte(maxGas)) {
+            chunks.push({ items: chunk, gas });
+            return;
+        }
+        if (chunk.length === 1) throw new Error(`A single purchase needs ${gas} gas, above the ${maxGas} limit`);
+        const middle = Math.ceil(chunk.length / 2);
+        await fit(chunk.slice(0, middle));
+        await fit(chunk.slice(middle));
+    };
+
+    for (let i = 0; i < items.length; i += maxSize) {
+        await fit(items.slice(i, i + maxSize));
+    }
+    return chunks;
+}
+
+module.exports = {
+    EUR_DECIMALS,
+    CSV_COLUMNS,
+    eurToAmount,
+    parsePurchaseCsv,
+    hashPurchaseLeaf,
+    buildPurchaseTree,
+    chunkByGas
+};
@@ -0,0 +1,82 @@
+// scripts/lib/deployments.js - Per-network deployment files (addresses and full ABIs) shared by scripts and the dApp
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// DEPLOYMENTS_DIR in the environment points scripts and tasks at another directory (e.g. in tests)
+const defaultDir = () => process.env.DEPLOYMENTS_DIR || DEPLOYMENTS_DIR;
+
+// Deployment key => contract name, for every contract a deployment file carries
+const CONTRACT_NAMES = {
+    shopToken: "SHOPToken",
+    merchantRegistry: "MerchantRegistry",
+    purchaseValidator: "PurchaseValidator",
+    shopStaking: "SHOPStaking",
+    stablecoinSwap: "StablecoinSwap",
+    rewardRedemption: "RewardRedemption",
+    merchantOnboarding: "MerchantOnboarding",
+    rewardVesting: "RewardVesting",
+    rewardCampaigns: "RewardCampaigns",
+    loyaltyTiers: "LoyaltyTiers",
+    referralProgram: "ReferralProgram",
+    rewardEscrow: "RewardEscrow",
+    purchaseGuard: "PurchaseGuard",
+    shopTimelock: "ShopTimelock",
+    shopForwarder: "ShopForwarder"
+};
+
+/**
+ * Deployment file for a chain - files are keyed by chain ID so the dApp can find them from the wallet's chain
+ */
+function deploymentPath(chainId, dir = defaultDir()) {
+    return path.join(dir, `${chainId}.json`);
+}
+
+/**
+ * Step journal of a chain's deployment pipeline, kept next to its deployment file
+ */
+function stepsPath(chainId, dir = defaultDir()) {
+    return path.join(dir, `${chainId}.steps.json`);
+}
+
+/**
+ * Write a deployment file, adding each deployed contract's ABI from the compiled artifacts
+ * info.contracts maps deployment keys to addresses (null for contracts that were not deployed)
+ * A proxy upgraded to a differently named contract records it in info.implementations[key].contractName
+ */
+async function writeDeployment(artifacts, info, dir = defaultDir()) {
+    const abis = {};
+    for (const [key, address] of Object.entries(info.contracts)) {
+        if (!address) continue;
+        if (!CONTRACT_NAMES[key]) throw new Error(`Unknown deployment key ${key}`);
+        const implementation = info.implementations && info.implementations[key];
+        abis[key] = (await artifacts.readArtifact((implementation && implementation.contractName) || CONTRACT_NAMES[key])).abi;
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    const file = deploymentPath(info.chainId, dir);
+    fs.writeFileSync(file, JSON.stringify({ ...info, abis }, null, 2) + "\n");
+    return file;
+}
+
+/**
+ * Read the deployment file for a chain
+ */
+function readDeployment(chainId, dir = defaultDir()) {
+    const file = deploymentPath(chainId, dir);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No deployment for chain ${chainId} (expected ${path.relative(process.cwd(), file)})`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    CONTRACT_NAMES,
+    deploymentPath,
+    stepsPath,
+    writeDeployment,
+    readDeployment
+};
@@ -0,0 +1,96 @@
+// scripts/lib/escrow.js - Customer identifier hashes and EIP-712 claim proofs for RewardEscrow
+//
+// Walletless customers are keyed on chain by keccak256(salt, normalized identifier). The salt is the
+// issuer's secret, shared with merchant tills so every merchant derives the same hash for a customer;
+// without it, a known email address cannot be matched to its escrow.
+
+const { ethers } = require("ethers");
+
+// Must match the EIP712("RewardEscrow", "1") initializer and CLAIM_TYPEHASH in the contract
+const DOMAIN_NAME = "RewardEscrow";
+const DOMAIN_VERSION = "1";
+
+const CLAIM_TYPES = {
+    EscrowClaim: [
+        { name: "customerHash", type: "bytes32" },
+        { name: "wallet", type: "address" },
+        { name: "attester", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const DEFAULT_CLAIM_VALIDITY_SECONDS = 60 * 60; // Proofs are meant to be used right after identity checks
+
+/**
+ * Canonical form of a loyalty card number or email, so "Jane@Example.com " and "jane@example.com" match
+ */
+function normalizeIdentifier(identifier) {
+    const normalized = String(identifier).replace(/\s+/g, "").toLowerCase();
+    if (!normalized) throw new Error("Empty customer identifier");
+    return normalized;
+}
+
+/**
+ * New random 32-byte issuer salt (generate once, keep it secret)
+ */
+function randomSalt() {
+    return ethers.utils.hexlify(ethers.utils.randomBytes(32));
+}
+
+/**
+ * On-chain key of a customer's escrow
+ */
+function customerHash(identifier, salt) {
+    if (!ethers.utils.isHexString(salt, 32)) throw new Error("Salt must be a 32-byte hex string");
+    return ethers.utils.solidityKeccak256(["bytes32", "string"], [salt, normalizeIdentifier(identifier)]);
+}
+
+/**
+ * Typed-data domain for a RewardEscrow deployment
+ */
+function getClaimDomain(chainId, escrowAddress) {
+    return {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId,
+        verifyingContract: escrowAddress
+    };
+}
+
+/**
+ * Build a claim proof at the escrow's current claim nonce, with a default deadline when omitted
+ */
+async function buildClaim(escrow, { customerHash: hash, wallet, attester, deadline }) {
+    if (!ethers.utils.isAddress(wallet)) throw new Error("Invalid wallet address");
+    if (!ethers.utils.isAddress(attester)) throw new Error("Invalid attester address");
+
+    return {
+        customerHash: hash,
+        wallet: ethers.utils.getAddress(wallet),
+        attester: ethers.utils.getAddress(attester),
+        nonce: (await escrow.escrows(hash)).claimNonce,
+        deadline: deadline !== undefined
+            ? ethers.BigNumber.from(deadline)
+            : ethers.BigNumber.from(Math.floor(Date.now() / 1000) + DEFAULT_CLAIM_VALIDITY_SECONDS)
+    };
+}
+
+/**
+ * Sign a claim proof with the issuer's key or the attesting merchant's signer key
+ */
+async function signClaim(signer, chainId, escrowAddress, claim) {
+    return signer._signTypedData(getClaimDomain(chainId, escrowAddress), CLAIM_TYPES, claim);
+}
+
+module.exports = {
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    CLAIM_TYPES,
+    normalizeIdentifier,
+    randomSalt,
+    customerHash,
+    getClaimDomain,
+    buildClaim,
+    signClaim
+};
@@ -0,0 +1,179 @@
+// scripts/lib/indexer-api.js - Read-only REST API over the indexer database
+
+const http = require("http");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DAY_SECONDS = 24 * 60 * 60;
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Parse a non-negative integer query parameter
+ */
+function intParam(query, name, fallback) {
+    const raw = query.get(name);
+    if (raw === null) return fallback;
+    if (!/^\d+$/.test(raw)) throw new ApiError(400, `${name} must be a non-negative integer`);
+    return Number(raw);
+}
+
+/**
+ * Parse an address query or path parameter (stored addresses are checksummed)
+ */
+function addressParam(value, name) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(value)) throw new ApiError(400, `${name} must be an address`);
+    return value.toLowerCase();
+}
+
+/**
+ * Parse an account query parameter: an address, or the customer hash of a walletless (escrow) customer
+ */
+function accountParam(value) {
+    if (/^0x[0-9a-fA-F]{64}$/.test(value)) return value.toLowerCase();
+    return addressParam(value, "account");
+}
+
+/**
+ * A stored event row as returned by the API
+ */
+function formatEvent(row) {
+    return {
+        name: row.name,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        timestamp: row.timestamp,
+        transactionHash: row.tx_hash,
+        contract: row.contract,
+        args: JSON.parse(row.args)
+    };
+}
+
+/**
+ * GET /history - events newest first, filtered by account, merchant and event name
+ */
+function getHistory(db, query) {
+    const where = [];
+    const params = [];
+    if (query.get("account")) {
+        where.push("lower(e.account) = ?");
+        params.push(accountParam(query.get("account")));
+    }
+    if (query.get("merchant")) {
+        where.push("lower(e.merchant) = ?");
+        params.push(addressParam(query.get("merchant"), "merchant"));
+    }
+    if (query.get("event")) {
+        where.push("e.name = ?");
+        params.push(query.get("event"));
+    }
+    const limit = Math.min(intParam(query, "limit", DEFAULT_LIMIT), MAX_LIMIT);
+    const offset = intParam(query, "offset", 0);
+
+    const rows = db.all(
+        `SELECT e.*, b.timestamp FROM events e JOIN blocks b ON b.number = e.block_number
+        ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+        ORDER BY e.block_number DESC, e.log_index DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+    return { events: rows.map(formatEvent), limit, offset };
+}
+
+/**
+ * Per-merchant purchase count, sales and rewards issued, read from the totals the indexer keeps
+ * (uint256 sums as decimal strings, so the ranking compares them as BigInt)
+ */
+function merchantTotals(db, merchant) {
+    const rows = merchant
+        ? db.all("SELECT * FROM merchant_totals WHERE merchant = ?", [merchant])
+        : db.all("SELECT * FROM merchant_totals");
+    return rows
+        .sort((a, b) => {
+            const difference = BigInt(b.rewards_issued) - BigInt(a.rewards_issued);
+            return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+        })
+        .map((row) => ({
+            merchant: row.address,
+            name: row.name,
+            category: row.category,
+            purchases: row.purchases,
+            sales: row.sales,
+            rewardsIssued: row.rewards_issued
+        }));
+}
+
+/**
+ * GET /supply - SHOP total supply samples, optionally the last sample of each UTC day
+ */
+function getSupply(db, query) {
+    const from = intParam(query, "from", 0);
+    const to = intParam(query, "to", Number.MAX_SAFE_INTEGER);
+    const interval = query.get("interval");
+    if (interval !== null && interval !== "day") throw new ApiError(400, "interval must be \"day\"");
+
+    let points = db.all(
+        "SELECT number, timestamp, total_supply FROM blocks WHERE timestamp >= ? AND timestamp <= ? ORDER BY number",
+        [from, to]
+    ).map((row) => ({ blockNumber: row.number, timestamp: row.timestamp, totalSupply: row.total_supply }));
+
+    if (interval === "day") {
+        const byDay = new Map();
+        for (const point of points) byDay.set(Math.floor(point.timestamp / DAY_SECONDS), point);
+        points = [...byDay.values()];
+    }
+    return { points };
+}
+
+/**
+ * Route a request to its handler
+ */
+function route(db, method, url) {
+    if (method !== "GET") throw new ApiError(405, "Only GET is supported");
+    const { pathname, searchParams } = new URL(url, "http://localhost");
+
+    if (pathname === "/status") {
+        const cursor = db.getMeta("cursor");
+        return {
+            cursor: cursor === null ? null : Number(cursor),
+            events: db.get("SELECT COUNT(*) AS count FROM events").count
+        };
+    }
+    if (pathname === "/history") return getHistory(db, searchParams);
+    if (pathname === "/merchants") return { merchants: merchantTotals(db) };
+    const merchantMatch = pathname.match(/^\/merchants\/([^/]+)$/);
+    if (merchantMatch) {
+        const [totals] = merchantTotals(db, addressParam(merchantMatch[1], "merchant"));
+        if (!totals) throw new ApiError(404, "Merchant not indexed");
+        return totals;
+    }
+    if (pathname === "/supply") return getSupply(db, searchParams);
+    throw new ApiError(404, "Not found");
+}
+
+/**
+ * Create the API server (call listen() on the result)
+ */
+function createApiServer(db) {
+    return http.createServer((req, res) => {
+        let status = 200;
+        let body;
+        try {
+            body = route(db, req.method, req.url);
+        } catch (error) {
+            status = error instanceof ApiError ? error.status : 500;
+            body = { error: error.message };
+        }
+        res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+        res.end(JSON.stringify(body));
+    });
+}
+
+module.exports = {
+    createApiServer,
+    merchantTotals
+};
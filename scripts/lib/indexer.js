@@ -0,0 +1,347 @@
+// scripts/lib/indexer.js - Follow rewards-system events into a local SQLite database, surviving reorgs
+
+const fs = require("fs");
+const initSqlJs = require("sql.js");
+const { ethers } = require("ethers");
+
+// Only the events the indexer stores - kept here so the indexer runs without compiled artifacts
+const EVENT_ABI = [
+    "event RewardsIssued(address indexed merchant, address indexed customer, uint256 amount, uint256 purchaseValue)",
+    "event PurchaseProcessed(address indexed customer, address indexed merchant, uint256 amount, uint256 rewards, uint256 baseRewards, uint256 bonusRewards, string transactionId)",
+    "event EscrowPurchaseProcessed(bytes32 indexed customerHash, address indexed merchant, uint256 amount, uint256 rewards, string transactionId)",
+    "event Staked(address indexed user, uint256 amount, uint256 tier, uint256 multiplier)",
+    "event Unstaked(address indexed user, uint256 amount)",
+    "event StakingRewardsClaimed(address indexed user, uint256 rewards)",
+    "event MerchantRegistered(address indexed merchant, string name, string category, uint256 rewardRate)",
+    "event SwappedToStablecoin(address indexed user, uint256 shopAmount, uint256 stablecoinAmount, uint256 fee)"
+];
+const EVENTS_INTERFACE = new ethers.utils.Interface(EVENT_ABI);
+const SUPPLY_ABI = ["function totalSupply() view returns (uint256)"];
+
+// Which contract (by deployment name) emits each event
+const EVENT_SOURCES = {
+    RewardsIssued: "shopToken",
+    PurchaseProcessed: "purchaseValidator",
+    EscrowPurchaseProcessed: "purchaseValidator",
+    Staked: "shopStaking",
+    Unstaked: "shopStaking",
+    StakingRewardsClaimed: "shopStaking",
+    MerchantRegistered: "merchantRegistry",
+    SwappedToStablecoin: "stablecoinSwap"
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        total_supply TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        contract TEXT NOT NULL,
+        name TEXT NOT NULL,
+        account TEXT,
+        merchant TEXT,
+        amount TEXT,
+        args TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_account ON events (account);
+    CREATE INDEX IF NOT EXISTS events_merchant ON events (merchant);
+    CREATE INDEX IF NOT EXISTS events_name ON events (name);
+    CREATE TABLE IF NOT EXISTS merchant_totals (
+        merchant TEXT PRIMARY KEY,
+        address TEXT NOT NULL,
+        name TEXT,
+        category TEXT,
+        purchases INTEGER NOT NULL,
+        sales TEXT NOT NULL,
+        rewards_issued TEXT NOT NULL
+    );
+`;
+
+const PURCHASE_EVENTS = ["PurchaseProcessed", "EscrowPurchaseProcessed"];
+
+/**
+ * Open (or create) the index database; a null path keeps it in memory
+ */
+async function openDatabase(path) {
+    const SQL = await initSqlJs();
+    const db = path && fs.existsSync(path) ? new SQL.Database(fs.readFileSync(path)) : new SQL.Database();
+    db.run(SCHEMA);
+
+    const all = (sql, params = []) => {
+        const statement = db.prepare(sql);
+        statement.bind(params);
+        const rows = [];
+        while (statement.step()) rows.push(statement.getAsObject());
+        statement.free();
+        return rows;
+    };
+
+    return {
+        all,
+        get: (sql, params) => all(sql, params)[0],
+        run: (sql, params) => db.run(sql, params),
+        transaction: (fn) => {
+            db.run("BEGIN");
+            try {
+                fn();
+                db.run("COMMIT");
+            } catch (error) {
+                db.run("ROLLBACK");
+                throw error;
+            }
+        },
+        getMeta: (key) => {
+            const row = all("SELECT value FROM meta WHERE key = ?", [key])[0];
+            return row ? row.value : null;
+        },
+        setMeta: (key, value) => db.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [key, String(value)]),
+        save: () => {
+            if (path) fs.writeFileSync(path, Buffer.from(db.export()));
+        },
+        close: () => db.close()
+    };
+}
+
+/**
+ * Columns the API filters and totals on, pulled out of an event's arguments
+ */
+function normalizeEvent(name, args) {
+    switch (name) {
+        case "RewardsIssued":
+            return { account: args.customer, merchant: args.merchant, amount: args.amount };
+        case "PurchaseProcessed":
+            return { account: args.customer, merchant: args.merchant, amount: args.amount };
+        case "EscrowPurchaseProcessed":
+            return { account: args.customerHash, merchant: args.merchant, amount: args.amount };
+        case "MerchantRegistered":
+            return { account: null, merchant: args.merchant, amount: null };
+        case "StakingRewardsClaimed":
+            return { account: args.user, merchant: null, amount: args.rewards };
+        case "SwappedToStablecoin":
+            return { account: args.user, merchant: null, amount: args.shopAmount };
+        default: // Staked, Unstaked
+            return { account: args.user, merchant: null, amount: args.amount };
+    }
+}
+
+/**
+ * Who each RewardsIssued was for. Vested and escrowed rewards are minted to RewardVesting or RewardEscrow,
+ * so the customer (or customer hash) comes from the purchase event the same transaction emitted for that
+ * merchant and amount; mints without one keep their recipient
+ */
+function rewardBeneficiaries(events) {
+    const beneficiaries = new Map();
+    const matched = new Set();
+    for (const event of events) {
+        if (event.parsed.name !== "RewardsIssued") continue;
+        const { merchant, purchaseValue } = event.parsed.args;
+        const purchase = events.find(({ entry, parsed }) => !matched.has(entry) &&
+            PURCHASE_EVENTS.includes(parsed.name) &&
+            entry.transactionHash === event.entry.transactionHash &&
+            entry.logIndex > event.entry.logIndex &&
+            parsed.args.merchant === merchant &&
+            parsed.args.amount.eq(purchaseValue));
+        if (!purchase) continue;
+        matched.add(purchase.entry);
+        beneficiaries.set(event.entry, normalizeEvent(purchase.parsed.name, purchase.parsed.args).account);
+    }
+    return beneficiaries;
+}
+
+/**
+ * Fold a stored event into its merchant's running totals (uint256 sums in BigInt, as decimal strings)
+ */
+function addToMerchantTotals(db, { name, merchant, amount, args }) {
+    if (!merchant || !(name === "MerchantRegistered" || name === "RewardsIssued" || PURCHASE_EVENTS.includes(name))) return;
+    const totals = db.get("SELECT * FROM merchant_totals WHERE merchant = ?", [merchant.toLowerCase()]) ||
+        { name: null, category: null, purchases: 0, sales: "0", rewards_issued: "0" };
+    if (name === "MerchantRegistered") {
+        totals.name = args.name;
+        totals.category = args.category;
+    } else if (name === "RewardsIssued") {
+        totals.rewards_issued = (BigInt(totals.rewards_issued) + BigInt(amount)).toString();
+    } else {
+        totals.purchases++;
+        totals.sales = (BigInt(totals.sales) + BigInt(amount)).toString();
+    }
+    db.run(
+        "INSERT OR REPLACE INTO merchant_totals (merchant, address, name, category, purchases, sales, rewards_issued) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [merchant.toLowerCase(), merchant, totals.name, totals.category, totals.purchases, totals.sales, totals.rewards_issued]
+    );
+}
+
+/**
+ * Recount merchant totals from the stored events - for the given merchants, or all of them
+ */
+function rebuildMerchantTotals(db, merchants = null) {
+    let rows;
+    if (merchants === null) {
+        db.run("DELETE FROM merchant_totals");
+        rows = db.all("SELECT name, merchant, amount, args FROM events WHERE merchant IS NOT NULL ORDER BY block_number, log_index");
+    } else {
+        rows = [];
+        for (const merchant of merchants) {
+            db.run("DELETE FROM merchant_totals WHERE merchant = ?", [merchant.toLowerCase()]);
+            rows.push(...db.all(
+                "SELECT name, merchant, amount, args FROM events WHERE merchant = ? ORDER BY block_number, log_index",
+                [merchant]
+            ));
+        }
+    }
+    for (const row of rows) addToMerchantTotals(db, { ...row, args: JSON.parse(row.args) });
+}
+
+/**
+ * Named event arguments as JSON-safe values (uint256 as decimal strings)
+ */
+function serializeArgs(fragment, args) {
+    const result = {};
+    fragment.inputs.forEach((input, i) => {
+        const value = args[i];
+        result[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+    return result;
+}
+
+/**
+ * Create an indexer over a provider and database
+ * contracts maps deployment names (shopToken, purchaseValidator, ...) to addresses; missing ones are skipped
+ */
+function createIndexer({ provider, db, contracts, startBlock = 0, batchSize = 2000, confirmations = 0, log = () => {} }) {
+    if (!contracts.shopToken) throw new Error("The indexer needs the shopToken address to track supply");
+
+    const sources = new Map();
+    for (const [name, key] of Object.entries(EVENT_SOURCES)) {
+        if (contracts[key]) sources.set(EVENTS_INTERFACE.getEventTopic(name), ethers.utils.getAddress(contracts[key]));
+    }
+    const shopToken = new ethers.Contract(contracts.shopToken, SUPPLY_ABI, provider);
+
+    // Databases indexed before merchant totals were kept get them counted once from their events
+    if (db.getMeta("merchant_totals") === null) {
+        db.transaction(() => {
+            rebuildMerchantTotals(db);
+            db.setMeta("merchant_totals", 1);
+        });
+    }
+
+    const getCursor = () => {
+        const cursor = db.getMeta("cursor");
+        return cursor === null ? startBlock - 1 : Number(cursor);
+    };
+
+    /**
+     * Roll back to the newest stored block still on the canonical chain; returns the number of blocks dropped
+     */
+    const handleReorg = async () => {
+        const cursor = getCursor();
+        const stored = db.all("SELECT number, hash FROM blocks ORDER BY number DESC");
+        let ancestor = startBlock - 1;
+        for (const block of stored) {
+            const current = await provider.getBlock(block.number);
+            if (current && current.hash === block.hash) {
+                ancestor = block.number;
+                break;
+            }
+        }
+        if (stored.length === 0 || ancestor === stored[0].number) return 0;
+
+        db.transaction(() => {
+            const merchants = db.all("SELECT DISTINCT merchant FROM events WHERE block_number > ? AND merchant IS NOT NULL", [ancestor])
+                .map((row) => row.merchant);
+            db.run("DELETE FROM events WHERE block_number > ?", [ancestor]);
+            db.run("DELETE FROM blocks WHERE number > ?", [ancestor]);
+            rebuildMerchantTotals(db, merchants);
+            db.setMeta("cursor", ancestor);
+        });
+        log(`↩️ Reorg detected, rolled back ${cursor - ancestor} block(s) to ${ancestor}`);
+        return cursor - ancestor;
+    };
+
+    /**
+     * Index one block range; throws if the chain changed underneath (the next sync rolls it back)
+     */
+    const indexRange = async (fromBlock, toBlock) => {
+        const logs = (await provider.getLogs({ fromBlock, toBlock, topics: [[...sources.keys()]] }))
+            .filter((entry) => sources.get(entry.topics[0]) === ethers.utils.getAddress(entry.address));
+
+        // Every block with events, plus the range end as a reorg checkpoint and supply sample
+        const numbers = [...new Set([...logs.map((entry) => entry.blockNumber), toBlock])];
+        const blocks = new Map();
+        for (const number of numbers) {
+            const block = await provider.getBlock(number);
+            const totalSupply = await shopToken.totalSupply({ blockTag: number });
+            blocks.set(number, { hash: block.hash, timestamp: block.timestamp, totalSupply: totalSupply.toString() });
+        }
+        for (const entry of logs) {
+            if (blocks.get(entry.blockNumber).hash !== entry.blockHash) {
+                throw new Error(`Block ${entry.blockNumber} changed while indexing`);
+            }
+        }
+
+        db.transaction(() => {
+            for (const [number, block] of blocks) {
+                db.run("INSERT OR REPLACE INTO blocks (number, hash, timestamp, total_supply) VALUES (?, ?, ?, ?)", [
+                    number, block.hash, block.timestamp, block.totalSupply
+                ]);
+            }
+            const events = logs.map((entry) => ({ entry, parsed: EVENTS_INTERFACE.parseLog(entry) }));
+            const beneficiaries = rewardBeneficiaries(events);
+            for (const { entry, parsed } of events) {
+                const { account, merchant, amount } = normalizeEvent(parsed.name, parsed.args);
+                const storedAmount = amount === null ? null : amount.toString();
+                const args = serializeArgs(parsed.eventFragment, parsed.args);
+                db.run(
+                    "INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, contract, name, account, merchant, amount, args) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                    [
+                        entry.blockNumber,
+                        entry.logIndex,
+                        entry.transactionHash,
+                        ethers.utils.getAddress(entry.address),
+                        parsed.name,
+                        beneficiaries.get(entry) || account,
+                        merchant,
+                        storedAmount,
+                        JSON.stringify(args)
+                    ]
+                );
+                addToMerchantTotals(db, { name: parsed.name, merchant, amount: storedAmount, args });
+            }
+            db.setMeta("cursor", toBlock);
+        });
+        return logs.length;
+    };
+
+    /**
+     * Catch up to the chain head (less confirmations); returns what was indexed
+     */
+    const sync = async () => {
+        const reorged = await handleReorg();
+        const target = (await provider.getBlockNumber()) - confirmations;
+        const startCursor = getCursor();
+        let indexed = 0;
+        let fromBlock = startCursor + 1;
+        while (fromBlock <= target) {
+            const toBlock = Math.min(fromBlock + batchSize - 1, target);
+            indexed += await indexRange(fromBlock, toBlock);
+            fromBlock = toBlock + 1;
+        }
+        if (reorged > 0 || getCursor() !== startCursor) db.save();
+        return { reorged, indexed, cursor: getCursor() };
+    };
+
+    return { sync, handleReorg, getCursor };
+}
+
+module.exports = {
+    EVENT_ABI,
+    EVENT_SOURCES,
+    openDatabase,
+    createIndexer
+};
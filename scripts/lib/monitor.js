@@ -0,0 +1,241 @@
+// scripts/lib/monitor.js - Watch purchases and reward mints for fraud patterns and raise alerts
+//
+// The detector keeps sliding windows of recent activity in memory, so alerts cover what happened since
+// the monitor started (or since startBlock). It only reports - holding purchases is PurchaseGuard's job.
+// Walletless (escrow) purchases are tracked under their customer hash, and held purchases count as
+// attempts as soon as they are held.
+
+const { ethers } = require("ethers");
+
+const EVENT_ABI = [
+    "event PurchaseProcessed(address indexed customer, address indexed merchant, uint256 amount, uint256 rewards, uint256 baseRewards, uint256 bonusRewards, string transactionId)",
+    "event RewardsIssued(address indexed merchant, address indexed customer, uint256 amount, uint256 purchaseValue)",
+    "event EscrowPurchaseProcessed(bytes32 indexed customerHash, address indexed merchant, uint256 amount, uint256 rewards, string transactionId)",
+    "event PurchaseHeld(uint256 indexed holdId, address indexed merchant, address indexed customer, bytes32 customerHash, uint256 amount, uint256 rewards, string reason, string transactionId)"
+];
+const EVENTS_INTERFACE = new ethers.utils.Interface(EVENT_ABI);
+
+// Which contract (by deployment name) emits each event
+const EVENT_SOURCES = {
+    PurchaseProcessed: "purchaseValidator",
+    RewardsIssued: "shopToken",
+    EscrowPurchaseProcessed: "purchaseValidator",
+    PurchaseHeld: "purchaseGuard"
+};
+// Deployments may run without these; their events are simply not watched
+const OPTIONAL_SOURCES = new Set(["purchaseGuard"]);
+const PURCHASE_EVENTS = new Set(["PurchaseProcessed", "EscrowPurchaseProcessed", "PurchaseHeld"]);
+
+const DEFAULT_RULES = {
+    maxPurchase: ethers.utils.parseEther("100000"), // PurchaseValidator.MAX_PURCHASE_AMOUNT
+    nearMaxRatioBps: 9000, // A purchase at 90%+ of the max is "near max"
+    nearMaxCount: 3, // ...and this many from one merchant or to one customer is suspicious
+    nearMaxWindow: 60 * 60,
+    spreadMerchants: 5, // One customer buying at this many merchants...
+    spreadWindow: 24 * 60 * 60,
+    burstCount: 10, // This many purchases by one merchant or customer...
+    burstWindow: 5 * 60,
+    burstRewards: ethers.utils.parseEther("10000"), // Or this much SHOP minted by one merchant...
+    rewardsWindow: 60 * 60
+};
+
+/**
+ * Who a purchase event is for: the wallet, or the customer hash of a walletless purchase
+ */
+function purchaseCustomer(event) {
+    const { customer, customerHash } = event.args;
+    if (event.name === "EscrowPurchaseProcessed") return customerHash;
+    if (event.name === "PurchaseHeld" && customerHash !== ethers.constants.HashZero) return customerHash;
+    return customer;
+}
+
+/**
+ * Alert rules over a stream of decoded events, each { name, args, blockNumber, transactionHash, logIndex, timestamp }
+ * observe() returns the alerts an event raises; a rule alerts once per subject per window
+ */
+function createDetector(rules = {}) {
+    const config = { ...DEFAULT_RULES, ...rules };
+    config.maxPurchase = ethers.BigNumber.from(config.maxPurchase);
+    config.burstRewards = ethers.BigNumber.from(config.burstRewards);
+    const nearMaxAmount = config.maxPurchase.mul(config.nearMaxRatioBps).div(10000);
+    const longestWindow = Math.max(config.nearMaxWindow, config.spreadWindow, config.burstWindow, config.rewardsWindow);
+
+    const windows = new Map(); // "rule:subject" => [{ timestamp, value }]
+    const lastAlerted = new Map(); // "rule:subject" => timestamp
+    const counted = new Map(); // transactionId => timestamp, so a held purchase released later counts once
+
+    // Add an entry to a window and return the entries still inside it
+    const track = (key, timestamp, window, value = null) => {
+        const entries = (windows.get(key) || []).filter((entry) => entry.timestamp > timestamp - window);
+        entries.push({ timestamp, value });
+        windows.set(key, entries);
+        return entries;
+    };
+
+    const raise = (alerts, event, rule, subject, window, message, details) => {
+        const key = `${rule}:${subject}`;
+        const last = lastAlerted.get(key);
+        if (last !== undefined && event.timestamp - last < window) return;
+        lastAlerted.set(key, event.timestamp);
+        alerts.push({
+            rule,
+            subject,
+            message,
+            details,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex,
+            timestamp: event.timestamp
+        });
+    };
+
+    const onPurchase = (event, alerts) => {
+        const { merchant, amount, transactionId } = event.args;
+        const customer = purchaseCustomer(event);
+        const { timestamp } = event;
+        if (transactionId) {
+            if (counted.has(transactionId)) return;
+            counted.set(transactionId, timestamp);
+        }
+
+        if (ethers.BigNumber.from(amount).gte(nearMaxAmount)) {
+            for (const [role, subject] of [["merchant", merchant], ["customer", customer]]) {
+                const entries = track(`nearMax:${subject}`, timestamp, config.nearMaxWindow);
+                if (entries.length >= config.nearMaxCount) {
+                    raise(alerts, event, "nearMax", subject, config.nearMaxWindow,
+                        `${entries.length} purchases near the max (${ethers.utils.formatEther(nearMaxAmount)}+) for ${role} ${subject} within ${config.nearMaxWindow}s`,
+                        { role, count: entries.length });
+                }
+            }
+        }
+
+        const merchants = new Set(track(`spread:${customer}`, timestamp, config.spreadWindow, merchant).map((entry) => entry.value));
+        if (merchants.size >= config.spreadMerchants) {
+            raise(alerts, event, "spread", customer, config.spreadWindow,
+                `Customer ${customer} bought at ${merchants.size} merchants within ${config.spreadWindow}s`,
+                { merchants: [...merchants] });
+        }
+
+        for (const [role, subject] of [["merchant", merchant], ["customer", customer]]) {
+            const entries = track(`burst:${subject}`, timestamp, config.burstWindow);
+            if (entries.length >= config.burstCount) {
+                raise(alerts, event, "burst", subject, config.burstWindow,
+                    `${entries.length} purchases for ${role} ${subject} within ${config.burstWindow}s`,
+                    { role, count: entries.length });
+            }
+        }
+    };
+
+    const onRewards = (event, alerts) => {
+        const { merchant, amount } = event.args;
+        const entries = track(`rewards:${merchant}`, event.timestamp, config.rewardsWindow, ethers.BigNumber.from(amount));
+        const total = entries.reduce((sum, entry) => sum.add(entry.value), ethers.BigNumber.from(0));
+        if (total.gte(config.burstRewards)) {
+            raise(alerts, event, "rewards", merchant, config.rewardsWindow,
+                `Merchant ${merchant} minted ${ethers.utils.formatEther(total)} SHOP within ${config.rewardsWindow}s`,
+                { total: total.toString(), mints: entries.length });
+        }
+    };
+
+    // Forget windows nothing recent is left in, so memory follows recent activity only
+    const prune = (timestamp) => {
+        for (const [key, entries] of windows) {
+            if (entries[entries.length - 1].timestamp <= timestamp - longestWindow) windows.delete(key);
+        }
+        for (const [transactionId, countedAt] of counted) {
+            if (countedAt <= timestamp - longestWindow) counted.delete(transactionId);
+        }
+    };
+
+    /**
+     * Feed one event (in chain order); returns the alerts it raised
+     */
+    function observe(event) {
+        const alerts = [];
+        if (PURCHASE_EVENTS.has(event.name)) onPurchase(event, alerts);
+        if (event.name === "RewardsIssued") onRewards(event, alerts);
+        prune(event.timestamp);
+        return alerts;
+    }
+
+    return { observe, config };
+}
+
+/**
+ * Poll a provider for purchase, hold and reward logs and run them through a detector
+ * contracts maps deployment names to addresses (purchaseValidator and shopToken, and purchaseGuard if deployed)
+ */
+function createMonitor({ provider, contracts, rules = {}, startBlock, batchSize = 2000, onAlert = () => {} }) {
+    const sources = new Map();
+    for (const [name, key] of Object.entries(EVENT_SOURCES)) {
+        if (!contracts[key]) {
+            if (OPTIONAL_SOURCES.has(key)) continue;
+            throw new Error(`The monitor needs the ${key} address`);
+        }
+        sources.set(EVENTS_INTERFACE.getEventTopic(name), ethers.utils.getAddress(contracts[key]));
+    }
+    const detector = createDetector(rules);
+    let cursor = startBlock === undefined ? null : startBlock - 1;
+    // The last log run through the detector; a poll that fails partway resumes right after it
+    let lastLog = null;
+    const undelivered = []; // Raised but not yet accepted by onAlert
+
+    const isProcessed = (entry) => lastLog !== null && (entry.blockNumber < lastLog.blockNumber ||
+        (entry.blockNumber === lastLog.blockNumber && entry.logIndex <= lastLog.logIndex));
+
+    // Hand queued alerts to onAlert in order; one that throws stays queued for the next poll
+    const deliver = (alerts) => {
+        while (undelivered.length > 0) {
+            onAlert(undelivered[0]);
+            alerts.push(undelivered.shift());
+        }
+    };
+
+    /**
+     * Process every block since the last poll; returns what was seen and raised
+     */
+    async function poll() {
+        const head = await provider.getBlockNumber();
+        if (cursor === null) cursor = head; // Watch from now
+        let events = 0;
+        const alerts = [];
+        deliver(alerts);
+        while (cursor < head) {
+            const fromBlock = cursor + 1;
+            const toBlock = Math.min(fromBlock + batchSize - 1, head);
+            const logs = (await provider.getLogs({ fromBlock, toBlock, topics: [[...sources.keys()]] }))
+                .filter((entry) => sources.get(entry.topics[0]) === ethers.utils.getAddress(entry.address))
+                .filter((entry) => !isProcessed(entry));
+
+            const timestamps = new Map();
+            for (const entry of logs) {
+                if (!timestamps.has(entry.blockNumber)) {
+                    timestamps.set(entry.blockNumber, (await provider.getBlock(entry.blockNumber)).timestamp);
+                }
+                const parsed = EVENTS_INTERFACE.parseLog(entry);
+                undelivered.push(...detector.observe({
+                    name: parsed.name,
+                    args: parsed.args,
+                    blockNumber: entry.blockNumber,
+                    transactionHash: entry.transactionHash,
+                    logIndex: entry.logIndex,
+                    timestamp: timestamps.get(entry.blockNumber)
+                }));
+                lastLog = { blockNumber: entry.blockNumber, logIndex: entry.logIndex };
+                events++;
+                deliver(alerts);
+            }
+            cursor = toBlock;
+        }
+        return { events, alerts, cursor };
+    }
+
+    return { poll, config: detector.config };
+}
+
+module.exports = {
+    EVENT_ABI,
+    DEFAULT_RULES,
+    createDetector,
+    createMonitor
+};
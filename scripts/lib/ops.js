@@ -0,0 +1,97 @@
+// scripts/lib/ops.js - Shared plumbing for the admin Hardhat tasks: deployed contracts, dry runs and revert reasons
+
+const { ethers } = require("ethers");
+const { readDeployment } = require("./deployments");
+
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+
+/**
+ * Contracts from the current network's deployment file, connected to a signer
+ */
+async function loadDeployedContracts(hre, signer) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const deployment = readDeployment(chainId);
+    const contracts = {};
+    for (const [key, address] of Object.entries(deployment.contracts)) {
+        if (address && deployment.abis[key]) {
+            contracts[key] = new hre.ethers.Contract(address, deployment.abis[key], signer);
+        }
+    }
+    return { deployment, contracts };
+}
+
+/**
+ * Pull the revert reason out of a provider or Hardhat error
+ */
+function decodeRevertReason(error) {
+    if (error.reason && !/^(cannot estimate gas|processing response error|transaction failed)/.test(error.reason)) {
+        return error.reason.replace(/^execution reverted: /, "");
+    }
+
+    // Raw Error(string) return data, possibly nested inside the provider's error
+    for (const data of [error.data, error.error && error.error.data, error.error && error.error.error && error.error.error.data]) {
+        const hex = typeof data === "string" ? data : data && data.data;
+        if (typeof hex === "string" && hex.startsWith(ERROR_SELECTOR)) {
+            return ethers.utils.defaultAbiCoder.decode(["string"], "0x" + hex.slice(10))[0];
+        }
+    }
+
+    const message = (error.error && error.error.message) || error.message || String(error);
+    const match = message.match(/reverted with reason string '([^']*)'/) || message.match(/execution reverted: ([^"\n]+)/);
+    return match ? match[1].trim() : message;
+}
+
+/**
+ * Send a contract call, or with dryRun only simulate it through callStatic
+ * Either way a revert is rethrown with its decoded reason
+ */
+async function sendOrSimulate(contract, method, args, dryRun) {
+    try {
+        if (dryRun) {
+            const result = await contract.callStatic[method](...args);
+            return { dryRun: true, method, result: toPlain(result) };
+        }
+        const tx = await contract[method](...args);
+        const receipt = await tx.wait();
+        const events = [];
+        for (const log of receipt.logs) {
+            try {
+                events.push(contract.interface.parseLog(log).name);
+            } catch (error) {
+                // Logs from other contracts (e.g. token transfers) are not ours to name
+            }
+        }
+        return {
+            dryRun: false,
+            method,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            events
+        };
+    } catch (error) {
+        throw new Error(`${method} reverted: ${decodeRevertReason(error)}`);
+    }
+}
+
+/**
+ * Contract results as JSON-friendly values: BigNumbers become decimal strings, named tuple fields become objects
+ */
+function toPlain(value) {
+    if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+    if (Array.isArray(value)) {
+        const keys = Object.keys(value).filter((key) => isNaN(Number(key)));
+        if (keys.length > 0 && keys.length === value.length) {
+            return Object.fromEntries(keys.map((key) => [key, toPlain(value[key])]));
+        }
+        return value.map(toPlain);
+    }
+    return value;
+}
+
+module.exports = {
+    loadDeployedContracts,
+    decodeRevertReason,
+    sendOrSimulate,
+    toPlain
+};
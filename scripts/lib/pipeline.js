@@ -0,0 +1,134 @@
+// scripts/lib/pipeline.js - Resumable deployment steps and per-network deployment config
+//
+// Each completed step is recorded in a journal file with its result, so rerunning a deployment
+// that stopped part-way skips what already happened and picks up at the first unfinished step.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const CONFIG_DIR = path.join(__dirname, "..", "..", "deploy-config");
+
+// Networks that share another network's config (the in-process hardhat network is the same local chain)
+const CONFIG_ALIASES = {
+    hardhat: "localhost"
+};
+
+// config.stablecoin value that deploys a 6-decimal mock instead of using an existing token
+const MOCK_STABLECOIN = "mock";
+
+/**
+ * Load and check deploy-config/<network>.json
+ * { "stablecoin": "0x..." | "mock", "merchants": [{ address, name, category, rewardRate, authorizeMinter? }] }
+ */
+function loadDeployConfig(network, dir = CONFIG_DIR) {
+    const name = CONFIG_ALIASES[network] || network;
+    const file = path.join(dir, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No deploy config for network ${network} (expected ${path.relative(process.cwd(), file)})`);
+    }
+    return validateDeployConfig(JSON.parse(fs.readFileSync(file, "utf8")), file);
+}
+
+/**
+ * Reject configs the pipeline would only trip over part-way through a deployment
+ */
+function validateDeployConfig(config, source = "deploy config") {
+    const fail = (reason) => {
+        throw new Error(`Invalid ${path.basename(source)}: ${reason}`);
+    };
+
+    if (config.stablecoin !== MOCK_STABLECOIN && !ethers.utils.isAddress(config.stablecoin || "")) {
+        fail(`stablecoin must be an address or "${MOCK_STABLECOIN}"`);
+    }
+    const merchants = config.merchants || [];
+    if (!Array.isArray(merchants)) fail("merchants must be a list");
+
+    const seen = new Set();
+    merchants.forEach((merchant, i) => {
+        if (!ethers.utils.isAddress(merchant.address || "")) fail(`merchants[${i}] has an invalid address`);
+        if (!merchant.name || !merchant.category) fail(`merchants[${i}] needs a name and category`);
+        if (!Number.isInteger(merchant.rewardRate) || merchant.rewardRate <= 0) {
+            fail(`merchants[${i}] needs a positive integer rewardRate in basis points`);
+        }
+        const address = ethers.utils.getAddress(merchant.address);
+        if (seen.has(address)) fail(`merchant ${address} is listed twice`);
+        seen.add(address);
+    });
+
+    return {
+        stablecoin: config.stablecoin === MOCK_STABLECOIN ? MOCK_STABLECOIN : ethers.utils.getAddress(config.stablecoin),
+        merchants: merchants.map((merchant) => ({
+            ...merchant,
+            address: ethers.utils.getAddress(merchant.address),
+            authorizeMinter: Boolean(merchant.authorizeMinter)
+        }))
+    };
+}
+
+/**
+ * Open the step journal for a deployment, or start a new one
+ * file = null keeps the journal in memory only (e.g. the in-process hardhat network)
+ * A journal for another chain or deployer is refused - resuming it would mix two deployments
+ */
+function openPipeline({ file, network, chainId, deployer, reset = false, log = console.log }) {
+    let journal = null;
+    if (file && !reset && fs.existsSync(file)) {
+        journal = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (journal.chainId !== chainId) {
+            throw new Error(`${path.basename(file)} belongs to chain ${journal.chainId}, not ${chainId}`);
+        }
+        if (journal.deployer !== deployer) {
+            throw new Error(`${path.basename(file)} was started by ${journal.deployer} - resume with that account or reset the deployment`);
+        }
+    }
+    const resumed = Boolean(journal);
+    if (!journal) {
+        journal = { network, chainId, deployer, startedAt: new Date().toISOString(), completedAt: null, steps: {} };
+    }
+
+    const save = () => {
+        if (!file) return;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(journal, null, 2) + "\n");
+    };
+
+    /**
+     * Run a step once - a recorded step returns its saved result without running again
+     * Results must be JSON-serializable; a step that throws is not recorded
+     */
+    async function step(name, action) {
+        if (Object.prototype.hasOwnProperty.call(journal.steps, name)) {
+            log(`   ⏭️ ${name} - already done`);
+            return journal.steps[name].result;
+        }
+        const result = await action();
+        journal.steps[name] = { result: result === undefined ? null : result, at: new Date().toISOString() };
+        save();
+        return journal.steps[name].result;
+    }
+
+    /**
+     * Mark the deployment complete - a rerun only runs steps it has not seen, e.g. merchants added to the config
+     */
+    function finish() {
+        journal.completedAt = new Date().toISOString();
+        save();
+    }
+
+    save();
+    return {
+        journal,
+        resumed,
+        step,
+        finish
+    };
+}
+
+module.exports = {
+    CONFIG_DIR,
+    MOCK_STABLECOIN,
+    loadDeployConfig,
+    validateDeployConfig,
+    openPipeline
+};
@@ -0,0 +1,86 @@
+// scripts/lib/receipts.js - Build and sign EIP-712 purchase receipts for PurchaseValidator
+
+const { ethers } = require("ethers");
+
+// Must match the EIP712("PurchaseValidator", "1") constructor and RECEIPT_TYPEHASH in the contract
+const DOMAIN_NAME = "PurchaseValidator";
+const DOMAIN_VERSION = "1";
+
+const RECEIPT_TYPES = {
+    PurchaseReceipt: [
+        { name: "merchant", type: "address" },
+        { name: "customer", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "transactionId", type: "string" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" }
+    ]
+};
+
+const DEFAULT_VALIDITY_SECONDS = 24 * 60 * 60; // Receipts expire after one day unless told otherwise
+
+/**
+ * Typed-data domain for a PurchaseValidator deployment
+ */
+function getReceiptDomain(chainId, validatorAddress) {
+    return {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId,
+        verifyingContract: validatorAddress
+    };
+}
+
+/**
+ * Random 256-bit nonce - receipts use unordered nonces so tills can sign in parallel
+ */
+function randomNonce() {
+    return ethers.BigNumber.from(ethers.utils.randomBytes(32));
+}
+
+/**
+ * Build a receipt, filling in a random nonce and default expiry when omitted
+ */
+function buildReceipt({ merchant, customer, amount, transactionId, nonce, expiry }) {
+    if (!ethers.utils.isAddress(merchant)) throw new Error("Invalid merchant address");
+    if (!ethers.utils.isAddress(customer)) throw new Error("Invalid customer address");
+    if (!transactionId) throw new Error("Invalid transaction ID");
+
+    return {
+        merchant: ethers.utils.getAddress(merchant),
+        customer: ethers.utils.getAddress(customer),
+        amount: ethers.BigNumber.from(amount),
+        transactionId,
+        nonce: nonce !== undefined ? ethers.BigNumber.from(nonce) : randomNonce(),
+        expiry: expiry !== undefined
+            ? ethers.BigNumber.from(expiry)
+            : ethers.BigNumber.from(Math.floor(Date.now() / 1000) + DEFAULT_VALIDITY_SECONDS)
+    };
+}
+
+/**
+ * Sign a receipt with the merchant's signer key
+ */
+async function signReceipt(signer, chainId, validatorAddress, receipt) {
+    const domain = getReceiptDomain(chainId, validatorAddress);
+    return signer._signTypedData(domain, RECEIPT_TYPES, receipt);
+}
+
+/**
+ * Recover the address that signed a receipt
+ */
+function recoverReceiptSigner(chainId, validatorAddress, receipt, signature) {
+    const domain = getReceiptDomain(chainId, validatorAddress);
+    return ethers.utils.verifyTypedData(domain, RECEIPT_TYPES, receipt, signature);
+}
+
+module.exports = {
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    RECEIPT_TYPES,
+    getReceiptDomain,
+    randomNonce,
+    buildReceipt,
+    signReceipt,
+    recoverReceiptSigner
+};
@@ -0,0 +1,267 @@
+// scripts/lib/relayer.js - Gasless calls: customers sign ERC-2771 forward requests, the relayer pays to submit them
+//
+// A request goes through ShopForwarder.execute, which checks the signature and the signer's nonce and
+// appends the signer to the calldata; contracts trusting the forwarder then act for the signer.
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { decodeRevertReason } = require("./ops");
+
+// EIP-712 request type of ShopForwarder (OpenZeppelin MinimalForwarder)
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "data", type: "bytes" }
+    ]
+};
+
+// The only calls the relayer pays for, by deployment key - anything else the user sends themselves
+const RELAYED_METHODS = {
+    shopStaking: ["stake", "stakeWithPermit", "unstake", "claimStakingRewards"],
+    rewardVesting: ["claim"],
+    stablecoinSwap: ["swapToStablecoin", "swapWithPermit"],
+    rewardEscrow: ["claim"] // A walletless customer's new wallet has no ETH yet
+};
+
+const DEFAULT_REQUEST_GAS = 500000;
+const DEFAULT_MAX_GAS = 1000000;
+// Signature check, nonce update and the forwarder's call overhead on top of the request's own gas
+const FORWARDER_OVERHEAD_GAS = 100000;
+const MAX_BODY_BYTES = 16 * 1024;
+
+class RelayError extends Error {
+    constructor(status, message, reason = null) {
+        super(message);
+        this.status = status;
+        this.reason = reason;
+    }
+}
+
+/**
+ * EIP-712 domain of ShopForwarder signatures
+ */
+function forwarderDomain(chainId, forwarderAddress) {
+    return { name: "MinimalForwarder", version: "0.0.1", chainId, verifyingContract: forwarderAddress };
+}
+
+/**
+ * A forward request calling `method` on `target` as `from`, at the signer's next forwarder nonce
+ */
+async function buildRequest(forwarder, from, target, method, args, gas = DEFAULT_REQUEST_GAS) {
+    return {
+        from,
+        to: target.address,
+        value: "0",
+        gas: String(gas),
+        nonce: (await forwarder.getNonce(from)).toString(),
+        data: target.interface.encodeFunctionData(method, args)
+    };
+}
+
+/**
+ * Sign a forward request with an ethers signer (the user's wallet)
+ */
+async function signRequest(signer, forwarder, request) {
+    const { chainId } = await forwarder.provider.getNetwork();
+    return signer._signTypedData(forwarderDomain(chainId, forwarder.address), FORWARD_REQUEST_TYPES, request);
+}
+
+/**
+ * Relayer for `forwarder` (a ShopForwarder contract connected to the paying signer)
+ * targets: { deploymentKey: contract } - calls are accepted only to these, and only RELAYED_METHODS
+ */
+function createRelayer({ forwarder, targets, maxGas = DEFAULT_MAX_GAS, log = () => {} }) {
+    const byAddress = new Map(
+        Object.entries(targets)
+            .filter(([key, contract]) => RELAYED_METHODS[key] && contract)
+            .map(([key, contract]) => [contract.address.toLowerCase(), { key, contract }])
+    );
+    // One submission at a time, so the relayer's own transaction nonces never race
+    let queue = Promise.resolve();
+
+    /**
+     * Check a request against the allowlist and limits before anything touches the chain
+     */
+    function inspect(request) {
+        for (const field of ["from", "to", "value", "gas", "nonce", "data"]) {
+            if (request[field] === undefined || request[field] === null) {
+                throw new RelayError(400, `request.${field} is required`);
+            }
+        }
+        if (!ethers.utils.isAddress(request.from) || !ethers.utils.isAddress(request.to)) {
+            throw new RelayError(400, "request.from and request.to must be addresses");
+        }
+        const target = byAddress.get(request.to.toLowerCase());
+        if (!target) throw new RelayError(403, `${request.to} is not a relayed contract`);
+
+        let call;
+        try {
+            call = target.contract.interface.parseTransaction({ data: request.data });
+        } catch (error) {
+            throw new RelayError(400, "request.data is not a call to the target contract");
+        }
+        if (!RELAYED_METHODS[target.key].includes(call.name)) {
+            throw new RelayError(403, `${target.key}.${call.name} is not relayed - send it from your wallet`);
+        }
+        if (!ethers.BigNumber.from(request.value).isZero()) {
+            throw new RelayError(400, "Relayed calls cannot send ETH");
+        }
+        if (ethers.BigNumber.from(request.gas).gt(maxGas)) {
+            throw new RelayError(400, `request.gas is above the relayer limit of ${maxGas}`);
+        }
+        return { target, method: call.name };
+    }
+
+    /**
+     * Verify, simulate and submit a signed request; returns the transaction once mined
+     * A call that would revert is refused with its reason instead of being paid for
+     */
+    async function relay(request, signature) {
+        const { target, method } = inspect(request);
+        if (typeof signature !== "string" || !ethers.utils.isHexString(signature, 65)) {
+            throw new RelayError(400, "signature must be a 65-byte hex string");
+        }
+        if (!(await forwarder.verify(request, signature))) {
+            throw new RelayError(401, "Signature does not match the request, or its nonce was already used");
+        }
+
+        // execute() does not revert when the call does - the call's own result has to be checked
+        const [success, returndata] = await forwarder.callStatic.execute(request, signature);
+        if (!success) {
+            const reason = decodeRevertReason({ data: returndata, message: "reverted without a reason" });
+            throw new RelayError(422, `${method} reverted: ${reason}`, reason);
+        }
+
+        const submission = queue.then(async () => {
+            const gasLimit = ethers.BigNumber.from(request.gas).add(FORWARDER_OVERHEAD_GAS);
+            const tx = await forwarder.execute(request, signature, { gasLimit });
+            return tx.wait();
+        });
+        queue = submission.catch(() => {});
+        const receipt = await submission;
+        log(`⛽ Relayed ${target.key}.${method} for ${request.from} in ${receipt.transactionHash}`);
+        return {
+            contract: target.key,
+            method,
+            from: ethers.utils.getAddress(request.from),
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString()
+        };
+    }
+
+    /**
+     * Relayer address and balance, and what it accepts
+     */
+    async function status() {
+        const relayerAddress = await forwarder.signer.getAddress();
+        return {
+            relayer: relayerAddress,
+            balance: (await forwarder.provider.getBalance(relayerAddress)).toString(),
+            chainId: (await forwarder.provider.getNetwork()).chainId,
+            forwarder: forwarder.address,
+            maxGas: String(maxGas),
+            targets: Object.fromEntries([...byAddress.values()].map(({ key, contract }) => [
+                key, { address: contract.address, methods: RELAYED_METHODS[key] }
+            ]))
+        };
+    }
+
+    async function nonce(address) {
+        if (!ethers.utils.isAddress(address)) throw new RelayError(400, "address must be an address");
+        return { address: ethers.utils.getAddress(address), nonce: (await forwarder.getNonce(address)).toString() };
+    }
+
+    return {
+        relay,
+        status,
+        nonce
+    };
+}
+
+/**
+ * Read a JSON request body, refusing oversized ones
+ */
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new RelayError(413, "Request body too large"));
+                req.destroy();
+            }
+        });
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new RelayError(400, "Request body must be JSON"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+/**
+ * Route a request to the relayer
+ */
+async function route(relayer, req) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method === "GET" && pathname === "/status") return relayer.status();
+    const nonceMatch = pathname.match(/^\/nonce\/([^/]+)$/);
+    if (req.method === "GET" && nonceMatch) return relayer.nonce(nonceMatch[1]);
+    if (pathname === "/relay") {
+        if (req.method !== "POST") throw new RelayError(405, "Use POST to relay a request");
+        const { request, signature } = await readJson(req);
+        if (!request || typeof request !== "object") throw new RelayError(400, "request is required");
+        return relayer.relay(request, signature);
+    }
+    throw new RelayError(404, "Not found");
+}
+
+/**
+ * HTTP API over a relayer (call listen() on the result)
+ * GET /status, GET /nonce/<address>, POST /relay { request, signature }
+ */
+function createRelayerServer(relayer) {
+    const headers = {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type"
+    };
+    return http.createServer(async (req, res) => {
+        // Browser preflight for the dApp's JSON POSTs
+        if (req.method === "OPTIONS") {
+            res.writeHead(204, headers);
+            res.end();
+            return;
+        }
+        let status = 200;
+        let body;
+        try {
+            body = await route(relayer, req);
+        } catch (error) {
+            status = error instanceof RelayError ? error.status : 500;
+            body = { error: error.message };
+            if (error.reason) body.reason = error.reason;
+        }
+        res.writeHead(status, headers);
+        res.end(JSON.stringify(body));
+    });
+}
+
+module.exports = {
+    FORWARD_REQUEST_TYPES,
+    RELAYED_METHODS,
+    forwarderDomain,
+    buildRequest,
+    signRequest,
+    createRelayer,
+    createRelayerServer
+};
@@ -0,0 +1,90 @@
+// scripts/monitor.js - Alert on suspicious purchase patterns as they reach the chain
+//
+// Usage (against a running `npx hardhat node` with contracts deployed by scripts/deploy.js):
+//   node scripts/monitor.js
+//
+// Watches purchases (wallet and escrow), held purchases and RewardsIssued from the chain's
+// deployments/<chainId>.json and alerts on repeated purchases near the max, one customer buying across many
+// merchants, and bursts of purchases or minted rewards. Settings:
+//   MONITOR_RPC_URL (default http://127.0.0.1:8545), MONITOR_START_BLOCK (default: the current block),
+//   MONITOR_POLL_MS (default 5000), MONITOR_ALERTS_FILE (also append alerts there as JSON lines)
+// Rule thresholds (defaults in scripts/lib/monitor.js):
+//   MONITOR_NEAR_MAX_COUNT, MONITOR_SPREAD_MERCHANTS, MONITOR_BURST_COUNT, MONITOR_BURST_SECONDS,
+//   MONITOR_BURST_REWARDS (SHOP)
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { readDeployment } = require("./lib/deployments");
+const { createMonitor } = require("./lib/monitor");
+
+/**
+ * Rule overrides from the environment
+ */
+function loadRules(env) {
+    const rules = {};
+    if (env.MONITOR_NEAR_MAX_COUNT) rules.nearMaxCount = Number(env.MONITOR_NEAR_MAX_COUNT);
+    if (env.MONITOR_SPREAD_MERCHANTS) rules.spreadMerchants = Number(env.MONITOR_SPREAD_MERCHANTS);
+    if (env.MONITOR_BURST_COUNT) rules.burstCount = Number(env.MONITOR_BURST_COUNT);
+    if (env.MONITOR_BURST_SECONDS) rules.burstWindow = Number(env.MONITOR_BURST_SECONDS);
+    if (env.MONITOR_BURST_REWARDS) rules.burstRewards = ethers.utils.parseEther(env.MONITOR_BURST_REWARDS);
+    return rules;
+}
+
+async function main() {
+    const env = process.env;
+    const provider = new ethers.providers.JsonRpcProvider(env.MONITOR_RPC_URL || "http://127.0.0.1:8545");
+    const pollMs = Number(env.MONITOR_POLL_MS || 5000);
+    const alertsFile = env.MONITOR_ALERTS_FILE;
+
+    const { chainId } = await provider.getNetwork();
+    const { contracts, abis } = readDeployment(chainId);
+    const rules = loadRules(env);
+    // The real purchase cap, so "near max" tracks the deployed validator
+    const validator = new ethers.Contract(contracts.purchaseValidator, abis.purchaseValidator, provider);
+    rules.maxPurchase = await validator.MAX_PURCHASE_AMOUNT();
+
+    const monitor = createMonitor({
+        provider,
+        contracts,
+        rules,
+        startBlock: env.MONITOR_START_BLOCK === undefined ? undefined : Number(env.MONITOR_START_BLOCK),
+        onAlert: (alert) => {
+            console.log(`🚨 [${alert.rule}] ${alert.message} (block ${alert.blockNumber}, ${alert.transactionHash})`);
+            if (alertsFile) fs.appendFileSync(alertsFile, JSON.stringify(alert) + "\n");
+        }
+    });
+
+    console.log("🔎 Shopping Rewards fraud monitor");
+    console.log("   Purchase Validator:", contracts.purchaseValidator);
+    console.log("   SHOP Token:", contracts.shopToken);
+    if (contracts.purchaseGuard) console.log("   Purchase Guard:", contracts.purchaseGuard);
+    const { config } = monitor;
+    console.log(`   Near max: ${config.nearMaxCount} purchases of ${config.nearMaxRatioBps / 100}%+ of ${ethers.utils.formatEther(config.maxPurchase)} within ${config.nearMaxWindow}s`);
+    console.log(`   Spread: ${config.spreadMerchants} merchants per customer within ${config.spreadWindow}s`);
+    console.log(`   Bursts: ${config.burstCount} purchases within ${config.burstWindow}s, ${ethers.utils.formatEther(config.burstRewards)} SHOP per merchant within ${config.rewardsWindow}s`);
+    if (alertsFile) console.log("   Alerts file:", alertsFile);
+
+    // Poll forever; a failed round (RPC hiccup) resumes after the last event it handled on the next tick
+    for (;;) {
+        try {
+            const { events, alerts, cursor } = await monitor.poll();
+            if (events > 0) {
+                console.log(`✅ Checked ${events} event(s) up to block ${cursor}, ${alerts.length} alert(s)`);
+            }
+        } catch (error) {
+            console.error("⚠️ Poll failed, retrying:", error.message);
+        }
+        await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("❌ Monitor failed:", error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    loadRules
+};
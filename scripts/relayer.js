@@ -0,0 +1,62 @@
+// scripts/relayer.js - Pay gas for customers' staking, vesting, swap and escrow claims (ERC-2771 meta-transactions)
+//
+// Usage (against a running `npx hardhat node` with contracts deployed by scripts/deploy.js):
+//   node scripts/relayer.js
+//
+// Contracts come from the chain's deployments/<chainId>.json. Other settings:
+//   RELAYER_RPC_URL (default http://127.0.0.1:8545), RELAYER_PRIVATE_KEY (default: the node's first
+//   unlocked account), RELAYER_PORT (default 8547), RELAYER_MAX_GAS (default 1000000 per request)
+//
+// API: GET /status, /nonce/<address>; POST /relay { request, signature }
+
+const { ethers } = require("ethers");
+const { readDeployment } = require("./lib/deployments");
+const { RELAYED_METHODS, createRelayer, createRelayerServer } = require("./lib/relayer");
+
+async function main() {
+    const env = process.env;
+    const provider = new ethers.providers.JsonRpcProvider(env.RELAYER_RPC_URL || "http://127.0.0.1:8545");
+    const signer = env.RELAYER_PRIVATE_KEY ? new ethers.Wallet(env.RELAYER_PRIVATE_KEY, provider) : provider.getSigner(0);
+    const port = Number(env.RELAYER_PORT || 8547);
+
+    const { chainId } = await provider.getNetwork();
+    const deployment = readDeployment(chainId);
+    if (!deployment.contracts.shopForwarder) {
+        throw new Error(`deployments/${chainId}.json has no shopForwarder - redeploy with scripts/deploy.js`);
+    }
+
+    const forwarder = new ethers.Contract(deployment.contracts.shopForwarder, deployment.abis.shopForwarder, signer);
+    const targets = {};
+    for (const key of Object.keys(RELAYED_METHODS)) {
+        if (deployment.contracts[key]) {
+            targets[key] = new ethers.Contract(deployment.contracts[key], deployment.abis[key], provider);
+        }
+    }
+    const relayer = createRelayer({
+        forwarder,
+        targets,
+        maxGas: Number(env.RELAYER_MAX_GAS || 1000000),
+        log: (message) => console.log(message)
+    });
+
+    const status = await relayer.status();
+    console.log("⛽ Shopping Rewards relayer");
+    console.log("   Relayer account:", status.relayer, `(${ethers.utils.formatEther(status.balance)} ETH)`);
+    console.log("   Forwarder:", status.forwarder);
+    for (const [key, { address, methods }] of Object.entries(status.targets)) {
+        console.log(`   ${key}: ${address} - ${methods.join(", ")}`);
+    }
+    if (ethers.BigNumber.from(status.balance).isZero()) {
+        console.log("⚠️ The relayer account has no ETH - relayed calls will fail until it is funded");
+    }
+
+    const server = createRelayerServer(relayer);
+    server.listen(port, () => console.log(`🌐 Relayer listening on http://127.0.0.1:${port}`));
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("❌ Relayer failed:", error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,333 @@
+// tasks/ops.js - Admin tasks against the contracts in deployments/<chainId>.json
+//
+// Usage:
+//   npx hardhat --network localhost merchant:register --merchant 0x... --name "Tesco Ireland" --category grocery --rate 200
+//   npx hardhat --network localhost merchant:info --merchant 0x... --json
+//   npx hardhat --network localhost pause --target staking --dry-run
+//   npx hardhat --network localhost upgrade --contract purchaseValidator --dry-run
+//   ESCROW_SALT=0x... npx hardhat --network localhost escrow:info --identifier jane@example.com
+//   npx hardhat --network localhost holds:list
+//   npx hardhat --network localhost holds:release --id 3 --dry-run
+//
+// Every task takes --json for machine-readable output. Tasks that send transactions take --dry-run,
+// which simulates the call through callStatic instead. Reverts are reported with their reason.
+// `upgrade` always checks storage-layout compatibility first; its --dry-run stops after the check.
+
+const { task, types } = require("hardhat/config");
+const { CONTRACT_NAMES, writeDeployment } = require("../scripts/lib/deployments");
+const { loadDeployedContracts, sendOrSimulate, toPlain } = require("../scripts/lib/ops");
+const { customerHash } = require("../scripts/lib/escrow");
+
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function decimals() view returns (uint8)"
+];
+
+// --target values of pause/unpause => deployment key
+const PAUSABLE_TARGETS = {
+    token: "shopToken",
+    staking: "shopStaking"
+};
+
+/**
+ * Define an ops task: adds --json (and --dry-run for transactions), prints the result and reports failures
+ * The action receives (taskArgs, { hre, signer, deployment, contracts }) and returns a plain result object
+ */
+function opsTask(name, description, action, { sendsTransactions = false } = {}) {
+    const definition = task(name, description).addFlag("json", "Print the result as JSON");
+    if (sendsTransactions) {
+        definition.addFlag("dryRun", "Simulate through callStatic without sending a transaction");
+    }
+    return definition.setAction(async (taskArgs, hre) => {
+        try {
+            const [signer] = await hre.ethers.getSigners();
+            const { deployment, contracts } = await loadDeployedContracts(hre, signer);
+            const result = await action(taskArgs, { hre, signer, deployment, contracts });
+            printResult(taskArgs, name, result);
+            return result;
+        } catch (error) {
+            if (taskArgs.json) {
+                console.log(JSON.stringify({ error: error.message }, null, 2));
+            } else {
+                console.error(`❌ ${name} failed:`, error.message);
+            }
+            process.exitCode = 1;
+            return { error: error.message };
+        }
+    });
+}
+
+/**
+ * Print a result as JSON or as indented key/value lines
+ */
+function printResult(taskArgs, name, result) {
+    if (taskArgs.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+    console.log(result.dryRun ? `🧪 ${name} (dry run - nothing sent)` : `✅ ${name}`);
+    for (const [key, value] of Object.entries(result)) {
+        if (key === "dryRun") continue;
+        console.log(`   ${key}:`, typeof value === "object" && value !== null ? JSON.stringify(value) : value);
+    }
+}
+
+function requireAddress(hre, value, label) {
+    if (!hre.ethers.utils.isAddress(value)) throw new Error(`Invalid ${label} address ${value}`);
+    return hre.ethers.utils.getAddress(value);
+}
+
+function pausable(contracts, target) {
+    const key = PAUSABLE_TARGETS[target];
+    if (!key) throw new Error(`Unknown target "${target}" - use ${Object.keys(PAUSABLE_TARGETS).join(" or ")}`);
+    return contracts[key];
+}
+
+// ---------------------------------------------------------------- Merchants
+
+opsTask("merchant:register", "Register a merchant in the MerchantRegistry", async (args, { hre, contracts }) => {
+    const merchant = requireAddress(hre, args.merchant, "merchant");
+    return sendOrSimulate(contracts.merchantRegistry, "registerMerchant", [merchant, args.name, args.category, args.rate], args.dryRun);
+}, { sendsTransactions: true })
+    .addParam("merchant", "Merchant address")
+    .addParam("name", "Merchant name")
+    .addParam("category", "Merchant category, e.g. grocery")
+    .addParam("rate", "Reward rate in basis points (200 = 2%)", undefined, types.int);
+
+opsTask("merchant:suspend", "Suspend a merchant (purchases are rejected until reactivated)", async (args, { hre, contracts }) => {
+    const merchant = requireAddress(hre, args.merchant, "merchant");
+    return sendOrSimulate(contracts.merchantRegistry, "suspendMerchant", [merchant], args.dryRun);
+}, { sendsTransactions: true })
+    .addParam("merchant", "Merchant address");
+
+opsTask("merchant:reactivate", "Reactivate a suspended merchant", async (args, { hre, contracts }) => {
+    const merchant = requireAddress(hre, args.merchant, "merchant");
+    return sendOrSimulate(contracts.merchantRegistry, "reactivateMerchant", [merchant], args.dryRun);
+}, { sendsTransactions: true })
+    .addParam("merchant", "Merchant address");
+
+opsTask("merchant:info", "Show a merchant's registry entry, issuance and mint quota", async (args, { hre, contracts }) => {
+    const merchant = requireAddress(hre, args.merchant, "merchant");
+    if (!(await contracts.merchantRegistry.isMerchant(merchant))) {
+        throw new Error(`${merchant} is not a registered merchant`);
+    }
+    const info = await contracts.merchantRegistry.getMerchantInfo(merchant);
+    const stats = await contracts.shopToken.getMerchantStats(merchant);
+    const quota = await contracts.shopToken.getMintQuota(merchant);
+    return {
+        merchant,
+        ...toPlain(info),
+        tokensIssued: stats.tokensIssued.toString(),
+        isAuthorizedMinter: stats.isAuthorized,
+        mintQuota: toPlain(quota)
+    };
+})
+    .addParam("merchant", "Merchant address");
+
+// ---------------------------------------------------------------- Minters
+
+opsTask("minter:authorize", "Authorize an address to mint SHOP rewards", async (args, { hre, contracts }) => {
+    const minter = requireAddress(hre, args.minter, "minter");
+    return sendOrSimulate(contracts.shopToken, "authorizeMinter", [minter, args.name], args.dryRun);
+}, { sendsTransactions: true })
+    .addParam("minter", "Minter address")
+    .addParam("name", "Name recorded with the authorization");
+
+opsTask("minter:remove", "Remove an address's minting authorization", async (args, { hre, contracts }) => {
+    const minter = requireAddress(hre, args.minter, "minter");
+    return sendOrSimulate(contracts.shopToken, "removeMinter", [minter], args.dryRun);
+}, { sendsTransactions: true })
+    .addParam("minter", "Minter address");
+
+// ---------------------------------------------------------------- Pausing
+
+opsTask("pause", "Pause SHOPToken transfers or SHOPStaking", async (args, { contracts }) => {
+    return sendOrSimulate(pausable(contracts, args.target), "pause", [], args.dryRun);
+}, { sendsTransactions: true })
+    .addParam("target", `What to pause: ${Object.keys(PAUSABLE_TARGETS).join(" or ")}`);
+
+opsTask("unpause", "Unpause SHOPToken transfers or SHOPStaking", async (args, { contracts }) => {
+    return sendOrSimulate(pausable(contracts, args.target), "unpause", [], args.dryRun);
+}, { sendsTransactions: true })
+    .addParam("target", `What to unpause: ${Object.keys(PAUSABLE_TARGETS).join(" or ")}`);
+
+// ---------------------------------------------------------------- Customers and staking
+
+opsTask("customer:stats", "Show a customer's spend, rewards and SHOP balance", async (args, { hre, contracts }) => {
+    const customer = requireAddress(hre, args.customer, "customer");
+    const stats = await contracts.purchaseValidator.getCustomerStats(customer);
+    return {
+        customer,
+        ...toPlain(stats),
+        rewardDebt: (await contracts.purchaseValidator.customerRewardDebt(customer)).toString()
+    };
+})
+    .addParam("customer", "Customer address");
+
+opsTask("staking:info", "Show a user's combined stake and open staking positions", async (args, { hre, contracts }) => {
+    const user = requireAddress(hre, args.user, "user");
+    const info = await contracts.shopStaking.getUserStakeInfo(user);
+    const { ids, open } = await contracts.shopStaking.getPositions(user);
+    return {
+        user,
+        ...toPlain(info),
+        unlockedBalance: (await contracts.shopStaking.getUnlockedBalance(user)).toString(),
+        positions: ids.map((id, i) => ({ id: id.toString(), ...toPlain(open[i]) }))
+    };
+})
+    .addParam("user", "Staker address");
+
+opsTask("escrow:info", "Show the escrowed rewards of a customer without a wallet", async (args, { hre, contracts }) => {
+    if (!contracts.rewardEscrow) throw new Error("No rewardEscrow in this deployment");
+    let hash = args.hash;
+    if (!hash) {
+        if (!args.identifier) throw new Error("Pass --hash, or --identifier with ESCROW_SALT set");
+        if (!process.env.ESCROW_SALT) throw new Error("ESCROW_SALT is not set - it is needed to hash --identifier");
+        hash = customerHash(args.identifier, process.env.ESCROW_SALT);
+    }
+    if (!hre.ethers.utils.isHexString(hash, 32)) throw new Error(`Invalid customer hash ${hash}`);
+    return {
+        customerHash: hash,
+        ...toPlain(await contracts.rewardEscrow.getEscrow(hash)),
+        claimNonce: (await contracts.rewardEscrow.escrows(hash)).claimNonce.toString()
+    };
+})
+    .addOptionalParam("hash", "Customer hash (bytes32)")
+    .addOptionalParam("identifier", "Loyalty card number or email, hashed with ESCROW_SALT");
+
+// ---------------------------------------------------------------- Fraud review
+
+// PurchaseGuard.HoldStatus, by value
+const HOLD_STATUSES = ["None", "Pending", "Released", "Rejected"];
+const HOLDS_PAGE_SIZE = 100;
+
+function purchaseGuard(contracts) {
+    if (!contracts.purchaseGuard) throw new Error("No purchaseGuard in this deployment");
+    return contracts.purchaseGuard;
+}
+
+function plainHold(id, hold) {
+    return { id: id.toString(), ...toPlain(hold), status: HOLD_STATUSES[hold.status] };
+}
+
+opsTask("holds:list", "List purchases held over a velocity limit and awaiting review", async (args, { contracts }) => {
+    const guard = purchaseGuard(contracts);
+    // Pages are read at one block so a hold resolved meanwhile cannot shift the list between pages
+    const blockTag = await guard.provider.getBlockNumber();
+    const count = (await guard.getPendingHoldCount({ blockTag })).toNumber();
+    const holds = [];
+    for (let offset = 0; offset < count; offset += HOLDS_PAGE_SIZE) {
+        const { ids, pending } = await guard.getPendingHolds(offset, HOLDS_PAGE_SIZE, { blockTag });
+        holds.push(...ids.map((id, i) => plainHold(id, pending[i])));
+    }
+    return {
+        pending: count,
+        customerLimits: toPlain(await guard.customerLimits()),
+        merchantLimits: toPlain(await guard.merchantLimits()),
+        holds
+    };
+});
+
+opsTask("holds:release", "Release a held purchase so its rewards are minted", async (args, { contracts }) => {
+    const guard = purchaseGuard(contracts);
+    return {
+        hold: plainHold(args.id, await guard.getHold(args.id)),
+        ...(await sendOrSimulate(guard, "releaseHold", [args.id], args.dryRun))
+    };
+}, { sendsTransactions: true })
+    .addParam("id", "Hold ID (from holds:list)", undefined, types.int);
+
+opsTask("holds:reject", "Reject a held purchase - no rewards, and its transaction ID stays used", async (args, { contracts }) => {
+    const guard = purchaseGuard(contracts);
+    return {
+        hold: plainHold(args.id, await guard.getHold(args.id)),
+        ...(await sendOrSimulate(guard, "rejectHold", [args.id], args.dryRun))
+    };
+}, { sendsTransactions: true })
+    .addParam("id", "Hold ID (from holds:list)", undefined, types.int);
+
+// ---------------------------------------------------------------- Swap reserves
+
+opsTask("swap:topup", "Deposit stablecoin reserves into the StablecoinSwap (approves first if needed)", async (args, { hre, signer, contracts }) => {
+    const swap = contracts.stablecoinSwap;
+    const stablecoin = new hre.ethers.Contract(await swap.stablecoin(), ERC20_ABI, signer);
+    const amount = hre.ethers.utils.parseUnits(args.amount, await stablecoin.decimals());
+
+    const balance = await stablecoin.balanceOf(signer.address);
+    if (balance.lt(amount)) {
+        throw new Error(`Insufficient stablecoin balance: have ${balance.toString()}, need ${amount.toString()}`);
+    }
+
+    const steps = [];
+    const allowance = await stablecoin.allowance(signer.address, swap.address);
+    if (allowance.lt(amount)) {
+        steps.push(await sendOrSimulate(stablecoin, "approve", [swap.address, amount], args.dryRun));
+        if (args.dryRun) {
+            // The deposit would revert on the missing allowance, so it cannot be simulated yet
+            return { dryRun: true, amount: amount.toString(), steps, note: "Deposit not simulated until the approval is sent" };
+        }
+    }
+    steps.push(await sendOrSimulate(swap, "depositReserves", [amount], args.dryRun));
+    return {
+        dryRun: Boolean(args.dryRun),
+        amount: amount.toString(),
+        steps,
+        availableReserves: (await swap.availableReserves()).toString()
+    };
+}, { sendsTransactions: true })
+    .addParam("amount", "Stablecoin amount in whole units, e.g. 1000.50");
+
+// ---------------------------------------------------------------- Upgrades
+
+opsTask("upgrade", "Upgrade a proxy to the current build once its storage layout is checked compatible", async (args, { hre, signer, deployment, contracts }) => {
+    const key = args.contract;
+    if (!deployment.implementations || !deployment.implementations[key] || !contracts[key]) {
+        const proxied = Object.keys(deployment.implementations || {});
+        throw new Error(`"${key}" is not an upgradeable contract in this deployment${proxied.length ? ` - use one of ${proxied.join(", ")}` : ""}`);
+    }
+    const proxy = contracts[key].address;
+    const contractName = args.implementation || CONTRACT_NAMES[key];
+    const factory = await hre.ethers.getContractFactory(contractName, signer);
+    const previousImplementation = await hre.upgrades.erc1967.getImplementationAddress(proxy);
+
+    // Throws naming the offending variables when the new layout would corrupt the proxy's storage
+    await hre.upgrades.validateUpgrade(proxy, factory, { kind: "transparent" });
+    if (args.dryRun) {
+        return { dryRun: true, contract: key, contractName, proxy, previousImplementation, storageLayout: "compatible" };
+    }
+
+    const proxyAdmin = await hre.upgrades.admin.getInstance(signer);
+    const adminOwner = await proxyAdmin.owner();
+    if (adminOwner !== signer.address) {
+        // Governance owns the proxy admin - deploy the implementation and hand back the call it has to make
+        const implementation = await hre.upgrades.prepareUpgrade(proxy, factory, { kind: "transparent" });
+        return {
+            dryRun: false,
+            contract: key,
+            contractName,
+            proxy,
+            implementation,
+            pendingUpgrade: {
+                target: proxyAdmin.address,
+                owner: adminOwner,
+                data: proxyAdmin.interface.encodeFunctionData("upgrade", [proxy, implementation])
+            }
+        };
+    }
+
+    const upgraded = await hre.upgrades.upgradeProxy(proxy, factory, { kind: "transparent" });
+    await upgraded.deployed();
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(proxy);
+
+    // Keep the deployment file's implementation and ABI in step with the proxy
+    const info = { ...deployment };
+    delete info.abis;
+    info.implementations = { ...info.implementations, [key]: { address: implementation, contractName } };
+    await writeDeployment(hre.artifacts, info);
+
+    return { dryRun: false, contract: key, contractName, proxy, previousImplementation, implementation };
+}, { sendsTransactions: true })
+    .addParam("contract", "Deployment key of the proxy, e.g. purchaseValidator")
+    .addOptionalParam("implementation", "Contract to upgrade to (defaults to the proxy's own contract)");
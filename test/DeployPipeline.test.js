@@ -0,0 +1,278 @@
+// test/DeployPipeline.test.js - Resumable proxy deployment and storage-checked upgrades
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades, artifacts } = hre;
+const { deploy, PROXIES } = require("../scripts/deploy");
+const { CONTRACT_NAMES, writeDeployment, readDeployment } = require("../scripts/lib/deployments");
+const { loadDeployConfig, validateDeployConfig, openPipeline } = require("../scripts/lib/pipeline");
+const governance = require("../scripts/governance");
+
+describe("Deployment Pipeline", function () {
+    const GOVERNANCE_DELAY = 172800;
+
+    let owner, merchant, otherMerchant;
+    let dir, stepsFile, logs, snapshot;
+
+    const log = (...args) => logs.push(args.join(" "));
+
+    const configFor = (merchants) => validateDeployConfig({ stablecoin: "mock", merchants });
+
+    beforeEach(async function () {
+        [owner, merchant, otherMerchant] = await ethers.getSigners();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+        stepsFile = path.join(dir, "31337.steps.json");
+        logs = [];
+    });
+
+    afterEach(async function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+        if (snapshot) {
+            await ethers.provider.send("evm_revert", [snapshot]);
+            snapshot = null;
+        }
+    });
+
+    it("Should deploy every contract behind a proxy and register merchants from the config", async function () {
+        const config = configFor([
+            { address: merchant.address, name: "Tesco Ireland", category: "grocery", rewardRate: 200, authorizeMinter: true }
+        ]);
+        const info = await deploy(hre, { config, stepsFile, log });
+
+        for (const { key } of PROXIES) {
+            expect(info.implementations[key].address).to.not.equal(info.contracts[key]);
+            expect(await upgrades.erc1967.getAdminAddress(info.contracts[key])).to.equal(info.proxyAdmin);
+        }
+
+        const shopToken = await ethers.getContractAt("SHOPToken", info.contracts.shopToken);
+        const merchantRegistry = await ethers.getContractAt("MerchantRegistry", info.contracts.merchantRegistry);
+        const purchaseValidator = await ethers.getContractAt("PurchaseValidator", info.contracts.purchaseValidator);
+        expect(await shopToken.owner()).to.equal(owner.address);
+        expect((await shopToken.balanceOf(owner.address)).toString()).to.equal((await shopToken.INITIAL_SUPPLY()).toString());
+        expect(await merchantRegistry.isMerchant(owner.address)).to.be.false;
+        expect(await shopToken.authorizedMinters(merchant.address)).to.be.true;
+        expect(await purchaseValidator.shopStaking()).to.equal(info.contracts.shopStaking);
+
+        // Initializers ran through the proxies only - the implementations stay locked
+        await purchaseValidator.connect(merchant).processPurchase(otherMerchant.address, ethers.utils.parseEther("1000"), "TXN-1");
+        const implementation = await ethers.getContractAt("SHOPToken", info.implementations.shopToken.address);
+        let error;
+        try {
+            // A static call, so the revert reason comes back even where Hardhat cannot map IR-compiled code
+            await implementation.callStatic.initialize();
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("Initializable: contract is already initialized");
+
+        const journal = JSON.parse(fs.readFileSync(stepsFile, "utf8"));
+        expect(journal.completedAt).to.not.be.null;
+        expect(journal.steps["deploy:shopToken"].result).to.equal(info.contracts.shopToken);
+        expect(journal.steps).to.have.property(`merchant:${merchant.address}`);
+    });
+
+    it("Should resume a failed deployment at the step that failed", async function () {
+        const badConfig = configFor([
+            { address: merchant.address, name: "Tesco Ireland", category: "grocery", rewardRate: 200 },
+            { address: otherMerchant.address, name: "Harvey Norman", category: "electronics", rewardRate: 5000 }
+        ]);
+        let error;
+        try {
+            await deploy(hre, { config: badConfig, stepsFile, log });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("Invalid reward rate");
+
+        const stopped = JSON.parse(fs.readFileSync(stepsFile, "utf8"));
+        expect(stopped.completedAt).to.be.null;
+        expect(stopped.steps).to.have.property(`merchant:${merchant.address}`);
+        expect(stopped.steps).to.not.have.property(`merchant:${otherMerchant.address}`);
+
+        // Fix the config and rerun: nothing is deployed twice
+        const fixedConfig = configFor([
+            { address: merchant.address, name: "Tesco Ireland", category: "grocery", rewardRate: 200 },
+            { address: otherMerchant.address, name: "Harvey Norman", category: "electronics", rewardRate: 150 }
+        ]);
+        logs = [];
+        const info = await deploy(hre, { config: fixedConfig, stepsFile, log });
+        expect(info.contracts.shopToken).to.equal(stopped.steps["deploy:shopToken"].result);
+        expect(logs.some((line) => line.includes("Resuming"))).to.be.true;
+        expect(logs.filter((line) => line.includes("already done")).length).to.equal(Object.keys(stopped.steps).length);
+
+        const merchantRegistry = await ethers.getContractAt("MerchantRegistry", info.contracts.merchantRegistry);
+        expect((await merchantRegistry.getMerchantCount()).toNumber()).to.equal(2);
+        expect((await merchantRegistry.getMerchantInfo(otherMerchant.address)).rewardRate.toNumber()).to.equal(150);
+    });
+
+    it("Should reject invalid configs and journals from another deployer", async function () {
+        expect(loadDeployConfig("hardhat").stablecoin).to.equal("mock");
+        expect(loadDeployConfig("sepolia").merchants).to.deep.equal([]);
+        expect(() => loadDeployConfig("mainnet")).to.throw("No deploy config for network mainnet");
+        expect(() => validateDeployConfig({ stablecoin: "USDC" })).to.throw("stablecoin must be an address");
+        expect(() => configFor([{ address: merchant.address, name: "Tesco Ireland", category: "grocery" }]))
+            .to.throw("positive integer rewardRate");
+        const tesco = { address: merchant.address, name: "Tesco Ireland", category: "grocery", rewardRate: 200 };
+        expect(() => configFor([tesco, { ...tesco, address: merchant.address.toLowerCase() }])).to.throw("listed twice");
+
+        openPipeline({ file: stepsFile, network: "localhost", chainId: 31337, deployer: owner.address, log });
+        expect(() => openPipeline({ file: stepsFile, network: "localhost", chainId: 31337, deployer: merchant.address, log }))
+            .to.throw(`was started by ${owner.address}`);
+        expect(openPipeline({ file: stepsFile, network: "localhost", chainId: 31337, deployer: merchant.address, reset: true, log }).resumed)
+            .to.be.false;
+
+        // A timelock is no use while the deployer keeps its owner key
+        process.env.GOVERNANCE_DELAY = String(GOVERNANCE_DELAY);
+        let error;
+        try {
+            await deploy(hre, { config: configFor([]), log });
+        } catch (e) {
+            error = e;
+        } finally {
+            delete process.env.GOVERNANCE_DELAY;
+        }
+        expect(error.message).to.include("GOVERNANCE_DELAY needs ADMIN_ADDRESS");
+    });
+
+    // Deploy with a timelock and ADMIN_ADDRESS set, as a governed production deployment would
+    const deployGoverned = async (admin) => {
+        // The deployment hands the shared proxy admin to its timelock, so undo it for the tests after this one
+        snapshot = await ethers.provider.send("evm_snapshot", []);
+        process.env.GOVERNANCE_DELAY = String(GOVERNANCE_DELAY);
+        process.env.ADMIN_ADDRESS = admin.address;
+        try {
+            return await deploy(hre, { config: configFor([]), log });
+        } finally {
+            delete process.env.GOVERNANCE_DELAY;
+            delete process.env.ADMIN_ADDRESS;
+        }
+    };
+
+    // Static calls, so the revert reason comes back even where Hardhat cannot map IR-compiled code
+    const revertReason = async (call) => {
+        try {
+            await call;
+        } catch (e) {
+            return e.message;
+        }
+        return "no revert";
+    };
+
+    it("Should put every contract's wiring behind the timelock when governed", async function () {
+        const admin = (await ethers.getSigners())[3];
+        const info = await deployGoverned(admin);
+        const at = async (key) => (await ethers.getContractAt(CONTRACT_NAMES[key], info.contracts[key])).connect(admin);
+        const purchaseValidator = await at("purchaseValidator");
+        const rewardCampaigns = await at("rewardCampaigns");
+
+        // PurchaseValidator and RewardCampaigns have no governed roles, but their wiring is still governed
+        const zero = ethers.constants.AddressZero;
+        expect(await revertReason(purchaseValidator.callStatic.setPurchaseGuard(zero))).to.include("is missing role");
+        expect(await revertReason(purchaseValidator.callStatic.setRewardVesting(zero))).to.include("is missing role");
+        expect(await revertReason(purchaseValidator.callStatic.setStakingContract(zero))).to.include("is missing role");
+        expect(await revertReason(purchaseValidator.callStatic.setLoyaltyTiers(zero))).to.include("is missing role");
+        expect(await revertReason(rewardCampaigns.callStatic.setPurchaseValidator(admin.address))).to.include("is missing role");
+
+        // The same changes go through the timelock once its delay has passed
+        const timelock = (await ethers.getContractAt("ShopTimelock", info.contracts.shopTimelock)).connect(admin);
+        const queued = [
+            await governance.queueProposal(timelock, purchaseValidator, "setPurchaseGuard", [zero]),
+            await governance.queueProposal(timelock, rewardCampaigns, "setPurchaseValidator", [admin.address])
+        ];
+        await ethers.provider.send("evm_increaseTime", [GOVERNANCE_DELAY]);
+        await ethers.provider.send("evm_mine");
+        for (const { id } of queued) {
+            await governance.executeProposal(timelock, id);
+        }
+        expect(await purchaseValidator.purchaseGuard()).to.equal(zero);
+        expect(await rewardCampaigns.purchaseValidator()).to.equal(admin.address);
+    });
+
+    it("Should not let the admin of a governed deployment trust its own forwarder", async function () {
+        const admin = (await ethers.getSigners())[3];
+        const info = await deployGoverned(admin);
+
+        // A forwarder can act as any merchant or customer, so no contract may take one from the admin directly
+        for (const key of ["purchaseValidator", "rewardRedemption", "merchantOnboarding", "rewardCampaigns"]) {
+            const contract = await ethers.getContractAt(CONTRACT_NAMES[key], info.contracts[key]);
+            expect(await revertReason(contract.connect(admin).callStatic.setTrustedForwarder(admin.address)), key)
+                .to.include("is missing role");
+            expect(await contract.trustedForwarder()).to.equal(info.contracts.shopForwarder);
+        }
+
+        const purchaseValidator = await ethers.getContractAt("PurchaseValidator", info.contracts.purchaseValidator);
+        const timelock = (await ethers.getContractAt("ShopTimelock", info.contracts.shopTimelock)).connect(admin);
+        const { id } = await governance.queueProposal(timelock, purchaseValidator, "setTrustedForwarder", [admin.address]);
+        await ethers.provider.send("evm_increaseTime", [GOVERNANCE_DELAY]);
+        await ethers.provider.send("evm_mine");
+        await governance.executeProposal(timelock, id);
+        expect(await purchaseValidator.trustedForwarder()).to.equal(admin.address);
+    });
+
+    describe("Upgrades", function () {
+        let info, merchantRegistry, output, originalLog, originalError, originalExitCode;
+
+        const run = async (name, args = {}) => {
+            output = [];
+            return hre.run(name, args);
+        };
+
+        beforeEach(async function () {
+            const config = configFor([{ address: merchant.address, name: "Tesco Ireland", category: "grocery", rewardRate: 200 }]);
+            info = await deploy(hre, { config, log });
+            merchantRegistry = await ethers.getContractAt("MerchantRegistry", info.contracts.merchantRegistry);
+
+            process.env.DEPLOYMENTS_DIR = dir;
+            await writeDeployment(artifacts, info);
+
+            originalExitCode = process.exitCode;
+            originalLog = console.log;
+            originalError = console.error;
+            console.log = (...args) => output.push(args.join(" "));
+            console.error = (...args) => output.push(args.join(" "));
+        });
+
+        afterEach(function () {
+            console.log = originalLog;
+            console.error = originalError;
+            process.exitCode = originalExitCode;
+            delete process.env.DEPLOYMENTS_DIR;
+        });
+
+        it("Should refuse an upgrade with an incompatible storage layout", async function () {
+            const result = await run("upgrade", { contract: "merchantRegistry", implementation: "StorageClashMock" });
+            expect(result.error).to.include("New storage layout is incompatible");
+            expect(process.exitCode).to.equal(1);
+            expect(await upgrades.erc1967.getImplementationAddress(merchantRegistry.address))
+                .to.equal(info.implementations.merchantRegistry.address);
+
+            expect((await run("upgrade", { contract: "shopTimelock" })).error).to.include("not an upgradeable contract");
+        });
+
+        it("Should check on a dry run, then upgrade keeping state and update the deployment file", async function () {
+            const checked = await run("upgrade", { contract: "merchantRegistry", implementation: "MerchantRegistryV2Mock", dryRun: true });
+            expect(checked.storageLayout).to.equal("compatible");
+            expect(await upgrades.erc1967.getImplementationAddress(merchantRegistry.address))
+                .to.equal(info.implementations.merchantRegistry.address);
+
+            const upgraded = await run("upgrade", { contract: "merchantRegistry", implementation: "MerchantRegistryV2Mock", json: true });
+            expect(upgraded.implementation).to.not.equal(upgraded.previousImplementation);
+            expect(JSON.parse(output.join("\n")).implementation).to.equal(upgraded.implementation);
+
+            const registryV2 = await ethers.getContractAt("MerchantRegistryV2Mock", merchantRegistry.address);
+            expect(await registryV2.isMerchant(merchant.address)).to.be.true;
+            await registryV2.setUpgradeVersion(2);
+            expect((await registryV2.upgradeVersion()).toNumber()).to.equal(2);
+
+            const deployment = readDeployment(31337, dir);
+            expect(deployment.implementations.merchantRegistry).to.deep.equal({
+                address: upgraded.implementation,
+                contractName: "MerchantRegistryV2Mock"
+            });
+            expect(deployment.abis.merchantRegistry.map((item) => item.name)).to.include("setUpgradeVersion");
+        });
+    });
+});
@@ -0,0 +1,46 @@
+// test/Deployments.test.js - Per-network deployment files read by the dApp and scripts
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const { writeDeployment, readDeployment } = require("../scripts/lib/deployments");
+
+describe("Deployment Files", function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should write addresses with full ABIs keyed by chain ID and read them back", async function () {
+        const shopToken = "0x" + "11".repeat(20);
+        const file = await writeDeployment(artifacts, {
+            network: "localhost",
+            chainId: 31337,
+            contracts: { shopToken, shopTimelock: null }
+        }, dir);
+
+        expect(path.basename(file)).to.equal("31337.json");
+        const deployment = readDeployment(31337, dir);
+        expect(deployment.contracts.shopToken).to.equal(shopToken);
+        expect(deployment.abis.shopToken.map((item) => item.name)).to.include.members(["getMintQuota", "RewardsIssued"]);
+        expect(deployment.abis).to.not.have.property("shopTimelock");
+    });
+
+    it("Should reject unknown contracts and missing deployments", async function () {
+        let error;
+        try {
+            await writeDeployment(artifacts, { chainId: 1, contracts: { lock: "0x" + "22".repeat(20) } }, dir);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("Unknown deployment key lock");
+        expect(() => readDeployment(5, dir)).to.throw("No deployment for chain 5");
+    });
+});
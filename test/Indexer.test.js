@@ -0,0 +1,182 @@
+// test/Indexer.test.js - Event indexer and analytics API against the Hardhat network
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { openDatabase, createIndexer } = require("../scripts/lib/indexer");
+const { createApiServer, merchantTotals } = require("../scripts/lib/indexer-api");
+
+describe("Event Indexer", function () {
+    const PURCHASE = ethers.utils.parseEther("1000");
+    const REWARD = ethers.utils.parseEther("20"); // 2% of PURCHASE
+
+    let shopToken, merchantRegistry, purchaseValidator, shopStaking;
+    let owner, merchant, customer;
+    let db, indexer, startBlock;
+
+    beforeEach(async function () {
+        [owner, merchant, customer] = await ethers.getSigners();
+        startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
+        purchaseValidator = await upgrades.deployProxy(PurchaseValidator, [shopToken.address, merchantRegistry.address]);
+        await purchaseValidator.deployed();
+
+        const SHOPStaking = await ethers.getContractFactory("SHOPStaking");
+        shopStaking = await upgrades.deployProxy(SHOPStaking, [shopToken.address]);
+        await shopStaking.deployed();
+
+        await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
+        await shopToken.setSystemMinter(purchaseValidator.address, true);
+        await merchantRegistry.setPurchaseValidator(purchaseValidator.address);
+        await merchantRegistry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+
+        db = await openDatabase(null);
+        indexer = createIndexer({
+            provider: ethers.provider,
+            db,
+            contracts: {
+                shopToken: shopToken.address,
+                merchantRegistry: merchantRegistry.address,
+                purchaseValidator: purchaseValidator.address,
+                shopStaking: shopStaking.address
+            },
+            startBlock,
+            batchSize: 5
+        });
+    });
+
+    afterEach(function () {
+        db.close();
+    });
+
+    const eventNames = () => db.all("SELECT name FROM events ORDER BY block_number, log_index").map((row) => row.name);
+
+    it("Should index purchases, staking and merchant registrations from the start block", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await shopToken.transfer(customer.address, ethers.utils.parseEther("1000"));
+        await shopToken.connect(customer).approve(shopStaking.address, ethers.constants.MaxUint256);
+        await shopStaking.connect(customer).stake(ethers.utils.parseEther("1000"));
+
+        const result = await indexer.sync();
+        expect(result.indexed).to.equal(4);
+        expect(result.cursor).to.equal(await ethers.provider.getBlockNumber());
+        expect(eventNames()).to.deep.equal(["MerchantRegistered", "RewardsIssued", "PurchaseProcessed", "Staked"]);
+
+        const purchase = db.get("SELECT * FROM events WHERE name = 'PurchaseProcessed'");
+        expect(purchase.account).to.equal(customer.address);
+        expect(purchase.merchant).to.equal(merchant.address);
+        expect(purchase.amount).to.equal(PURCHASE.toString());
+        expect(JSON.parse(purchase.args).transactionId).to.equal("TXN-1");
+
+        // Nothing new, nothing indexed
+        expect((await indexer.sync()).indexed).to.equal(0);
+    });
+
+    it("Should roll back events from blocks that were reorganised away", async function () {
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-ORPHANED");
+        await indexer.sync();
+        expect(db.get("SELECT COUNT(*) AS count FROM events WHERE name = 'PurchaseProcessed'").count).to.equal(1);
+
+        // Replace the purchase block with a different chain of the same height and beyond
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await ethers.provider.send("evm_mine");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE.mul(2), "TXN-CANONICAL");
+
+        const result = await indexer.sync();
+        expect(result.reorged).to.be.greaterThan(0);
+        const purchases = db.all("SELECT args FROM events WHERE name = 'PurchaseProcessed'").map((row) => JSON.parse(row.args));
+        expect(purchases.map((args) => args.transactionId)).to.deep.equal(["TXN-CANONICAL"]);
+
+        const head = await ethers.provider.getBlock("latest");
+        expect(db.get("SELECT hash FROM blocks WHERE number = ?", [head.number]).hash).to.equal(head.hash);
+
+        // The merchant's running totals drop the orphaned purchase too
+        const [totals] = merchantTotals(db, merchant.address.toLowerCase());
+        expect(totals.purchases).to.equal(1);
+        expect(totals.sales).to.equal(PURCHASE.mul(2).toString());
+        expect(totals.rewardsIssued).to.equal(REWARD.mul(2).toString());
+    });
+
+    it("Should credit vested and escrowed rewards to the customer, not the holding contract", async function () {
+        const RewardVesting = await ethers.getContractFactory("RewardVesting");
+        const rewardVesting = await upgrades.deployProxy(RewardVesting, [shopToken.address]);
+        await rewardVesting.deployed();
+        await rewardVesting.setRewardIssuer(purchaseValidator.address);
+        await purchaseValidator.setRewardVesting(rewardVesting.address);
+
+        const RewardEscrow = await ethers.getContractFactory("RewardEscrow");
+        const rewardEscrow = await upgrades.deployProxy(RewardEscrow, [shopToken.address, merchantRegistry.address]);
+        await rewardEscrow.deployed();
+        await rewardEscrow.setRewardIssuer(purchaseValidator.address);
+        await purchaseValidator.setRewardEscrow(rewardEscrow.address);
+
+        const janeHash = ethers.utils.id("jane@example.com");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE.mul(2), "TXN-2");
+        await indexer.sync();
+
+        const rewards = db.all("SELECT account, amount FROM events WHERE name = 'RewardsIssued' ORDER BY block_number");
+        expect(rewards).to.deep.equal([
+            { account: customer.address, amount: REWARD.toString() },
+            { account: janeHash, amount: REWARD.mul(2).toString() }
+        ]);
+        for (const holder of [rewardVesting.address, rewardEscrow.address]) {
+            expect(db.get("SELECT COUNT(*) AS count FROM events WHERE account = ?", [holder]).count).to.equal(0);
+        }
+        // The recipient stays in the event's own arguments
+        expect(JSON.parse(db.get("SELECT args FROM events WHERE name = 'RewardsIssued' AND account = ?", [janeHash]).args).customer).to.equal(rewardEscrow.address);
+
+        const [totals] = merchantTotals(db, merchant.address.toLowerCase());
+        expect(totals.purchases).to.equal(2);
+        expect(totals.sales).to.equal(PURCHASE.mul(3).toString());
+        expect(totals.rewardsIssued).to.equal(REWARD.mul(3).toString());
+    });
+
+    it("Should serve history, merchant totals and supply over the REST API", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        await indexer.sync();
+
+        const server = createApiServer(db);
+        await new Promise((resolve) => server.listen(0, resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const get = async (path) => {
+            const response = await fetch(base + path);
+            return { status: response.status, body: await response.json() };
+        };
+
+        try {
+            const history = await get(`/history?account=${customer.address}&event=PurchaseProcessed`);
+            expect(history.body.events.map((e) => e.args.transactionId)).to.deep.equal(["TXN-2", "TXN-1"]);
+            expect(history.body.events[0].timestamp).to.be.greaterThan(0);
+
+            const { body: totals } = await get(`/merchants/${merchant.address}`);
+            expect(totals.name).to.equal("Tesco Ireland");
+            expect(totals.purchases).to.equal(2);
+            expect(totals.sales).to.equal(PURCHASE.mul(2).toString());
+            expect(totals.rewardsIssued).to.equal(REWARD.mul(2).toString());
+            expect((await get("/merchants")).body.merchants.length).to.equal(1);
+
+            const { body: supply } = await get("/supply");
+            const last = supply.points[supply.points.length - 1];
+            expect(last.totalSupply).to.equal((await shopToken.totalSupply()).toString());
+
+            // Walletless customers are looked up by their customer hash
+            expect((await get(`/history?account=${ethers.utils.id("jane@example.com")}`)).body.events).to.be.empty;
+            expect((await get("/history?limit=abc")).status).to.equal(400);
+            expect((await get(`/merchants/${customer.address}`)).status).to.equal(404);
+            expect((await get("/unknown")).status).to.equal(404);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
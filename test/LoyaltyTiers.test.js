@@ -0,0 +1,167 @@
+// test/LoyaltyTiers.test.js - Spend-based status tiers from rolling 12-month spend
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+// Helper function to compare BigNumbers
+const expectBigNumberEqual = (actual, expected) => {
+    expect(actual.toString()).to.equal(expected.toString());
+};
+
+// Helper function to assert a call reverts with the given reason
+const expectRevert = async (promise, reason) => {
+    let errorThrown = false;
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(reason);
+        errorThrown = true;
+    }
+    expect(errorThrown).to.be.true;
+};
+
+// Helper function to move the chain clock forward
+const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+};
+
+describe("Loyalty Tiers", function () {
+    const DAY = 24 * 60 * 60;
+    const EUR = ethers.utils.parseEther("100"); // Purchase amount units per euro
+    const PURCHASE = EUR.mul(600); // €600, 2% base reward = 1200 SHOP
+    const BASE_REWARD = ethers.utils.parseEther("1200");
+
+    let shopToken, merchantRegistry, purchaseValidator, loyaltyTiers;
+    let owner, merchant, otherMerchant, customer, rateSetter;
+
+    const tierEvents = (receipt) => receipt.logs
+        .filter((log) => log.address === loyaltyTiers.address)
+        .map((log) => loyaltyTiers.interface.parseLog(log))
+        .filter((event) => event.name === "TierChanged");
+
+    beforeEach(async function () {
+        [owner, merchant, otherMerchant, customer, rateSetter] = await ethers.getSigners();
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
+        purchaseValidator = await upgrades.deployProxy(PurchaseValidator, [shopToken.address, merchantRegistry.address]);
+        await purchaseValidator.deployed();
+
+        const LoyaltyTiers = await ethers.getContractFactory("LoyaltyTiers");
+        loyaltyTiers = await upgrades.deployProxy(LoyaltyTiers);
+        await loyaltyTiers.deployed();
+
+        await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
+        await shopToken.setSystemMinter(purchaseValidator.address, true);
+        await merchantRegistry.setPurchaseValidator(purchaseValidator.address);
+        await loyaltyTiers.setPurchaseValidator(purchaseValidator.address);
+        await purchaseValidator.setLoyaltyTiers(loyaltyTiers.address);
+
+        await merchantRegistry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+        await merchantRegistry.registerMerchant(otherMerchant.address, "Harvey Norman", "electronics", 200);
+    });
+
+    it("Should promote customers on spend across merchants and pay the tier bonus", async function () {
+        const tx = await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        const events = tierEvents(await tx.wait());
+        expect(events.length).to.equal(1);
+        expect(events[0].args.tierName).to.equal("Bronze");
+        // The purchase that reaches a tier is rewarded at the earlier tier
+        expectBigNumberEqual((await purchaseValidator.purchases("TXN-1")).rewards, BASE_REWARD);
+
+        await purchaseValidator.connect(otherMerchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        const record = await purchaseValidator.purchases("TXN-2");
+        expectBigNumberEqual(record.loyaltyRewards, BASE_REWARD.div(20)); // Bronze +5%
+        expectBigNumberEqual(record.rewards, BASE_REWARD.add(BASE_REWARD.div(20)));
+
+        const info = await loyaltyTiers.getCustomerTier(customer.address);
+        expect(info.name).to.equal("Silver");
+        expectBigNumberEqual(info.rollingSpend, EUR.mul(1200));
+        expect(info.nextTierName).to.equal("Gold");
+        expectBigNumberEqual(info.spendToNextTier, EUR.mul(3800));
+    });
+
+    it("Should drop tiers as spend rolls out of the 12-month window", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await increaseTime(200 * DAY);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        expect((await loyaltyTiers.getCustomerTier(customer.address)).name).to.equal("Silver");
+
+        await increaseTime(200 * DAY);
+        const info = await loyaltyTiers.getCustomerTier(customer.address);
+        expect(info.name).to.equal("Bronze");
+        expectBigNumberEqual(info.rollingSpend, PURCHASE);
+
+        const tx = await loyaltyTiers.refreshTier(customer.address);
+        const events = tierEvents(await tx.wait());
+        expect(events[0].args.previousTier.toNumber()).to.equal(2);
+        expect(events[0].args.newTier.toNumber()).to.equal(1);
+        expect((await loyaltyTiers.customerTier(customer.address)).toNumber()).to.equal(1);
+    });
+
+    it("Should count spend for a full 365 days, day by day", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await increaseTime(25 * DAY);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+
+        // Spend from 340 days ago still counts
+        await increaseTime(315 * DAY);
+        expectBigNumberEqual(await loyaltyTiers.getRollingSpend(customer.address), PURCHASE.mul(2));
+        expect((await loyaltyTiers.getCustomerTier(customer.address)).name).to.equal("Silver");
+
+        // Each purchase drops out on its own 365th day, not in monthly steps
+        await increaseTime(25 * DAY);
+        expectBigNumberEqual(await loyaltyTiers.getRollingSpend(customer.address), PURCHASE);
+        await increaseTime(25 * DAY);
+        expectBigNumberEqual(await loyaltyTiers.getRollingSpend(customer.address), 0);
+
+        // Expired days leave the running total, and new spend counts from scratch
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-3");
+        expectBigNumberEqual(await loyaltyTiers.getRollingSpend(customer.address), PURCHASE);
+        expect((await loyaltyTiers.customerTier(customer.address)).toNumber()).to.equal(1);
+        expectBigNumberEqual(await loyaltyTiers.spendByDay(customer.address, 0), 0);
+    });
+
+    it("Should take refunded spend back out of the tier", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        expect((await loyaltyTiers.customerTier(customer.address)).toNumber()).to.equal(2);
+
+        await purchaseValidator.connect(merchant).refundPurchase("TXN-2", PURCHASE);
+        const info = await loyaltyTiers.getCustomerTier(customer.address);
+        expect(info.tier.toNumber()).to.equal(1);
+        expectBigNumberEqual(info.rollingSpend, PURCHASE);
+        expect((await loyaltyTiers.customerTier(customer.address)).toNumber()).to.equal(1);
+    });
+
+    it("Should let the rate setter reconfigure thresholds", async function () {
+        await loyaltyTiers.grantRole(await loyaltyTiers.RATE_SETTER_ROLE(), rateSetter.address);
+        await expectRevert(loyaltyTiers.connect(customer).setTiers(["Bronze"], [1], [100]), "is missing role");
+        await expectRevert(
+            loyaltyTiers.connect(rateSetter).setTiers(["Bronze", "Silver"], [EUR.mul(10), EUR.mul(10)], [100, 200]),
+            "Thresholds must ascend"
+        );
+        await expectRevert(loyaltyTiers.connect(rateSetter).setTiers(["Gold"], [1], [10001]), "Tier bonus too high");
+        await expectRevert(loyaltyTiers.recordPurchase(customer.address, PURCHASE), "Not purchase validator");
+
+        await loyaltyTiers.connect(rateSetter).setTiers(["Member", "VIP"], [EUR, EUR.mul(500)], [200, 5000]);
+        const tiers = await loyaltyTiers.getTiers();
+        expect(tiers.map((t) => t.name)).to.deep.equal(["Member", "VIP"]);
+
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        expectBigNumberEqual((await purchaseValidator.purchases("TXN-2")).loyaltyRewards, BASE_REWARD.div(2));
+        const info = await loyaltyTiers.getCustomerTier(customer.address);
+        expect(info.name).to.equal("VIP");
+        expect(info.nextTierName).to.equal("");
+        expectBigNumberEqual(info.spendToNextTier, 0);
+    });
+});
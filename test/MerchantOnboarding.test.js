@@ -0,0 +1,128 @@
+// test/MerchantOnboarding.test.js - Self-service merchant applications
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+// Helper function to compare BigNumbers
+const expectBigNumberEqual = (actual, expected) => {
+    expect(actual.toString()).to.equal(expected.toString());
+};
+
+// Helper function to assert a call reverts with the given reason
+const expectRevert = async (promise, reason) => {
+    let errorThrown = false;
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(reason);
+        errorThrown = true;
+    }
+    expect(errorThrown).to.be.true;
+};
+
+describe("Merchant Onboarding", function () {
+    const BOND = ethers.utils.parseEther("10000");
+
+    let shopToken, merchantRegistry, merchantOnboarding;
+    let owner, applicant, reviewerA, reviewerB, treasury;
+
+    beforeEach(async function () {
+        [owner, applicant, reviewerA, reviewerB, treasury] = await ethers.getSigners();
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const MerchantOnboarding = await ethers.getContractFactory("MerchantOnboarding");
+        merchantOnboarding = await upgrades.deployProxy(MerchantOnboarding, [shopToken.address, merchantRegistry.address]);
+        await merchantOnboarding.deployed();
+
+        await merchantRegistry.grantRole(await merchantRegistry.MERCHANT_MANAGER_ROLE(), merchantOnboarding.address);
+        const REVIEWER_ROLE = await merchantOnboarding.REVIEWER_ROLE();
+        await merchantOnboarding.grantRole(REVIEWER_ROLE, reviewerA.address);
+        await merchantOnboarding.grantRole(REVIEWER_ROLE, reviewerB.address);
+        await merchantOnboarding.setTreasury(treasury.address);
+
+        await shopToken.transfer(applicant.address, BOND);
+        await shopToken.connect(applicant).approve(merchantOnboarding.address, BOND);
+        await merchantOnboarding.connect(applicant).submitApplication("Corner Shop", "grocery", 250);
+    });
+
+    it("Should hold the bond while the application is pending", async function () {
+        const application = await merchantOnboarding.applications(0);
+        expect(application.applicant).to.equal(applicant.address);
+        expectBigNumberEqual(application.bond, BOND);
+        expectBigNumberEqual(await shopToken.balanceOf(merchantOnboarding.address), BOND);
+        expect(await merchantRegistry.isMerchant(applicant.address)).to.be.false;
+
+        await expectRevert(
+            merchantOnboarding.connect(applicant).submitApplication("Corner Shop", "grocery", 250),
+            "Application already pending"
+        );
+    });
+
+    it("Should register the merchant once the committee approves", async function () {
+        await merchantOnboarding.connect(reviewerA).approveApplication(0);
+        expect(await merchantRegistry.isMerchant(applicant.address)).to.be.false;
+
+        await merchantOnboarding.connect(reviewerB).approveApplication(0);
+
+        const info = await merchantRegistry.getMerchantInfo(applicant.address);
+        expect(info.name).to.equal("Corner Shop");
+        expect(info.rewardRate.toNumber()).to.equal(250);
+        expect(info.isActive).to.be.true;
+        expect(await shopToken.authorizedMinters(applicant.address)).to.be.false; // Rewards go through the validator
+        expectBigNumberEqual(await merchantOnboarding.merchantBonds(applicant.address), BOND);
+    });
+
+    it("Should let a merchant manager approve alone", async function () {
+        await merchantOnboarding.approveApplication(0);
+        expect(await merchantRegistry.isMerchant(applicant.address)).to.be.true;
+        await expectRevert(merchantOnboarding.connect(reviewerA).approveApplication(0), "Application not pending");
+    });
+
+    it("Should refund the bond on rejection or withdrawal", async function () {
+        await merchantOnboarding.connect(reviewerA).rejectApplication(0, "Incomplete details");
+        expectBigNumberEqual(await shopToken.balanceOf(applicant.address), BOND);
+
+        await shopToken.connect(applicant).approve(merchantOnboarding.address, BOND);
+        await merchantOnboarding.connect(applicant).submitApplication("Corner Shop", "grocery", 250);
+        await merchantOnboarding.connect(applicant).withdrawApplication();
+        expectBigNumberEqual(await shopToken.balanceOf(applicant.address), BOND);
+        expect((await merchantOnboarding.applications(1)).status).to.equal(4); // Withdrawn
+    });
+
+    it("Should slash the bond and suspend the merchant", async function () {
+        await merchantOnboarding.approveApplication(0);
+        await merchantOnboarding.slashBond(applicant.address, BOND.div(2), "Fake receipts");
+
+        expect((await merchantRegistry.getMerchantInfo(applicant.address)).isActive).to.be.false;
+        expectBigNumberEqual(await shopToken.balanceOf(treasury.address), BOND.div(2));
+
+        await merchantOnboarding.releaseBond(applicant.address);
+        expectBigNumberEqual(await shopToken.balanceOf(applicant.address), BOND.div(2));
+    });
+
+    it("Should only release the bond of a removed or suspended merchant", async function () {
+        await merchantOnboarding.approveApplication(0);
+        await expectRevert(merchantOnboarding.releaseBond(applicant.address), "Merchant still active");
+
+        await merchantRegistry.removeMerchant(applicant.address);
+        await merchantOnboarding.releaseBond(applicant.address);
+        expectBigNumberEqual(await shopToken.balanceOf(applicant.address), BOND);
+        await expectRevert(merchantOnboarding.releaseBond(applicant.address), "No bond held");
+    });
+
+    it("Should restrict review actions to reviewers", async function () {
+        await expectRevert(merchantOnboarding.connect(applicant).approveApplication(0), "Not a reviewer");
+        await expectRevert(merchantOnboarding.connect(applicant).rejectApplication(0, "nope"), "Not a reviewer");
+        await expectRevert(
+            merchantRegistry.connect(applicant).registerMerchant(applicant.address, "Corner Shop", "grocery", 250),
+            "is missing role"
+        );
+    });
+});
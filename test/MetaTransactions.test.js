@@ -0,0 +1,284 @@
+// test/MetaTransactions.test.js - EIP-2612 permits, the trusted forwarder and the gasless relayer
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { buildRequest, signRequest, createRelayer, createRelayerServer } = require("../scripts/lib/relayer");
+
+// Helper function to compare BigNumbers
+const expectBigNumberEqual = (actual, expected) => {
+    expect(actual.toString()).to.equal(expected.toString());
+};
+
+// Helper function to assert a call reverts with the given reason
+const expectRevert = async (promise, reason) => {
+    let errorThrown = false;
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(reason);
+        errorThrown = true;
+    }
+    expect(errorThrown).to.be.true;
+};
+
+// Helper function to move the chain clock forward
+const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+};
+
+describe("Meta-transactions", function () {
+    const DAY = 24 * 60 * 60;
+    const STAKE = ethers.utils.parseEther("1000");
+    const PERMIT_TYPES = {
+        Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    };
+
+    let shopToken, shopStaking, stablecoinSwap, mockUSDC, shopForwarder;
+    let owner, customer, relayerAccount, other;
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+    // Sign a SHOP permit as `signer`; returns the deadline and split signature
+    const signPermit = async (signer, spender, value, deadline) => {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = { name: await shopToken.name(), version: "1", chainId, verifyingContract: shopToken.address };
+        const nonce = await shopToken.nonces(signer.address);
+        const signature = await signer._signTypedData(domain, PERMIT_TYPES, { owner: signer.address, spender, value, nonce, deadline });
+        return { deadline, ...ethers.utils.splitSignature(signature) };
+    };
+
+    beforeEach(async function () {
+        [owner, customer, relayerAccount, other] = await ethers.getSigners();
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const SHOPStaking = await ethers.getContractFactory("SHOPStaking");
+        shopStaking = await upgrades.deployProxy(SHOPStaking, [shopToken.address]);
+        await shopStaking.deployed();
+
+        const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+        mockUSDC = await MockStablecoin.deploy("Mock USDC", "USDC", 6);
+        await mockUSDC.deployed();
+
+        const StablecoinSwap = await ethers.getContractFactory("StablecoinSwap");
+        stablecoinSwap = await upgrades.deployProxy(StablecoinSwap, [shopToken.address, mockUSDC.address]);
+        await stablecoinSwap.deployed();
+
+        const ShopForwarder = await ethers.getContractFactory("ShopForwarder");
+        shopForwarder = await ShopForwarder.deploy();
+        await shopForwarder.deployed();
+
+        await shopStaking.setTrustedForwarder(shopForwarder.address);
+        await stablecoinSwap.setTrustedForwarder(shopForwarder.address);
+
+        await shopToken.transfer(customer.address, ethers.utils.parseEther("10000"));
+    });
+
+    describe("Permits", function () {
+        it("Should approve with a permit signature and reject replayed, forged or expired ones", async function () {
+            const deadline = (await latestTimestamp()) + 3600;
+            const { v, r, s } = await signPermit(customer, shopStaking.address, STAKE, deadline);
+
+            // Anyone may submit the permit - the signature is the authorization
+            await shopToken.connect(other).permit(customer.address, shopStaking.address, STAKE, deadline, v, r, s);
+            expectBigNumberEqual(await shopToken.allowance(customer.address, shopStaking.address), STAKE);
+            expectBigNumberEqual(await shopToken.nonces(customer.address), 1);
+
+            await expectRevert(
+                shopToken.permit(customer.address, shopStaking.address, STAKE, deadline, v, r, s),
+                "ERC20Permit: invalid signature"
+            );
+            await expectRevert(
+                shopToken.permit(customer.address, other.address, STAKE, deadline, v, r, s),
+                "ERC20Permit: invalid signature"
+            );
+
+            const expired = await signPermit(customer, shopStaking.address, STAKE, (await latestTimestamp()) - 1);
+            await expectRevert(
+                shopToken.permit(customer.address, shopStaking.address, STAKE, expired.deadline, expired.v, expired.r, expired.s),
+                "ERC20Permit: expired deadline"
+            );
+
+            const { chainId } = await ethers.provider.getNetwork();
+            expect(await shopToken.DOMAIN_SEPARATOR()).to.equal(ethers.utils._TypedDataEncoder.hashDomain({
+                name: "Unified Shopping Rewards", version: "1", chainId, verifyingContract: shopToken.address
+            }));
+        });
+
+        it("Should stake with a permit in one transaction, even when the permit was front-run", async function () {
+            const deadline = (await latestTimestamp()) + 3600;
+            const permit = await signPermit(customer, shopStaking.address, STAKE, deadline);
+            await shopStaking.connect(customer).stakeWithPermit(STAKE, permit.deadline, permit.v, permit.r, permit.s);
+            expectBigNumberEqual(await shopStaking.stakedBalance(customer.address), STAKE);
+
+            // Someone submits the customer's permit first - the stake still goes through on the allowance it set
+            const second = await signPermit(customer, shopStaking.address, STAKE, deadline);
+            await shopToken.connect(other).permit(customer.address, shopStaking.address, STAKE, deadline, second.v, second.r, second.s);
+            await shopStaking.connect(customer).stakeWithPermit(STAKE, deadline, second.v, second.r, second.s);
+            expectBigNumberEqual(await shopStaking.stakedBalance(customer.address), STAKE.mul(2));
+
+            // Without a usable permit or allowance the stake fails as a plain stake would
+            await expectRevert(
+                shopStaking.connect(customer).stakeWithPermit(STAKE, deadline, second.v, second.r, second.s),
+                "ERC20: insufficient allowance"
+            );
+        });
+
+        it("Should swap with a permit for the burn allowance", async function () {
+            const reserves = ethers.utils.parseUnits("1000", 6);
+            await mockUSDC.mint(owner.address, reserves);
+            await mockUSDC.approve(stablecoinSwap.address, reserves);
+            await stablecoinSwap.depositReserves(reserves);
+
+            const amount = ethers.utils.parseEther("500");
+            const { netAmount } = await stablecoinSwap.quoteSwap(amount);
+            const permit = await signPermit(customer, stablecoinSwap.address, amount, (await latestTimestamp()) + 3600);
+            await stablecoinSwap.connect(customer).swapWithPermit(amount, permit.deadline, permit.v, permit.r, permit.s);
+
+            expectBigNumberEqual(await mockUSDC.balanceOf(customer.address), netAmount);
+            expectBigNumberEqual(await stablecoinSwap.userSwappedAmount(customer.address), amount);
+        });
+    });
+
+    describe("Relayed calls", function () {
+        let relayer;
+
+        beforeEach(async function () {
+            relayer = createRelayer({
+                forwarder: shopForwarder.connect(relayerAccount),
+                targets: { shopStaking, stablecoinSwap, shopToken }
+            });
+        });
+
+        // Sign a forward request as the customer and hand it to the relayer
+        const relayAs = async (signer, target, method, args) => {
+            const request = await buildRequest(shopForwarder, signer.address, target, method, args);
+            return relayer.relay(request, await signRequest(signer, shopForwarder, request));
+        };
+
+        it("Should stake, claim and unstake for the signer while the relayer pays the gas", async function () {
+            await shopToken.approve(shopStaking.address, ethers.utils.parseEther("9000"));
+            await shopStaking.fundRewardPool(ethers.utils.parseEther("9000"));
+
+            const customerEth = await customer.getBalance();
+            const permit = await signPermit(customer, shopStaking.address, STAKE, (await latestTimestamp()) + 3600);
+            const staked = await relayAs(customer, shopStaking, "stakeWithPermit", [STAKE, permit.deadline, permit.v, permit.r, permit.s]);
+            expect(staked.method).to.equal("stakeWithPermit");
+            expect(staked.from).to.equal(customer.address);
+            expectBigNumberEqual(await shopStaking.stakedBalance(customer.address), STAKE);
+            expectBigNumberEqual(await shopStaking.stakedBalance(shopForwarder.address), 0);
+
+            await increaseTime(8 * DAY);
+            const balanceBefore = await shopToken.balanceOf(customer.address);
+            await relayAs(customer, shopStaking, "claimStakingRewards", []);
+            const claimed = (await shopToken.balanceOf(customer.address)).sub(balanceBefore);
+            expect(claimed.gt(0)).to.be.true;
+
+            await relayAs(customer, shopStaking, "unstake", [STAKE]);
+            expectBigNumberEqual(await shopStaking.stakedBalance(customer.address), 0);
+            expectBigNumberEqual(await shopToken.balanceOf(customer.address), balanceBefore.add(claimed).add(STAKE));
+            expectBigNumberEqual(await customer.getBalance(), customerEth);
+        });
+
+        it("Should only honour the forwarder the admin trusts", async function () {
+            await expectRevert(shopStaking.connect(customer).setTrustedForwarder(customer.address), "is missing role");
+            expect(await shopStaking.isTrustedForwarder(shopForwarder.address)).to.be.true;
+
+            // Sender spoofing from an untrusted caller: the appended address is ignored
+            const data = shopStaking.interface.encodeFunctionData("claimStakingRewards") + customer.address.slice(2);
+            await expectRevert(other.sendTransaction({ to: shopStaking.address, data }), "No rewards to claim");
+
+            await shopStaking.setTrustedForwarder(ethers.constants.AddressZero);
+            await shopToken.connect(customer).approve(shopStaking.address, STAKE);
+            let error;
+            try {
+                await relayAs(customer, shopStaking, "stake", [STAKE]);
+            } catch (e) {
+                error = e;
+            }
+            // The forwarder itself is the sender now, and it has no SHOP
+            expect(error.message).to.equal("stake reverted: Insufficient balance");
+        });
+
+        it("Should not let the admin trust its own forwarder and spend a holder's SHOP once governed", async function () {
+            const ShopTimelock = await ethers.getContractFactory("ShopTimelock");
+            const shopTimelock = await ShopTimelock.deploy(2 * DAY, [owner.address], [ethers.constants.AddressZero], ethers.constants.AddressZero);
+            await shopTimelock.deployed();
+            await shopToken.setGovernor(shopTimelock.address, []);
+            await shopToken.migrateOwnerToRoles(other.address);
+
+            await expectRevert(shopToken.connect(other).setTrustedForwarder(other.address), "is missing role");
+            await expectRevert(
+                shopToken.connect(other).grantRole(await shopToken.GOVERNOR_ROLE(), other.address),
+                "is missing role"
+            );
+            expect(await shopToken.isTrustedForwarder(other.address)).to.be.false;
+
+            // Appending the holder's address does not make the admin the holder
+            const balance = await shopToken.balanceOf(customer.address);
+            const data = shopToken.interface.encodeFunctionData("transfer", [other.address, balance]) + customer.address.slice(2);
+            await expectRevert(other.sendTransaction({ to: shopToken.address, data }), "transfer amount exceeds balance");
+            expectBigNumberEqual(await shopToken.balanceOf(customer.address), balance);
+        });
+
+        it("Should refuse unlisted calls, bad signatures and calls that would revert over HTTP", async function () {
+            const server = createRelayerServer(relayer);
+            await new Promise((resolve) => server.listen(0, resolve));
+            const base = `http://127.0.0.1:${server.address().port}`;
+            const post = async (request, signature) => {
+                const response = await fetch(`${base}/relay`, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({ request, signature })
+                });
+                return { status: response.status, body: await response.json() };
+            };
+            const signed = async (target, method, args) => {
+                const request = await buildRequest(shopForwarder, customer.address, target, method, args);
+                return [request, await signRequest(customer, shopForwarder, request)];
+            };
+
+            try {
+                const status = await (await fetch(`${base}/status`)).json();
+                expect(status.forwarder).to.equal(shopForwarder.address);
+                expect(status.targets.shopStaking.methods).to.include("stakeWithPermit");
+                expect(status.targets).to.not.have.property("shopToken");
+                expect((await fetch(`${base}/relay`, { method: "OPTIONS" })).status).to.equal(204);
+
+                const transfer = await post(...(await signed(shopToken, "transfer", [other.address, STAKE])));
+                expect(transfer.status).to.equal(403);
+                expect(transfer.body.error).to.include("is not a relayed contract");
+
+                const funding = await post(...(await signed(shopStaking, "fundRewardPool", [STAKE])));
+                expect(funding.status).to.equal(403);
+                expect(funding.body.error).to.equal("shopStaking.fundRewardPool is not relayed - send it from your wallet");
+
+                const [request, signature] = await signed(shopStaking, "stake", [STAKE]);
+                const tampered = await post({ ...request, from: other.address }, signature);
+                expect(tampered.status).to.equal(401);
+
+                const tooSmall = await post(...(await signed(shopStaking, "stake", [ethers.utils.parseEther("10")])));
+                expect(tooSmall.status).to.equal(422);
+                expect(tooSmall.body.reason).to.equal("Below minimum stake amount");
+                expectBigNumberEqual((await (await fetch(`${base}/nonce/${customer.address}`)).json()).nonce, 0);
+
+                await shopToken.connect(customer).approve(shopStaking.address, STAKE);
+                const relayed = await post(request, signature);
+                expect(relayed.status).to.equal(200);
+                expectBigNumberEqual(await shopStaking.stakedBalance(customer.address), STAKE);
+                expect((await post(request, signature)).status).to.equal(401);
+            } finally {
+                await new Promise((resolve) => server.close(resolve));
+            }
+        });
+    });
+});
@@ -0,0 +1,218 @@
+// test/Monitor.test.js - Fraud monitor rules, and polling them off the Hardhat network
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { createDetector, createMonitor } = require("../scripts/lib/monitor");
+
+describe("Fraud Monitor", function () {
+    const MAX = ethers.utils.parseEther("100000");
+    const PURCHASE = ethers.utils.parseEther("1000");
+    const [CUSTOMER, OTHER_CUSTOMER, ...MERCHANTS] = Array.from({ length: 8 }, (_, i) =>
+        ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20))
+    );
+
+    let block = 0;
+    const purchase = (timestamp, customer, merchant, amount = PURCHASE) => ({
+        name: "PurchaseProcessed",
+        args: { customer, merchant, amount },
+        blockNumber: ++block,
+        transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(block), 32),
+        timestamp
+    });
+    const rewards = (timestamp, merchant, amount) => ({
+        name: "RewardsIssued",
+        args: { merchant, customer: CUSTOMER, amount },
+        blockNumber: ++block,
+        transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(block), 32),
+        timestamp
+    });
+    const observeAll = (detector, events) => events.flatMap((event) => detector.observe(event));
+
+    it("Should alert on repeated purchases near the max, once per window", function () {
+        const detector = createDetector({ maxPurchase: MAX });
+        const nearMax = MAX.mul(95).div(100);
+        let alerts = observeAll(detector, [
+            purchase(1000, CUSTOMER, MERCHANTS[0], nearMax),
+            purchase(1100, OTHER_CUSTOMER, MERCHANTS[0], PURCHASE),
+            purchase(1200, OTHER_CUSTOMER, MERCHANTS[0], nearMax)
+        ]);
+        expect(alerts).to.be.empty;
+
+        alerts = detector.observe(purchase(1300, CUSTOMER, MERCHANTS[0], MAX));
+        expect(alerts.map((alert) => [alert.rule, alert.subject])).to.deep.equal([["nearMax", MERCHANTS[0]]]);
+        expect(alerts[0].details.count).to.equal(3);
+        expect(alerts[0].blockNumber).to.equal(block);
+
+        // The customer reaches three too, but the merchant is not alerted again within the window
+        expect(detector.observe(purchase(1400, CUSTOMER, MERCHANTS[0], MAX)).map((a) => a.rule)).to.deep.equal(["nearMax"]);
+        expect(detector.observe(purchase(1500, CUSTOMER, MERCHANTS[0], MAX))).to.be.empty;
+
+        // Near-max purchases spread over more than the window do not add up
+        const slow = createDetector({ maxPurchase: MAX });
+        expect(observeAll(slow, [0, 4000, 8000].map((t) => purchase(t, CUSTOMER, MERCHANTS[1], MAX)))).to.be.empty;
+    });
+
+    it("Should alert when one customer buys across many merchants", function () {
+        const detector = createDetector({ maxPurchase: MAX, spreadMerchants: 4 });
+        const events = MERCHANTS.slice(0, 3).map((merchant, i) => purchase(i * 600, CUSTOMER, merchant));
+        events.push(purchase(2000, CUSTOMER, MERCHANTS[0])); // Repeat merchant
+        expect(observeAll(detector, events)).to.be.empty;
+
+        const alerts = detector.observe(purchase(2400, CUSTOMER, MERCHANTS[3]));
+        expect(alerts.map((alert) => alert.rule)).to.deep.equal(["spread"]);
+        expect(alerts[0].subject).to.equal(CUSTOMER);
+        expect(alerts[0].details.merchants).to.have.lengthOf(4);
+    });
+
+    it("Should alert on bursts of purchases and of minted rewards", function () {
+        const detector = createDetector({ maxPurchase: MAX, burstCount: 5, burstWindow: 60 });
+        const events = [0, 10, 20, 30].map((t) => purchase(t, CUSTOMER, MERCHANTS[0]));
+        expect(observeAll(detector, events)).to.be.empty;
+        const alerts = detector.observe(purchase(40, CUSTOMER, MERCHANTS[0]));
+        expect(alerts.map((alert) => [alert.rule, alert.details.role])).to.deep.equal([["burst", "merchant"], ["burst", "customer"]]);
+
+        const minted = createDetector({ maxPurchase: MAX, burstRewards: ethers.utils.parseEther("100") });
+        expect(minted.observe(rewards(0, MERCHANTS[1], ethers.utils.parseEther("60")))).to.be.empty;
+        expect(minted.observe(rewards(3000, MERCHANTS[2], ethers.utils.parseEther("60")))).to.be.empty;
+        const rewardAlerts = minted.observe(rewards(3500, MERCHANTS[1], ethers.utils.parseEther("40")));
+        expect(rewardAlerts.map((alert) => [alert.rule, alert.subject])).to.deep.equal([["rewards", MERCHANTS[1]]]);
+        expect(rewardAlerts[0].details.total).to.equal(ethers.utils.parseEther("100").toString());
+    });
+
+    describe("Polling", function () {
+        let shopToken, merchantRegistry, purchaseValidator, owner, merchant, customer;
+
+        beforeEach(async function () {
+            [owner, merchant, customer] = await ethers.getSigners();
+
+            const SHOPToken = await ethers.getContractFactory("SHOPToken");
+            shopToken = await upgrades.deployProxy(SHOPToken);
+            await shopToken.deployed();
+
+            const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+            merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+            await merchantRegistry.deployed();
+
+            const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
+            purchaseValidator = await upgrades.deployProxy(PurchaseValidator, [shopToken.address, merchantRegistry.address]);
+            await purchaseValidator.deployed();
+
+            await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
+            await shopToken.setSystemMinter(purchaseValidator.address, true);
+            await merchantRegistry.setPurchaseValidator(purchaseValidator.address);
+            await merchantRegistry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+        });
+
+        it("Should raise alerts for events since the first poll", async function () {
+            const alerts = [];
+            const monitor = createMonitor({
+                provider: ethers.provider,
+                contracts: { shopToken: shopToken.address, purchaseValidator: purchaseValidator.address },
+                rules: { maxPurchase: await purchaseValidator.MAX_PURCHASE_AMOUNT(), nearMaxCount: 2 },
+                batchSize: 2,
+                onAlert: (alert) => alerts.push(alert)
+            });
+            // The first purchase lands before monitoring starts
+            await purchaseValidator.connect(merchant).processPurchase(customer.address, MAX, "TXN-1");
+            expect(await monitor.poll()).to.include({ events: 0 });
+
+            await purchaseValidator.connect(merchant).processPurchase(customer.address, MAX, "TXN-2");
+            expect(alerts).to.be.empty;
+            await purchaseValidator.connect(merchant).processPurchase(customer.address, MAX.mul(9).div(10), "TXN-3");
+            await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-4");
+
+            const { events, alerts: raised, cursor } = await monitor.poll();
+            expect(events).to.equal(6); // PurchaseProcessed and RewardsIssued per purchase
+            expect(cursor).to.equal(await ethers.provider.getBlockNumber());
+            expect(raised.map((alert) => [alert.rule, alert.subject])).to.deep.equal([
+                ["nearMax", merchant.address],
+                ["nearMax", customer.address]
+            ]);
+            expect(alerts).to.deep.equal(raised);
+            expect((await monitor.poll()).events).to.equal(0);
+        });
+
+        it("Should deliver each alert once when a poll fails partway", async function () {
+            const alerts = [];
+            let failNext = true;
+            const monitor = createMonitor({
+                provider: ethers.provider,
+                contracts: { shopToken: shopToken.address, purchaseValidator: purchaseValidator.address },
+                rules: { maxPurchase: await purchaseValidator.MAX_PURCHASE_AMOUNT(), nearMaxCount: 2 },
+                onAlert: (alert) => {
+                    if (failNext) {
+                        failNext = false;
+                        throw new Error("Alert sink down");
+                    }
+                    alerts.push(alert);
+                }
+            });
+            await monitor.poll();
+            for (const id of ["TXN-1", "TXN-2", "TXN-3"]) {
+                await purchaseValidator.connect(merchant).processPurchase(customer.address, MAX, id);
+            }
+
+            // The merchant alert fails at the second purchase, before the customer alert is handed over
+            let failed = false;
+            await monitor.poll().catch(() => { failed = true; });
+            expect(failed).to.be.true;
+            expect(alerts).to.be.empty;
+
+            // The retry delivers both alerts once and does not run the handled events again
+            const { events, alerts: raised } = await monitor.poll();
+            expect(events).to.equal(2); // Only the third purchase and its rewards
+            expect(raised.map((alert) => [alert.rule, alert.subject])).to.deep.equal([
+                ["nearMax", merchant.address],
+                ["nearMax", customer.address]
+            ]);
+            expect(alerts).to.deep.equal(raised);
+            expect((await monitor.poll()).alerts).to.be.empty;
+        });
+
+        it("Should watch walletless and held purchases under their customer hash", async function () {
+            const RewardEscrow = await ethers.getContractFactory("RewardEscrow");
+            const rewardEscrow = await upgrades.deployProxy(RewardEscrow, [shopToken.address, merchantRegistry.address]);
+            await rewardEscrow.deployed();
+            await rewardEscrow.setRewardIssuer(purchaseValidator.address);
+            await purchaseValidator.setRewardEscrow(rewardEscrow.address);
+
+            const PurchaseGuard = await ethers.getContractFactory("PurchaseGuard");
+            const purchaseGuard = await upgrades.deployProxy(PurchaseGuard);
+            await purchaseGuard.deployed();
+            await purchaseGuard.setPurchaseValidator(purchaseValidator.address);
+            await purchaseValidator.setPurchaseGuard(purchaseGuard.address);
+            await purchaseGuard.grantRole(await purchaseGuard.REVIEWER_ROLE(), owner.address);
+            await purchaseGuard.setCustomerLimits(1, 0);
+
+            const monitor = createMonitor({
+                provider: ethers.provider,
+                contracts: {
+                    shopToken: shopToken.address,
+                    purchaseValidator: purchaseValidator.address,
+                    purchaseGuard: purchaseGuard.address
+                },
+                rules: { maxPurchase: await purchaseValidator.MAX_PURCHASE_AMOUNT(), burstCount: 3, burstWindow: 3600 }
+            });
+            await monitor.poll();
+            const janeHash = ethers.utils.id("jane@example.com");
+            await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1");
+            await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-2"); // Held
+            expect((await purchaseGuard.holdCount()).toNumber()).to.equal(1);
+            // Released, so TXN-2 is processed now - it was already counted when held
+            await purchaseGuard.releaseHold(1);
+            expect((await monitor.poll()).alerts).to.be.empty;
+
+            await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-3"); // Held
+            const { alerts } = await monitor.poll();
+            expect(alerts.map((alert) => [alert.rule, alert.subject])).to.deep.equal([
+                ["burst", merchant.address],
+                ["burst", janeHash]
+            ]);
+        });
+
+        it("Should need both contract addresses", function () {
+            expect(() => createMonitor({ provider: ethers.provider, contracts: { shopToken: shopToken.address } }))
+                .to.throw("needs the purchaseValidator address");
+        });
+    });
+});
@@ -0,0 +1,152 @@
+// test/OpsTasks.test.js - Admin Hardhat tasks against a saved deployment file
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades, artifacts } = hre;
+const { writeDeployment } = require("../scripts/lib/deployments");
+
+describe("Ops Tasks", function () {
+    let shopToken, merchantRegistry, purchaseValidator, shopStaking, stablecoinSwap, mockUSDC;
+    let owner, merchant, customer;
+    let dir, output, originalLog, originalError, originalExitCode;
+
+    // Run a task with its console output captured
+    const run = async (name, args = {}) => {
+        output = [];
+        return hre.run(name, args);
+    };
+
+    before(function () {
+        originalExitCode = process.exitCode;
+    });
+
+    beforeEach(async function () {
+        [owner, merchant, customer] = await ethers.getSigners();
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
+        purchaseValidator = await upgrades.deployProxy(PurchaseValidator, [shopToken.address, merchantRegistry.address]);
+        await purchaseValidator.deployed();
+
+        const SHOPStaking = await ethers.getContractFactory("SHOPStaking");
+        shopStaking = await upgrades.deployProxy(SHOPStaking, [shopToken.address]);
+        await shopStaking.deployed();
+
+        const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+        mockUSDC = await MockStablecoin.deploy("Mock USDC", "USDC", 6);
+        await mockUSDC.deployed();
+
+        const StablecoinSwap = await ethers.getContractFactory("StablecoinSwap");
+        stablecoinSwap = await upgrades.deployProxy(StablecoinSwap, [shopToken.address, mockUSDC.address]);
+        await stablecoinSwap.deployed();
+
+        await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
+        await shopToken.setSystemMinter(purchaseValidator.address, true);
+        await merchantRegistry.setPurchaseValidator(purchaseValidator.address);
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+        process.env.DEPLOYMENTS_DIR = dir;
+        await writeDeployment(artifacts, {
+            network: "hardhat",
+            chainId: 31337,
+            contracts: {
+                shopToken: shopToken.address,
+                merchantRegistry: merchantRegistry.address,
+                purchaseValidator: purchaseValidator.address,
+                shopStaking: shopStaking.address,
+                stablecoinSwap: stablecoinSwap.address
+            }
+        });
+
+        originalLog = console.log;
+        originalError = console.error;
+        console.log = (...args) => output.push(args.join(" "));
+        console.error = (...args) => output.push(args.join(" "));
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        console.error = originalError;
+        process.exitCode = originalExitCode;
+        delete process.env.DEPLOYMENTS_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should register, inspect and suspend merchants", async function () {
+        const registered = await run("merchant:register", {
+            merchant: merchant.address, name: "Tesco Ireland", category: "grocery", rate: 200
+        });
+        expect(registered.events).to.include("MerchantRegistered");
+
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, ethers.utils.parseEther("1000"), "TXN-1");
+        const info = await run("merchant:info", { merchant: merchant.address, json: true });
+        expect(info.name).to.equal("Tesco Ireland");
+        expect(info.isActive).to.be.true;
+        expect(info.tokensIssued).to.equal(ethers.utils.parseEther("20").toString());
+        expect(info.mintQuota.remaining).to.equal(ethers.utils.parseEther("49980").toString());
+        expect(JSON.parse(output.join("\n")).merchant).to.equal(merchant.address);
+
+        await run("merchant:suspend", { merchant: merchant.address });
+        expect((await merchantRegistry.getMerchantInfo(merchant.address)).isActive).to.be.false;
+    });
+
+    it("Should simulate without sending on a dry run", async function () {
+        const result = await run("pause", { target: "staking", dryRun: true });
+        expect(result.dryRun).to.be.true;
+        expect(await shopStaking.paused()).to.be.false;
+
+        await run("pause", { target: "staking" });
+        expect(await shopStaking.paused()).to.be.true;
+        await run("unpause", { target: "staking" });
+        expect(await shopStaking.paused()).to.be.false;
+
+        await run("minter:authorize", { minter: merchant.address, name: "Tesco Ireland", dryRun: true });
+        expect(await shopToken.authorizedMinters(merchant.address)).to.be.false;
+    });
+
+    it("Should report decoded revert reasons as JSON", async function () {
+        await run("merchant:register", { merchant: merchant.address, name: "Tesco Ireland", category: "grocery", rate: 200 });
+
+        const result = await run("merchant:register", {
+            merchant: merchant.address, name: "Tesco Ireland", category: "grocery", rate: 200, dryRun: true, json: true
+        });
+        expect(result.error).to.equal("registerMerchant reverted: Merchant already registered");
+        expect(JSON.parse(output.join("\n")).error).to.equal(result.error);
+        expect(process.exitCode).to.equal(1);
+
+        expect((await run("pause", { target: "swap" })).error).to.include("Unknown target");
+    });
+
+    it("Should show customer and staking stats and top up swap reserves", async function () {
+        await merchantRegistry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, ethers.utils.parseEther("1000"), "TXN-1");
+        await shopToken.transfer(customer.address, ethers.utils.parseEther("1000"));
+        await shopToken.connect(customer).approve(shopStaking.address, ethers.constants.MaxUint256);
+        await shopStaking.connect(customer).stake(ethers.utils.parseEther("1000"));
+
+        const stats = await run("customer:stats", { customer: customer.address });
+        expect(stats.totalSpent).to.equal(ethers.utils.parseEther("1000").toString());
+        const staking = await run("staking:info", { user: customer.address });
+        expect(staking.stakedAmount).to.equal(ethers.utils.parseEther("1000").toString());
+        expect(staking.positions.length).to.equal(1);
+
+        await mockUSDC.mint(owner.address, ethers.utils.parseUnits("500", 6));
+        const dryRun = await run("swap:topup", { amount: "500", dryRun: true });
+        expect(dryRun.steps.map((step) => step.method)).to.deep.equal(["approve"]);
+        expect((await stablecoinSwap.availableReserves()).toString()).to.equal("0");
+
+        const topup = await run("swap:topup", { amount: "500" });
+        expect(topup.steps.map((step) => step.method)).to.deep.equal(["approve", "depositReserves"]);
+        expect(topup.availableReserves).to.equal(ethers.utils.parseUnits("500", 6).toString());
+    });
+});
@@ -0,0 +1,321 @@
+// test/PurchaseGuard.test.js - Daily velocity limits and the hold queue for flagged purchases
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { submitPurchases } = require("../scripts/batch-purchases");
+
+// Helper function to compare BigNumbers
+const expectBigNumberEqual = (actual, expected) => {
+    expect(actual.toString()).to.equal(expected.toString());
+};
+
+// Helper function to assert a call reverts with the given reason
+const expectRevert = async (promise, reason) => {
+    let errorThrown = false;
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(reason);
+        errorThrown = true;
+    }
+    expect(errorThrown).to.be.true;
+};
+
+// Helper function to move the chain clock forward
+const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+};
+
+describe("Purchase Guard", function () {
+    const DAY = 24 * 60 * 60;
+    const PURCHASE = ethers.utils.parseEther("1000");
+    const REWARD = ethers.utils.parseEther("20"); // 2% of PURCHASE
+    const PENDING = 1;
+    const RELEASED = 2;
+    const REJECTED = 3;
+
+    let shopToken, merchantRegistry, purchaseValidator, purchaseGuard;
+    let owner, merchant, otherMerchant, customer, otherCustomer, reviewer, stranger;
+
+    const guardEvents = (receipt) => receipt.logs
+        .filter((log) => log.address === purchaseGuard.address)
+        .map((log) => purchaseGuard.interface.parseLog(log));
+
+    beforeEach(async function () {
+        [owner, merchant, otherMerchant, customer, otherCustomer, reviewer, stranger] = await ethers.getSigners();
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
+        purchaseValidator = await upgrades.deployProxy(PurchaseValidator, [shopToken.address, merchantRegistry.address]);
+        await purchaseValidator.deployed();
+
+        const PurchaseGuard = await ethers.getContractFactory("PurchaseGuard");
+        purchaseGuard = await upgrades.deployProxy(PurchaseGuard);
+        await purchaseGuard.deployed();
+
+        await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
+        await shopToken.setSystemMinter(purchaseValidator.address, true);
+        await merchantRegistry.setPurchaseValidator(purchaseValidator.address);
+        await purchaseGuard.setPurchaseValidator(purchaseValidator.address);
+        await purchaseValidator.setPurchaseGuard(purchaseGuard.address);
+        await purchaseGuard.grantRole(await purchaseGuard.REVIEWER_ROLE(), reviewer.address);
+
+        await merchantRegistry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+        await merchantRegistry.registerMerchant(otherMerchant.address, "Dunnes Stores", "grocery", 200);
+
+        // Start just after midnight UTC so each test's purchases fall on one day
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        await increaseTime(DAY - (now % DAY) + 60);
+    });
+
+    it("Should start with default limits and count purchases toward today's usage", async function () {
+        const customerLimits = await purchaseGuard.customerLimits();
+        expectBigNumberEqual(customerLimits.maxPurchases, 20);
+        expectBigNumberEqual(customerLimits.maxRewards, ethers.utils.parseEther("5000"));
+        expectBigNumberEqual((await purchaseGuard.merchantLimits()).maxPurchases, 2000);
+
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(otherMerchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+
+        const day = await purchaseGuard.currentDay();
+        const usage = await purchaseGuard.customerUsage(customer.address, day);
+        expectBigNumberEqual(usage.purchases, 2);
+        expectBigNumberEqual(usage.rewards, REWARD.mul(2));
+        expectBigNumberEqual((await purchaseGuard.merchantUsage(merchant.address, day)).purchases, 1);
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD.mul(2));
+
+        await expectRevert(
+            purchaseGuard.connect(merchant).screenPurchase(merchant.address, customer.address, ethers.constants.HashZero, PURCHASE, REWARD, "TXN-3"),
+            "Not purchase validator"
+        );
+    });
+
+    it("Should hold a purchase over a customer limit instead of minting, and reset the next day", async function () {
+        await purchaseGuard.setCustomerLimits(2, 0);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+
+        const tx = await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-3");
+        const receipt = await tx.wait();
+        const held = guardEvents(receipt);
+        expect(held.map((event) => event.name)).to.deep.equal(["PurchaseHeld"]);
+        expect(held[0].args.reason).to.equal("Customer daily purchase limit");
+        expect(receipt.logs.some((log) => log.address === purchaseValidator.address)).to.be.false;
+
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD.mul(2));
+        expectBigNumberEqual(await purchaseGuard.holdCount(), 1);
+        const hold = await purchaseGuard.getHold(1);
+        expect(hold.customer).to.equal(customer.address);
+        expect(hold.transactionId).to.equal("TXN-3");
+        expectBigNumberEqual(hold.rewards, REWARD);
+        expect(hold.status).to.equal(PENDING);
+        // The held transaction ID cannot be resubmitted to get around the hold
+        await expectRevert(
+            purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-3"),
+            "Transaction already processed"
+        );
+
+        // Other customers are unaffected
+        await purchaseValidator.connect(merchant).processPurchase(otherCustomer.address, PURCHASE, "TXN-4");
+        expectBigNumberEqual(await shopToken.balanceOf(otherCustomer.address), REWARD);
+
+        await increaseTime(DAY);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-5");
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD.mul(3));
+    });
+
+    it("Should hold purchases over reward and merchant limits, honouring merchant overrides", async function () {
+        await purchaseGuard.setCustomerLimits(0, REWARD.mul(3).div(2));
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        expect((await purchaseGuard.getHold(1)).reason).to.equal("Customer daily reward limit");
+
+        await purchaseGuard.setCustomerLimits(0, 0);
+        await purchaseGuard.setMerchantLimits(0, REWARD.mul(2));
+        await purchaseValidator.connect(merchant).processPurchase(otherCustomer.address, PURCHASE, "TXN-3");
+        await purchaseValidator.connect(merchant).processPurchase(otherCustomer.address, PURCHASE, "TXN-4");
+        expect((await purchaseGuard.getHold(2)).reason).to.equal("Merchant daily reward limit");
+
+        // A bigger merchant gets its own limits; resetting the override restores the default
+        await purchaseGuard.setMerchantLimitOverride(merchant.address, 1000, REWARD.mul(10));
+        await purchaseValidator.connect(merchant).processPurchase(otherCustomer.address, PURCHASE, "TXN-5");
+        expectBigNumberEqual(await purchaseGuard.holdCount(), 2);
+        await purchaseGuard.setMerchantLimitOverride(merchant.address, 0, 0);
+        expectBigNumberEqual((await purchaseGuard.getMerchantLimits(merchant.address)).maxRewards, REWARD.mul(2));
+
+        await purchaseGuard.setMerchantLimits(1, 0);
+        await purchaseValidator.connect(otherMerchant).processPurchase(customer.address, PURCHASE, "TXN-6");
+        await purchaseValidator.connect(otherMerchant).processPurchase(customer.address, PURCHASE, "TXN-7");
+        expect((await purchaseGuard.getHold(3)).reason).to.equal("Merchant daily purchase limit");
+
+        await expectRevert(purchaseGuard.connect(stranger).setCustomerLimits(1, 1), "is missing role");
+        await expectRevert(purchaseGuard.connect(stranger).setMerchantLimitOverride(merchant.address, 1, 1), "is missing role");
+    });
+
+    it("Should let a reviewer release a held purchase, minting its rewards as normal", async function () {
+        await purchaseGuard.setCustomerLimits(1, 0);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        await purchaseValidator.connect(otherMerchant).processPurchase(customer.address, PURCHASE, "TXN-3");
+
+        let { ids, pending } = await purchaseGuard.getPendingHolds(0, 10);
+        expect(ids.map(String)).to.deep.equal(["1", "2"]);
+        expect(pending[1].merchant).to.equal(otherMerchant.address);
+        expectBigNumberEqual(await purchaseGuard.getPendingHoldCount(), 2);
+        ({ ids, pending } = await purchaseGuard.getPendingHolds(1, 1));
+        expect(ids.map(String)).to.deep.equal(["2"]);
+        expect(pending[0].transactionId).to.equal("TXN-3");
+        expect((await purchaseGuard.getPendingHolds(2, 10)).ids).to.be.empty;
+
+        await expectRevert(purchaseGuard.connect(stranger).releaseHold(1), "is missing role");
+        await expectRevert(
+            purchaseValidator.connect(merchant).processHeldPurchase(merchant.address, customer.address, ethers.constants.HashZero, PURCHASE, "TXN-2"),
+            "Not purchase guard"
+        );
+
+        const receipt = await (await purchaseGuard.connect(reviewer).releaseHold(1)).wait();
+        const released = guardEvents(receipt);
+        expect(released.map((event) => event.name)).to.deep.equal(["HoldReleased"]);
+        expect(released[0].args.reviewer).to.equal(reviewer.address);
+        const processed = receipt.logs
+            .filter((log) => log.address === purchaseValidator.address)
+            .map((log) => purchaseValidator.interface.parseLog(log).name);
+        expect(processed).to.include("PurchaseProcessed");
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD.mul(2));
+        expect((await purchaseValidator.purchases("TXN-2")).customer).to.equal(customer.address);
+        expectBigNumberEqual((await purchaseGuard.customerUsage(customer.address, await purchaseGuard.currentDay())).purchases, 2);
+        expect((await purchaseGuard.getHold(1)).status).to.equal(RELEASED);
+        await expectRevert(purchaseGuard.connect(reviewer).releaseHold(1), "Hold not pending");
+
+        ({ ids } = await purchaseGuard.getPendingHolds(0, 10));
+        expect(ids.map(String)).to.deep.equal(["2"]);
+    });
+
+    it("Should let a reviewer reject a held purchase without minting", async function () {
+        await purchaseGuard.setCustomerLimits(1, 0);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+
+        const receipt = await (await purchaseGuard.connect(reviewer).rejectHold(1)).wait();
+        expect(guardEvents(receipt).map((event) => event.name)).to.deep.equal(["HoldRejected"]);
+        expect((await purchaseGuard.getHold(1)).status).to.equal(REJECTED);
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD);
+        expect((await purchaseGuard.getPendingHolds(0, 10)).ids).to.be.empty;
+
+        await expectRevert(purchaseGuard.connect(reviewer).releaseHold(1), "Hold not pending");
+        await expectRevert(purchaseGuard.connect(reviewer).rejectHold(2), "Hold not pending");
+        await expectRevert(
+            purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2"),
+            "Transaction already processed"
+        );
+    });
+
+    it("Should screen escrow purchases under their customer hash and escrow them on release", async function () {
+        const RewardEscrow = await ethers.getContractFactory("RewardEscrow");
+        const rewardEscrow = await upgrades.deployProxy(RewardEscrow, [shopToken.address, merchantRegistry.address]);
+        await rewardEscrow.deployed();
+        await rewardEscrow.setRewardIssuer(purchaseValidator.address);
+        await purchaseValidator.setRewardEscrow(rewardEscrow.address);
+        const janeHash = ethers.utils.id("jane@example.com");
+
+        await purchaseGuard.setCustomerLimits(1, 0);
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(otherMerchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-2");
+        // Another customer's escrow is counted separately
+        await purchaseValidator.connect(merchant).processEscrowPurchase(ethers.utils.id("john@example.com"), PURCHASE, "TXN-3");
+        expectBigNumberEqual(await purchaseGuard.holdCount(), 1);
+        expectBigNumberEqual(await shopToken.balanceOf(rewardEscrow.address), REWARD.mul(2));
+
+        const hold = await purchaseGuard.getHold(1);
+        expect(hold.customer).to.equal(ethers.constants.AddressZero);
+        expect(hold.customerHash).to.equal(janeHash);
+        expect(hold.reason).to.equal("Customer daily purchase limit");
+        const day = await purchaseGuard.currentDay();
+        expectBigNumberEqual((await purchaseGuard.escrowUsage(janeHash, day)).purchases, 1);
+        // Hash usage never lands on an address, not even the one sharing the hash's low 20 bytes
+        const janeAsAddress = ethers.utils.getAddress(ethers.utils.hexDataSlice(janeHash, 12));
+        expectBigNumberEqual((await purchaseGuard.customerUsage(janeAsAddress, day)).purchases, 0);
+
+        await purchaseGuard.connect(reviewer).releaseHold(1);
+        expectBigNumberEqual((await rewardEscrow.getEscrow(janeHash)).balance, REWARD.mul(2));
+        expectBigNumberEqual(await rewardEscrow.merchantUnclaimed(janeHash, otherMerchant.address), REWARD);
+        expect((await purchaseValidator.purchases("TXN-2")).customer).to.equal(rewardEscrow.address);
+        expectBigNumberEqual((await purchaseGuard.escrowUsage(janeHash, day)).purchases, 2);
+    });
+
+    it("Should count bonuses toward the reward limits, not just base rewards", async function () {
+        const LoyaltyTiers = await ethers.getContractFactory("LoyaltyTiers");
+        const loyaltyTiers = await upgrades.deployProxy(LoyaltyTiers);
+        await loyaltyTiers.deployed();
+        await loyaltyTiers.setPurchaseValidator(purchaseValidator.address);
+        await purchaseValidator.setLoyaltyTiers(loyaltyTiers.address);
+        // One purchase reaches a tier that doubles base rewards
+        await loyaltyTiers.setTiers(["VIP"], [PURCHASE], [10000]);
+        await purchaseGuard.setCustomerLimits(0, REWARD.mul(5).div(2));
+
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD);
+
+        // Base rewards alone would still fit, but with the tier bonus the purchase crosses the limit
+        const held = guardEvents(await (await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2")).wait());
+        expect(held.map((event) => event.name)).to.deep.equal(["PurchaseHeld"]);
+        expect(held[0].args.reason).to.equal("Customer daily reward limit");
+        expectBigNumberEqual(held[0].args.rewards, REWARD.mul(2));
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD);
+
+        // Released, it counts at its full rewards and the loyalty bonus is paid as normal
+        await purchaseGuard.connect(reviewer).releaseHold(1);
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD.mul(3));
+        expectBigNumberEqual((await purchaseGuard.customerUsage(customer.address, await purchaseGuard.currentDay())).rewards, REWARD.mul(3));
+    });
+
+    it("Should report held batch items apart from processed and failed ones", async function () {
+        await purchaseGuard.setCustomerLimits(1, 0);
+        const tx = await purchaseValidator.connect(merchant).processPurchaseBatch(
+            [customer.address, customer.address, otherCustomer.address],
+            [PURCHASE, PURCHASE, ethers.utils.parseEther("1")],
+            ["TXN-1", "TXN-2", "TXN-3"]
+        );
+        const events = (await tx.wait()).events.filter((e) => e.event && e.event.startsWith("Batch"));
+        expect(events.map((e) => [e.event, e.args.transactionId || ""])).to.deep.equal([
+            ["BatchItemResult", "TXN-1"],
+            ["BatchItemHeld", "TXN-2"],
+            ["BatchItemResult", "TXN-3"],
+            ["BatchProcessed", ""]
+        ]);
+        expect(events[0].args.success).to.be.true;
+        expectBigNumberEqual(events[1].args.index, 1);
+        expect(events[2].args.success).to.be.false;
+        expectBigNumberEqual(events[3].args.processed, 1);
+        expectBigNumberEqual(events[3].args.held, 1);
+        expectBigNumberEqual(events[3].args.failed, 1);
+        expect((await purchaseGuard.getHold(1)).transactionId).to.equal("TXN-2");
+    });
+
+    it("Should have the batch script report held purchases as neither processed nor failed", async function () {
+        await purchaseGuard.setCustomerLimits(1, 0);
+        const purchases = ["TXN-1", "TXN-2"].map((transactionId, i) => ({ customer: customer.address, amount: PURCHASE, transactionId, line: i + 2 }));
+        const { results } = await submitPurchases(purchaseValidator.connect(merchant), purchases);
+        expect(results.map((r) => [r.transactionId, r.success, r.held])).to.deep.equal([
+            ["TXN-1", true, false],
+            ["TXN-2", false, true]
+        ]);
+    });
+
+    it("Should screen nothing once the guard is removed", async function () {
+        await purchaseGuard.setCustomerLimits(1, 0);
+        await purchaseValidator.setPurchaseGuard(ethers.constants.AddressZero);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD.mul(2));
+        expectBigNumberEqual(await purchaseGuard.holdCount(), 0);
+    });
+});
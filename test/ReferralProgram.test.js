@@ -0,0 +1,221 @@
+// test/ReferralProgram.test.js - Referral codes, one-time binding and capped bonuses
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+// Helper function to compare BigNumbers
+const expectBigNumberEqual = (actual, expected) => {
+    expect(actual.toString()).to.equal(expected.toString());
+};
+
+// Helper function to assert a call reverts with the given reason
+const expectRevert = async (promise, reason) => {
+    let errorThrown = false;
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(reason);
+        errorThrown = true;
+    }
+    expect(errorThrown).to.be.true;
+};
+
+// Helper function to move the chain clock forward
+const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+};
+
+describe("Referral Program", function () {
+    const DAY = 24 * 60 * 60;
+    const PURCHASE = ethers.utils.parseEther("5000"); // €50
+    const REWARD = ethers.utils.parseEther("100"); // 2% of PURCHASE
+    const REFERRER_BONUS = ethers.utils.parseEther("500");
+    const REFEREE_BONUS = ethers.utils.parseEther("250");
+
+    let shopToken, merchantRegistry, purchaseValidator, referralProgram;
+    let owner, merchant, referrer, referee, other;
+
+    beforeEach(async function () {
+        [owner, merchant, referrer, referee, other] = await ethers.getSigners();
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
+        purchaseValidator = await upgrades.deployProxy(PurchaseValidator, [shopToken.address, merchantRegistry.address]);
+        await purchaseValidator.deployed();
+
+        const ReferralProgram = await ethers.getContractFactory("ReferralProgram");
+        referralProgram = await upgrades.deployProxy(ReferralProgram, [shopToken.address]);
+        await referralProgram.deployed();
+
+        await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
+        await shopToken.setSystemMinter(purchaseValidator.address, true);
+        await merchantRegistry.setPurchaseValidator(purchaseValidator.address);
+        await referralProgram.setPurchaseValidator(purchaseValidator.address);
+        await purchaseValidator.setReferralProgram(referralProgram.address);
+
+        await shopToken.approve(referralProgram.address, ethers.constants.MaxUint256);
+        await referralProgram.fundProgram(ethers.utils.parseEther("100000"));
+
+        await merchantRegistry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+        await referralProgram.connect(referrer).registerCode("AOIFE10");
+    });
+
+    it("Should pay both parties on a referee's first qualifying purchases", async function () {
+        await referralProgram.connect(referee).bindReferrer("AOIFE10");
+
+        for (let i = 1; i <= 4; i++) {
+            await purchaseValidator.connect(merchant).processPurchase(referee.address, PURCHASE, `TXN-${i}`);
+        }
+
+        // Bonuses are held through the return window
+        expectBigNumberEqual(await shopToken.balanceOf(referrer.address), 0);
+        expectBigNumberEqual(await referralProgram.reservedBonuses(), REFERRER_BONUS.add(REFEREE_BONUS).mul(3));
+        await expectRevert(referralProgram.releaseBonus("TXN-1"), "Bonus still held");
+        await increaseTime(14 * DAY);
+        for (let i = 1; i <= 3; i++) {
+            await referralProgram.connect(other).releaseBonus(`TXN-${i}`);
+        }
+
+        // Three qualifying purchases by default, the fourth earns only the normal reward
+        await expectRevert(referralProgram.releaseBonus("TXN-4"), "No pending bonus");
+        expectBigNumberEqual(await referralProgram.reservedBonuses(), 0);
+        expectBigNumberEqual(await shopToken.balanceOf(referrer.address), REFERRER_BONUS.mul(3));
+        expectBigNumberEqual(await shopToken.balanceOf(referee.address), REWARD.mul(4).add(REFEREE_BONUS.mul(3)));
+
+        const stats = await referralProgram.getReferralStats(referrer.address);
+        expect(stats.code).to.equal("AOIFE10");
+        expectBigNumberEqual(stats.referralCount, 1);
+        expectBigNumberEqual(stats.earnedAsReferrer, REFERRER_BONUS.mul(3));
+        expect((await referralProgram.getReferralStats(referee.address)).referrer).to.equal(referrer.address);
+        expect(await referralProgram.getReferrals(referrer.address, 0, 10)).to.deep.equal([referee.address]);
+    });
+
+    it("Should bind only new customers, once, and never to themselves", async function () {
+        await expectRevert(referralProgram.connect(referrer).bindReferrer("AOIFE10"), "Cannot refer yourself");
+        await expectRevert(referralProgram.connect(referee).bindReferrer("NOPE"), "Unknown referral code");
+
+        await purchaseValidator.connect(merchant).processPurchase(other.address, PURCHASE, "TXN-1");
+        await expectRevert(referralProgram.connect(other).bindReferrer("AOIFE10"), "Not a new customer");
+
+        await referralProgram.connect(referee).bindReferrer("AOIFE10");
+        await expectRevert(referralProgram.connect(referee).bindReferrer("AOIFE10"), "Referrer already bound");
+
+        await referralProgram.connect(referee).registerCode("SEAN");
+        await expectRevert(referralProgram.connect(referrer).bindReferrer("SEAN"), "Circular referral");
+        await expectRevert(referralProgram.connect(other).registerCode("SEAN"), "Code taken");
+        await expectRevert(referralProgram.connect(referee).registerCode("SEAN2"), "Code already registered");
+    });
+
+    it("Should skip small purchases and cap referrer earnings", async function () {
+        await referralProgram.setReferralTerms(REFERRER_BONUS, REFEREE_BONUS, PURCHASE, 3, ethers.utils.parseEther("800"));
+        await referralProgram.connect(referee).bindReferrer("AOIFE10");
+        await referralProgram.connect(other).bindReferrer("AOIFE10");
+
+        await purchaseValidator.connect(merchant).processPurchase(referee.address, PURCHASE.sub(1), "TXN-1");
+        expectBigNumberEqual(await shopToken.balanceOf(referrer.address), 0);
+        expectBigNumberEqual(await referralProgram.qualifyingPurchases(referee.address), 0);
+
+        await purchaseValidator.connect(merchant).processPurchase(referee.address, PURCHASE, "TXN-2");
+        const tx = await purchaseValidator.connect(merchant).processPurchase(other.address, PURCHASE, "TXN-3");
+        const held = (await tx.wait()).logs
+            .filter((log) => log.address === referralProgram.address)
+            .map((log) => referralProgram.interface.parseLog(log))
+            .find((event) => event.name === "ReferralBonusPending");
+        expectBigNumberEqual(held.args.referrerBonus, ethers.utils.parseEther("300"));
+        expectBigNumberEqual(held.args.refereeBonus, REFEREE_BONUS);
+
+        await increaseTime(14 * DAY);
+        await referralProgram.releaseBonus("TXN-2");
+        await referralProgram.releaseBonus("TXN-3");
+        expectBigNumberEqual(await shopToken.balanceOf(referrer.address), ethers.utils.parseEther("800"));
+        expectBigNumberEqual((await referralProgram.getReferralStats(referrer.address)).remainingReferrerCap, 0);
+    });
+
+    it("Should not spend a qualifying purchase on a bonus that shrank to nothing", async function () {
+        await referralProgram.setReferralTerms(REFERRER_BONUS, REFEREE_BONUS, PURCHASE, 1, ethers.utils.parseEther("10000"));
+        await referralProgram.connect(referee).bindReferrer("AOIFE10");
+        await referralProgram.withdrawFunds(ethers.utils.parseEther("100000"), owner.address);
+
+        const tx = await purchaseValidator.connect(merchant).processPurchase(referee.address, PURCHASE, "TXN-1");
+        expect((await tx.wait()).logs.some((log) => log.address === referralProgram.address)).to.be.false;
+        expectBigNumberEqual(await referralProgram.qualifyingPurchases(referee.address), 0);
+        expect((await referralProgram.pendingBonuses(ethers.utils.id("TXN-1"))).referee).to.equal(ethers.constants.AddressZero);
+
+        // Once the program is funded again, the referee's one qualifying purchase still pays
+        await referralProgram.fundProgram(ethers.utils.parseEther("100000"));
+        await purchaseValidator.connect(merchant).processPurchase(referee.address, PURCHASE, "TXN-2");
+        expectBigNumberEqual(await referralProgram.qualifyingPurchases(referee.address), 1);
+        await increaseTime(14 * DAY);
+        await referralProgram.releaseBonus("TXN-2");
+        expectBigNumberEqual(await shopToken.balanceOf(referrer.address), REFERRER_BONUS);
+    });
+
+    it("Should cancel the bonuses of purchases refunded within the return window", async function () {
+        await referralProgram.connect(referee).bindReferrer("AOIFE10");
+        await purchaseValidator.connect(merchant).processPurchase(referee.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(referee.address, PURCHASE.mul(2), "TXN-2");
+
+        // Fully refunded, and refunded but still above the minimum purchase
+        await purchaseValidator.connect(merchant).refundPurchase("TXN-1", PURCHASE);
+        await purchaseValidator.connect(merchant).refundPurchase("TXN-2", PURCHASE);
+        await increaseTime(14 * DAY);
+
+        const tx = await referralProgram.releaseBonus("TXN-1");
+        const cancelled = (await tx.wait()).logs.map((log) => referralProgram.interface.parseLog(log));
+        expect(cancelled.map((event) => event.name)).to.deep.equal(["ReferralBonusCancelled"]);
+        expectBigNumberEqual(await referralProgram.qualifyingPurchases(referee.address), 1);
+        expectBigNumberEqual((await referralProgram.getReferralStats(referrer.address)).earnedAsReferrer, REFERRER_BONUS);
+
+        await referralProgram.releaseBonus("TXN-2");
+        expectBigNumberEqual(await shopToken.balanceOf(referrer.address), REFERRER_BONUS);
+        expectBigNumberEqual(await referralProgram.reservedBonuses(), 0);
+        expectBigNumberEqual(await referralProgram.totalBonusesPaid(), REFERRER_BONUS.add(REFEREE_BONUS));
+    });
+
+    it("Should not treat a refunded customer as new", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(other.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).refundPurchase("TXN-1", PURCHASE);
+        expectBigNumberEqual(await purchaseValidator.customerTotalSpent(other.address), 0);
+        await expectRevert(referralProgram.connect(other).bindReferrer("AOIFE10"), "Not a new customer");
+    });
+
+    it("Should keep pending bonuses out of withdrawals", async function () {
+        await referralProgram.connect(referee).bindReferrer("AOIFE10");
+        await purchaseValidator.connect(merchant).processPurchase(referee.address, PURCHASE, "TXN-1");
+
+        const unreserved = ethers.utils.parseEther("100000").sub(REFERRER_BONUS).sub(REFEREE_BONUS);
+        await expectRevert(referralProgram.withdrawFunds(unreserved.add(1), owner.address), "Exceeds unreserved funds");
+        const tx = await referralProgram.withdrawFunds(unreserved, owner.address);
+        const withdrawn = (await tx.wait()).logs
+            .filter((log) => log.address === referralProgram.address)
+            .map((log) => referralProgram.interface.parseLog(log));
+        expect(withdrawn.map((event) => event.name)).to.deep.equal(["ReferralFundsWithdrawn"]);
+        expect(withdrawn[0].args.to).to.equal(owner.address);
+        expectBigNumberEqual(withdrawn[0].args.amount, unreserved);
+
+        await increaseTime(14 * DAY);
+        await referralProgram.releaseBonus("TXN-1");
+        expectBigNumberEqual(await shopToken.balanceOf(referralProgram.address), 0);
+    });
+
+    it("Should follow the referral chain and restrict admin functions", async function () {
+        await referralProgram.connect(referee).bindReferrer("AOIFE10");
+        await referralProgram.connect(referee).registerCode("SEAN");
+        await referralProgram.connect(other).bindReferrer("SEAN");
+
+        expect(await referralProgram.getReferralChain(other.address, 5)).to.deep.equal([referee.address, referrer.address]);
+        expect(await referralProgram.getReferralChain(other.address, 1)).to.deep.equal([referee.address]);
+
+        await expectRevert(referralProgram.connect(other).recordPurchase(other.address, PURCHASE, "TXN-X"), "Not purchase validator");
+        await expectRevert(referralProgram.connect(other).fundProgram(1), "is missing role");
+        await expectRevert(referralProgram.connect(other).setReferralTerms(0, 0, 1, 1, 0), "is missing role");
+    });
+});
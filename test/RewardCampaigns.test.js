@@ -0,0 +1,247 @@
+// test/RewardCampaigns.test.js - Merchant-funded promotions on top of flat rewards
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+// Helper function to compare BigNumbers
+const expectBigNumberEqual = (actual, expected) => {
+    expect(actual.toString()).to.equal(expected.toString());
+};
+
+// Helper function to assert a call reverts with the given reason
+const expectRevert = async (promise, reason) => {
+    let errorThrown = false;
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(reason);
+        errorThrown = true;
+    }
+    expect(errorThrown).to.be.true;
+};
+
+// Helper function to move the chain clock forward
+const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+};
+
+describe("Reward Campaigns", function () {
+    const DAY = 24 * 60 * 60;
+    const PURCHASE = ethers.utils.parseEther("1000");
+    const BASE_REWARD = ethers.utils.parseEther("20"); // 2% of PURCHASE
+    const BUDGET = ethers.utils.parseEther("100");
+
+    let shopToken, merchantRegistry, purchaseValidator, rewardCampaigns;
+    let owner, merchant, customer, otherCustomer, brand;
+
+    // Terms for a campaign running from now for 30 days
+    const terms = async (overrides = {}) => {
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        return {
+            bonusBps: 0,
+            flatBonus: 0,
+            firstPurchaseOnly: false,
+            daysOfWeek: 0,
+            startTime: now,
+            endTime: now + 30 * DAY,
+            budget: BUDGET,
+            ...overrides
+        };
+    };
+
+    const rewardsOf = async (transactionId) => (await purchaseValidator.purchases(transactionId)).rewards;
+
+    beforeEach(async function () {
+        [owner, merchant, customer, otherCustomer, brand] = await ethers.getSigners();
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
+        purchaseValidator = await upgrades.deployProxy(PurchaseValidator, [shopToken.address, merchantRegistry.address]);
+        await purchaseValidator.deployed();
+
+        const RewardCampaigns = await ethers.getContractFactory("RewardCampaigns");
+        rewardCampaigns = await upgrades.deployProxy(RewardCampaigns, [shopToken.address, merchantRegistry.address]);
+        await rewardCampaigns.deployed();
+
+        await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
+        await shopToken.setSystemMinter(purchaseValidator.address, true);
+        await merchantRegistry.setPurchaseValidator(purchaseValidator.address);
+        await rewardCampaigns.setPurchaseValidator(purchaseValidator.address);
+        await purchaseValidator.setRewardCampaigns(rewardCampaigns.address);
+
+        await merchantRegistry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+        await merchantRegistry.registerMerchant(brand.address, "Kerrygold", "dairy", 100);
+        for (const funder of [merchant, brand]) {
+            await shopToken.transfer(funder.address, ethers.utils.parseEther("1000"));
+            await shopToken.connect(funder).approve(rewardCampaigns.address, ethers.constants.MaxUint256);
+        }
+    });
+
+    it("Should pay the best applicable campaign and record it on the purchase", async function () {
+        await rewardCampaigns.connect(merchant).createCampaign(await terms({ bonusBps: 5000 }), "");
+        await rewardCampaigns.connect(merchant).createCampaign(await terms({ bonusBps: 10000 }), "");
+
+        const tx = await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        const receipt = await tx.wait();
+
+        const record = await purchaseValidator.purchases("TXN-1");
+        expectBigNumberEqual(record.campaignId, 2);
+        expectBigNumberEqual(record.campaignRewards, BASE_REWARD);
+        expectBigNumberEqual(record.rewards, BASE_REWARD.mul(2));
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), BASE_REWARD.mul(2));
+
+        // Only the base reward is minted against the merchant's quota
+        const issued = receipt.events.filter((e) => e.address === shopToken.address && e.topics[0] === shopToken.interface.getEventTopic("RewardsIssued"));
+        expect(issued.length).to.equal(1);
+        expectBigNumberEqual(await shopToken.merchantTokensIssued(merchant.address), BASE_REWARD);
+    });
+
+    it("Should cap payouts at the remaining budget and report it", async function () {
+        await rewardCampaigns.connect(merchant).createCampaign(await terms({ flatBonus: ethers.utils.parseEther("60") }), "");
+
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        const { ids, remainingBudgets } = await rewardCampaigns.getMerchantCampaigns(merchant.address);
+        expect(ids.map(Number)).to.deep.equal([1]);
+        expectBigNumberEqual(remainingBudgets[0], ethers.utils.parseEther("40"));
+
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        expectBigNumberEqual(await rewardsOf("TXN-2"), BASE_REWARD.add(ethers.utils.parseEther("40")));
+
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-3");
+        expectBigNumberEqual((await purchaseValidator.purchases("TXN-3")).campaignId, 0);
+        const campaign = await rewardCampaigns.getCampaign(1);
+        expectBigNumberEqual(campaign.remainingBudget, 0);
+        expect(campaign.isRunning).to.be.false;
+        expectBigNumberEqual(campaign.campaign.purchases, 2);
+    });
+
+    it("Should respect campaign windows, weekdays and first purchases", async function () {
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        // A Saturday 12:00 UTC at least three days out (day 0 of the epoch was a Thursday)
+        const day = Math.floor(now / DAY) + 3;
+        const saturday = (day + ((12 - ((day + 3) % 7)) % 7)) * DAY + DAY / 2;
+        await rewardCampaigns.connect(merchant).createCampaign(
+            await terms({ bonusBps: 10000, daysOfWeek: await rewardCampaigns.WEEKEND(), endTime: saturday + 30 * DAY }),
+            ""
+        );
+        await rewardCampaigns.connect(merchant).createCampaign(
+            await terms({ flatBonus: ethers.utils.parseEther("5"), firstPurchaseOnly: true, startTime: saturday + 7 * DAY }),
+            ""
+        );
+
+        await ethers.provider.send("evm_setNextBlockTimestamp", [saturday - 2 * DAY]); // Thursday
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        expectBigNumberEqual(await rewardsOf("TXN-1"), BASE_REWARD);
+
+        await ethers.provider.send("evm_setNextBlockTimestamp", [saturday]);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        expectBigNumberEqual(await rewardsOf("TXN-2"), BASE_REWARD.mul(2));
+
+        // Tuesday after the second campaign starts: only first-time customers qualify
+        await ethers.provider.send("evm_setNextBlockTimestamp", [saturday + 10 * DAY]);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-3");
+        expectBigNumberEqual(await rewardsOf("TXN-3"), BASE_REWARD);
+        await purchaseValidator.connect(merchant).processPurchase(otherCustomer.address, PURCHASE, "TXN-4");
+        expectBigNumberEqual(await rewardsOf("TXN-4"), BASE_REWARD.add(ethers.utils.parseEther("5")));
+    });
+
+    it("Should let a co-branded campaign boost every merchant in a category", async function () {
+        await rewardCampaigns.connect(brand).createCampaign(await terms({ bonusBps: 2500 }), "grocery");
+
+        const { ids, remainingBudgets } = await rewardCampaigns.getCategoryCampaigns("grocery");
+        expect(ids.map(Number)).to.deep.equal([1]);
+        expectBigNumberEqual(remainingBudgets[0], BUDGET);
+
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        expectBigNumberEqual(await rewardsOf("TXN-1"), BASE_REWARD.add(BASE_REWARD.div(4)));
+        expectBigNumberEqual((await rewardCampaigns.getCampaign(1)).remainingBudget, BUDGET.sub(BASE_REWARD.div(4)));
+    });
+
+    it("Should cap each merchant's share of a category's campaigns", async function () {
+        await merchantRegistry.registerMerchant(customer.address, "Glanbia", "dairy", 100);
+        await shopToken.transfer(customer.address, ethers.utils.parseEther("10"));
+        await shopToken.connect(customer).approve(rewardCampaigns.address, ethers.constants.MaxUint256);
+
+        for (let i = 0; i < 2; i++) {
+            await rewardCampaigns.connect(brand).createCampaign(await terms({ flatBonus: 1, budget: 1 }), "grocery");
+        }
+        await expectRevert(
+            rewardCampaigns.connect(brand).createCampaign(await terms({ flatBonus: 1, budget: 1 }), "grocery"),
+            "Too many category campaigns"
+        );
+        // Other funders still get slots, and closing one frees the funder's slot
+        await rewardCampaigns.connect(customer).createCampaign(await terms({ flatBonus: 1, budget: 1 }), "grocery");
+        await rewardCampaigns.connect(brand).closeCampaign(1);
+        await rewardCampaigns.connect(brand).createCampaign(await terms({ flatBonus: 1, budget: 1 }), "grocery");
+        expect((await rewardCampaigns.getCategoryCampaigns("grocery")).ids.length).to.equal(3);
+        expectBigNumberEqual(await rewardCampaigns.liveCategoryCampaigns(ethers.utils.id("grocery"), brand.address), 2);
+    });
+
+    it("Should credit refunded campaign bonuses back to the campaign", async function () {
+        const FLAT = ethers.utils.parseEther("10");
+        await rewardCampaigns.connect(merchant).createCampaign(await terms({ flatBonus: FLAT }), "");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        const supplyBefore = await shopToken.totalSupply();
+
+        // Half refunded: half the bonus goes back to the budget, half the base reward is burned
+        await purchaseValidator.connect(merchant).refundPurchase("TXN-1", PURCHASE.div(2));
+        expectBigNumberEqual((await rewardCampaigns.getCampaign(1)).remainingBudget, BUDGET.sub(FLAT.mul(2)).add(FLAT.div(2)));
+        expectBigNumberEqual(supplyBefore.sub(await shopToken.totalSupply()), BASE_REWARD.div(2));
+        expectBigNumberEqual(await shopToken.balanceOf(purchaseValidator.address), 0);
+
+        // Once the campaign is closed, its share goes straight back to the funder
+        await rewardCampaigns.connect(merchant).closeCampaign(1);
+        const funderBefore = await shopToken.balanceOf(merchant.address);
+        await purchaseValidator.connect(merchant).refundPurchase("TXN-2", PURCHASE);
+        expectBigNumberEqual(await shopToken.balanceOf(merchant.address), funderBefore.add(FLAT));
+        expectBigNumberEqual(await shopToken.balanceOf(rewardCampaigns.address), 0);
+    });
+
+    it("Should return the unspent budget when a campaign closes", async function () {
+        await rewardCampaigns.connect(merchant).createCampaign(await terms({ flatBonus: ethers.utils.parseEther("10") }), "");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+
+        await expectRevert(rewardCampaigns.connect(customer).closeCampaign(1), "Not campaign merchant");
+        const balanceBefore = await shopToken.balanceOf(merchant.address);
+        await rewardCampaigns.connect(merchant).closeCampaign(1);
+        expectBigNumberEqual(await shopToken.balanceOf(merchant.address), balanceBefore.add(ethers.utils.parseEther("90")));
+        await expectRevert(rewardCampaigns.connect(merchant).closeCampaign(1), "Campaign closed");
+        expect((await rewardCampaigns.getMerchantCampaigns(merchant.address)).ids.length).to.equal(0);
+
+        // Anyone may clear out an ended campaign
+        await rewardCampaigns.connect(merchant).createCampaign(await terms({ flatBonus: 1 }), "");
+        await increaseTime(31 * DAY);
+        await rewardCampaigns.connect(customer).closeCampaign(2);
+    });
+
+    it("Should validate campaigns and restrict payouts to the purchase validator", async function () {
+        await expectRevert(rewardCampaigns.connect(customer).createCampaign(await terms({ bonusBps: 100 }), ""), "Merchant not registered");
+        await expectRevert(rewardCampaigns.connect(merchant).createCampaign(await terms(), ""), "Campaign pays no bonus");
+        await expectRevert(rewardCampaigns.connect(merchant).createCampaign(await terms({ bonusBps: 40001 }), ""), "Bonus too high");
+        await expectRevert(
+            rewardCampaigns.connect(merchant).createCampaign(await terms({ bonusBps: 100, endTime: 1 }), ""),
+            "Invalid campaign period"
+        );
+        await expectRevert(
+            rewardCampaigns.connect(merchant).applyBestCampaign(merchant.address, customer.address, BASE_REWARD, "TXN-X"),
+            "Not purchase validator"
+        );
+
+        for (let i = 0; i < 10; i++) {
+            await rewardCampaigns.connect(merchant).createCampaign(await terms({ flatBonus: 1, budget: 1 }), "");
+        }
+        await expectRevert(
+            rewardCampaigns.connect(merchant).createCampaign(await terms({ flatBonus: 1, budget: 1 }), ""),
+            "Too many live campaigns"
+        );
+    });
+});
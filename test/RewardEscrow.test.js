@@ -0,0 +1,309 @@
+// test/RewardEscrow.test.js - Rewards escrowed for customers without a wallet, claimed with a signed proof
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { customerHash, randomSalt, buildClaim, signClaim } = require("../scripts/lib/escrow");
+
+// Helper function to compare BigNumbers
+const expectBigNumberEqual = (actual, expected) => {
+    expect(actual.toString()).to.equal(expected.toString());
+};
+
+// Helper function to assert a call reverts with the given reason
+const expectRevert = async (promise, reason) => {
+    let errorThrown = false;
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(reason);
+        errorThrown = true;
+    }
+    expect(errorThrown).to.be.true;
+};
+
+// Helper function to move the chain clock forward
+const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+};
+
+describe("Reward Escrow", function () {
+    const DAY = 24 * 60 * 60;
+    const PURCHASE = ethers.utils.parseEther("1000");
+    const REWARD = ethers.utils.parseEther("20"); // 2% of PURCHASE
+
+    let shopToken, merchantRegistry, purchaseValidator, rewardEscrow;
+    let owner, merchant, otherMerchant, issuer, wallet, treasury, stranger;
+    let salt, janeHash, chainId;
+
+    // Sign a proof releasing `hash` to `to`, as `signer` attesting for `attester`
+    // Deadlines follow the chain clock, which other suites move ahead of wall time
+    const proof = async (signer, attester, hash = janeHash, to = wallet.address, deadline) => {
+        if (deadline === undefined) {
+            deadline = (await ethers.provider.getBlock("latest")).timestamp + DAY;
+        }
+        const claim = await buildClaim(rewardEscrow, { customerHash: hash, wallet: to, attester, deadline });
+        const signature = await signClaim(signer, chainId, rewardEscrow.address, claim);
+        return [claim.customerHash, claim.wallet, claim.attester, claim.deadline, signature];
+    };
+
+    beforeEach(async function () {
+        [owner, merchant, otherMerchant, issuer, wallet, treasury, stranger] = await ethers.getSigners();
+        ({ chainId } = await ethers.provider.getNetwork());
+        salt = randomSalt();
+        janeHash = customerHash("jane@example.com", salt);
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
+        purchaseValidator = await upgrades.deployProxy(PurchaseValidator, [shopToken.address, merchantRegistry.address]);
+        await purchaseValidator.deployed();
+
+        const RewardEscrow = await ethers.getContractFactory("RewardEscrow");
+        rewardEscrow = await upgrades.deployProxy(RewardEscrow, [shopToken.address, merchantRegistry.address]);
+        await rewardEscrow.deployed();
+
+        await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
+        await shopToken.setSystemMinter(purchaseValidator.address, true);
+        await merchantRegistry.setPurchaseValidator(purchaseValidator.address);
+        await rewardEscrow.setRewardIssuer(purchaseValidator.address);
+        await purchaseValidator.setRewardEscrow(rewardEscrow.address);
+        await rewardEscrow.grantRole(await rewardEscrow.ISSUER_ROLE(), issuer.address);
+
+        await merchantRegistry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+        await merchantRegistry.registerMerchant(otherMerchant.address, "Dunnes Stores", "grocery", 200);
+    });
+
+    it("Should accumulate escrow for the same customer hash across merchants", async function () {
+        // Tills normalise the identifier, so differently typed emails land on one escrow
+        expect(customerHash("  Jane@Example.COM ", salt)).to.equal(janeHash);
+        expect(customerHash("jane@example.com", randomSalt())).to.not.equal(janeHash);
+
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(otherMerchant).processEscrowPurchase(customerHash("JANE@example.com", salt), PURCHASE, "TXN-2");
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE.div(2), "TXN-3");
+
+        const escrow = await rewardEscrow.getEscrow(janeHash);
+        expectBigNumberEqual(escrow.balance, REWARD.mul(5).div(2));
+        expectBigNumberEqual(escrow.totalEscrowed, REWARD.mul(5).div(2));
+        expectBigNumberEqual(escrow.merchantCount, 2);
+        expectBigNumberEqual(escrow.expiresAt, (await rewardEscrow.escrows(janeHash)).lastActivity.add(365 * DAY));
+        expectBigNumberEqual(await rewardEscrow.merchantEscrowed(janeHash, merchant.address), REWARD.mul(3).div(2));
+        expectBigNumberEqual(await shopToken.balanceOf(rewardEscrow.address), REWARD.mul(5).div(2));
+        expectBigNumberEqual(await rewardEscrow.totalEscrowBalance(), REWARD.mul(5).div(2));
+
+        const otherHash = customerHash("4000 1234 5678", salt);
+        await purchaseValidator.connect(merchant).processEscrowPurchase(otherHash, PURCHASE, "TXN-4");
+        const balances = await rewardEscrow.getEscrowBalances([janeHash, otherHash, ethers.constants.HashZero]);
+        expect(balances.map((b) => b.toString())).to.deep.equal([REWARD.mul(5).div(2), REWARD, 0].map(String));
+
+        // Escrow purchases count toward merchant sales and share transaction IDs with wallet purchases
+        expectBigNumberEqual((await merchantRegistry.getMerchantInfo(merchant.address)).totalSales, PURCHASE.mul(5).div(2));
+        await expectRevert(
+            purchaseValidator.connect(merchant).processPurchase(wallet.address, PURCHASE, "TXN-1"),
+            "Transaction already processed"
+        );
+    });
+
+    it("Should reject escrow purchases without an escrow, hash or active merchant", async function () {
+        await expectRevert(purchaseValidator.connect(stranger).processEscrowPurchase(janeHash, PURCHASE, "TXN-1"), "Merchant not registered");
+        await merchantRegistry.suspendMerchant(otherMerchant.address);
+        await expectRevert(purchaseValidator.connect(otherMerchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1"), "Merchant not active");
+        await expectRevert(
+            purchaseValidator.connect(merchant).processEscrowPurchase(ethers.constants.HashZero, PURCHASE, "TXN-1"),
+            "Invalid customer hash"
+        );
+        await expectRevert(
+            rewardEscrow.connect(merchant).recordEscrow(janeHash, merchant.address, REWARD, "TXN-1"),
+            "Not reward issuer"
+        );
+
+        await purchaseValidator.setRewardEscrow(ethers.constants.AddressZero);
+        await expectRevert(purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1"), "Reward escrow not set");
+    });
+
+    it("Should release the whole escrow to a wallet with an issuer-signed proof, once", async function () {
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(otherMerchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-2");
+
+        const args = await proof(issuer, issuer.address);
+        // Anyone may submit the proof - the tokens only ever go to the wallet it names
+        await rewardEscrow.connect(stranger).claim(...args);
+        expectBigNumberEqual(await shopToken.balanceOf(wallet.address), REWARD.mul(2));
+        const escrow = await rewardEscrow.getEscrow(janeHash);
+        expectBigNumberEqual(escrow.balance, 0);
+        expectBigNumberEqual(escrow.totalClaimed, REWARD.mul(2));
+        expectBigNumberEqual(escrow.expiresAt, 0);
+
+        await expectRevert(rewardEscrow.claim(...args), "No escrowed rewards");
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-3");
+        await expectRevert(rewardEscrow.claim(...args), "Invalid claim signature");
+
+        const redirected = await proof(issuer, issuer.address);
+        redirected[1] = stranger.address;
+        await expectRevert(rewardEscrow.claim(...redirected), "Invalid claim signature");
+
+        const latest = (await ethers.provider.getBlock("latest")).timestamp;
+        await expectRevert(rewardEscrow.claim(...(await proof(issuer, issuer.address, janeHash, wallet.address, latest - 1))), "Claim proof expired");
+        await expectRevert(rewardEscrow.claim(...(await proof(issuer, issuer.address, janeHash, ethers.constants.AddressZero))), "Invalid wallet address");
+    });
+
+    it("Should accept proofs only from merchants that served the customer and are active", async function () {
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1");
+
+        await expectRevert(rewardEscrow.claim(...(await proof(otherMerchant, otherMerchant.address))), "Attester never served customer");
+        await expectRevert(rewardEscrow.claim(...(await proof(stranger, stranger.address))), "Attester never served customer");
+        await expectRevert(rewardEscrow.claim(...(await proof(stranger, merchant.address))), "Invalid claim signature");
+
+        // Signed with the merchant's delegated receipt key
+        await merchantRegistry.connect(merchant).setMerchantSigner(stranger.address);
+        await expectRevert(rewardEscrow.claim(...(await proof(merchant, merchant.address))), "Invalid claim signature");
+        const args = await proof(stranger, merchant.address);
+
+        await merchantRegistry.suspendMerchant(merchant.address);
+        await expectRevert(rewardEscrow.claim(...args), "Merchant not active");
+        await merchantRegistry.reactivateMerchant(merchant.address);
+
+        await rewardEscrow.claim(...args);
+        expectBigNumberEqual(await shopToken.balanceOf(wallet.address), REWARD);
+    });
+
+    it("Should release only the attesting merchant's own share of the escrow", async function () {
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE.mul(3), "TXN-1");
+        await purchaseValidator.connect(otherMerchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-2");
+
+        // The other merchant's proof cannot reach the rewards the first merchant escrowed
+        await rewardEscrow.claim(...(await proof(otherMerchant, otherMerchant.address)));
+        expectBigNumberEqual(await shopToken.balanceOf(wallet.address), REWARD);
+        expectBigNumberEqual((await rewardEscrow.getEscrow(janeHash)).balance, REWARD.mul(3));
+        await expectRevert(rewardEscrow.claim(...(await proof(otherMerchant, otherMerchant.address))), "No escrowed rewards from attester");
+        expectBigNumberEqual(await rewardEscrow.merchantUnclaimed(janeHash, merchant.address), REWARD.mul(3));
+
+        // After an issuer releases the whole balance, a merchant's share covers only its later escrow
+        await purchaseValidator.connect(otherMerchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-3");
+        await rewardEscrow.claim(...(await proof(issuer, issuer.address)));
+        expectBigNumberEqual(await shopToken.balanceOf(wallet.address), REWARD.mul(5));
+        expectBigNumberEqual(await rewardEscrow.merchantUnclaimed(janeHash, merchant.address), 0);
+
+        await purchaseValidator.connect(otherMerchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-4");
+        await expectRevert(rewardEscrow.claim(...(await proof(merchant, merchant.address))), "No escrowed rewards from attester");
+        await rewardEscrow.claim(...(await proof(otherMerchant, otherMerchant.address)));
+        expectBigNumberEqual(await shopToken.balanceOf(wallet.address), REWARD.mul(6));
+        expectBigNumberEqual(await rewardEscrow.totalEscrowBalance(), 0);
+    });
+
+    it("Should take refunded rewards back out of the refunding merchant's unclaimed share", async function () {
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(otherMerchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-2");
+        const record = await purchaseValidator.purchases("TXN-1");
+        expect(record.customer).to.equal(rewardEscrow.address);
+        expectBigNumberEqual(record.rewards, REWARD);
+        expect(await rewardEscrow.purchaseCustomerHash("TXN-1")).to.equal(janeHash);
+
+        await expectRevert(purchaseValidator.connect(otherMerchant).refundPurchase("TXN-1", PURCHASE), "Not purchase merchant");
+        await expectRevert(
+            rewardEscrow.connect(merchant).reclaimEscrow(merchant.address, REWARD, "TXN-1"),
+            "Not reward issuer"
+        );
+
+        const supply = await shopToken.totalSupply();
+        await purchaseValidator.connect(merchant).refundPurchase("TXN-1", PURCHASE.div(2));
+        expectBigNumberEqual(await rewardEscrow.merchantUnclaimed(janeHash, merchant.address), REWARD.div(2));
+        expectBigNumberEqual((await rewardEscrow.getEscrow(janeHash)).balance, REWARD.mul(3).div(2));
+        expectBigNumberEqual(await shopToken.balanceOf(rewardEscrow.address), REWARD.mul(3).div(2));
+        expectBigNumberEqual(await shopToken.totalSupply(), supply.sub(REWARD.div(2)));
+
+        await purchaseValidator.connect(merchant).refundPurchase("TXN-1", PURCHASE.div(2));
+        expect((await purchaseValidator.purchases("TXN-1")).status).to.equal(3); // Refunded
+        expectBigNumberEqual(await rewardEscrow.merchantUnclaimed(janeHash, merchant.address), 0);
+        expectBigNumberEqual(await rewardEscrow.merchantUnclaimed(janeHash, otherMerchant.address), REWARD);
+        expectBigNumberEqual(await rewardEscrow.totalEscrowBalance(), REWARD);
+        expectBigNumberEqual((await rewardEscrow.escrows(janeHash)).rewardDebt, 0);
+        expectBigNumberEqual(await purchaseValidator.customerTotalSpent(rewardEscrow.address), PURCHASE);
+        expectBigNumberEqual((await merchantRegistry.getMerchantInfo(merchant.address)).totalSales, 0);
+    });
+
+    it("Should record refunds of claimed escrow as debt, netted against the customer's next escrow", async function () {
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1");
+        await rewardEscrow.claim(...(await proof(merchant, merchant.address)));
+        expectBigNumberEqual(await shopToken.balanceOf(wallet.address), REWARD);
+
+        const supply = await shopToken.totalSupply();
+        const receipt = await (await purchaseValidator.connect(merchant).refundPurchase("TXN-1", PURCHASE)).wait();
+        const reclaimed = receipt.logs
+            .filter((log) => log.address === rewardEscrow.address)
+            .map((log) => rewardEscrow.interface.parseLog(log))
+            .find((event) => event.name === "EscrowReclaimed");
+        expectBigNumberEqual(reclaimed.args.reclaimed, 0);
+        expectBigNumberEqual(reclaimed.args.debtRecorded, REWARD);
+        expectBigNumberEqual((await rewardEscrow.escrows(janeHash)).rewardDebt, REWARD);
+        expectBigNumberEqual(await shopToken.totalSupply(), supply);
+        // The validator keeps no debt of its own for escrow purchases
+        expectBigNumberEqual(await purchaseValidator.customerRewardDebt(rewardEscrow.address), 0);
+
+        // The next escrowed rewards, from any merchant, repay the debt before adding to the balance
+        await purchaseValidator.connect(otherMerchant).processEscrowPurchase(janeHash, PURCHASE.div(2), "TXN-2");
+        expectBigNumberEqual((await rewardEscrow.escrows(janeHash)).rewardDebt, REWARD.div(2));
+        expectBigNumberEqual((await rewardEscrow.getEscrow(janeHash)).balance, 0);
+        expectBigNumberEqual(await shopToken.totalSupply(), supply);
+
+        await purchaseValidator.connect(otherMerchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-3");
+        expectBigNumberEqual((await rewardEscrow.escrows(janeHash)).rewardDebt, 0);
+        expectBigNumberEqual((await rewardEscrow.getEscrow(janeHash)).balance, REWARD.div(2));
+        expectBigNumberEqual(await rewardEscrow.merchantUnclaimed(janeHash, otherMerchant.address), REWARD.div(2));
+        expectBigNumberEqual(await shopToken.balanceOf(rewardEscrow.address), REWARD.div(2));
+        expectBigNumberEqual(await shopToken.totalSupply(), supply.add(REWARD.div(2)));
+    });
+
+    it("Should report only what a refund after a partial claim actually took back", async function () {
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1");
+        await rewardEscrow.claim(...(await proof(issuer, issuer.address)));
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE.div(2), "TXN-2");
+
+        // Half of TXN-1's rewards are still covered by the merchant's unclaimed share, half were claimed
+        const supply = await shopToken.totalSupply();
+        const receipt = await (await purchaseValidator.connect(merchant).refundPurchase("TXN-1", PURCHASE)).wait();
+        const refunded = receipt.logs
+            .filter((log) => log.address === purchaseValidator.address)
+            .map((log) => purchaseValidator.interface.parseLog(log))
+            .find((event) => event.name === "PurchaseRefunded");
+        expectBigNumberEqual(refunded.args.rewardsReversed, REWARD);
+        expectBigNumberEqual(refunded.args.rewardsReclaimed, REWARD.div(2));
+        expectBigNumberEqual(refunded.args.debtRecorded, REWARD.div(2));
+
+        expectBigNumberEqual(await shopToken.totalSupply(), supply.sub(REWARD.div(2)));
+        expectBigNumberEqual((await rewardEscrow.escrows(janeHash)).rewardDebt, REWARD.div(2));
+        expectBigNumberEqual((await rewardEscrow.getEscrow(janeHash)).balance, 0);
+        expectBigNumberEqual(await purchaseValidator.customerRewardDebt(rewardEscrow.address), 0);
+        expectBigNumberEqual(await shopToken.balanceOf(purchaseValidator.address), 0);
+    });
+
+    it("Should expire escrow untouched for the expiry period to the treasury", async function () {
+        await rewardEscrow.setTreasury(treasury.address);
+        await purchaseValidator.connect(merchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-1");
+
+        await increaseTime(300 * DAY);
+        await expectRevert(rewardEscrow.connect(stranger).expireEscrow(janeHash), "Escrow not expired");
+        // A new purchase restarts the clock
+        await purchaseValidator.connect(otherMerchant).processEscrowPurchase(janeHash, PURCHASE, "TXN-2");
+        await increaseTime(100 * DAY);
+        await expectRevert(rewardEscrow.connect(stranger).expireEscrow(janeHash), "Escrow not expired");
+
+        await expectRevert(rewardEscrow.setExpiryPeriod(29 * DAY), "Expiry period too short");
+        await expectRevert(rewardEscrow.connect(stranger).setExpiryPeriod(90 * DAY), "is missing role");
+        await rewardEscrow.setExpiryPeriod(90 * DAY);
+
+        await rewardEscrow.connect(stranger).expireEscrow(janeHash);
+        expectBigNumberEqual(await shopToken.balanceOf(treasury.address), REWARD.mul(2));
+        expectBigNumberEqual(await rewardEscrow.totalExpired(), REWARD.mul(2));
+        expectBigNumberEqual(await rewardEscrow.totalEscrowBalance(), 0);
+        await expectRevert(rewardEscrow.expireEscrow(janeHash), "No escrowed rewards");
+        await expectRevert(rewardEscrow.claim(...(await proof(issuer, issuer.address))), "No escrowed rewards");
+    });
+});
@@ -0,0 +1,175 @@
+// test/RewardRedemption.test.js - Spending SHOP at merchants
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+// Helper function to compare BigNumbers
+const expectBigNumberEqual = (actual, expected) => {
+    expect(actual.toString()).to.equal(expected.toString());
+};
+
+// Helper function to assert a call reverts with the given reason
+const expectRevert = async (promise, reason) => {
+    let errorThrown = false;
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(reason);
+        errorThrown = true;
+    }
+    expect(errorThrown).to.be.true;
+};
+
+describe("Reward Redemption", function () {
+    let shopToken, merchantRegistry, purchaseValidator, rewardRedemption;
+    let owner, customer, merchant, other;
+
+    beforeEach(async function () {
+        [owner, customer, merchant, other] = await ethers.getSigners();
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
+        purchaseValidator = await upgrades.deployProxy(PurchaseValidator, [shopToken.address, merchantRegistry.address]);
+        await purchaseValidator.deployed();
+
+        const RewardRedemption = await ethers.getContractFactory("RewardRedemption");
+        rewardRedemption = await upgrades.deployProxy(RewardRedemption, [shopToken.address, merchantRegistry.address]);
+        await rewardRedemption.deployed();
+
+        await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
+        await shopToken.setSystemMinter(purchaseValidator.address, true);
+        await merchantRegistry.setPurchaseValidator(purchaseValidator.address);
+        await merchantRegistry.registerMerchant(merchant.address, "Tesco", "grocery", 200);
+
+        await shopToken.transfer(customer.address, ethers.utils.parseEther("1000"));
+        await shopToken.connect(customer).approve(rewardRedemption.address, ethers.constants.MaxUint256);
+    });
+
+    it("Should burn redeemed SHOP and record the discount value", async function () {
+        const supplyBefore = await shopToken.totalSupply();
+
+        const tx = await rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("250"), "ORDER-1");
+        const receipt = await tx.wait();
+        const event = receipt.events.find((e) => e.event === "Redeemed");
+
+        expectBigNumberEqual(event.args.valueCents, 250); // 250 SHOP = €2.50
+        expect(event.args.burned).to.be.true;
+        expectBigNumberEqual(supplyBefore.sub(await shopToken.totalSupply()), ethers.utils.parseEther("250"));
+        expect(await rewardRedemption.verifyRedemption(merchant.address, "ORDER-1", customer.address, 250)).to.be.true;
+        expect(await rewardRedemption.verifyRedemption(merchant.address, "ORDER-1", customer.address, 251)).to.be.false;
+    });
+
+    it("Should reject duplicate orders and inactive merchants", async function () {
+        await rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("100"), "ORDER-1");
+        await expectRevert(
+            rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("100"), "ORDER-1"),
+            "Order already redeemed"
+        );
+        await expectRevert(
+            rewardRedemption.connect(customer).redeem(customer.address, ethers.utils.parseEther("100"), "ORDER-2"),
+            "Merchant not registered"
+        );
+    });
+
+    it("Should tie redemption IDs to the customer so an order reference cannot be taken first", async function () {
+        await shopToken.transfer(other.address, ethers.utils.parseEther("1"));
+        await shopToken.connect(other).approve(rewardRedemption.address, ethers.constants.MaxUint256);
+
+        // Someone copying the customer's order reference only creates their own redemption
+        await rewardRedemption.connect(other).redeem(merchant.address, ethers.utils.parseEther("1"), "ORDER-1");
+        const tx = await rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("100"), "ORDER-1");
+        const event = (await tx.wait()).events.find((e) => e.event === "Redeemed");
+
+        const expectedId = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+            ["address", "address", "string"],
+            [merchant.address, customer.address, "ORDER-1"]
+        ));
+        expect(event.args.redemptionId).to.equal(expectedId);
+        expect(await rewardRedemption.getRedemptionId(merchant.address, customer.address, "ORDER-1")).to.equal(expectedId);
+        expect(await rewardRedemption.verifyRedemption(merchant.address, "ORDER-1", customer.address, 100)).to.be.true;
+        expect(await rewardRedemption.verifyRedemption(merchant.address, "ORDER-1", other.address, 100)).to.be.false;
+    });
+
+    it("Should escrow and reverse redemptions when burning is off", async function () {
+        await rewardRedemption.setBurnOnRedeem(false);
+        await rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("300"), "ORDER-1");
+
+        let balance = await rewardRedemption.getSettlementBalance(merchant.address);
+        expectBigNumberEqual(balance.escrowedTokens, ethers.utils.parseEther("300"));
+        expectBigNumberEqual(balance.redeemedCents, 300);
+
+        await rewardRedemption.connect(merchant).reverseRedemption(merchant.address, customer.address, "ORDER-1");
+
+        balance = await rewardRedemption.getSettlementBalance(merchant.address);
+        expectBigNumberEqual(balance.escrowedTokens, 0);
+        expectBigNumberEqual(balance.redeemedCents, 0);
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), ethers.utils.parseEther("1000"));
+        expect(await rewardRedemption.verifyRedemption(merchant.address, "ORDER-1", customer.address, 0)).to.be.false;
+    });
+
+    it("Should not reverse burned redemptions", async function () {
+        await rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("100"), "ORDER-1");
+        await expectRevert(
+            rewardRedemption.connect(merchant).reverseRedemption(merchant.address, customer.address, "ORDER-1"),
+            "Redemption already burned"
+        );
+    });
+
+    it("Should only redeem whole cents", async function () {
+        await expectRevert(
+            rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("2.5"), "ORDER-1"),
+            "Amount must be whole cents"
+        );
+        await rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("3"), "ORDER-1");
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), ethers.utils.parseEther("997"));
+    });
+
+    it("Should burn escrow per redemption and not reverse what was burned", async function () {
+        await rewardRedemption.setBurnOnRedeem(false);
+        await rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("300"), "ORDER-1");
+        await rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("200"), "ORDER-2");
+
+        const supplyBefore = await shopToken.totalSupply();
+        await rewardRedemption.burnEscrowed(merchant.address, [customer.address], ["ORDER-1"]);
+        expectBigNumberEqual(supplyBefore.sub(await shopToken.totalSupply()), ethers.utils.parseEther("300"));
+        expectBigNumberEqual((await rewardRedemption.getSettlementBalance(merchant.address)).escrowedTokens, ethers.utils.parseEther("200"));
+
+        await expectRevert(
+            rewardRedemption.connect(merchant).reverseRedemption(merchant.address, customer.address, "ORDER-1"),
+            "Redemption already burned"
+        );
+        await expectRevert(rewardRedemption.burnEscrowed(merchant.address, [customer.address], ["ORDER-1"]), "Redemption already burned");
+
+        // The unburned redemption still reverses in full
+        await rewardRedemption.connect(merchant).reverseRedemption(merchant.address, customer.address, "ORDER-2");
+        expectBigNumberEqual((await rewardRedemption.getSettlementBalance(merchant.address)).escrowedTokens, 0);
+        await expectRevert(rewardRedemption.burnEscrowed(merchant.address, [customer.address], ["ORDER-2"]), "Redemption already reversed");
+        await expectRevert(rewardRedemption.burnEscrowed(merchant.address, [], ["ORDER-2"]), "Redemption length mismatch");
+    });
+
+    it("Should reconcile redemptions against issued rewards and settlements", async function () {
+        // Merchant issues 100 SHOP (€1) of rewards, customer redeems 500 SHOP (€5) there
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, ethers.utils.parseEther("5000"), "TX1");
+        await rewardRedemption.connect(customer).redeem(merchant.address, ethers.utils.parseEther("500"), "ORDER-1");
+
+        let balance = await rewardRedemption.getSettlementBalance(merchant.address);
+        expectBigNumberEqual(balance.issuedCents, 100);
+        expectBigNumberEqual(balance.netOwedToMerchantCents, 400);
+
+        await rewardRedemption.recordSettlement(merchant.address, 400, "SEPA-2024-01");
+        balance = await rewardRedemption.getSettlementBalance(merchant.address);
+        expectBigNumberEqual(balance.netOwedToMerchantCents, 0);
+
+        await expectRevert(
+            rewardRedemption.connect(merchant).recordSettlement(merchant.address, 100, "SELF"),
+            "is missing role"
+        );
+    });
+});
@@ -0,0 +1,196 @@
+// test/RewardVesting.test.js - Held, expiring purchase rewards
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+// Helper function to compare BigNumbers
+const expectBigNumberEqual = (actual, expected) => {
+    expect(actual.toString()).to.equal(expected.toString());
+};
+
+// Helper function to assert a call reverts with the given reason
+const expectRevert = async (promise, reason) => {
+    let errorThrown = false;
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(reason);
+        errorThrown = true;
+    }
+    expect(errorThrown).to.be.true;
+};
+
+// Helper function to move the chain clock forward
+const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+};
+
+describe("Reward Vesting", function () {
+    const DAY = 24 * 60 * 60;
+    const PURCHASE = ethers.utils.parseEther("1000");
+    const REWARD = ethers.utils.parseEther("20"); // 2% of PURCHASE
+
+    let shopToken, merchantRegistry, purchaseValidator, rewardVesting;
+    let owner, merchant, customer, otherMerchant;
+
+    beforeEach(async function () {
+        [owner, merchant, customer, otherMerchant] = await ethers.getSigners();
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const PurchaseValidator = await ethers.getContractFactory("PurchaseValidator");
+        purchaseValidator = await upgrades.deployProxy(PurchaseValidator, [shopToken.address, merchantRegistry.address]);
+        await purchaseValidator.deployed();
+
+        const RewardVesting = await ethers.getContractFactory("RewardVesting");
+        rewardVesting = await upgrades.deployProxy(RewardVesting, [shopToken.address]);
+        await rewardVesting.deployed();
+
+        await shopToken.authorizeMinter(purchaseValidator.address, "Purchase Validator");
+        await shopToken.setSystemMinter(purchaseValidator.address, true);
+        await merchantRegistry.setPurchaseValidator(purchaseValidator.address);
+        await rewardVesting.setRewardIssuer(purchaseValidator.address);
+        await purchaseValidator.setRewardVesting(rewardVesting.address);
+
+        await merchantRegistry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+        await merchantRegistry.registerMerchant(otherMerchant.address, "Dunnes Stores", "grocery", 200);
+    });
+
+    it("Should hold rewards as pending until the hold period ends", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), 0);
+        expectBigNumberEqual(await shopToken.balanceOf(rewardVesting.address), REWARD);
+        let balances = await rewardVesting.getRewardBalances(customer.address);
+        expectBigNumberEqual(balances.vested, 0);
+        expectBigNumberEqual(balances.pending, REWARD);
+        await expectRevert(rewardVesting.connect(customer).claim(), "No vested rewards");
+
+        await increaseTime(14 * DAY);
+        balances = await rewardVesting.getRewardBalances(customer.address);
+        expectBigNumberEqual(balances.vested, REWARD);
+        expectBigNumberEqual(balances.pending, 0);
+
+        await rewardVesting.connect(customer).claim();
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD);
+    });
+
+    it("Should let the merchant reverse a pending reward for a refunded transaction", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        const supplyBefore = await shopToken.totalSupply();
+
+        await expectRevert(rewardVesting.connect(otherMerchant).reverseReward("TXN-1"), "Not grant merchant");
+        await rewardVesting.connect(merchant).reverseReward("TXN-1");
+        await expectRevert(rewardVesting.connect(merchant).reverseReward("TXN-1"), "Grant already reversed");
+
+        expectBigNumberEqual(await shopToken.totalSupply(), supplyBefore.sub(REWARD));
+        expect((await rewardVesting.grants(await rewardVesting.getGrantId("TXN-1"))).reversed).to.be.true;
+
+        await increaseTime(14 * DAY);
+        await expectRevert(rewardVesting.connect(merchant).reverseReward("TXN-2"), "Reward already vested");
+        await rewardVesting.connect(customer).claim();
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD);
+    });
+
+    it("Should reclaim refunded rewards from the pending grant", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await purchaseValidator.connect(merchant).refundPurchase("TXN-1", PURCHASE.div(2));
+
+        const grant = await rewardVesting.grants(await rewardVesting.getGrantId("TXN-1"));
+        expectBigNumberEqual(grant.amount, REWARD.div(2));
+        expectBigNumberEqual((await rewardVesting.getRewardBalances(customer.address)).pending, REWARD.div(2));
+
+        // A direct reversal followed by the matching refund takes nothing more from the customer
+        await rewardVesting.connect(merchant).reverseReward("TXN-1");
+        await purchaseValidator.connect(merchant).refundPurchase("TXN-1", PURCHASE.div(2));
+        expectBigNumberEqual(await purchaseValidator.customerRewardDebt(customer.address), 0);
+        expectBigNumberEqual(await shopToken.balanceOf(rewardVesting.address), 0);
+    });
+
+    it("Should vest later purchases after earlier ones", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await increaseTime(10 * DAY);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        await increaseTime(5 * DAY);
+
+        const balances = await rewardVesting.getRewardBalances(customer.address);
+        expectBigNumberEqual(balances.vested, REWARD);
+        expectBigNumberEqual(balances.pending, REWARD);
+
+        await rewardVesting.connect(customer).claim();
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD);
+        expectBigNumberEqual(await rewardVesting.nextUnvestedGrant(customer.address), 1);
+    });
+
+    it("Should settle matured grants in bounded steps", async function () {
+        for (let i = 1; i <= 3; i++) {
+            await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, `TXN-${i}`);
+        }
+        await increaseTime(14 * DAY);
+
+        await expectRevert(rewardVesting.settle(customer.address, 0), "Invalid grant count");
+        await rewardVesting.connect(otherMerchant).settle(customer.address, 2);
+        expectBigNumberEqual(await rewardVesting.nextUnvestedGrant(customer.address), 2);
+        expectBigNumberEqual(await rewardVesting.vestedBalance(customer.address), REWARD.mul(2));
+        expectBigNumberEqual((await rewardVesting.getRewardBalances(customer.address)).vested, REWARD.mul(3));
+
+        await rewardVesting.connect(customer).claim();
+        expectBigNumberEqual(await shopToken.balanceOf(customer.address), REWARD.mul(3));
+        expectBigNumberEqual(await rewardVesting.nextUnvestedGrant(customer.address), 3);
+    });
+
+    it("Should warn about and then expire rewards of inactive customers", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+
+        await increaseTime(300 * DAY);
+        let balances = await rewardVesting.getRewardBalances(customer.address);
+        expectBigNumberEqual(balances.expiring, 0);
+
+        await increaseTime(40 * DAY);
+        balances = await rewardVesting.getRewardBalances(customer.address);
+        expectBigNumberEqual(balances.expiring, REWARD);
+        await expectRevert(rewardVesting.expireRewards(customer.address), "Rewards not expired");
+
+        await increaseTime(30 * DAY);
+        await rewardVesting.expireRewards(customer.address);
+
+        balances = await rewardVesting.getRewardBalances(customer.address);
+        expectBigNumberEqual(balances.vested, 0);
+        expectBigNumberEqual(balances.expiresAt, 0);
+        expectBigNumberEqual(await rewardVesting.totalExpired(), REWARD);
+        expectBigNumberEqual(await shopToken.balanceOf(rewardVesting.address), 0);
+    });
+
+    it("Should push back expiry while the customer stays active", async function () {
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        await increaseTime(300 * DAY);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-2");
+        await increaseTime(100 * DAY);
+
+        await expectRevert(rewardVesting.expireRewards(customer.address), "Rewards not expired");
+        const balances = await rewardVesting.getRewardBalances(customer.address);
+        expectBigNumberEqual(balances.vested, REWARD.mul(2));
+    });
+
+    it("Should restrict grants and parameter changes", async function () {
+        await expectRevert(
+            rewardVesting.connect(merchant).recordGrant(customer.address, merchant.address, "TXN-X", REWARD),
+            "Not reward issuer"
+        );
+        await expectRevert(rewardVesting.connect(merchant).setHoldPeriod(0), "is missing role");
+        await expectRevert(rewardVesting.setHoldPeriod(91 * DAY), "Hold period too long");
+        await expectRevert(rewardVesting.setExpiryPeriod(60 * DAY, DAY), "Expiry period too short");
+
+        await rewardVesting.setHoldPeriod(0);
+        await purchaseValidator.connect(merchant).processPurchase(customer.address, PURCHASE, "TXN-1");
+        expectBigNumberEqual((await rewardVesting.getRewardBalances(customer.address)).vested, REWARD);
+    });
+});
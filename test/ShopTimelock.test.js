@@ -0,0 +1,227 @@
+// test/ShopTimelock.test.js - Timelocked governance of economic parameters
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const governance = require("../scripts/governance");
+
+// Helper function to compare BigNumbers
+const expectBigNumberEqual = (actual, expected) => {
+    expect(actual.toString()).to.equal(expected.toString());
+};
+
+// Helper function to assert a call reverts with the given reason
+const expectRevert = async (promise, reason) => {
+    let errorThrown = false;
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(reason);
+        errorThrown = true;
+    }
+    expect(errorThrown).to.be.true;
+};
+
+// Helper function to move the chain clock forward
+const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+};
+
+describe("Shop Timelock", function () {
+    const DAY = 24 * 60 * 60;
+    const DELAY = 2 * DAY;
+
+    let shopToken, merchantRegistry, shopStaking, shopTimelock;
+    let owner, admin, proposer, pauser, merchant;
+
+    beforeEach(async function () {
+        [owner, admin, proposer, pauser, merchant] = await ethers.getSigners();
+
+        const SHOPToken = await ethers.getContractFactory("SHOPToken");
+        shopToken = await upgrades.deployProxy(SHOPToken);
+        await shopToken.deployed();
+
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        merchantRegistry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await merchantRegistry.deployed();
+
+        const SHOPStaking = await ethers.getContractFactory("SHOPStaking");
+        shopStaking = await upgrades.deployProxy(SHOPStaking, [shopToken.address]);
+        await shopStaking.deployed();
+
+        const ShopTimelock = await ethers.getContractFactory("ShopTimelock");
+        shopTimelock = await ShopTimelock.deploy(
+            DELAY,
+            [proposer.address],
+            [ethers.constants.AddressZero],
+            ethers.constants.AddressZero
+        );
+        await shopTimelock.deployed();
+
+        await merchantRegistry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+
+        // Economic parameters go through the timelock, pausing stays with ops
+        await merchantRegistry.grantRole(await merchantRegistry.RATE_SETTER_ROLE(), shopTimelock.address);
+        await shopStaking.grantRole(await shopStaking.RATE_SETTER_ROLE(), shopTimelock.address);
+        await shopToken.grantRole(await shopToken.MINTER_ADMIN_ROLE(), shopTimelock.address);
+        await shopStaking.grantRole(await shopStaking.PAUSER_ROLE(), pauser.address);
+        await shopToken.setGovernor(shopTimelock.address, [await shopToken.MINTER_ADMIN_ROLE()]);
+        for (const contract of [merchantRegistry, shopStaking]) {
+            await contract.setGovernor(shopTimelock.address, [await contract.RATE_SETTER_ROLE()]);
+        }
+        for (const contract of [shopToken, merchantRegistry, shopStaking]) {
+            await contract.migrateOwnerToRoles(admin.address);
+        }
+    });
+
+    it("Should reject delays below the governance minimum", async function () {
+        const ShopTimelock = await ethers.getContractFactory("ShopTimelock");
+        await expectRevert(
+            ShopTimelock.deploy(60, [proposer.address], [ethers.constants.AddressZero], ethers.constants.AddressZero),
+            "Delay below minimum"
+        );
+    });
+
+    it("Should apply a queued rate change only after the delay", async function () {
+        const timelock = shopTimelock.connect(proposer);
+        const { id } = await governance.queueProposal(timelock, merchantRegistry, "updateRewardRate", [merchant.address, 500]);
+
+        expect(await shopTimelock.isOperationPending(id)).to.be.true;
+        await expectRevert(governance.executeProposal(timelock, id), "not ready");
+
+        await increaseTime(DELAY);
+        await governance.executeProposal(timelock, id);
+
+        const info = await merchantRegistry.getMerchantInfo(merchant.address);
+        expectBigNumberEqual(info.rewardRate, 500);
+        expect(await shopTimelock.isOperationDone(id)).to.be.true;
+    });
+
+    it("Should let anyone execute but only proposers queue", async function () {
+        const timelock = shopTimelock.connect(proposer);
+        const { id } = await governance.queueProposal(timelock, shopStaking, "setRewardsDuration", [30 * DAY]);
+        await increaseTime(DELAY);
+
+        await governance.executeProposal(shopTimelock.connect(merchant), id);
+        expectBigNumberEqual(await shopStaking.rewardsDuration(), 30 * DAY);
+
+        await expectRevert(
+            governance.queueProposal(shopTimelock.connect(merchant), shopStaking, "setRewardsDuration", [60 * DAY]),
+            "is missing role"
+        );
+    });
+
+    it("Should drop cancelled proposals", async function () {
+        const timelock = shopTimelock.connect(proposer);
+        const { id } = await governance.queueProposal(timelock, shopToken, "authorizeMinter", [merchant.address, "Tesco Ireland"]);
+
+        await governance.cancelProposal(timelock, id);
+        await increaseTime(DELAY);
+
+        await expectRevert(governance.executeProposal(timelock, id), "cancelled");
+        expect(await shopToken.authorizedMinters(merchant.address)).to.be.false;
+    });
+
+    it("Should list proposals with status and decoded calls", async function () {
+        const timelock = shopTimelock.connect(proposer);
+        const first = await governance.queueProposal(timelock, merchantRegistry, "updateRewardRate", [merchant.address, 300]);
+        const second = await governance.queueProposal(timelock, shopStaking, "setRewardsDuration", [14 * DAY]);
+        await governance.cancelProposal(timelock, second.id);
+
+        const interfaces = await governance.loadGovernedInterfaces();
+        let proposals = await governance.listProposals(timelock, { interfaces });
+        expect(proposals.length).to.equal(1);
+        expect(proposals[0].id).to.equal(first.id);
+        expect(proposals[0].status).to.equal("pending");
+        expect(proposals[0].call).to.equal(`updateRewardRate(${merchant.address}, 300)`);
+
+        await increaseTime(DELAY);
+        proposals = await governance.listProposals(timelock, { all: true });
+        expect(proposals.map((p) => p.status)).to.deep.equal(["ready", "cancelled"]);
+    });
+
+    it("Should decode calls to every governed contract", async function () {
+        const timelock = shopTimelock.connect(proposer);
+        // Only the calldata is decoded, so the proposals can target any address
+        const calls = [
+            ["RewardCampaigns", "closeCampaign", [7]],
+            ["RewardEscrow", "setExpiryPeriod", [400 * DAY]],
+            ["PurchaseGuard", "setCustomerLimits", [5, 1000]]
+        ];
+        for (const [name, functionName, args] of calls) {
+            const { interface: iface } = await ethers.getContractFactory(name);
+            await governance.queueProposal(timelock, { address: merchant.address, interface: iface }, functionName, args);
+        }
+
+        const proposals = await governance.listProposals(timelock, { interfaces: await governance.loadGovernedInterfaces() });
+        expect(proposals.map((p) => p.call)).to.deep.equal([
+            "closeCampaign(7)",
+            `setExpiryPeriod(${400 * DAY})`,
+            "setCustomerLimits(5, 1000)"
+        ]);
+    });
+
+    it("Should block direct parameter changes once the owner key is retired", async function () {
+        await expectRevert(merchantRegistry.connect(admin).updateRewardRate(merchant.address, 500), "is missing role");
+        await expectRevert(shopStaking.connect(admin).setRewardsDuration(30 * DAY), "is missing role");
+        await expectRevert(shopToken.connect(admin).authorizeMinter(merchant.address, "Tesco Ireland"), "is missing role");
+    });
+
+    it("Should stop the admin granting itself governed roles", async function () {
+        const RATE_SETTER_ROLE = await merchantRegistry.RATE_SETTER_ROLE();
+        await expectRevert(merchantRegistry.connect(admin).grantRole(RATE_SETTER_ROLE, admin.address), "is missing role");
+        await expectRevert(
+            shopToken.connect(admin).grantRole(await shopToken.GOVERNOR_ROLE(), admin.address),
+            "is missing role"
+        );
+        await expectRevert(merchantRegistry.connect(admin).setGovernor(admin.address, []), "Governor already set");
+
+        // Operational roles stay with the admin
+        await merchantRegistry.connect(admin).grantRole(await merchantRegistry.PAUSER_ROLE(), pauser.address);
+
+        // Governed roles now change hands through a proposal
+        const timelock = shopTimelock.connect(proposer);
+        const { id } = await governance.queueProposal(timelock, merchantRegistry, "grantRole", [RATE_SETTER_ROLE, admin.address]);
+        await increaseTime(DELAY);
+        await governance.executeProposal(timelock, id);
+        expect(await merchantRegistry.hasRole(RATE_SETTER_ROLE, admin.address)).to.be.true;
+    });
+
+    it("Should keep the owner key out of governed roles before it is retired", async function () {
+        const MerchantRegistry = await ethers.getContractFactory("MerchantRegistry");
+        const registry = await upgrades.deployProxy(MerchantRegistry, [shopToken.address]);
+        await registry.deployed();
+        await registry.registerMerchant(merchant.address, "Tesco Ireland", "grocery", 200);
+        const RATE_SETTER_ROLE = await registry.RATE_SETTER_ROLE();
+        const GOVERNOR_ROLE = await registry.GOVERNOR_ROLE();
+        expect(await registry.hasRole(GOVERNOR_ROLE, owner.address)).to.be.false;
+
+        await registry.setGovernor(shopTimelock.address, [RATE_SETTER_ROLE]);
+        expect(await registry.hasRole(RATE_SETTER_ROLE, owner.address)).to.be.false;
+        expect(await registry.hasRole(await registry.MERCHANT_MANAGER_ROLE(), owner.address)).to.be.true;
+        await expectRevert(registry.updateRewardRate(merchant.address, 500), "is missing role");
+        await expectRevert(registry.grantRole(RATE_SETTER_ROLE, owner.address), "is missing role");
+        await expectRevert(registry.setPurchaseValidator(owner.address), "is missing role");
+    });
+
+    it("Should put contract wiring behind the governor", async function () {
+        await expectRevert(merchantRegistry.connect(admin).setPurchaseValidator(admin.address), "is missing role");
+
+        const timelock = shopTimelock.connect(proposer);
+        const { id } = await governance.queueProposal(timelock, merchantRegistry, "setPurchaseValidator", [merchant.address]);
+        await increaseTime(DELAY);
+        await governance.executeProposal(timelock, id);
+        expect(await merchantRegistry.purchaseValidator()).to.equal(merchant.address);
+    });
+
+    it("Should keep emergency pause instant", async function () {
+        await shopStaking.connect(pauser).pause();
+        expect(await shopStaking.paused()).to.be.true;
+    });
+
+    it("Should parse CLI arguments by parameter type", async function () {
+        const fragment = merchantRegistry.interface.getFunction("getMerchants");
+        expect(governance.parseArgs(fragment, ["0", "10", "grocery", "true"])).to.deep.equal(["0", "10", "grocery", true]);
+        expect(() => governance.parseArgs(fragment, ["0"])).to.throw("expects 4 argument(s)");
+    });
+});